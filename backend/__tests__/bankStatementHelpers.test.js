@@ -0,0 +1,304 @@
+/**
+ * Bank statement parsing (CSV, MT940, CAMT.053), line hashing and payment matching
+ */
+
+jest.mock('../config/supabase', () => ({ supabase: {} }));
+
+const {
+  parseStatementDate,
+  parseStatementAmount,
+  extractUTR,
+  parseStatementCSV,
+  parseStatementMT940,
+  parseStatementCAMT053,
+  parseBankStatement,
+  matchStatementLines,
+  hashStatementLines
+} = require('../utils/bankStatementHelpers');
+
+describe('parseStatementDate', () => {
+  it('reads the date layouts banks export', () => {
+    expect(parseStatementDate('2026-10-16')).toBe('2026-10-16');
+    expect(parseStatementDate('2026-10-16T10:15:00+05:30')).toBe('2026-10-16');
+    expect(parseStatementDate('16/10/2026')).toBe('2026-10-16');
+    expect(parseStatementDate('6.10.26')).toBe('2026-10-06');
+    expect(parseStatementDate('16-Oct-2026')).toBe('2026-10-16');
+    expect(parseStatementDate('16 October 26')).toBe('2026-10-16');
+    expect(parseStatementDate('261016')).toBe('2026-10-16');
+  });
+
+  it('rejects dates that do not exist or cannot be read', () => {
+    expect(parseStatementDate('31/02/2026')).toBeNull();
+    expect(parseStatementDate('16-Oxt-2026')).toBeNull();
+    expect(parseStatementDate('yesterday')).toBeNull();
+    expect(parseStatementDate('')).toBeNull();
+  });
+});
+
+describe('parseStatementAmount', () => {
+  it('reads grouped, signed and suffixed amounts as absolute rupees', () => {
+    expect(parseStatementAmount('1,23,456.50')).toBe(123456.5);
+    expect(parseStatementAmount('1,200.00 Cr')).toBe(1200);
+    expect(parseStatementAmount('118.00 Dr.')).toBe(118);
+    expect(parseStatementAmount('-2,500')).toBe(2500);
+    expect(parseStatementAmount('0.125')).toBe(0.13);
+  });
+
+  it('reads a comma as the decimal separator for MT940', () => {
+    expect(parseStatementAmount('250000,00', true)).toBe(250000);
+    expect(parseStatementAmount('1.234,5', true)).toBe(1234.5);
+  });
+
+  it('treats zero and text as no amount', () => {
+    expect(parseStatementAmount('0.00')).toBeNull();
+    expect(parseStatementAmount('')).toBeNull();
+    expect(parseStatementAmount('NIL')).toBeNull();
+  });
+});
+
+describe('extractUTR', () => {
+  it('finds NEFT, RTGS and IMPS references in narration', () => {
+    expect(extractUTR(null, 'NEFT-SBIN126289012345-SHREE GANESH')).toBe('SBIN126289012345');
+    expect(extractUTR('RTGS/HDFCR52026101600012345/IND1001')).toBe('HDFCR52026101600012345');
+    expect(extractUTR('IMPS/629012345678/RAMESH')).toBe('629012345678');
+  });
+
+  it('ignores tokens that only have the length of a UTR', () => {
+    expect(extractUTR('ABCD12345678 CHARGES')).toBeNull();
+    expect(extractUTR('SHREEGANESHCOTTON')).toBeNull();
+    expect(extractUTR(undefined, '')).toBeNull();
+  });
+});
+
+describe('parseStatementCSV', () => {
+  it('reads separate withdrawal and deposit columns', () => {
+    const { lines, errors } = parseStatementCSV([
+      'Txn Date,Narration,Ref No./Cheque No.,Withdrawal Amt.,Deposit Amt.',
+      '16/10/2026,NEFT-SBIN126289012345-SHREE GANESH,SBIN126289012345,,"2,50,000.00"',
+      '17/10/2026,CHARGES,,118.00,',
+      'bad,X,,,1',
+      '18/10/2026,NOTHING,,,'
+    ].join('\n'));
+
+    expect(lines).toEqual([
+      {
+        line_number: 2,
+        value_date: '2026-10-16',
+        direction: 'credit',
+        amount: 250000,
+        utr_number: 'SBIN126289012345',
+        reference: 'SBIN126289012345',
+        narration: 'NEFT-SBIN126289012345-SHREE GANESH'
+      },
+      {
+        line_number: 3,
+        value_date: '2026-10-17',
+        direction: 'debit',
+        amount: 118,
+        utr_number: null,
+        reference: null,
+        narration: 'CHARGES'
+      }
+    ]);
+    expect(errors).toEqual([
+      { line: 4, error: 'Invalid date: bad' },
+      { line: 5, error: 'Missing or zero amount' }
+    ]);
+  });
+
+  it('reads a single amount column with a Cr/Dr type', () => {
+    const { lines } = parseStatementCSV([
+      'Value Date,Amount,Cr/Dr,UTR',
+      '16-Oct-2026,5000,DR,',
+      '16-Oct-2026,"1,000.00",CR,629012345678'
+    ].join('\r\n'));
+
+    expect(lines.map(({ direction, amount, utr_number }) => ({ direction, amount, utr_number }))).toEqual([
+      { direction: 'debit', amount: 5000, utr_number: null },
+      { direction: 'credit', amount: 1000, utr_number: '629012345678' }
+    ]);
+  });
+
+  it('needs a date and an amount column', () => {
+    expect(parseStatementCSV('Narration,Reference\nX,Y').errors).toEqual([
+      { line: 1, error: 'Header must include a date column and an amount or credit/debit columns' }
+    ]);
+    expect(parseStatementCSV('').errors).toEqual([{ line: 0, error: 'File is empty' }]);
+  });
+});
+
+const MT940 = [
+  ':20:STMT2026101601',
+  ':25:12345678901',
+  ':28C:00001/001',
+  ':60F:C261015INR1000000,00',
+  ':61:2610161016C250000,00NTRFNONREF//SBIN126289012345',
+  ':86:NEFT CR SHREE GANESH',
+  'IND1001',
+  ':61:2610171017D118,00NCHGNONREF',
+  ':86:SMS CHARGES',
+  ':61:BROKEN',
+  ':62F:C261017INR1249882,00',
+  '-'
+].join('\n');
+
+describe('parseStatementMT940', () => {
+  it('reads :61: entries with their :86: narration', () => {
+    const result = parseStatementMT940(MT940);
+
+    expect(result.account_number).toBe('12345678901');
+    expect(result.statement_reference).toBe('STMT2026101601');
+    expect(result.lines).toEqual([
+      {
+        line_number: 5,
+        value_date: '2026-10-16',
+        direction: 'credit',
+        amount: 250000,
+        utr_number: 'SBIN126289012345',
+        reference: 'SBIN126289012345',
+        narration: 'NEFT CR SHREE GANESH IND1001'
+      },
+      {
+        line_number: 7,
+        value_date: '2026-10-17',
+        direction: 'debit',
+        amount: 118,
+        utr_number: null,
+        reference: null,
+        narration: 'SMS CHARGES'
+      }
+    ]);
+    expect(result.errors).toEqual([{ line: 9, error: 'Unrecognised :61: entry: BROKEN' }]);
+  });
+});
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt>
+  <Id>CAMT-2026-10-16</Id>
+  <Acct><Id><Othr><Id>12345678901</Id></Othr></Id></Acct>
+  <Ntry>
+    <Amt Ccy="INR">250000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+    <BookgDt><Dt>2026-10-15</Dt></BookgDt><ValDt><Dt>2026-10-16</Dt></ValDt>
+    <NtryDtls><TxDtls>
+      <Refs><EndToEndId>NOTPROVIDED</EndToEndId><TxId>SBIN126289012345</TxId></Refs>
+      <RmtInf><Ustrd>IND1001 EMD &amp; GST</Ustrd></RmtInf>
+    </TxDtls></NtryDtls>
+  </Ntry>
+  <Ntry>
+    <Amt Ccy="INR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><RvslInd>true</RvslInd>
+    <BookgDt><Dt>2026-10-17</Dt></BookgDt>
+  </Ntry>
+  <Ntry><Amt Ccy="INR">10.00</Amt></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+
+describe('parseStatementCAMT053', () => {
+  it('reads one line per Ntry, preferring the value date', () => {
+    const result = parseStatementCAMT053(CAMT053);
+
+    expect(result.account_number).toBe('12345678901');
+    expect(result.statement_reference).toBe('CAMT-2026-10-16');
+    expect(result.lines).toEqual([
+      {
+        line_number: 1,
+        value_date: '2026-10-16',
+        direction: 'credit',
+        amount: 250000,
+        utr_number: 'SBIN126289012345',
+        reference: 'SBIN126289012345',
+        narration: 'IND1001 EMD & GST'
+      },
+      {
+        // A reversed credit takes the money back out
+        line_number: 2,
+        value_date: '2026-10-17',
+        direction: 'debit',
+        amount: 500,
+        utr_number: null,
+        reference: null,
+        narration: null
+      }
+    ]);
+    expect(result.errors).toEqual([{ line: 3, error: 'Entry is missing Amt, CdtDbtInd or a booking/value date' }]);
+  });
+});
+
+describe('parseBankStatement', () => {
+  it('detects the format from the file name or content', () => {
+    expect(parseBankStatement('statement.xml', CAMT053).format).toBe('camt053');
+    expect(parseBankStatement('statement.txt', MT940).format).toBe('mt940');
+    expect(parseBankStatement('statement.csv', 'Date,Amount\n16/10/2026,100').format).toBe('csv');
+  });
+});
+
+describe('matchStatementLines', () => {
+  const payment = (id, amount, indentNumber) => ({
+    id,
+    amount,
+    outstanding_amount: amount,
+    created_at: '2026-10-10T05:00:00Z',
+    due_date: '2026-10-15',
+    utr_due_date: '2026-10-20',
+    procurement_dump: { indent_number: indentNumber }
+  });
+  const payments = [payment('p1', 250000, 'IND1001'), payment('p2', 100000, 'IND1002'), payment('p3', 100000, 'IND1003')];
+  const utrEntries = [{ id: 'e1', payment_id: 'p9', utr_number: 'SBIN126289099999', amount: 5000 }];
+  const line = (fields) => ({ value_date: '2026-10-16', utr_number: null, reference: null, narration: null, ...fields });
+  const outcome = ({ match_status, match_reason, matched_payment_id, candidate_payment_ids }) =>
+    [match_status, match_reason, matched_payment_id, candidate_payment_ids];
+
+  it('matches by UTR, amount and date, indent and part-payment', () => {
+    const matched = matchStatementLines([
+      line({ utr_number: 'SBIN126289099999', amount: 5000.5 }),
+      line({ utr_number: 'SBIN126289099999', amount: 5002 }),
+      line({ amount: 250000.75 }),
+      line({ amount: 100000, narration: 'NEFT IND1003' }),
+      line({ amount: 100000 }),
+      line({ amount: 40000, narration: 'part payment ind1002' }),
+      line({ amount: 250000, value_date: '2026-12-31' })
+    ], payments, utrEntries);
+
+    expect(matched.map(outcome)).toEqual([
+      ['matched', 'utr', 'p9', ['p9']],
+      ['ambiguous', 'utr_amount_mismatch', null, ['p9']],
+      ['matched', 'amount_and_date', 'p1', ['p1']],
+      ['matched', 'amount_date_and_indent', 'p3', ['p2', 'p3']],
+      ['ambiguous', 'several_payments_match_amount', null, ['p2', 'p3']],
+      ['matched', 'indent_part_payment', 'p2', ['p2']],
+      ['unmatched', null, null, []]
+    ]);
+  });
+
+  it('widens the payment window by the date tolerance', () => {
+    const lines = [line({ amount: 250000, value_date: '2026-10-23' }), line({ amount: 250000, value_date: '2026-10-24' })];
+    expect(matchStatementLines(lines, [payments[0]], []).map(result => result.match_status)).toEqual(['matched', 'unmatched']);
+    expect(matchStatementLines(lines.slice(1), [payments[0]], [], { days: 4 })[0].match_status).toBe('matched');
+  });
+
+  it('does not let two lines both claim the full balance of one payment', () => {
+    const matched = matchStatementLines([line({ amount: 250000 }), line({ amount: 250000 })], payments, []);
+    expect(matched.map(outcome)).toEqual([
+      ['ambiguous', 'several_lines_match_payment', null, ['p1']],
+      ['ambiguous', 'several_lines_match_payment', null, ['p1']]
+    ]);
+  });
+});
+
+describe('hashStatementLines', () => {
+  const credit = { value_date: '2026-10-16', direction: 'credit', amount: 5000, utr_number: null, reference: null, narration: 'CASH DEPOSIT' };
+
+  it('keeps two identical lines in one statement apart', () => {
+    const [first, second] = hashStatementLines('12345678901', [credit, { ...credit }]);
+    expect(first).not.toBe(second);
+  });
+
+  it('gives a re-imported line the hash it had before', () => {
+    const [single] = hashStatementLines('12345678901', [credit]);
+    const [first] = hashStatementLines('12345678901', [credit, { ...credit }]);
+    expect(first).toBe(single);
+    expect(hashStatementLines('12345678901', [credit, credit])).toEqual(hashStatementLines('12345678901', [credit, credit]));
+  });
+
+  it('depends on the account', () => {
+    expect(hashStatementLines('1', [credit])).not.toEqual(hashStatementLines('2', [credit]));
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Golden values for the amount in words printed on the CDU payment advice
+ * Every expectation is spelled out by hand in the Indian numbering system
+ */
+
+jest.mock('../config/supabase', () => ({ supabase: {} }));
+
+const { numberToIndianWords, amountInWords } = require('../utils/cduPdfHelpers');
+
+describe('numberToIndianWords', () => {
+  it('spells zero and numbers below a hundred', () => {
+    expect(numberToIndianWords(0)).toBe('Zero');
+    expect(numberToIndianWords(7)).toBe('Seven');
+    expect(numberToIndianWords(19)).toBe('Nineteen');
+    expect(numberToIndianWords(20)).toBe('Twenty');
+    expect(numberToIndianWords(45)).toBe('Forty Five');
+  });
+
+  it('spells hundreds and thousands', () => {
+    expect(numberToIndianWords(100)).toBe('One Hundred');
+    expect(numberToIndianWords(101)).toBe('One Hundred One');
+    expect(numberToIndianWords(999)).toBe('Nine Hundred Ninety Nine');
+    expect(numberToIndianWords(1000)).toBe('One Thousand');
+    expect(numberToIndianWords(99999)).toBe('Ninety Nine Thousand Nine Hundred Ninety Nine');
+  });
+
+  it('groups by lakh rather than by million', () => {
+    expect(numberToIndianWords(100000)).toBe('One Lakh');
+    expect(numberToIndianWords(150000)).toBe('One Lakh Fifty Thousand');
+    expect(numberToIndianWords(1234567)).toBe('Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven');
+    expect(numberToIndianWords(5827500)).toBe('Fifty Eight Lakh Twenty Seven Thousand Five Hundred');
+  });
+
+  it('spells crores, including more than ninety-nine of them', () => {
+    expect(numberToIndianWords(10000000)).toBe('One Crore');
+    expect(numberToIndianWords(10000001)).toBe('One Crore One');
+    expect(numberToIndianWords(1500000000)).toBe('One Hundred Fifty Crore');
+    expect(numberToIndianWords(1234567890))
+      .toBe('One Hundred Twenty Three Crore Forty Five Lakh Sixty Seven Thousand Eight Hundred Ninety');
+  });
+});
+
+describe('amountInWords', () => {
+  it('spells whole rupee amounts', () => {
+    expect(amountInWords(0)).toBe('Rupees Zero Only');
+    expect(amountInWords('5827500.00')).toBe('Rupees Fifty Eight Lakh Twenty Seven Thousand Five Hundred Only');
+    expect(amountInWords(25000000)).toBe('Rupees Two Crore Fifty Lakh Only');
+  });
+
+  it('spells paise after the rupees', () => {
+    expect(amountInWords(0.5)).toBe('Rupees Zero and Fifty Paise Only');
+    expect(amountInWords(120000.5)).toBe('Rupees One Lakh Twenty Thousand and Fifty Paise Only');
+    expect(amountInWords(249999.99))
+      .toBe('Rupees Two Lakh Forty Nine Thousand Nine Hundred Ninety Nine and Ninety Nine Paise Only');
+  });
+
+  it('rounds to the paisa before spelling', () => {
+    // 0.1 + 0.2 is 0.30000000000000004 in binary; 1.005 is stored just below the half
+    expect(amountInWords(0.1 + 0.2)).toBe('Rupees Zero and Thirty Paise Only');
+    expect(amountInWords(1.005)).toBe('Rupees One and One Paise Only');
+  });
+});
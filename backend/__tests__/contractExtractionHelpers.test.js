@@ -0,0 +1,83 @@
+/**
+ * Contract term parsing and the procurement comparison
+ */
+
+const {
+  parseContractFields,
+  compareContractWithProcurement
+} = require('../utils/contractExtractionHelpers');
+
+const procurement = {
+  indent_number: 'IND-1001',
+  firm_name: 'Shree Ganesh Cotton Industries',
+  bale_quantity: 100,
+  candy_rate: 55500,
+  total_amount: 5827500
+};
+
+const statusOf = (result, field) => result.checks.find(check => check.field === field).status;
+
+describe('parseContractFields', () => {
+  it('reads the candy rate only from a line that names the candy', () => {
+    expect(parseContractFields('GST Rate: 5%\nInterest rate: 12%\nCandy Rate: 55,500').candy_rate).toBe(55500);
+    expect(parseContractFields('Rate per candy: Rs. 55500.50').candy_rate).toBe(55500.5);
+    expect(parseContractFields('GST Rate: 5%').candy_rate).toBeNull();
+  });
+
+  it('reads the bales only from a line that names them', () => {
+    expect(parseContractFields('Quantity (Kg): 17,000\nQuantity (Bales): 100').bale_quantity).toBe(100);
+    expect(parseContractFields('Qty in bales - 1,200').bale_quantity).toBe(1200);
+    expect(parseContractFields('Bale Qty: 85').bale_quantity).toBe(85);
+    expect(parseContractFields('Quantity (Kg): 17,000\nQuantity: 170 quintals').bale_quantity).toBeNull();
+  });
+
+  it('reads the other terms', () => {
+    expect(parseContractFields([
+      'Indent No: IND-1001',
+      'Seller Name: M/s Shree Ganesh Cotton Industries',
+      'No. of Bales: 100',
+      'Total Amount: ₹58,27,500'
+    ].join('\n'))).toEqual({
+      indent_number: 'IND-1001',
+      firm_name: 'M/s Shree Ganesh Cotton Industries',
+      bale_quantity: 100,
+      candy_rate: null,
+      total_amount: 5827500
+    });
+  });
+});
+
+describe('compareContractWithProcurement', () => {
+  it('matches a firm name with a suffix after the registered name', () => {
+    const result = compareContractWithProcurement(
+      { firm_name: 'M/s Shree Ganesh Cotton Industries Pvt. Ltd., Rajkot' },
+      procurement
+    );
+    expect(statusOf(result, 'firm_name')).toBe('match');
+  });
+
+  it('flags a firm name that is only part of the registered name', () => {
+    const result = compareContractWithProcurement({ firm_name: 'Ganesh' }, procurement);
+    expect(statusOf(result, 'firm_name')).toBe('mismatch');
+  });
+
+  it('treats a firm name with nothing but titles as missing', () => {
+    const result = compareContractWithProcurement({ firm_name: 'M/s Pvt Ltd' }, procurement);
+    expect(statusOf(result, 'firm_name')).toBe('missing');
+  });
+
+  it('allows a rupee on the total and nothing on the bales', () => {
+    const result = compareContractWithProcurement(
+      { indent_number: 'ind-1001', bale_quantity: 101, candy_rate: 55500.004, total_amount: 5827501 },
+      procurement
+    );
+    expect(result.checks.map(check => [check.field, check.status])).toEqual([
+      ['indent_number', 'match'],
+      ['firm_name', 'missing'],
+      ['bale_quantity', 'mismatch'],
+      ['candy_rate', 'match'],
+      ['total_amount', 'match']
+    ]);
+    expect(result.mismatch_count).toBe(1);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Contract review: approval and rejection only apply to a pending, active version
+ * The overdue report only reads procurements that can still be overdue
+ */
+
+jest.mock('../config/supabase', () => {
+  // Each query resolves to the next result queued by the test
+  const results = [];
+  const query = {
+    select: () => query,
+    update: () => query,
+    insert: () => query,
+    eq: jest.fn(() => query),
+    lt: jest.fn(() => query),
+    gte: () => query,
+    lte: () => query,
+    order: () => query,
+    single: () => query,
+    maybeSingle: () => query,
+    then: (resolve) => resolve(results.shift() || { data: null, error: null })
+  };
+  return { supabase: { from: jest.fn(() => query) }, results, query };
+});
+
+jest.mock('../utils/storageAdapters', () => {
+  const adapter = { remove: jest.fn(() => Promise.resolve()) };
+  return { getStorageAdapter: () => adapter, adapter };
+});
+
+jest.mock('../utils/contractStampHelpers', () => ({ stampApprovedContract: jest.fn() }));
+jest.mock('../utils/domainEventBus', () => ({ DOMAIN_EVENTS: {}, publishDomainEvent: jest.fn() }));
+jest.mock('../utils/tradingConfigHelpers', () => ({
+  getMinimumContractDueDays: jest.fn(async () => 7),
+  createConfigResolver: jest.fn(async () => () => ({ contractDueDays: 7 }))
+}));
+
+const { supabase, results, query } = require('../config/supabase');
+const { adapter } = require('../utils/storageAdapters');
+const { stampApprovedContract } = require('../utils/contractStampHelpers');
+const { approveContract, rejectContract, getOverdueContractsReport } = require('../utils/contractHelpers');
+
+const contract = {
+  id: 'contract-1',
+  indent_number: 'IND1',
+  status: 'pending',
+  version_state: 'active',
+  version_number: 2,
+  storage_driver: 'local',
+  storage_key: 'contracts/IND1/contract-1.pdf'
+};
+
+beforeEach(() => {
+  results.length = 0;
+  query.eq.mockClear();
+  query.lt.mockClear();
+  supabase.from.mockClear();
+  adapter.remove.mockClear();
+  stampApprovedContract.mockReset();
+});
+
+describe('approveContract', () => {
+  it('removes its stamped copy when the version was superseded while stamping', async () => {
+    stampApprovedContract.mockResolvedValue({
+      success: true,
+      data: { stamped_storage_key: 'contracts/IND1/contract-1-approved-ab12cd34.pdf', stamped_sha256: 'hash' }
+    });
+    // The detail read still sees a pending, active version; the guarded update matches nothing
+    results.push({ data: contract, error: null }, { data: null, error: null });
+
+    const result = await approveContract('contract-1', 'user-1', '');
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Contract was already reviewed or superseded by a newer version'
+    });
+    expect(query.eq).toHaveBeenCalledWith('status', 'pending');
+    expect(query.eq).toHaveBeenCalledWith('version_state', 'active');
+    expect(adapter.remove).toHaveBeenCalledWith('contracts/IND1/contract-1-approved-ab12cd34.pdf');
+  });
+});
+
+describe('rejectContract', () => {
+  it('refuses a version another reviewer already handled', async () => {
+    results.push({ data: contract, error: null }, { data: null, error: null });
+
+    const result = await rejectContract('contract-1', 'user-1', 'Wrong firm name');
+
+    expect(result.error).toBe('Contract was already reviewed or superseded by a newer version');
+    expect(adapter.remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('getOverdueContractsReport', () => {
+  const branch = { branch_id: 'branch-1', branch_information: { branch_name: 'Adilabad', branch_code: 'ADB', state: 'Telangana' } };
+  const procurement = (indentNumber, createdAt, contract = {}) => ({
+    indent_number: indentNumber,
+    firm_name: 'Shree Ganesh',
+    bale_quantity: 100,
+    total_amount: 250000,
+    created_at: createdAt,
+    allocation: branch,
+    contract_id: null,
+    contract_status: null,
+    contract_uploaded_at: null,
+    contract_file_name: null,
+    contract_version: null,
+    contract_version_count: 0,
+    ...contract
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-10-19T06:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('reads only procurements awaiting a contract and older than the shortest SLA', async () => {
+    results.push(
+      {
+        data: [
+          procurement('IND3', '2026-10-11T05:00:00Z'),
+          procurement('IND2', '2026-09-02T05:00:00Z', {
+            contract_id: 'contract-2',
+            contract_status: 'rejected',
+            contract_uploaded_at: '2026-09-05T05:00:00Z',
+            contract_file_name: 'IND2.pdf',
+            contract_version: 1,
+            contract_version_count: 1
+          }),
+          procurement('IND1', '2026-09-01T05:00:00Z')
+        ],
+        error: null
+      },
+      // Holidays
+      { data: [], error: null }
+    );
+
+    const result = await getOverdueContractsReport();
+
+    expect(supabase.from).toHaveBeenCalledWith('procurements_awaiting_contract');
+    expect(query.lt).toHaveBeenCalledWith('created_at', '2026-10-12');
+    expect(result.success).toBe(true);
+    expect(result.data.as_of).toBe('2026-10-19');
+    expect(result.data.total_overdue).toBe(2);
+    expect(result.data.total_amount).toBe(500000);
+
+    const [adilabad] = result.data.branches;
+    expect(adilabad.indents.map(indent => [indent.indent_number, indent.contract_status, indent.contract_version, indent.sla_status]))
+      .toEqual([
+        ['IND1', 'pending', null, 'overdue'],
+        ['IND2', 'rejected', 1, 'overdue']
+      ]);
+  });
+
+  it('reports a failed read', async () => {
+    results.push({ data: null, error: { message: 'relation does not exist' } });
+
+    const result = await getOverdueContractsReport();
+
+    expect(result).toEqual({ success: false, error: 'Failed to fetch procurement data: relation does not exist' });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Golden values for the DO specification calculators: weight difference, interest
+ * and late lifting charges
+ */
+
+jest.mock('../config/supabase', () => ({ supabase: {} }));
+
+const {
+  calculateWeightDifference,
+  calculateInterest,
+  calculateLateLiftingCharges,
+  calculateResults
+} = require('../utils/doSpecificationsHelpers');
+
+describe('calculateWeightDifference', () => {
+  it('charges the customer for extra weight', () => {
+    // 2.5 kg × 55000 × 0.2812
+    expect(calculateWeightDifference(172.5, 170, 55000)).toMatchObject({
+      weightDifference: 38665,
+      weightCase: 'customer_pays_us'
+    });
+  });
+
+  it('refunds the customer for reduced weight, rounded to the paisa', () => {
+    // -0.01 kg × 55000 × 0.2812 = -154.66
+    expect(calculateWeightDifference(169.99, 170, 55000)).toMatchObject({
+      weightDifference: -154.66,
+      weightCase: 'we_pay_customer'
+    });
+  });
+
+  it('reports no difference at the assumed weight', () => {
+    expect(calculateWeightDifference(170, 170, 55000)).toMatchObject({
+      weightDifference: 0,
+      weightCase: 'no_difference'
+    });
+  });
+});
+
+describe('calculateInterest', () => {
+  it('charges 5% a year per DO slot, rounding each slot', () => {
+    const interest = calculateInterest([
+      // 89 days × 5% × 100000 / 365 = 1219.178...
+      { date: '2026-03-31', amount: 100000 },
+      // 31 days × 5% × 33333.33 / 365 = 141.5525...
+      { date: '2026-02-01', amount: 33333.33 }
+    ], '2026-01-01');
+
+    expect(interest).toBe(1360.73);
+  });
+
+  it('charges nothing for a slot paid before the EMD', () => {
+    expect(calculateInterest([{ date: '2025-12-01', amount: 100000 }], '2026-01-01')).toBe(0);
+  });
+
+  it('charges nothing without DO slots', () => {
+    expect(calculateInterest(undefined, '2026-01-01')).toBe(0);
+  });
+});
+
+describe('calculateLateLiftingCharges', () => {
+  const cottonValue = 123456.789;
+  const gstRate = 0.18;
+  const doPayments = [{ date: '2026-01-01' }];
+
+  it('applies the rate band for each delivery with GST rounded per line', () => {
+    const result = calculateLateLiftingCharges([
+      { date: '2026-01-11', lots: 1 },
+      { date: '2026-01-31', lots: 1 },
+      { date: '2026-02-20', lots: 2 },
+      { date: '2026-03-31', lots: 1, additional_carrying_days: 10 }
+    ], doPayments, cottonValue, gstRate);
+
+    expect(result.lateLiftingBreakdown.map(({ additional_carrying_days, rate, base_charge, gst, total_charge }) => ({
+      additional_carrying_days, rate, base_charge, gst, total_charge
+    }))).toEqual([
+      // Within the 15-day window
+      { additional_carrying_days: 10, rate: 0, base_charge: 0, gst: 0, total_charge: 0 },
+      // 617.283945 -> 617.28; GST 111.1104 -> 111.11
+      { additional_carrying_days: 30, rate: 0.005, base_charge: 617.28, gst: 111.11, total_charge: 728.39 },
+      // 1851.851835 -> 1851.85; GST 333.333 -> 333.33
+      { additional_carrying_days: 50, rate: 0.0075, base_charge: 1851.85, gst: 333.33, total_charge: 2185.18 },
+      // 89 days plus 10 additional; 1234.56789 -> 1234.57; GST 222.2226 -> 222.22
+      { additional_carrying_days: 99, rate: 0.01, base_charge: 1234.57, gst: 222.22, total_charge: 1456.79 }
+    ]);
+    expect(result.lateLiftingCharges).toBe(4370.36);
+  });
+
+  it('uses the band edges inclusively', () => {
+    const result = calculateLateLiftingCharges([
+      { date: '2026-01-16', lots: 1 },
+      { date: '2026-02-15', lots: 1 },
+      { date: '2026-03-17', lots: 1 }
+    ], doPayments, 100000, gstRate);
+
+    expect(result.lateLiftingBreakdown.map(line => [line.additional_carrying_days, line.rate])).toEqual([
+      [15, 0],
+      [45, 0.005],
+      [75, 0.0075]
+    ]);
+    expect(result.lateLiftingCharges).toBe(1475);
+  });
+});
+
+describe('calculateResults', () => {
+  it('totals each calculator across lots from the rounded lot values', () => {
+    const lot = {
+      actual_weight: '169.99',
+      emd_paid_date: '2026-01-01',
+      do_payment_dates: [{ date: '2026-02-01', amount: 33333.33 }],
+      delivery_dates: [{ date: '2026-03-03', lots: 1 }]
+    };
+
+    const result = calculateResults({
+      lots: [lot, lot],
+      bid_price: 55000,
+      emd_amount: 0,
+      cotton_value: 123456.789,
+      gst_rate: 0.18,
+      assumed_weight: 170
+    });
+
+    // Per lot: interest 141.55; late lifting 30 days = 617.28 + 111.11
+    expect(result.summary).toEqual({
+      total_weight_difference: -309.32,
+      total_interest: 283.1,
+      total_late_lifting_charges: 1456.78,
+      assumed_weight: 170
+    });
+  });
+});
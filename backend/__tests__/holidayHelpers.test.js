@@ -0,0 +1,65 @@
+/**
+ * Holiday import from iCalendar files
+ */
+
+jest.mock('../config/supabase', () => ({ supabase: {} }));
+
+const { parseHolidayICS } = require('../utils/holidayHelpers');
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('parseHolidayICS', () => {
+  it('expands all-day events up to their exclusive DTEND', () => {
+    const { holidays, errors } = parseHolidayICS(calendar(
+      ['DTSTART;VALUE=DATE:20261020', 'DTEND;VALUE=DATE:20261021', 'SUMMARY:Dussehra'],
+      ['DTSTART;VALUE=DATE:20261108', 'DTEND;VALUE=DATE:20261110', 'SUMMARY:Diwali', 'DESCRIPTION:Lakshmi Puja\\, Govardhan Puja'],
+      ['DTSTART;VALUE=DATE:20261225', 'SUMMARY:Christmas']
+    ), 'Telangana');
+
+    expect(errors).toEqual([]);
+    expect(holidays).toEqual([
+      { holiday_date: '2026-10-20', name: 'Dussehra', state: 'Telangana', description: null },
+      { holiday_date: '2026-11-08', name: 'Diwali', state: 'Telangana', description: 'Lakshmi Puja, Govardhan Puja' },
+      { holiday_date: '2026-11-09', name: 'Diwali', state: 'Telangana', description: 'Lakshmi Puja, Govardhan Puja' },
+      { holiday_date: '2026-12-25', name: 'Christmas', state: 'Telangana', description: null }
+    ]);
+  });
+
+  it('keeps a timed event on the day it starts', () => {
+    const { holidays, errors } = parseHolidayICS(calendar(
+      ['DTSTART;TZID=Asia/Kolkata:20261102T090000', 'DTEND;TZID=Asia/Kolkata:20261102T180000', 'SUMMARY:Bank closing'],
+      ['DTSTART:20261115T100000', 'SUMMARY:Guru Nanak Jayanti'],
+      ['DTSTART:20261201T000000', 'DTEND:20261202T000000', 'SUMMARY:Local holiday']
+    ));
+
+    expect(errors).toEqual([]);
+    expect(holidays.map(holiday => [holiday.holiday_date, holiday.name])).toEqual([
+      ['2026-11-02', 'Bank closing'],
+      ['2026-11-15', 'Guru Nanak Jayanti'],
+      ['2026-12-01', 'Local holiday']
+    ]);
+  });
+
+  it('covers every day a timed event runs into', () => {
+    const { holidays } = parseHolidayICS(calendar(
+      ['DTSTART:20261230T090000', 'DTEND:20261231T120000', 'SUMMARY:Year-end closing']
+    ));
+
+    expect(holidays.map(holiday => holiday.holiday_date)).toEqual(['2026-12-30', '2026-12-31']);
+  });
+
+  it('reports events without a date or name', () => {
+    const { holidays, errors } = parseHolidayICS(calendar(['SUMMARY:No date'], ['DTSTART;VALUE=DATE:20261020']));
+
+    expect(holidays).toEqual([]);
+    expect(errors).toEqual([
+      { line: 1, error: 'Event is missing DTSTART or SUMMARY' },
+      { line: 2, error: 'Event is missing DTSTART or SUMMARY' }
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Background job leases: whichever process holds the lease runs the job
+ */
+
+jest.mock('../config/supabase', () => {
+  // Each query resolves to the next result queued by the test; updates are recorded
+  const results = [];
+  const updates = [];
+  const query = {
+    select: () => query,
+    update: (values) => {
+      updates.push(values);
+      return query;
+    },
+    insert: () => query,
+    eq: () => query,
+    in: () => query,
+    or: () => query,
+    order: () => query,
+    limit: () => query,
+    single: () => query,
+    then: (resolve) => resolve(results.shift() || { data: null, error: null })
+  };
+  return { supabase: { from: () => query }, results, updates };
+});
+
+jest.mock('../utils/procurementHelpers', () => ({ bulkProcurementJob: {} }));
+
+const { results, updates } = require('../config/supabase');
+const { createJob, getJob, resumeJob } = require('../utils/jobHelpers');
+
+const inFiveMinutes = () => new Date(Date.now() + 5 * 60 * 1000).toISOString();
+const fiveMinutesAgo = () => new Date(Date.now() - 5 * 60 * 1000).toISOString();
+
+beforeEach(() => {
+  results.length = 0;
+  updates.length = 0;
+});
+
+describe('getJob', () => {
+  it('reports a job as running while its lease is unexpired', async () => {
+    results.push({ data: { id: 'job-1', total_items: 4, processed_items: 1, locked_until: inFiveMinutes() }, error: null });
+    expect((await getJob('job-1')).data.job).toMatchObject({ progress: 25, is_running: true });
+  });
+
+  it('reports a job whose lease lapsed as not running', async () => {
+    results.push({ data: { id: 'job-1', total_items: 4, processed_items: 1, locked_until: fiveMinutesAgo() }, error: null });
+    expect((await getJob('job-1')).data.job.is_running).toBe(false);
+  });
+});
+
+describe('resumeJob', () => {
+  it('refuses to resume a job another process holds the lease for', async () => {
+    results.push({ data: { id: 'job-1', status: 'running', locked_until: inFiveMinutes() }, error: null });
+    expect(await resumeJob('job-1', 'user-1')).toEqual({ success: false, error: 'Job is already running' });
+    expect(updates).toEqual([]);
+  });
+});
+
+describe('createJob', () => {
+  it('returns the active job without starting it again while it is leased', async () => {
+    const active = { id: 'job-1', status: 'running', locked_until: inFiveMinutes() };
+    results.push({ data: [active], error: null });
+
+    const result = await createJob('procurement_bulk', {}, 'user-1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(result.data).toEqual({ job: active, existing: true });
+    expect(updates).toEqual([]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Golden values for the money helpers
+ * Every expectation is paise-exact; amounts are worked out by hand, not copied from output
+ */
+
+const {
+  ROUNDING,
+  toDecimal,
+  add,
+  subtract,
+  multiply,
+  divide,
+  percentOf,
+  toPaise,
+  fromPaise,
+  roundMoney,
+  sumMoney,
+  moneyDiffers
+} = require('../utils/moneyHelpers');
+
+describe('toDecimal', () => {
+  it('parses the decimal string form exactly', () => {
+    expect(toDecimal(0.1)).toEqual({ units: 1n, scale: 1 });
+    expect(toDecimal('1234.50')).toEqual({ units: 123450n, scale: 2 });
+    expect(toDecimal(-2.5)).toEqual({ units: -25n, scale: 1 });
+    expect(toDecimal(1e-7)).toEqual({ units: 10000000000000n, scale: 20 });
+  });
+
+  it('treats empty values as zero', () => {
+    expect(toDecimal(null)).toEqual({ units: 0n, scale: 0 });
+    expect(toDecimal('')).toEqual({ units: 0n, scale: 0 });
+  });
+
+  it('rejects values that are not amounts', () => {
+    expect(() => toDecimal('12abc')).toThrow('Invalid amount');
+    expect(() => toDecimal(Infinity)).toThrow('Invalid amount');
+  });
+});
+
+describe('roundMoney', () => {
+  it('rounds half away from zero at the paisa', () => {
+    expect(roundMoney(0.005)).toBe(0.01);
+    expect(roundMoney(-0.005)).toBe(-0.01);
+    expect(roundMoney(0.0049)).toBe(0);
+  });
+
+  it('rounds values binary floating point gets wrong', () => {
+    // 1.005 and 2.675 are stored just below the half in binary
+    expect(roundMoney(1.005)).toBe(1.01);
+    expect(roundMoney(2.675)).toBe(2.68);
+    expect(toPaise(1234.565)).toBe(123457);
+  });
+
+  it('converts paise back to rupees', () => {
+    expect(fromPaise(123457)).toBe(1234.57);
+    expect(fromPaise(-1)).toBe(-0.01);
+  });
+});
+
+describe('exact arithmetic', () => {
+  it('adds and subtracts without float error', () => {
+    expect(roundMoney(add(0.1, 0.2))).toBe(0.3);
+    expect(toPaise(add('0.1', '0.2', '0.3'))).toBe(60);
+    expect(roundMoney(subtract(0.3, 0.1))).toBe(0.2);
+  });
+
+  it('multiplies at the combined scale', () => {
+    expect(multiply('0.1', '0.2')).toEqual({ units: 2n, scale: 2 });
+    expect(roundMoney(multiply(19.99, 3))).toBe(59.97);
+  });
+
+  it('applies percentages unrounded', () => {
+    expect(roundMoney(percentOf(1000, 2.5))).toBe(25);
+    // 333.33 × 2.5% = 8.33325
+    expect(roundMoney(percentOf('333.33', 2.5))).toBe(8.33);
+  });
+});
+
+describe('divide', () => {
+  it('is exact when the quotient terminates', () => {
+    expect(roundMoney(divide(10, 4))).toBe(2.5);
+    expect(roundMoney(divide('0.3', '0.1'))).toBe(3);
+  });
+
+  it('rounds non-terminating quotients to the paisa', () => {
+    expect(roundMoney(divide(1, 3))).toBe(0.33);
+    expect(roundMoney(divide(2, 3))).toBe(0.67);
+    expect(roundMoney(divide(-2, 3))).toBe(-0.67);
+    // 100000 / 7 = 14285.714285...
+    expect(toPaise(divide(100000, 7))).toBe(1428571);
+  });
+
+  it('refuses to divide by zero', () => {
+    expect(() => divide(1, 0)).toThrow('Division by zero');
+  });
+});
+
+describe('sumMoney', () => {
+  it('rounds each line before summing under PER_LINE (the default)', () => {
+    expect(sumMoney([0.005, 0.005, 0.005])).toBe(0.03);
+    expect(sumMoney([0.005, 0.005, 0.005], ROUNDING.PER_LINE)).toBe(0.03);
+  });
+
+  it('rounds only the total under PER_TOTAL', () => {
+    expect(sumMoney([0.005, 0.005, 0.005], ROUNDING.PER_TOTAL)).toBe(0.02);
+  });
+
+  it('keeps split tax lines equal to their total under PER_LINE', () => {
+    // CGST and SGST at 2.5% each of 19777775.80 are 494444.395 before rounding
+    const half = percentOf('19777775.80', 2.5);
+    expect(sumMoney([half, half])).toBe(988888.8);
+    expect(sumMoney([half, half], ROUNDING.PER_TOTAL)).toBe(988888.79);
+  });
+
+  it('skips empty lines', () => {
+    expect(sumMoney([10.1, null, undefined, '', '0.2'])).toBe(10.3);
+    expect(sumMoney([])).toBe(0);
+    expect(sumMoney(null)).toBe(0);
+  });
+});
+
+describe('moneyDiffers', () => {
+  it('compares amounts at the paisa', () => {
+    expect(moneyDiffers(1.001, 1.004)).toBe(false);
+    expect(moneyDiffers(1.004, 1.006)).toBe(true);
+    expect(moneyDiffers('100.00', 100)).toBe(false);
+  });
+});
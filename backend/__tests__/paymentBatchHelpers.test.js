@@ -0,0 +1,104 @@
+/**
+ * Bank response file parsing for payment batches
+ */
+
+jest.mock('../config/supabase', () => {
+  // Every query resolves to the next row queued by the test, or nothing
+  const results = [];
+  const query = {
+    select: () => query,
+    update: () => query,
+    eq: () => query,
+    single: () => query,
+    then: (resolve) => resolve(results.shift() || { data: null, error: null })
+  };
+  return { supabase: { from: () => query }, results };
+});
+
+jest.mock('../utils/paymentHelpers', () => ({
+  AWAITING_UTR_STATUSES: [],
+  submitUTR: jest.fn(),
+  logPaymentAction: jest.fn()
+}));
+
+const { results } = require('../config/supabase');
+const { submitUTR } = require('../utils/paymentHelpers');
+const { parseBatchResponse, importBatchResponse } = require('../utils/paymentBatchHelpers');
+
+const outcomesFor = (statuses) => {
+  const content = [
+    'Customer Reference No,UTR,Status',
+    ...statuses.map((status, index) => `REF${index},UTR${index},${status}`)
+  ].join('\n');
+  return parseBatchResponse(content).rows.map(row => row.outcome);
+};
+
+describe('parseBatchResponse', () => {
+  it('reads success statuses as paid', () => {
+    expect(outcomesFor(['Success', 'Successful', 'Paid', 'Processed', 'Executed', 'Settled', 'Completed']))
+      .toEqual(Array(7).fill('paid'));
+  });
+
+  it('reads negated success statuses as failed', () => {
+    expect(outcomesFor(['Unsuccessful', 'Unpaid', 'Not Processed', 'Incomplete', 'Not Completed']))
+      .toEqual(Array(5).fill('failed'));
+  });
+
+  it('reads failure statuses as failed', () => {
+    expect(outcomesFor(['Failed', 'Rejected', 'Returned', 'Cancelled', 'Failure']))
+      .toEqual(Array(5).fill('failed'));
+  });
+
+  it('leaves other statuses pending even with a bank reference', () => {
+    expect(outcomesFor(['Pending', 'In Progress', 'Reprocessing'])).toEqual(Array(3).fill('pending'));
+  });
+
+  it('treats a UTR without a status as paid', () => {
+    const { rows } = parseBatchResponse('Customer Reference No,UTR\nREF1,SBIN123');
+    expect(rows[0]).toMatchObject({ reference: 'REF1', utr_number: 'SBIN123', outcome: 'paid' });
+  });
+});
+
+describe('importBatchResponse', () => {
+  const batch = {
+    id: 'batch-1',
+    status: 'exported',
+    value_date: '2026-10-16',
+    items: [{ id: 'item-1', payment_id: 'payment-1', customer_reference: 'PB0001001', amount: 250000, status: 'exported' }]
+  };
+  const file = (amount) => ({
+    originalname: 'response.csv',
+    buffer: Buffer.from(`Customer Reference No,UTR,Amount,Status\nPB0001001,SBIN0000000000000001,${amount},Success`)
+  });
+
+  beforeEach(() => {
+    submitUTR.mockReset();
+    results.length = 0;
+  });
+
+  it('reports a row the bank paid a different amount for instead of recording it', async () => {
+    results.push({ data: batch, error: null });
+
+    const result = await importBatchResponse('batch-1', file('"2,49,999.99"'), 'user-1');
+
+    expect(submitUTR).not.toHaveBeenCalled();
+    expect(result.data.paid).toBe(0);
+    expect(result.data.errors).toEqual([
+      { line: 2, error: 'PB0001001: bank paid 249999.99 but the batch exported 250000' }
+    ]);
+  });
+
+  it('records the tranche when the bank paid the exported amount', async () => {
+    results.push({ data: batch, error: null });
+    submitUTR.mockResolvedValue({ success: true, data: { utr_entries: [] } });
+
+    const result = await importBatchResponse('batch-1', file('250000.00'), 'user-1');
+
+    expect(submitUTR).toHaveBeenCalledWith('payment-1', {
+      utr_number: 'SBIN0000000000000001',
+      amount: 250000,
+      paid_date: '2026-10-16'
+    }, 'user-1');
+    expect(result.data.paid).toBe(1);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * UTR submission: a UTR recorded on another payment at the same moment is queued as suspicious
+ */
+
+jest.mock('../config/supabase', () => {
+  // Each query resolves to the next result queued by the test; inserts are recorded by table
+  const results = [];
+  const inserts = [];
+  const from = (table) => {
+    const query = {
+      select: () => query,
+      insert: (values) => {
+        inserts.push({ table, values });
+        return query;
+      },
+      eq: () => query,
+      neq: () => query,
+      limit: () => query,
+      single: () => query,
+      then: (resolve) => resolve(results.shift() || { data: null, error: null })
+    };
+    return query;
+  };
+  return { supabase: { from }, results, inserts };
+});
+
+const { results, inserts } = require('../config/supabase');
+const { submitUTR } = require('../utils/paymentHelpers');
+
+const payment = {
+  id: 'payment-1',
+  amount: 100000,
+  payment_mode: 'NEFT',
+  payment_status: 'pending',
+  utr_entries: []
+};
+
+beforeEach(() => {
+  results.length = 0;
+  inserts.length = 0;
+});
+
+describe('submitUTR', () => {
+  it('flags the UTR when another payment records it between the check and the insert', async () => {
+    results.push(
+      { data: payment, error: null },
+      // Reuse check: nothing yet
+      { data: [], error: null },
+      // The unique index rejects the tranche
+      { data: null, error: { code: '23505', message: 'duplicate key value' } },
+      // The tranche that won
+      { data: [{ id: 'entry-9', payment_id: 'payment-2', amount: 100000 }], error: null },
+      { data: { id: 'suspicious-1' }, error: null }
+    );
+
+    const result = await submitUTR('payment-1', { utr_number: 'SBIN260000000001', paid_date: '2026-10-16' }, 'user-1');
+
+    expect(result).toEqual({
+      success: false,
+      error: 'UTR already used on another payment; flagged for admin review',
+      details: { suspicious_utr_id: 'suspicious-1' }
+    });
+    expect(inserts.find(insert => insert.table === 'suspicious_utr_attempts').values).toEqual({
+      utr_number: 'SBIN260000000001',
+      payment_id: 'payment-1',
+      amount: 100000,
+      paid_date: '2026-10-16',
+      conflicting_payment_id: 'payment-2',
+      conflicting_entry_id: 'entry-9',
+      submitted_by: 'user-1'
+    });
+  });
+
+  it('marks a tranche recorded with admin-approved reuse so the UTR index allows it', async () => {
+    results.push({ data: payment, error: null }, { data: null, error: { code: '23505', message: 'duplicate key value' } });
+
+    const result = await submitUTR('payment-1', { utr_number: 'SBIN260000000001' }, 'admin-1', { allowReuse: true });
+
+    expect(result).toEqual({ success: false, error: 'UTR number already exists on this payment' });
+    expect(inserts[0]).toMatchObject({ table: 'payment_utr_entries', values: { reuse_approved: true, amount: 100000 } });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Golden values for the procurement calculator: cotton value, EMD, GST and total
+ */
+
+jest.mock('../config/supabase', () => {
+  // Tests set the rows each table returns; holiday lookups find none, so due dates only skip weekends
+  const tables = {};
+  const from = jest.fn((table) => {
+    const query = {
+      select: () => query,
+      gte: () => query,
+      lte: () => query,
+      is: () => query,
+      or: () => query,
+      not: () => query,
+      order: () => query,
+      range: () => query,
+      in: jest.fn(() => query),
+      eq: () => query,
+      limit: () => query,
+      single: () => query,
+      insert: () => query,
+      then: (resolve) => {
+        const next = (tables[table] || []).shift();
+        return resolve(next && next.error ? { data: null, error: next.error } : { data: next || [], error: null });
+      }
+    };
+    return query;
+  });
+  return { supabase: { from }, tables };
+});
+
+const { tables, supabase } = require('../config/supabase');
+const { calculateProcurement, planBulkProcurement, bulkProcurementJob } = require('../utils/procurementHelpers');
+const { normalizeConfig } = require('../utils/tradingConfigHelpers');
+
+// Default configuration: EMD 15% up to 3000 bales and 25% above, CGST/SGST 2.5%, IGST 5%, 5 business days
+const config = normalizeConfig({});
+
+const candyRate = (rate) => () => ({ candyRate: rate });
+
+const allocation = (overrides = {}) => ({
+  bale_quantity: 100,
+  otr_price: 55555.55,
+  branch_id: 'branch-1',
+  created_at: '2026-10-16T09:00:00Z',
+  parsed_data: { firm_state: 'Gujarat' },
+  branch_information: { zone: 'West Zone', state: 'Maharashtra' },
+  ...overrides
+});
+
+describe('calculateProcurement', () => {
+  it('charges IGST across states', async () => {
+    const result = await calculateProcurement(allocation(), config, candyRate(356));
+
+    expect(result).toMatchObject({
+      // 356 × 55555.55 × 100 / 100
+      cottonValue: 19777775.8,
+      emdPercentage: 15,
+      // 15% of 19777775.80 = 2966666.37
+      emdAmount: 2966666.37,
+      // 5% of 19777775.80 = 988888.79
+      igstAmount: 988888.79,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      gstAmount: 988888.79,
+      totalAmount: 20766664.59
+    });
+  });
+
+  it('rounds CGST and SGST per line within a state', async () => {
+    const result = await calculateProcurement(
+      allocation({ parsed_data: { firm_state: 'maharashtra' } }),
+      config,
+      candyRate(356)
+    );
+
+    // Each half is 494444.395, so the split lines total a paisa more than IGST
+    expect(result).toMatchObject({
+      igstAmount: 0,
+      cgstAmount: 494444.4,
+      sgstAmount: 494444.4,
+      gstAmount: 988888.8,
+      totalAmount: 20766664.6
+    });
+  });
+
+  it('switches to the higher EMD rate above the bale threshold', async () => {
+    const result = await calculateProcurement(
+      allocation({ bale_quantity: 3001, otr_price: 333.33 }),
+      config,
+      candyRate(1)
+    );
+
+    // 1 × 333.33 × 3001 / 100 = 10003.2333 -> 10003.23; 25% -> 2500.8075 -> 2500.81
+    expect(result).toMatchObject({
+      emdPercentage: 25,
+      cottonValue: 10003.23,
+      emdAmount: 2500.81,
+      igstAmount: 500.16,
+      totalAmount: 10503.39
+    });
+  });
+
+  it('sets the EMD due date in business days after the allocation', async () => {
+    // Friday + 5 business days
+    const result = await calculateProcurement(allocation(), config, candyRate(356));
+    expect(result.dueDate).toBe('2026-10-23');
+  });
+});
+
+describe('planBulkProcurement', () => {
+  it('looks up existing records in chunks and plans only the missing indents', async () => {
+    const allocations = Array.from({ length: 450 }, (_, i) => ({ id: `alloc-${i}`, indent_number: `IND${i}` }));
+    tables.allocation = [allocations];
+    tables.procurement_dump = [[{ indent_number: 'IND0' }], [{ indent_number: 'IND250' }], []];
+    supabase.from.mockClear();
+
+    const items = await planBulkProcurement();
+
+    const lookups = supabase.from.mock.results
+      .filter((_, i) => supabase.from.mock.calls[i][0] === 'procurement_dump')
+      .map(result => result.value.in.mock.calls[0][1].length);
+    expect(lookups).toEqual([200, 200, 50]);
+    expect(items).toHaveLength(448);
+    expect(items[0]).toEqual({ item_key: 'IND1', reference_id: 'alloc-1' });
+  });
+});
+
+describe('bulkProcurementJob.processItem', () => {
+  it('skips an indent whose record another path created between the lookup and the insert', async () => {
+    tables.procurement_dump = [[], { error: { code: '23505', message: 'duplicate key' } }, [{ id: 'proc-9' }]];
+    tables.allocation = [allocation({ id: 'alloc-1', indent_number: 'IND1' })];
+
+    const result = await bulkProcurementJob.processItem(
+      { item_key: 'IND1', reference_id: 'alloc-1' },
+      { job: { created_by: 'user-1' }, resolveConfig: () => config, resolveCandyRate: candyRate(356) }
+    );
+
+    expect(result).toEqual({ result_id: 'proc-9', skipped: true });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Cron parsing and slot arithmetic for the in-process scheduler
+ * Schedules are evaluated in Asia/Kolkata (UTC+05:30), so 08:30 IST is 03:00Z
+ */
+
+jest.mock('../config/supabase', () => ({ supabase: {} }));
+
+const { parseCron, validateCron, cronMatches, nextCronRun, dueSlot } = require('../utils/schedulerHelpers');
+
+const at = (iso) => new Date(iso);
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const cron = parseCron('0-30/10 9,17 * 1-3 1-5');
+    expect([...cron.minutes]).toEqual([0, 10, 20, 30]);
+    expect([...cron.hours]).toEqual([9, 17]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.days.size).toBe(31);
+    expect(cron.daysRestricted).toBe(false);
+    expect(cron.weekdaysRestricted).toBe(true);
+  });
+
+  it('runs a stepped single value to the end of the field', () => {
+    expect([...parseCron('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCron('* * *')).toThrow('Cron expression must have 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('minute "60" is out of range 0-59');
+    expect(() => parseCron('*/0 * * * *')).toThrow('minute "*/0" is out of range 0-59');
+    expect(() => parseCron('0 0 0 * *')).toThrow('day of month "0" is out of range 1-31');
+    expect(() => parseCron('a * * * *')).toThrow('Invalid minute "a"');
+    expect(validateCron('0 10 * * 1-6')).toBeNull();
+    expect(validateCron('0 24 * * *')).toBe('hour "24" is out of range 0-23');
+  });
+});
+
+describe('cronMatches', () => {
+  it('matches in the scheduler timezone', () => {
+    const cron = parseCron('30 8 * * *');
+    expect(cronMatches(cron, at('2026-10-19T03:00:00Z'))).toBe(true);
+    expect(cronMatches(cron, at('2026-10-19T08:30:00Z'))).toBe(false);
+  });
+});
+
+describe('nextCronRun', () => {
+  it('returns the next slot strictly after the start point', () => {
+    expect(nextCronRun('30 8 * * *', at('2026-10-19T02:59:30Z'))).toEqual(at('2026-10-19T03:00:00Z'));
+    expect(nextCronRun('30 8 * * *', at('2026-10-19T03:00:00Z'))).toEqual(at('2026-10-20T03:00:00Z'));
+    expect(nextCronRun('*/15 * * * *', at('2026-10-19T10:07:00Z'))).toEqual(at('2026-10-19T10:15:00Z'));
+  });
+
+  it('crosses local midnight, not UTC midnight', () => {
+    expect(nextCronRun('0 0 * * *', at('2026-10-19T12:00:00Z'))).toEqual(at('2026-10-19T18:30:00Z'));
+  });
+
+  it('skips excluded weekdays', () => {
+    // Saturday 10:30 IST; Sunday is excluded
+    expect(nextCronRun('0 10 * * 1-6', at('2026-10-24T05:00:00Z'))).toEqual(at('2026-10-26T04:30:00Z'));
+  });
+
+  it('fires on either day field when both are restricted', () => {
+    // Monday the 26th comes before the 1st of November
+    expect(nextCronRun('0 9 1 * 1', at('2026-10-19T04:00:00Z'))).toEqual(at('2026-10-26T03:30:00Z'));
+    // Sunday the 1st of November comes before Monday the 2nd
+    expect(nextCronRun('0 9 1 * 1', at('2026-10-26T04:00:00Z'))).toEqual(at('2026-11-01T03:30:00Z'));
+  });
+
+  it('gives up when nothing fires within a year', () => {
+    expect(nextCronRun('0 0 29 2 *', at('2026-03-01T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('dueSlot', () => {
+  const cron = parseCron('30 8 * * *');
+
+  it('runs the current slot when it is the one owed', () => {
+    const job = { last_scheduled_for: '2026-10-18T03:00:00Z', next_run_at: '2026-10-19T03:00:00Z' };
+    expect(dueSlot(cron, job, at('2026-10-19T03:00:00Z'))).toEqual(at('2026-10-19T03:00:00Z'));
+  });
+
+  it('catches up a slot missed while no instance was ticking', () => {
+    const job = { last_scheduled_for: '2026-10-18T03:00:00Z', next_run_at: '2026-10-19T03:00:00Z' };
+    expect(dueSlot(cron, job, at('2026-10-19T05:00:00Z'))).toEqual(at('2026-10-19T03:00:00Z'));
+  });
+
+  it('collapses several missed slots into the latest', () => {
+    const job = { last_scheduled_for: '2026-10-15T03:00:00Z', next_run_at: '2026-10-16T03:00:00Z' };
+    expect(dueSlot(cron, job, at('2026-10-19T05:00:00Z'))).toEqual(at('2026-10-19T03:00:00Z'));
+  });
+
+  it('does not rerun a slot or run one the schedule moved past', () => {
+    expect(dueSlot(cron, { last_scheduled_for: '2026-10-19T03:00:00Z', next_run_at: '2026-10-20T03:00:00Z' }, at('2026-10-19T05:00:00Z'))).toBeNull();
+    expect(dueSlot(cron, { last_scheduled_for: '2026-10-18T03:00:00Z', next_run_at: '2026-10-20T03:00:00Z' }, at('2026-10-19T05:00:00Z'))).toBeNull();
+  });
+
+  it('only runs a job with no history in a matching minute', () => {
+    expect(dueSlot(cron, {}, at('2026-10-19T03:00:00Z'))).toEqual(at('2026-10-19T03:00:00Z'));
+    expect(dueSlot(cron, {}, at('2026-10-19T03:01:00Z'))).toBeNull();
+  });
+});
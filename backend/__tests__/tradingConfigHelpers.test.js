@@ -0,0 +1,75 @@
+/**
+ * Configuration versions take effect at midnight IST, not midnight UTC
+ */
+
+jest.mock('../config/supabase', () => {
+  // Each query resolves to the next result queued by the test
+  const results = [];
+  const query = {
+    select: () => query,
+    insert: jest.fn(() => query),
+    order: () => query,
+    single: () => query,
+    then: (resolve) => resolve(results.shift() || { data: null, error: null })
+  };
+  return { supabase: { from: () => query }, results, query };
+});
+
+const { results, query } = require('../config/supabase');
+const { toLocalDateString, resolveVersionForDate, scheduleConfigVersion } = require('../utils/tradingConfigHelpers');
+
+const versions = [
+  { id: 'v2', version: 2, effective_from: '2026-10-19', candy_rate: 360 },
+  { id: 'v1', version: 1, effective_from: '2000-01-01', candy_rate: 356 }
+];
+
+beforeEach(() => {
+  results.length = 0;
+  query.insert.mockClear();
+});
+
+describe('toLocalDateString', () => {
+  it('gives the calendar day in IST', () => {
+    expect(toLocalDateString('2026-10-18T18:29:59Z')).toBe('2026-10-18');
+    expect(toLocalDateString('2026-10-18T18:30:00Z')).toBe('2026-10-19');
+    expect(toLocalDateString(new Date('2026-10-19T12:00:00Z'))).toBe('2026-10-19');
+    expect(toLocalDateString('2026-10-19')).toBe('2026-10-19');
+  });
+});
+
+describe('resolveVersionForDate', () => {
+  it('switches version at midnight IST', () => {
+    // 00:30 IST on the 19th is still the 18th in UTC
+    expect(resolveVersionForDate(versions, '2026-10-18T19:00:00Z').version).toBe(2);
+    expect(resolveVersionForDate(versions, '2026-10-18T18:00:00Z').version).toBe(1);
+  });
+
+  it('returns nothing before the first version', () => {
+    expect(resolveVersionForDate(versions, '1999-12-31')).toBeNull();
+  });
+});
+
+describe('scheduleConfigVersion', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('accepts today in the hours before 05:30 IST', async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-10-19T20:00:00Z'));
+    const created = { id: 'v3', version: 3, effective_from: '2026-10-20' };
+    results.push({ data: versions, error: null }, { data: created, error: null });
+
+    const result = await scheduleConfigVersion({ effective_from: '2026-10-20', candy_rate: 365 }, 'user-1');
+
+    expect(result).toEqual({ success: true, data: created });
+    expect(query.insert.mock.calls[0][0]).toMatchObject({ effective_from: '2026-10-20', candy_rate: 365 });
+  });
+
+  it('still rejects yesterday', async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-10-19T20:00:00Z'));
+
+    const result = await scheduleConfigVersion({ effective_from: '2026-10-19' }, 'user-1');
+
+    expect(result).toEqual({ success: false, error: 'Effective date cannot be in the past' });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Webhook authentication middleware
+ * Verifies HMAC-signed requests from registered integrations (n8n and other automation)
+ *
+ * Callers send:
+ *   X-Webhook-Integration: integration name
+ *   X-Webhook-Timestamp:   unix time in seconds
+ *   X-Webhook-Nonce:       unique value per request
+ *   X-Webhook-Signature:   sha256=<hex HMAC-SHA256 of `${timestamp}.${nonce}.${rawBody}`>
+ */
+
+const { supabase } = require('../config/supabase');
+const {
+  computeWebhookSignature,
+  signaturesMatch,
+  findActiveIntegration,
+  recordDelivery,
+  completeDelivery
+} = require('../utils/webhookHelpers');
+
+const TIMESTAMP_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS) || 300;
+
+/**
+ * Log a rejected delivery and respond
+ */
+const reject = async (req, res, status, message, details = {}) => {
+  await recordDelivery({
+    integration_id: details.integrationId || null,
+    endpoint: req.originalUrl,
+    nonce: details.nonce || null,
+    status: 'rejected',
+    http_status: status,
+    error: message,
+    payload: req.body || null
+  });
+
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * Verify webhook signature, timestamp and nonce
+ * On success sets req.webhook = { integration, deliveryId, serviceUserId }
+ */
+const verifyWebhook = async (req, res, next) => {
+  try {
+    const name = req.get('X-Webhook-Integration');
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const nonce = req.get('X-Webhook-Nonce');
+    const signature = req.get('X-Webhook-Signature');
+
+    if (!name || !timestamp || !nonce || !signature) {
+      return reject(req, res, 401, 'Missing webhook signature headers', { nonce });
+    }
+
+    const integration = await findActiveIntegration(name);
+    if (!integration) {
+      return reject(req, res, 401, 'Unknown or inactive webhook integration', { nonce });
+    }
+
+    const details = { integrationId: integration.id, nonce };
+
+    const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(skew) || skew > TIMESTAMP_TOLERANCE_SECONDS) {
+      return reject(req, res, 401, 'Webhook timestamp outside the allowed window', details);
+    }
+
+    const expected = computeWebhookSignature(integration.secret, timestamp, nonce, req.rawBody);
+    if (!signaturesMatch(signature, expected)) {
+      return reject(req, res, 401, 'Invalid webhook signature', details);
+    }
+
+    const { data: delivery, error } = await recordDelivery({
+      integration_id: integration.id,
+      endpoint: req.originalUrl,
+      nonce,
+      status: 'accepted',
+      payload: req.body || null
+    });
+
+    if (error) {
+      if (error.code === '23505') {
+        return reject(req, res, 409, 'Webhook nonce has already been used', { integrationId: integration.id });
+      }
+      throw new Error(error.message);
+    }
+
+    await supabase
+      .from('webhook_integrations')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', integration.id);
+
+    req.webhook = {
+      integration,
+      deliveryId: delivery.id,
+      serviceUserId: integration.service_user_id
+    };
+
+    // Record the handler's outcome against the delivery once the response is sent
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.webhookMessage = body?.error || body?.message;
+      return json(body);
+    };
+    res.on('finish', () => {
+      completeDelivery(delivery.id, res.statusCode, res.statusCode >= 400 ? res.locals.webhookMessage || null : null);
+    });
+
+    next();
+  } catch (error) {
+    console.error('Webhook verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify webhook'
+    });
+  }
+};
+
+module.exports = {
+  verifyWebhook
+};
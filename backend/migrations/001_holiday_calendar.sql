@@ -0,0 +1,17 @@
+-- Holiday calendar used for EMD and UTR due-date calculation.
+-- A NULL state marks a national holiday that applies to every branch.
+
+CREATE TABLE IF NOT EXISTS holiday_calendar (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  holiday_date DATE NOT NULL,
+  name VARCHAR(150) NOT NULL,
+  state VARCHAR(100),
+  state_key VARCHAR(100) GENERATED ALWAYS AS (COALESCE(LOWER(state), '')) STORED,
+  description TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT holiday_calendar_date_state_key UNIQUE (holiday_date, state_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_holiday_calendar_date ON holiday_calendar (holiday_date);
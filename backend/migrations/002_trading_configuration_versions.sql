@@ -0,0 +1,49 @@
+-- Versioned trading configuration. The version in force on a date is the one
+-- with the latest effective_from on or before that date.
+
+CREATE TABLE IF NOT EXISTS trading_configuration_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version SERIAL UNIQUE,
+  effective_from DATE NOT NULL UNIQUE,
+  emd_percentage_low NUMERIC(5, 2) NOT NULL,
+  emd_percentage_high NUMERIC(5, 2) NOT NULL,
+  emd_threshold INTEGER NOT NULL,
+  cgst_rate NUMERIC(5, 2) NOT NULL,
+  sgst_rate NUMERIC(5, 2) NOT NULL,
+  igst_rate NUMERIC(5, 2) NOT NULL,
+  candy_rate NUMERIC(12, 2) NOT NULL,
+  bale_weight NUMERIC(8, 2) NOT NULL,
+  emd_due_days INTEGER NOT NULL,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Version 1 carries the legacy key/value configuration and is in force from before any
+-- procurement, so every date resolves to a version; missing keys take the code defaults
+INSERT INTO trading_configuration_versions (
+  effective_from, emd_percentage_low, emd_percentage_high, emd_threshold, cgst_rate, sgst_rate,
+  igst_rate, candy_rate, bale_weight, emd_due_days, notes
+)
+SELECT
+  DATE '2000-01-01',
+  COALESCE((SELECT (config_value ->> 'percentage')::NUMERIC FROM trading_configuration WHERE config_key = 'EMD_PERCENTAGE_LOW'), 15),
+  COALESCE((SELECT (config_value ->> 'percentage')::NUMERIC FROM trading_configuration WHERE config_key = 'EMD_PERCENTAGE_HIGH'), 25),
+  3000,
+  COALESCE((SELECT (config_value ->> 'cgst')::NUMERIC FROM trading_configuration WHERE config_key = 'GST_RATES'), 2.5),
+  COALESCE((SELECT (config_value ->> 'sgst')::NUMERIC FROM trading_configuration WHERE config_key = 'GST_RATES'), 2.5),
+  COALESCE((SELECT (config_value ->> 'igst')::NUMERIC FROM trading_configuration WHERE config_key = 'GST_RATES'), 5),
+  COALESCE((SELECT (config_value ->> 'base_rate')::NUMERIC FROM trading_configuration WHERE config_key = 'CANDY_RATE'), 356),
+  COALESCE((SELECT (config_value #>> '{}')::NUMERIC FROM trading_configuration WHERE config_key = 'BALE_WEIGHT'), 170),
+  COALESCE((SELECT (config_value #>> '{}')::INTEGER FROM trading_configuration WHERE config_key = 'EMD_DUE_DAYS'), 5),
+  'Carried over from the key/value trading configuration'
+WHERE NOT EXISTS (SELECT 1 FROM trading_configuration_versions);
+
+-- Config version each procurement row was calculated with
+ALTER TABLE procurement_dump
+  ADD COLUMN IF NOT EXISTS config_version INTEGER REFERENCES trading_configuration_versions(version);
+
+-- Rows calculated before versioning used the legacy configuration, now version 1
+UPDATE procurement_dump
+SET config_version = (SELECT version FROM trading_configuration_versions WHERE effective_from = DATE '2000-01-01')
+WHERE config_version IS NULL;
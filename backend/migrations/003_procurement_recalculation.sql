@@ -0,0 +1,9 @@
+-- Recalculation tracking on procurement rows and amount-mismatch flags on payments
+
+ALTER TABLE procurement_dump
+  ADD COLUMN IF NOT EXISTS recalculated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS recalculated_by UUID REFERENCES users(id);
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS amount_mismatch BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS expected_amount NUMERIC(15, 2);
@@ -0,0 +1,46 @@
+-- Persisted background jobs. Items are planned once per job and processed in
+-- batches; only pending items are picked up, so a job can resume after a restart.
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_type VARCHAR(50) NOT NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'completed_with_errors', 'failed')),
+  params JSONB NOT NULL DEFAULT '{}',
+  total_items INTEGER NOT NULL DEFAULT 0,
+  processed_items INTEGER NOT NULL DEFAULT 0,
+  succeeded_items INTEGER NOT NULL DEFAULT 0,
+  failed_items INTEGER NOT NULL DEFAULT 0,
+  planned_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  last_error TEXT,
+  -- Lease held by the server process running the job; renewed after every batch
+  locked_by VARCHAR(100),
+  locked_until TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_type_status
+  ON background_jobs (job_type, status);
+
+CREATE TABLE IF NOT EXISTS background_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES background_jobs(id) ON DELETE CASCADE,
+  item_key VARCHAR(100) NOT NULL,
+  reference_id UUID,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  skipped BOOLEAN NOT NULL DEFAULT FALSE,
+  result_id UUID,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_background_job_items_job_status
+  ON background_job_items (job_id, status);
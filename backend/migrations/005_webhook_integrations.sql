@@ -0,0 +1,41 @@
+-- Signed inbound webhooks. Each integration has its own HMAC secret and acts
+-- as a dedicated service account; every delivery (accepted or rejected) is logged.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'trader', 'customer', 'service'));
+
+CREATE TABLE IF NOT EXISTS webhook_integrations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  secret VARCHAR(128) NOT NULL,
+  service_user_id UUID NOT NULL REFERENCES users(id),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  secret_rotated_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  integration_id UUID REFERENCES webhook_integrations(id),
+  endpoint VARCHAR(200) NOT NULL,
+  nonce VARCHAR(200),
+  status VARCHAR(20) NOT NULL
+    CHECK (status IN ('accepted', 'processed', 'failed', 'rejected')),
+  http_status INTEGER,
+  error TEXT,
+  payload JSONB,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+-- Replay protection: a nonce can only be accepted once per integration
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_nonce
+  ON webhook_deliveries (integration_id, nonce)
+  WHERE status <> 'rejected';
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received
+  ON webhook_deliveries (received_at DESC);
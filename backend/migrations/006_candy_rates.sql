@@ -0,0 +1,28 @@
+-- Candy rate and assumed bale weight by zone, with optional branch and season
+-- overrides. A row with no zone and no branch is the default for every zone.
+-- A NULL assumed_bale_weight is derived as candy_rate / 0.2812.
+
+CREATE TABLE IF NOT EXISTS candy_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  zone VARCHAR(50),
+  branch_id UUID REFERENCES branch_information(id),
+  season VARCHAR(20),
+  candy_rate NUMERIC(10, 2) NOT NULL CHECK (candy_rate > 0),
+  assumed_bale_weight NUMERIC(8, 2) CHECK (assumed_bale_weight > 0),
+  notes TEXT,
+  -- Same normalization as candyRateHelpers.normalizeZone, so "South Zone" and "south" share a scope
+  zone_key VARCHAR(50) GENERATED ALWAYS AS (COALESCE(REGEXP_REPLACE(LOWER(TRIM(zone)), '\s+zone$', ''), '')) STORED,
+  branch_key TEXT GENERATED ALWAYS AS (COALESCE(branch_id::TEXT, '')) STORED,
+  season_key VARCHAR(20) GENERATED ALWAYS AS (COALESCE(LOWER(TRIM(season)), '')) STORED,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT candy_rates_scope_key UNIQUE (zone_key, branch_key, season_key)
+);
+
+-- Seed with the rates previously hardcoded in the calculators
+INSERT INTO candy_rates (zone, candy_rate, notes)
+VALUES
+  ('South Zone', 48, 'Migrated from hardcoded procurement rate'),
+  (NULL, 47, 'Default for all other zones; migrated from hardcoded procurement rate')
+ON CONFLICT ON CONSTRAINT candy_rates_scope_key DO NOTHING;
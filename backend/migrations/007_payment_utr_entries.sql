@@ -0,0 +1,41 @@
+-- Multiple UTR tranches per payment. The payment status rolls up from the sum of
+-- its tranches: partially_paid, paid or overpaid.
+
+CREATE TABLE IF NOT EXISTS payment_utr_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  utr_number VARCHAR(22) NOT NULL UNIQUE,
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  paid_date DATE NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_utr_entries_payment
+  ON payment_utr_entries (payment_id);
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS paid_amount NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS outstanding_amount NUMERIC(15, 2);
+
+-- Existing single-UTR payments become one tranche for the full amount
+INSERT INTO payment_utr_entries (payment_id, utr_number, amount, paid_date, created_by, created_at)
+SELECT id, utr_number, amount, COALESCE(verified_at::date, created_at::date), verified_by, COALESCE(verified_at, created_at)
+FROM payments
+WHERE utr_number IS NOT NULL AND amount > 0
+ON CONFLICT (utr_number) DO NOTHING;
+
+UPDATE payments
+SET paid_amount = amount,
+    outstanding_amount = 0,
+    payment_status = 'paid'
+WHERE utr_number IS NOT NULL;
+
+UPDATE payments
+SET outstanding_amount = amount
+WHERE utr_number IS NULL;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_payment_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_payment_status_check
+  CHECK (payment_status IN ('pending', 'partially_paid', 'paid', 'overpaid', 'verified', 'failed', 'cancelled'));
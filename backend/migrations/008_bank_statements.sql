@@ -0,0 +1,52 @@
+-- Imported bank statements (CSV, MT940, CAMT.053) and their lines, matched
+-- against open payments by UTR, amount and date tolerance.
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  file_name VARCHAR(255) NOT NULL,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'mt940', 'camt053')),
+  account_number VARCHAR(50),
+  statement_reference VARCHAR(100),
+  amount_tolerance NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  date_tolerance_days INTEGER NOT NULL DEFAULT 0,
+  line_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  matched_count INTEGER NOT NULL DEFAULT 0,
+  ambiguous_count INTEGER NOT NULL DEFAULT 0,
+  unmatched_count INTEGER NOT NULL DEFAULT 0,
+  imported_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  statement_id UUID NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  -- Hash of account, date, direction, amount and reference; re-importing a statement skips known lines
+  line_hash VARCHAR(64) NOT NULL UNIQUE,
+  value_date DATE NOT NULL,
+  direction VARCHAR(6) NOT NULL CHECK (direction IN ('credit', 'debit')),
+  amount NUMERIC(15, 2) NOT NULL,
+  utr_number VARCHAR(22),
+  reference VARCHAR(100),
+  narration TEXT,
+  match_status VARCHAR(10) NOT NULL DEFAULT 'unmatched'
+    CHECK (match_status IN ('matched', 'ambiguous', 'unmatched', 'confirmed', 'ignored')),
+  match_reason VARCHAR(100),
+  matched_payment_id UUID REFERENCES payments(id),
+  candidate_payment_ids UUID[] NOT NULL DEFAULT '{}',
+  utr_entry_id UUID REFERENCES payment_utr_entries(id),
+  confirmed_by UUID REFERENCES users(id),
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_statement
+  ON bank_statement_lines (statement_id, match_status);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_utr
+  ON bank_statement_lines (utr_number);
+
+-- A UTR tranche is reconciled once a confirmed statement line backs it
+ALTER TABLE payment_utr_entries
+  ADD COLUMN IF NOT EXISTS statement_line_id UUID REFERENCES bank_statement_lines(id),
+  ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
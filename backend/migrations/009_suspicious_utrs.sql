@@ -0,0 +1,35 @@
+-- UTR reuse detection. A UTR is normally used by one payment only; attempts to
+-- reuse one are queued for admin review instead of being recorded. An approved
+-- attempt (one transfer covering several payments) records the tranche anyway,
+-- marked reuse_approved, so the UTR alone is unique only among tranches that are
+-- not approved reuse (see the partial index in 010, which also skips rejected ones).
+
+ALTER TABLE payment_utr_entries DROP CONSTRAINT IF EXISTS payment_utr_entries_utr_number_key;
+ALTER TABLE payment_utr_entries
+  ADD CONSTRAINT payment_utr_entries_payment_utr_key UNIQUE (payment_id, utr_number);
+CREATE INDEX IF NOT EXISTS idx_payment_utr_entries_utr
+  ON payment_utr_entries (utr_number);
+
+ALTER TABLE payment_utr_entries
+  ADD COLUMN IF NOT EXISTS reuse_approved BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS suspicious_utr_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  utr_number VARCHAR(22) NOT NULL,
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  conflicting_payment_id UUID REFERENCES payments(id),
+  conflicting_entry_id UUID REFERENCES payment_utr_entries(id),
+  amount NUMERIC(15, 2) NOT NULL,
+  paid_date DATE NOT NULL,
+  submitted_by UUID REFERENCES users(id),
+  status VARCHAR(10) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'approved', 'rejected')),
+  resolution_reason TEXT,
+  resolved_by UUID REFERENCES users(id),
+  resolved_at TIMESTAMPTZ,
+  utr_entry_id UUID REFERENCES payment_utr_entries(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_utr_attempts_status
+  ON suspicious_utr_attempts (status, created_at DESC);
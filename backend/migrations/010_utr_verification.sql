@@ -0,0 +1,41 @@
+-- Maker-checker verification of UTR tranches. A submitted tranche does not count
+-- towards the paid amount until a different user with the verifier (or admin)
+-- role approves it; rejected tranches are kept for the audit trail.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'trader', 'customer', 'service', 'verifier'));
+
+ALTER TABLE payment_utr_entries
+  ADD COLUMN IF NOT EXISTS verification_status VARCHAR(10) NOT NULL DEFAULT 'submitted'
+    CHECK (verification_status IN ('submitted', 'verified', 'rejected')),
+  ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+-- Tranches recorded before this change were verified on entry
+UPDATE payment_utr_entries
+SET verification_status = 'verified',
+    verified_by = created_by,
+    verified_at = created_at
+WHERE verification_status = 'submitted';
+
+-- A rejected tranche must not block resubmitting the same UTR on the payment
+ALTER TABLE payment_utr_entries DROP CONSTRAINT IF EXISTS payment_utr_entries_payment_utr_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_utr_entries_payment_utr
+  ON payment_utr_entries (payment_id, utr_number)
+  WHERE verification_status <> 'rejected';
+
+-- One live tranche per UTR across all payments, apart from reuse an admin approved;
+-- two submissions of the same UTR at once cannot both be recorded unflagged
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_utr_entries_utr_unique
+  ON payment_utr_entries (utr_number)
+  WHERE verification_status <> 'rejected' AND NOT reuse_approved;
+
+CREATE INDEX IF NOT EXISTS idx_payment_utr_entries_verification
+  ON payment_utr_entries (verification_status, created_at);
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_payment_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_payment_status_check
+  CHECK (payment_status IN ('pending', 'partially_paid', 'utr_submitted', 'paid', 'overpaid', 'verified', 'failed', 'cancelled'));
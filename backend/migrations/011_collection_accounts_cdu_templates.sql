@@ -0,0 +1,62 @@
+-- Collection accounts (our receiving bank accounts) scoped by branch or zone,
+-- and a CDU template per payment type that picks the amount source, payment
+-- mode and remarks. An account with no zone and no branch is the default.
+
+CREATE TABLE IF NOT EXISTS collection_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_name VARCHAR(150) NOT NULL,
+  bank_name VARCHAR(100) NOT NULL,
+  bank_branch VARCHAR(100),
+  account_number VARCHAR(20) NOT NULL CHECK (account_number ~ '^[0-9]{9,18}$'),
+  ifsc_code VARCHAR(11) NOT NULL CHECK (ifsc_code ~ '^[A-Z]{4}0[A-Z0-9]{6}$'),
+  zone VARCHAR(50),
+  branch_id UUID REFERENCES branch_information(id),
+  -- NULL accepts every payment type
+  payment_type VARCHAR(20) CHECK (payment_type IN ('EMD', 'DO_PAYMENT', 'LATE_LIFTING')),
+  -- Lower wins when several accounts share the same scope
+  priority INTEGER NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT collection_accounts_account_key UNIQUE (ifsc_code, account_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_accounts_scope
+  ON collection_accounts (is_active, branch_id, zone);
+
+CREATE TABLE IF NOT EXISTS cdu_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_type VARCHAR(20) NOT NULL UNIQUE CHECK (payment_type IN ('EMD', 'DO_PAYMENT', 'LATE_LIFTING')),
+  label VARCHAR(100) NOT NULL,
+  -- 'emd_amount' takes the amount from the procurement; 'manual' needs it on the request
+  amount_source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (amount_source IN ('emd_amount', 'manual')),
+  payment_mode VARCHAR(10) NOT NULL DEFAULT 'RTGS' CHECK (payment_mode IN ('RTGS', 'NEFT', 'IMPS')),
+  -- Amounts below the RTGS minimum use the fallback mode instead
+  rtgs_min_amount NUMERIC(15, 2) NOT NULL DEFAULT 200000,
+  fallback_payment_mode VARCHAR(10) NOT NULL DEFAULT 'NEFT' CHECK (fallback_payment_mode IN ('NEFT', 'IMPS')),
+  -- Placeholders: {indent_number}, {firm_name}, {payment_type}
+  remarks_template VARCHAR(255) NOT NULL,
+  -- NULL uses the procurement due date
+  due_in_days INTEGER CHECK (due_in_days >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO cdu_templates (payment_type, label, amount_source, payment_mode, rtgs_min_amount, remarks_template, due_in_days)
+VALUES
+  ('EMD', 'Earnest money deposit', 'emd_amount', 'RTGS', 0, 'EMD Payment for Indent {indent_number}', NULL),
+  ('DO_PAYMENT', 'Delivery order payment', 'manual', 'RTGS', 200000, 'DO Payment for Indent {indent_number}', 3),
+  ('LATE_LIFTING', 'Late lifting charges', 'manual', 'NEFT', 200000, 'Late Lifting Charges for Indent {indent_number}', 7)
+ON CONFLICT (payment_type) DO NOTHING;
+
+-- The account, IFSC and template a CDU was drawn against, and why the rules were overridden
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS collection_account_id UUID REFERENCES collection_accounts(id),
+  ADD COLUMN IF NOT EXISTS account_number VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS ifsc_code VARCHAR(11),
+  ADD COLUMN IF NOT EXISTS cdu_template_id UUID REFERENCES cdu_templates(id),
+  ADD COLUMN IF NOT EXISTS override_reason TEXT;
@@ -0,0 +1,49 @@
+-- Bulk payment batches exported for net banking upload (SBI CMP, HDFC ENet,
+-- ICICI CIB) and the payments in each. The bank's response file is imported
+-- back against the batch to record UTRs.
+
+CREATE TABLE IF NOT EXISTS payment_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_number VARCHAR(20) NOT NULL UNIQUE,
+  bank_format VARCHAR(20) NOT NULL CHECK (bank_format IN ('sbi_cmp', 'hdfc_enet', 'icici_cib')),
+  debit_account_number VARCHAR(20) NOT NULL,
+  value_date DATE NOT NULL,
+  payment_count INTEGER NOT NULL DEFAULT 0,
+  total_amount NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  file_name VARCHAR(255) NOT NULL,
+  -- Kept so the exact file uploaded to the bank can be downloaded again
+  file_content TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'exported'
+    CHECK (status IN ('exported', 'partially_processed', 'processed')),
+  response_file_name VARCHAR(255),
+  response_imported_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payment_batch_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID NOT NULL REFERENCES payment_batches(id) ON DELETE CASCADE,
+  payment_id UUID NOT NULL REFERENCES payments(id),
+  -- Sent to the bank as the customer reference and echoed back in its response file
+  customer_reference VARCHAR(20) NOT NULL UNIQUE,
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  payment_mode VARCHAR(10) NOT NULL,
+  beneficiary_name VARCHAR(150) NOT NULL,
+  beneficiary_account_number VARCHAR(20) NOT NULL,
+  beneficiary_ifsc VARCHAR(11) NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'exported' CHECK (status IN ('exported', 'paid', 'failed')),
+  utr_number VARCHAR(22),
+  utr_entry_id UUID REFERENCES payment_utr_entries(id),
+  failure_reason TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT payment_batch_items_batch_payment_key UNIQUE (batch_id, payment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_batch_items_payment
+  ON payment_batch_items (payment_id, status);
+
+-- A payment can sit in only one open batch; two admins exporting it at once must not
+-- both put it in a bank file
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_batch_items_open_payment
+  ON payment_batch_items (payment_id) WHERE status = 'exported';
@@ -0,0 +1,49 @@
+-- Payment ageing: configurable buckets of days past due, each escalating to the
+-- trader, the branch head or an admin, and a record of when each payment
+-- entered (and left) each bucket.
+
+-- The user who receives branch-level escalations
+ALTER TABLE branch_information
+  ADD COLUMN IF NOT EXISTS branch_head_user_id UUID REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS payment_ageing_buckets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bucket_key VARCHAR(20) NOT NULL UNIQUE,
+  label VARCHAR(50) NOT NULL,
+  min_days INTEGER NOT NULL CHECK (min_days >= 0),
+  -- NULL is open-ended (the last bucket)
+  max_days INTEGER CHECK (max_days >= min_days),
+  escalate_to VARCHAR(20) NOT NULL CHECK (escalate_to IN ('trader', 'branch_head', 'admin')),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO payment_ageing_buckets (bucket_key, label, min_days, max_days, escalate_to)
+VALUES
+  ('0_3', '0-3 days', 0, 3, 'trader'),
+  ('4_7', '4-7 days', 4, 7, 'branch_head'),
+  ('8_15', '8-15 days', 8, 15, 'admin'),
+  ('16_plus', '15+ days', 16, NULL, 'admin')
+ON CONFLICT (bucket_key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS payment_ageing_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  -- Copied from the bucket so history survives bucket reconfiguration
+  bucket_key VARCHAR(20) NOT NULL,
+  bucket_label VARCHAR(50) NOT NULL,
+  escalate_to VARCHAR(20) NOT NULL,
+  days_past_due INTEGER NOT NULL,
+  entered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Set when the payment moves to another bucket or stops awaiting a UTR
+  exited_at TIMESTAMPTZ,
+  reminder_count INTEGER NOT NULL DEFAULT 0,
+  last_reminded_at TIMESTAMPTZ,
+  CONSTRAINT payment_ageing_entries_payment_bucket_key UNIQUE (payment_id, bucket_key)
+);
+
+-- At most one open entry per payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_ageing_entries_open
+  ON payment_ageing_entries (payment_id)
+  WHERE exited_at IS NULL;
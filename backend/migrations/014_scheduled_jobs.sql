@@ -0,0 +1,47 @@
+-- In-process scheduler. Job handlers are defined in code; each row holds the
+-- admin-editable cron expression, an enabled flag and a lease so only one
+-- server instance runs a job at a time. Every run is recorded.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  job_key VARCHAR(50) PRIMARY KEY,
+  description TEXT NOT NULL,
+  -- Five-field cron (minute hour day-of-month month day-of-week), evaluated in SCHEDULER_TIMEZONE
+  cron_expression VARCHAR(100) NOT NULL,
+  is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  lock_ttl_seconds INTEGER NOT NULL DEFAULT 600 CHECK (lock_ttl_seconds > 0),
+  locked_by VARCHAR(100),
+  locked_until TIMESTAMPTZ,
+  -- The schedule slot last run, so a slot runs once even with several instances
+  last_scheduled_for TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_status VARCHAR(20),
+  last_error TEXT,
+  next_run_at TIMESTAMPTZ,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_key VARCHAR(50) NOT NULL REFERENCES scheduled_jobs(job_key) ON DELETE CASCADE,
+  trigger VARCHAR(10) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+  scheduled_for TIMESTAMPTZ,
+  instance_id VARCHAR(100) NOT NULL,
+  triggered_by UUID REFERENCES users(id),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  -- A run still 'running' after its lease expired was interrupted
+  lease_expires_at TIMESTAMPTZ NOT NULL,
+  result JSONB,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job_started
+  ON scheduled_job_runs (job_key, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_running
+  ON scheduled_job_runs (status, lease_expires_at)
+  WHERE status = 'running';
@@ -0,0 +1,96 @@
+-- Notification service: message templates per event and channel, per-recipient
+-- channel preferences, and a delivery log that failed sends are retried from.
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_key VARCHAR(50) NOT NULL,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms', 'whatsapp', 'n8n')),
+  -- {{placeholders}} are filled from the event data; n8n receives the event payload instead
+  subject_template VARCHAR(255),
+  body_template TEXT NOT NULL,
+  -- Pre-approved WhatsApp Business template; body_template values are sent as its parameters
+  whatsapp_template_name VARCHAR(100),
+  -- Whether recipients without a preference for this channel receive it
+  default_opt_in BOOLEAN NOT NULL DEFAULT TRUE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT notification_templates_event_channel_key UNIQUE (event_key, channel)
+);
+
+-- n8n stays the only active channel until SMTP, SMS and WhatsApp are configured
+-- and the matching n8n workflows are retired
+INSERT INTO notification_templates (event_key, channel, subject_template, body_template, default_opt_in, is_active)
+VALUES
+  ('payment_reminder', 'n8n', NULL, 'Payment reminder payload', TRUE, TRUE),
+  ('payment_reminder', 'email', 'Payment overdue: Indent {{indent_number}}',
+   E'Dear {{recipient_name}},\n\nThe {{payment_type}} payment of Rs. {{outstanding_amount}} for indent {{indent_number}} ({{firm_name}}, {{branch_name}}) was due on {{due_date}} and is {{days_past_due}} days overdue ({{bucket}}).\n\nPlease submit the UTR once the payment is made.',
+   TRUE, FALSE),
+  ('payment_reminder', 'sms', NULL,
+   'Payment for indent {{indent_number}} (Rs. {{outstanding_amount}}) is {{days_past_due}} days overdue. Please submit the UTR.',
+   TRUE, FALSE),
+  ('payment_reminder', 'whatsapp', NULL,
+   'Payment for indent {{indent_number}} (Rs. {{outstanding_amount}}) is {{days_past_due}} days overdue. Please submit the UTR.',
+   FALSE, FALSE),
+  ('lot_reminder', 'n8n', NULL, 'Lot reminder payload', TRUE, TRUE),
+  ('lot_reminder', 'email', 'Lot {{lot_number}} awaits your response',
+   E'Dear {{recipient_name}},\n\nLot {{lot_number}} is reserved for you until {{window_end_date}}. Please accept or reject it before the window closes.',
+   TRUE, FALSE),
+  ('lot_reminder', 'sms', NULL,
+   'Lot {{lot_number}} is reserved for you until {{window_end_date}}. Please accept or reject it.',
+   TRUE, FALSE),
+  ('lot_reminder', 'whatsapp', NULL,
+   'Lot {{lot_number}} is reserved for you until {{window_end_date}}. Please accept or reject it.',
+   FALSE, FALSE),
+  ('lot_acceptance_confirmation', 'n8n', NULL, 'Lot acceptance confirmation payload', TRUE, TRUE),
+  ('lot_acceptance_confirmation', 'email', 'All {{total_lots}} lots confirmed',
+   E'Dear {{recipient_name}},\n\nAll {{total_lots}} lots of your order have been accepted. We will share the sale confirmation shortly.',
+   TRUE, FALSE)
+ON CONFLICT (event_key, channel) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  recipient_type VARCHAR(10) NOT NULL CHECK (recipient_type IN ('user', 'customer')),
+  recipient_id UUID NOT NULL,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms', 'whatsapp')),
+  -- '*' applies to every event without its own row
+  event_key VARCHAR(50) NOT NULL DEFAULT '*',
+  is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Email address or phone number for the channel; email falls back to the account email
+  address VARCHAR(255),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT notification_preferences_recipient_key UNIQUE (recipient_type, recipient_id, channel, event_key)
+);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_key VARCHAR(50) NOT NULL,
+  channel VARCHAR(10) NOT NULL,
+  adapter VARCHAR(20) NOT NULL,
+  recipient_type VARCHAR(10),
+  recipient_id UUID,
+  recipient_address VARCHAR(255),
+  subject VARCHAR(255),
+  body TEXT,
+  payload JSONB,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ,
+  last_error TEXT,
+  provider_message_id VARCHAR(255),
+  related_table VARCHAR(50),
+  related_id UUID,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_retry
+  ON notification_deliveries (status, next_attempt_at)
+  WHERE status = 'failed';
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_created
+  ON notification_deliveries (created_at DESC);
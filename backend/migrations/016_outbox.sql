@@ -0,0 +1,55 @@
+-- Transactional outbox: business actions enqueue outbound events here and a worker
+-- delivers them with exponential backoff. Events that exhaust their attempts are
+-- dead-lettered until an admin replays them.
+
+CREATE TABLE IF NOT EXISTS outbox_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Handler key, e.g. notification.deliver
+  event_type VARCHAR(100) NOT NULL,
+  aggregate_type VARCHAR(50),
+  aggregate_id UUID,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(15) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'delivered', 'dead_letter')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Lease held by the worker instance processing the event
+  locked_by VARCHAR(100),
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  -- Most recent attempts: [{ attempt, at, duration_ms, error }]
+  attempt_log JSONB NOT NULL DEFAULT '[]'::jsonb,
+  delivered_at TIMESTAMPTZ,
+  dead_lettered_at TIMESTAMPTZ,
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  replayed_by UUID REFERENCES users(id),
+  replayed_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_events_due
+  ON outbox_events (next_attempt_at)
+  WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_outbox_events_dead_letter
+  ON outbox_events (dead_lettered_at DESC)
+  WHERE status = 'dead_letter';
+
+CREATE INDEX IF NOT EXISTS idx_outbox_events_aggregate
+  ON outbox_events (aggregate_type, aggregate_id);
+
+-- Notification deliveries are now sent through the outbox, which owns their retry schedule
+ALTER TABLE notification_deliveries
+  ADD COLUMN IF NOT EXISTS outbox_event_id UUID REFERENCES outbox_events(id);
+
+DROP INDEX IF EXISTS idx_notification_deliveries_retry;
+
+ALTER TABLE notification_deliveries
+  DROP COLUMN IF EXISTS next_attempt_at,
+  DROP COLUMN IF EXISTS max_attempts;
+
+-- Replaced by the outbox_dispatch job
+DELETE FROM scheduled_jobs WHERE job_key = 'notification_retry';
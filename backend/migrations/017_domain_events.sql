@@ -0,0 +1,38 @@
+-- Domain event log: every business event published on the internal bus
+-- (AllocationCreated, ProcurementCalculated, PaymentVerified, ...). Each subscriber
+-- receives the event through its own outbox row, so one failing handler is retried
+-- and dead-lettered without holding up the others.
+
+CREATE TABLE IF NOT EXISTS domain_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_name VARCHAR(100) NOT NULL,
+  aggregate_type VARCHAR(50) NOT NULL,
+  aggregate_id UUID,
+  -- Lets the whole allocation -> sale pipeline of an indent be read back in order
+  indent_number VARCHAR(100),
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Where the upstream action came from: api, webhook, job, scheduler, event
+  source VARCHAR(20) NOT NULL DEFAULT 'api',
+  published_by UUID REFERENCES users(id),
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_events_indent
+  ON domain_events (indent_number, occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_domain_events_aggregate
+  ON domain_events (aggregate_type, aggregate_id);
+
+CREATE INDEX IF NOT EXISTS idx_domain_events_name
+  ON domain_events (event_name, occurred_at DESC);
+
+-- The AllocationCreated subscriber, the new-allocation webhook, the calculate endpoint and the
+-- bulk job can all create an indent's procurement record at once; only one may win.
+-- Existing duplicate indents must be merged by hand before this index can be built.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_procurement_dump_indent_unique
+  ON procurement_dump (indent_number);
+
+-- SaleConfirmed is forwarded to the existing n8n sales confirmation workflow
+INSERT INTO notification_templates (event_key, channel, subject_template, body_template, default_opt_in, is_active)
+VALUES ('sale_confirmation', 'n8n', NULL, 'Sale confirmation payload', TRUE, TRUE)
+ON CONFLICT (event_key, channel) DO NOTHING;
@@ -0,0 +1,14 @@
+-- Indent lifecycle timeline: DO specifications can be linked to the indent they settle,
+-- and the timeline looks up an indent's records by indent number.
+
+ALTER TABLE do_specifications
+  ADD COLUMN IF NOT EXISTS indent_number VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_do_specifications_indent
+  ON do_specifications (indent_number);
+
+CREATE INDEX IF NOT EXISTS idx_sales_line_items_indent
+  ON sales_line_items (indent_number);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record
+  ON audit_log (record_id, created_at);
@@ -0,0 +1,30 @@
+-- In-app contract upload and review: files are kept by a storage adapter (local disk or
+-- an S3-compatible bucket) and streamed back through the API, and admins can reject a
+-- contract with a reason instead of only approving it.
+
+ALTER TABLE purchase_contract_table
+  ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS file_size INTEGER,
+  ADD COLUMN IF NOT EXISTS file_sha256 VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS approval_notes TEXT,
+  ADD COLUMN IF NOT EXISTS rejected_by UUID REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_purchase_contract_indent_status
+  ON purchase_contract_table (indent_number, status);
+
+-- n8n keeps sending the branch mails until the email channel is switched on
+INSERT INTO notification_templates (event_key, channel, subject_template, body_template, default_opt_in, is_active)
+VALUES
+  ('contract_uploaded', 'n8n', NULL, 'Contract uploaded payload', TRUE, TRUE),
+  ('contract_approved', 'n8n', NULL, 'Contract approved payload', TRUE, TRUE),
+  ('contract_approved', 'email', 'Contract approved: Indent {{indent_number}}',
+   E'Dear {{recipient_name}},\n\nThe purchase contract {{file_name}} for indent {{indent_number}} ({{firm_name}}) has been approved.',
+   TRUE, FALSE),
+  ('contract_rejected', 'email', 'Contract rejected: Indent {{indent_number}}',
+   E'Dear {{recipient_name}},\n\nThe purchase contract {{file_name}} for indent {{indent_number}} ({{firm_name}}) was rejected: {{rejection_reason}}\n\nPlease upload a corrected contract.',
+   TRUE, FALSE)
+ON CONFLICT (event_key, channel) DO NOTHING;
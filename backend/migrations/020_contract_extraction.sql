@@ -0,0 +1,7 @@
+-- Contract terms read from the uploaded PDF, compared with the procurement when the
+-- contract is reviewed. extraction_error explains why no fields could be read.
+
+ALTER TABLE purchase_contract_table
+  ADD COLUMN IF NOT EXISTS extracted_fields JSONB,
+  ADD COLUMN IF NOT EXISTS extraction_error TEXT,
+  ADD COLUMN IF NOT EXISTS extracted_at TIMESTAMPTZ;
@@ -0,0 +1,44 @@
+-- Contract versions per indent. The latest upload is the active version; the one it
+-- replaces becomes 'amended' if it had been approved (the new upload amends it) and
+-- 'superseded' otherwise. Every version keeps its own file, uploader and review trail.
+
+ALTER TABLE purchase_contract_table
+  ADD COLUMN IF NOT EXISTS version_number INTEGER,
+  ADD COLUMN IF NOT EXISTS version_state VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (version_state IN ('active', 'superseded', 'amended')),
+  ADD COLUMN IF NOT EXISTS supersedes_id UUID REFERENCES purchase_contract_table(id),
+  ADD COLUMN IF NOT EXISTS amendment_reason TEXT;
+
+-- Number existing uploads in upload order; all but the latest per indent are replaced
+WITH ordered AS (
+  SELECT
+    id,
+    status,
+    ROW_NUMBER() OVER (PARTITION BY indent_number ORDER BY uploaded_at, id) AS version_number,
+    COUNT(*) OVER (PARTITION BY indent_number) AS version_count,
+    LAG(id) OVER (PARTITION BY indent_number ORDER BY uploaded_at, id) AS previous_id
+  FROM purchase_contract_table
+)
+UPDATE purchase_contract_table contract
+SET
+  version_number = ordered.version_number,
+  supersedes_id = ordered.previous_id,
+  version_state = CASE
+    WHEN ordered.version_number = ordered.version_count THEN 'active'
+    WHEN ordered.status IN ('approved', 'sent') THEN 'amended'
+    ELSE 'superseded'
+  END
+FROM ordered
+WHERE contract.id = ordered.id
+  AND contract.version_number IS NULL;
+
+ALTER TABLE purchase_contract_table
+  ALTER COLUMN version_number SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_contract_indent_version
+  ON purchase_contract_table (indent_number, version_number);
+
+-- One active version per indent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_contract_indent_active
+  ON purchase_contract_table (indent_number)
+  WHERE version_state = 'active';
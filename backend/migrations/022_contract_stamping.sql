@@ -0,0 +1,15 @@
+-- Approved contracts are stamped with an approval page and a verification QR. The stamped
+-- copy is stored next to the original; its hash is what a firm's PDF is checked against.
+
+ALTER TABLE purchase_contract_table
+  ADD COLUMN IF NOT EXISTS stamped_storage_key VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS stamped_sha256 VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS stamped_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS verification_token VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_contract_verification_token
+  ON purchase_contract_table (verification_token)
+  WHERE verification_token IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_purchase_contract_stamped_sha256
+  ON purchase_contract_table (stamped_sha256);
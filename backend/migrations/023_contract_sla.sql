@@ -0,0 +1,31 @@
+-- Contract upload SLA: a contract is due a configurable number of business days
+-- after its procurement, counted against the holiday calendar like the EMD due date.
+
+-- NULL falls back to the default (7 business days)
+ALTER TABLE trading_configuration_versions
+  ADD COLUMN IF NOT EXISTS contract_due_days INTEGER CHECK (contract_due_days >= 0);
+
+-- The version carried over from the key/value configuration keeps its contract SLA
+UPDATE trading_configuration_versions
+SET contract_due_days = (SELECT (config_value #>> '{}')::INTEGER FROM trading_configuration WHERE config_key = 'CONTRACT_DUE_DAYS')
+WHERE effective_from = DATE '2000-01-01' AND contract_due_days IS NULL;
+
+-- Overdue contracts are found from procurements that have no active contract yet
+CREATE INDEX IF NOT EXISTS idx_procurement_dump_created_at
+  ON procurement_dump (created_at);
+
+-- Procurements with no contract standing for them (none uploaded, or the active version
+-- rejected), with that rejected version if any: the only indents that can be overdue
+CREATE OR REPLACE VIEW procurements_awaiting_contract AS
+SELECT
+  p.*,
+  c.id AS contract_id,
+  c.status AS contract_status,
+  c.uploaded_at AS contract_uploaded_at,
+  c.file_name AS contract_file_name,
+  c.version_number AS contract_version,
+  (SELECT COUNT(*) FROM purchase_contract_table v WHERE v.indent_number = p.indent_number) AS contract_version_count
+FROM procurement_dump p
+LEFT JOIN purchase_contract_table c
+  ON c.indent_number = p.indent_number AND c.version_state = 'active'
+WHERE c.id IS NULL OR c.status = 'rejected';
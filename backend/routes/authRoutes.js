@@ -38,6 +38,11 @@ router.post('/login', validateBody(routeSchemas.auth.login), asyncHandler(async
     return sendErrorResponse(res, 401, 'Account is inactive');
   }
 
+  // Service accounts only act through signed webhooks
+  if (user.role === 'service') {
+    return sendErrorResponse(res, 401, 'Invalid credentials');
+  }
+
   // Verify password
   const isValidPassword = await bcrypt.compare(password, user.password_hash);
   if (!isValidPassword) {
@@ -0,0 +1,437 @@
+/**
+ * Configuration routes
+ * Versioned trading configuration with effective dates, the candy rate table, and the
+ * collection account master and CDU templates
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  getTradingConfigForDate,
+  listConfigVersions,
+  scheduleConfigVersion,
+  cancelConfigVersion
+} = require('../utils/tradingConfigHelpers');
+const {
+  getCandyRate,
+  listCandyRates,
+  createCandyRate,
+  updateCandyRate,
+  deleteCandyRate
+} = require('../utils/candyRateHelpers');
+const {
+  listCollectionAccounts,
+  createCollectionAccount,
+  updateCollectionAccount,
+  listCDUTemplates,
+  updateCDUTemplate
+} = require('../utils/cduConfigHelpers');
+const {
+  fetchAgeingBuckets,
+  replaceAgeingBuckets,
+  fetchBranchHeads,
+  setBranchHead
+} = require('../utils/paymentAgeingHelpers');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/config/trading
+ * @desc    Get the trading configuration in force on a date (defaults to today)
+ * @access  Private
+ */
+router.get('/trading',
+  authenticateToken,
+  validateQuery(routeSchemas.tradingConfig.resolve),
+  asyncHandler(async (req, res) => {
+    try {
+      const config = await getTradingConfigForDate(req.query.date || new Date());
+      return sendSuccessResponse(res, { config });
+    } catch (error) {
+      return handleDatabaseError(res, error, 'fetch trading configuration');
+    }
+  })
+);
+
+/**
+ * @route   GET /api/config/trading/versions
+ * @desc    List all configuration versions with active/scheduled/superseded status
+ * @access  Private (Admin only)
+ */
+router.get('/trading/versions',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await listConfigVersions();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch configuration versions');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/config/trading/versions
+ * @desc    Schedule a new configuration version from an effective date
+ * @access  Private (Admin only)
+ */
+router.post('/trading/versions',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.tradingConfig.schedule),
+  asyncHandler(async (req, res) => {
+    const result = await scheduleConfigVersion(req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('already exists') || result.error.includes('cannot be in the past')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'schedule configuration version');
+    }
+
+    return sendSuccessResponse(res, { version: result.data }, 'Configuration version scheduled successfully', 201);
+  })
+);
+
+/**
+ * @route   DELETE /api/config/trading/versions/:id
+ * @desc    Cancel a configuration version that has not yet taken effect
+ * @access  Private (Admin only)
+ */
+router.delete('/trading/versions/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await cancelConfigVersion(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('Only versions')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'cancel configuration version');
+    }
+
+    return sendSuccessResponse(res, { version: result.data }, 'Configuration version cancelled');
+  })
+);
+
+/**
+ * @route   GET /api/config/candy-rates
+ * @desc    List candy rates and assumed bale weights by zone, branch and season
+ * @access  Private
+ */
+router.get('/candy-rates',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const result = await listCandyRates();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch candy rates');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/config/candy-rates/resolve
+ * @desc    Get the candy rate and assumed bale weight that apply to a zone, branch and season
+ * @access  Private
+ */
+router.get('/candy-rates/resolve',
+  authenticateToken,
+  validateQuery(routeSchemas.candyRate.resolve),
+  asyncHandler(async (req, res) => {
+    const { zone, branch_id, season } = req.query;
+
+    try {
+      const rate = await getCandyRate({ zone, branchId: branch_id, season });
+      return sendSuccessResponse(res, { rate });
+    } catch (error) {
+      return handleDatabaseError(res, error, 'resolve candy rate');
+    }
+  })
+);
+
+/**
+ * @route   POST /api/config/candy-rates
+ * @desc    Add a candy rate (omit zone for the default, add branch or season for overrides)
+ * @access  Private (Admin only)
+ */
+router.post('/candy-rates',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.candyRate.create),
+  asyncHandler(async (req, res) => {
+    const result = await createCandyRate(req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'create candy rate');
+    }
+
+    return sendSuccessResponse(res, { rate: result.data }, 'Candy rate created successfully', 201);
+  })
+);
+
+/**
+ * @route   PUT /api/config/candy-rates/:id
+ * @desc    Update a candy rate
+ * @access  Private (Admin only)
+ */
+router.put('/candy-rates/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.candyRate.update),
+  asyncHandler(async (req, res) => {
+    const result = await updateCandyRate(req.params.id, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update candy rate');
+    }
+
+    return sendSuccessResponse(res, { rate: result.data }, 'Candy rate updated successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/config/candy-rates/:id
+ * @desc    Delete a candy rate
+ * @access  Private (Admin only)
+ */
+router.delete('/candy-rates/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await deleteCandyRate(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'delete candy rate');
+    }
+
+    return sendSuccessResponse(res, { rate: result.data }, 'Candy rate deleted successfully');
+  })
+);
+
+/**
+ * @route   GET /api/config/collection-accounts
+ * @desc    List collection accounts (active and retired)
+ * @access  Private
+ */
+router.get('/collection-accounts',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const result = await listCollectionAccounts();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch collection accounts');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/config/collection-accounts
+ * @desc    Add a collection account (omit zone and branch for the default account)
+ * @access  Private (Admin only)
+ */
+router.post('/collection-accounts',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.cduConfig.createAccount),
+  asyncHandler(async (req, res) => {
+    const result = await createCollectionAccount(req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'create collection account');
+    }
+
+    return sendSuccessResponse(res, { account: result.data }, 'Collection account created successfully', 201);
+  })
+);
+
+/**
+ * @route   PUT /api/config/collection-accounts/:id
+ * @desc    Update or retire (is_active false) a collection account
+ * @access  Private (Admin only)
+ */
+router.put('/collection-accounts/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.cduConfig.updateAccount),
+  asyncHandler(async (req, res) => {
+    const result = await updateCollectionAccount(req.params.id, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update collection account');
+    }
+
+    return sendSuccessResponse(res, { account: result.data }, 'Collection account updated successfully');
+  })
+);
+
+/**
+ * @route   GET /api/config/cdu-templates
+ * @desc    List CDU templates by payment type
+ * @access  Private
+ */
+router.get('/cdu-templates',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const result = await listCDUTemplates();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch CDU templates');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/config/cdu-templates/:payment_type
+ * @desc    Update the CDU template for a payment type
+ * @access  Private (Admin only)
+ */
+router.put('/cdu-templates/:payment_type',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(routeSchemas.cduConfig.templateParam),
+  validateBody(routeSchemas.cduConfig.updateTemplate),
+  asyncHandler(async (req, res) => {
+    const result = await updateCDUTemplate(req.params.payment_type, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update CDU template');
+    }
+
+    return sendSuccessResponse(res, { template: result.data }, 'CDU template updated successfully');
+  })
+);
+
+/**
+ * @route   GET /api/config/ageing-buckets
+ * @desc    List payment ageing buckets and who each escalates to
+ * @access  Private
+ */
+router.get('/ageing-buckets',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const result = await fetchAgeingBuckets();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch ageing buckets');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/config/ageing-buckets
+ * @desc    Replace the payment ageing buckets (contiguous from day 0, last one open-ended)
+ * @access  Private (Admin only)
+ */
+router.put('/ageing-buckets',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.ageingConfig.updateBuckets),
+  asyncHandler(async (req, res) => {
+    const result = await replaceAgeingBuckets(req.body.buckets, req.user.id);
+
+    if (!result.success) {
+      if (result.details) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.details
+        });
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update ageing buckets');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Ageing buckets updated successfully');
+  })
+);
+
+/**
+ * @route   GET /api/config/branch-heads
+ * @desc    List branches with the head who receives branch-level escalations
+ * @access  Private (Admin only)
+ */
+router.get('/branch-heads',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await fetchBranchHeads();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch branch heads');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/config/branch-heads/:id
+ * @desc    Set or clear (user_id null) a branch head
+ * @access  Private (Admin only)
+ */
+router.put('/branch-heads/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.ageingConfig.branchHead),
+  asyncHandler(async (req, res) => {
+    const result = await setBranchHead(req.params.id, req.body.user_id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update branch head');
+    }
+
+    return sendSuccessResponse(res, { branch: result.data }, 'Branch head updated successfully');
+  })
+);
+
+module.exports = router;
@@ -5,37 +5,34 @@
 
 const express = require('express');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 const { supabase } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateBody, validateQuery } = require('../middleware/validation');
-const { routeSchemas } = require('../utils/validationSchemas');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const { commonObjects, routeSchemas } = require('../utils/validationSchemas');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
 const {
   searchProcurementByIndent,
   getPendingContracts,
   getIndentContractStatus,
+  getOverdueContractsReport,
+  getContractHistory,
   approveContract,
+  rejectContract,
+  uploadContract,
+  getContractFile,
   getContractStatistics
 } = require('../utils/contractHelpers');
 
 const router = express.Router();
 
-// Configure multer for file uploads (kept for potential future use)
-const storage = multer.memoryStorage();
+// Contracts are kept in memory until the storage adapter writes them; the PDF checks
+// (type, extension and content) run in uploadContract so they come back as a 400
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'), false);
-    }
+    files: 1
   }
 });
 
@@ -66,27 +63,105 @@ router.get('/search',
 
 /**
  * @route   POST /api/contract/upload
- * @desc    DEPRECATED: Upload contract PDF file (now handled by n8n)
- * @access  Deprecated
+ * @desc    Upload a contract PDF as the indent's next version (multipart field "contract")
+ * @access  Private (Admin, Trader)
  */
-router.post('/upload', (req, res) => {
-  return res.status(410).json({
-    success: false,
-    message: 'This endpoint is deprecated. Please upload contracts via the n8n workflow.'
-  });
-});
+router.post('/upload',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  upload.single('contract'),
+  validateBody(routeSchemas.contract.upload),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return sendErrorResponse(res, 400, 'A contract PDF file is required');
+    }
+
+    const result = await uploadContract(
+      req.file,
+      req.body.indent_number,
+      req.user.id,
+      req.body.amendment_reason || null
+    );
+
+    if (!result.success) {
+      if (result.details) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.details
+        });
+      }
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'upload contract');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Contract uploaded successfully', 201);
+  })
+);
 
 /**
- * @route   POST /api/contract/approve-send
- * @desc    DEPRECATED: Approve contract and send via email (now handled by n8n)
- * @access  Deprecated
+ * @route   GET /api/contract/:id/file
+ * @desc    Download the stored contract PDF (the stamped copy once approved; ?original=true for the upload)
+ * @access  Private (Admin, Trader)
  */
-router.post('/approve-send', (req, res) => {
-  return res.status(410).json({
-    success: false,
-    message: 'This endpoint is deprecated. Please approve contracts via the n8n workflow.'
-  });
-});
+router.get('/:id/file',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(commonObjects.idParam),
+  validateQuery(routeSchemas.contract.file),
+  asyncHandler(async (req, res) => {
+    const result = await getContractFile(req.params.id, req.query.original);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'read contract file');
+    }
+
+    const baseName = result.data.contract.file_name.replace(/"/g, '');
+    const fileName = result.data.stamped ? baseName.replace(/(\.pdf)?$/i, '_approved.pdf') : baseName;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    return res.send(result.data.content);
+  })
+);
+
+/**
+ * @route   PUT /api/contract/:id/status
+ * @desc    Approve or reject a pending contract
+ * @access  Private (Admin only)
+ */
+router.put('/:id/status',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.contract.updateStatus),
+  asyncHandler(async (req, res) => {
+    const { status, notes } = req.body;
+
+    const result = status === 'approved'
+      ? await approveContract(req.params.id, req.user.id, notes)
+      : await rejectContract(req.params.id, req.user.id, notes);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, `${status === 'approved' ? 'approve' : 'reject'} contract`);
+    }
+
+    return sendSuccessResponse(res, { contract: result.data.contract }, result.data.message);
+  })
+);
 
 /**
  * @route   GET /api/contract/pending
@@ -127,6 +202,46 @@ router.get('/indent-status',
   })
 );
 
+/**
+ * @route   GET /api/contract/overdue
+ * @desc    Indents past the contract upload SLA without a contract, grouped by branch
+ * @access  Private (Admin, Trader)
+ */
+router.get('/overdue',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(routeSchemas.contract.overdue),
+  asyncHandler(async (req, res) => {
+    const result = await getOverdueContractsReport(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch overdue contracts report');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/contract/history
+ * @desc    Get every contract version for an indent with its review trail
+ * @access  Private (Admin, Trader)
+ */
+router.get('/history',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(routeSchemas.contract.search),
+  asyncHandler(async (req, res) => {
+    const result = await getContractHistory(req.query.indent_number);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch contract history');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
 /**
  * @route   GET /api/contract/logs
  * @desc    Get contract logs (audit trail)
@@ -0,0 +1,69 @@
+/**
+ * Contract verification routes
+ * Public checks a firm can run on a contract PDF it received; no account needed
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateBody, validateParams } = require('../middleware/validation');
+const { routeSchemas } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const { getContractByVerificationToken, verifyContractFile } = require('../utils/contractStampHelpers');
+
+const router = express.Router();
+
+// Only the hash of the file is used; nothing is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+});
+
+/**
+ * @route   GET /api/public/contracts/verify/:token
+ * @desc    Details of the approved contract a verification QR points to
+ * @access  Public
+ */
+router.get('/verify/:token',
+  validateParams(routeSchemas.contractVerification.token),
+  asyncHandler(async (req, res) => {
+    const result = await getContractByVerificationToken(req.params.token);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'look up contract');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/public/contracts/verify
+ * @desc    Check a contract PDF (multipart field "contract") is an approved copy, unmodified
+ * @access  Public
+ */
+router.post('/verify',
+  upload.single('contract'),
+  validateBody(routeSchemas.contractVerification.verifyFile),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return sendErrorResponse(res, 400, 'A contract PDF file is required');
+    }
+
+    const result = await verifyContractFile(req.file.buffer, req.body.token || null);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'verify contract');
+    }
+
+    return sendSuccessResponse(res, result.data, result.data.message);
+  })
+);
+
+module.exports = router;
@@ -4,7 +4,6 @@
  */
 
 const express = require('express');
-const axios = require('axios');
 const { supabase } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
@@ -15,6 +14,7 @@ const {
   getCustomerId,
   categorizeAssignments,
   autoExpireAssignments,
+  sendLotReminders,
   calculateAssignmentSummary,
   fetchCustomerAssignments,
   fetchAssignmentDetails,
@@ -26,11 +26,6 @@ const {
 
 const router = express.Router();
 
-// Safety check for required n8n env variables
-if (!process.env.N8N_BASE_URL || !process.env.N8N_LOT_ACCEPTANCE_CONFIRMATION_WEBHOOK) {
-  throw new Error('n8n lot acceptance confirmation webhook URL or base URL is not configured in environment variables');
-}
-
 /**
  * @route   GET /api/customer/lots
  * @desc    Get customer's assigned lots
@@ -293,7 +288,7 @@ router.post('/reminder-log',
 
 /**
  * @route   POST /api/customer/manual-reminder
- * @desc    Manually trigger n8n reminder webhook for selected assignments
+ * @desc    Manually send lot reminders for selected assignments
  * @access  Private (Admin only)
  */
 router.post('/manual-reminder',
@@ -305,32 +300,13 @@ router.post('/manual-reminder',
       return sendErrorResponse(res, 400, 'assignment_ids must be a non-empty array');
     }
     
-    // Fetch assignment details
-    const { data: assignments, error: fetchError } = await supabase
-      .from('customer_assignment_table')
-      .select('*')
-      .in('id', assignment_ids);
-      
-    if (fetchError) {
-      return handleDatabaseError(res, fetchError, 'fetch assignments');
-    }
-    
-    // Build webhook URL (assume N8N_LOT_REMINDER_WEBHOOK is set)
-    if (!process.env.N8N_LOT_REMINDER_WEBHOOK) {
-      return sendErrorResponse(res, 500, 'n8n lot reminder webhook URL is not configured in environment variables');
-    }
-    
-    const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_LOT_REMINDER_WEBHOOK}`;
-    
-    // Post to n8n webhook
-    try {
-      await axios.post(webhookUrl, { assignments, triggered_by: req.user });
-    } catch (webhookError) {
-      console.error('n8n manual reminder webhook failed:', webhookError);
-      // Do not block main flow
+    // Reminders are queued on the outbox, whose worker retries failed deliveries
+    const result = await sendLotReminders(assignment_ids, req.user);
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'queue lot reminders');
     }
     
-    return sendSuccessResponse(res, assignments, 'Manual reminder triggered');
+    return sendSuccessResponse(res, result.data.assignments, 'Manual reminder triggered');
   })
 );
 
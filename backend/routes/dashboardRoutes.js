@@ -13,6 +13,9 @@ const {
   getDashboardCharts,
   getPerformanceMetrics
 } = require('../utils/dashboardHelpers');
+const { getTradingConfigForDate } = require('../utils/tradingConfigHelpers');
+const { getAgeingSummary } = require('../utils/paymentAgeingHelpers');
+const { getOverdueContractsReport } = require('../utils/contractHelpers');
 
 const router = express.Router();
 
@@ -68,23 +71,23 @@ router.get('/alerts',
     try {
       const alerts = [];
 
-      // Check for overdue payments
-      const threeDaysAgo = new Date();
-      threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
-      
-      const { data: overduePayments } = await supabase
-        .from('payments')
-        .select('id, amount, due_date')
-        .is('utr_number', null)
-        .lt('due_date', threeDaysAgo.toISOString().split('T')[0]);
-
-      if (overduePayments && overduePayments.length > 0) {
+      // Check for overdue payments by ageing bucket (the first bucket is still with the trader)
+      const ageing = await getAgeingSummary();
+      const escalatedBuckets = ageing.success
+        ? ageing.data.buckets.filter(bucket => bucket.escalate_to !== 'trader' && bucket.count > 0)
+        : [];
+      const overdueCount = escalatedBuckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+      if (overdueCount > 0) {
         alerts.push({
           type: 'warning',
           title: 'Overdue Payments',
-          message: `${overduePayments.length} payments are overdue`,
-          count: overduePayments.length,
-          action_url: '/utr/pending'
+          message: `${overdueCount} payments are overdue (${escalatedBuckets.map(bucket => `${bucket.count} in ${bucket.label}`).join(', ')})`,
+          count: overdueCount,
+          buckets: escalatedBuckets.map(({ bucket_key, label, escalate_to, count, outstanding_amount }) => ({
+            bucket_key, label, escalate_to, count, outstanding_amount
+          })),
+          action_url: '/admin/payment-ageing'
         });
       }
 
@@ -120,6 +123,39 @@ router.get('/alerts',
         });
       }
 
+      // Check for indents past the contract upload SLA
+      const overdueContracts = await getOverdueContractsReport();
+
+      if (overdueContracts.success && overdueContracts.data.total_overdue > 0) {
+        const { total_overdue: overdueContractCount, branches } = overdueContracts.data;
+        alerts.push({
+          type: 'warning',
+          title: 'Overdue Contracts',
+          message: `${overdueContractCount} indents are past the contract upload deadline (${branches.map(branch => `${branch.count} in ${branch.branch_name}`).join(', ')})`,
+          count: overdueContractCount,
+          branches: branches.map(({ branch_id, branch_name, count, max_days_overdue }) => ({
+            branch_id, branch_name, count, max_days_overdue
+          })),
+          action_url: '/contract/overdue'
+        });
+      }
+
+      // Check for outbound events that exhausted their retries
+      const { count: deadLetterCount } = await supabase
+        .from('outbox_events')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', 'dead_letter');
+
+      if (deadLetterCount > 0) {
+        alerts.push({
+          type: 'warning',
+          title: 'Undelivered Events',
+          message: `${deadLetterCount} outbound events failed every retry and need replaying`,
+          count: deadLetterCount,
+          action_url: '/admin/outbox'
+        });
+      }
+
       // Check for low inventory
       const { data: inventoryCount } = await supabase
         .from('inventory_table')
@@ -178,19 +214,28 @@ router.get('/branch-info', authenticateToken, asyncHandler(async (req, res) => {
  * @access  Private (Admin/Trader)
  */
 router.get('/procurement/config', authenticateToken, asyncHandler(async (req, res) => {
-  // For now, return hardcoded config. Replace with DB fetch if needed.
-  const config = {
-    bale_weight: 170, // kg
-    cotton_value_multiplier: 1,
-    emd_percentage_threshold: 3000, // Fixed: Changed from 2000 to 3000
-    emd_percentage_low: 15, // Fixed: Changed from 10 to 15
-    emd_percentage_high: 25, // Fixed: Changed from 20 to 25
-    gst_same_state: { cgst: 2.5, sgst: 2.5 }, // Fixed: Changed from 9 to 2.5
-    gst_diff_state: { igst: 5 }, // Fixed: Changed from 18 to 5
-    emd_due_days: 5
-  };
-  
-  return sendSuccessResponse(res, { data: config });
+  let config;
+  try {
+    config = await getTradingConfigForDate(new Date());
+  } catch (error) {
+    return handleDatabaseError(res, error, 'fetch procurement config');
+  }
+
+  return sendSuccessResponse(res, {
+    data: {
+      version: config.version,
+      effective_from: config.effectiveFrom,
+      bale_weight: config.baleWeight,
+      cotton_value_multiplier: 1,
+      emd_percentage_threshold: config.emdThreshold,
+      emd_percentage_low: config.emdLow,
+      emd_percentage_high: config.emdHigh,
+      gst_same_state: { cgst: config.gstRates.cgst, sgst: config.gstRates.sgst },
+      gst_diff_state: { igst: config.gstRates.igst },
+      emd_due_days: config.emdDueDays,
+      contract_due_days: config.contractDueDays
+    }
+  });
 }));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Holiday calendar routes
+ * Admin management of national and state holidays used for due-date calculation
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  fetchHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays,
+  calculateBusinessDueDate,
+  toDateString
+} = require('../utils/holidayHelpers');
+
+const router = express.Router();
+
+// Holiday files are small text files; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB
+  },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith('.csv') || name.endsWith('.ics')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or ICS files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * @route   GET /api/holidays
+ * @desc    List holidays, optionally filtered by year, state or date range
+ * @access  Private
+ */
+router.get('/',
+  authenticateToken,
+  validateQuery(routeSchemas.holiday.list),
+  asyncHandler(async (req, res) => {
+    const result = await fetchHolidays(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch holidays');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/holidays/due-date
+ * @desc    Preview a due date N business days after a start date
+ * @access  Private
+ */
+router.get('/due-date',
+  authenticateToken,
+  validateQuery(routeSchemas.holiday.dueDate),
+  asyncHandler(async (req, res) => {
+    const { start_date, business_days, state } = req.query;
+
+    try {
+      const dueDate = await calculateBusinessDueDate(start_date, business_days, state);
+      return sendSuccessResponse(res, {
+        start_date: toDateString(start_date),
+        business_days,
+        state: state || null,
+        due_date: dueDate
+      });
+    } catch (error) {
+      return handleDatabaseError(res, error, 'calculate due date');
+    }
+  })
+);
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Create a holiday (omit state for a national holiday)
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.holiday.create),
+  asyncHandler(async (req, res) => {
+    const result = await createHoliday(req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'create holiday');
+    }
+
+    return sendSuccessResponse(res, { holiday: result.data }, 'Holiday created successfully', 201);
+  })
+);
+
+/**
+ * @route   POST /api/holidays/import
+ * @desc    Bulk import holidays from a CSV or ICS file
+ * @access  Private (Admin only)
+ */
+router.post('/import',
+  authenticateToken,
+  authorizeRoles('admin'),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return sendErrorResponse(res, 400, 'A CSV or ICS file is required');
+    }
+
+    const result = await importHolidays(req.file, req.body.state, req.user.id);
+
+    if (!result.success) {
+      if (result.details) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.details
+        });
+      }
+      return handleDatabaseError(res, { message: result.error }, 'import holidays');
+    }
+
+    return sendSuccessResponse(res, result.data, `Imported ${result.data.imported} holidays`);
+  })
+);
+
+/**
+ * @route   PUT /api/holidays/:id
+ * @desc    Update a holiday
+ * @access  Private (Admin only)
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.holiday.update),
+  asyncHandler(async (req, res) => {
+    const result = await updateHoliday(req.params.id, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update holiday');
+    }
+
+    return sendSuccessResponse(res, { holiday: result.data }, 'Holiday updated successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/holidays/:id
+ * @desc    Delete a holiday
+ * @access  Private (Admin only)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await deleteHoliday(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'delete holiday');
+    }
+
+    return sendSuccessResponse(res, { holiday: result.data }, 'Holiday deleted successfully');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Indent routes
+ * Cross-module views of a single indent
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateParams } = require('../middleware/validation');
+const { routeSchemas } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const { VERIFIER_ROLES } = require('../utils/paymentHelpers');
+const { buildIndentTimeline } = require('../utils/indentTimelineHelpers');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/indents/:indent_number/timeline
+ * @desc    Lifecycle timeline of an indent, from allocation to DO specification, with the current stage
+ * @access  Private (Admin, trader for own allocations, verifier)
+ */
+router.get('/:indent_number/timeline',
+  authenticateToken,
+  authorizeRoles('trader', ...VERIFIER_ROLES),
+  validateParams(routeSchemas.indent.params),
+  asyncHandler(async (req, res) => {
+    const result = await buildIndentTimeline(req.params.indent_number, req.user);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'build indent timeline');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+/**
+ * Background job routes
+ * Progress, resume and retry for long-running batch jobs such as bulk procurement
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  fetchJobs,
+  getJob,
+  fetchJobItems,
+  resumeJob,
+  retryFailedItems
+} = require('../utils/jobHelpers');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List recent background jobs
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.job.list),
+  asyncHandler(async (req, res) => {
+    const result = await fetchJobs(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch jobs');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get job status and progress
+ * @access  Private (Admin only)
+ */
+router.get('/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await getJob(req.params.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'fetch job');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/jobs/:id/items
+ * @desc    List a job's items with their outcome
+ * @access  Private (Admin only)
+ */
+router.get('/:id/items',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateQuery(routeSchemas.job.items),
+  asyncHandler(async (req, res) => {
+    const result = await fetchJobItems(req.params.id, req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch job items');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/jobs/:id/resume
+ * @desc    Resume an interrupted or failed job from its pending items
+ * @access  Private (Admin only)
+ */
+router.post('/:id/resume',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await resumeJob(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'resume job');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Job resumed', 202);
+  })
+);
+
+/**
+ * @route   POST /api/jobs/:id/retry
+ * @desc    Retry a finished job's failed items
+ * @access  Private (Admin only)
+ */
+router.post('/:id/retry',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await retryFailedItems(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('still running') || result.error.includes('no failed items')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'retry job');
+    }
+
+    return sendSuccessResponse(res, result.data, `Retrying ${result.data.retried} failed items`, 202);
+  })
+);
+
+module.exports = router;
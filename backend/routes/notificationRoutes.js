@@ -0,0 +1,260 @@
+/**
+ * Notification routes
+ * Delivery log with retry, per-channel templates, recipient preferences and adapter status
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const { describeAdapters, isFakeMode, getFakeOutbox } = require('../utils/notificationAdapters');
+const {
+  fetchDeliveries,
+  retryDelivery,
+  fetchTemplates,
+  updateTemplate,
+  fetchPreferences,
+  savePreferences,
+  sendTestNotification
+} = require('../utils/notificationHelpers');
+
+const router = express.Router();
+
+/**
+ * Preferences belong to the customer record for customer logins and to the user otherwise
+ */
+function ownRecipient(user) {
+  return {
+    recipientType: user.role === 'customer' ? 'customer' : 'user',
+    recipientId: user.id
+  };
+}
+
+/**
+ * Send the preferences result, mapping validation details to a 400
+ */
+function sendPreferencesResult(res, result, message) {
+  if (!result.success) {
+    if (result.details) {
+      return res.status(400).json({ success: false, message: result.error, errors: result.details });
+    }
+    return handleDatabaseError(res, { message: result.error }, 'save notification preferences');
+  }
+
+  return sendSuccessResponse(res, result.data, message);
+}
+
+/**
+ * @route   GET /api/notifications/channels
+ * @desc    Adapter behind each channel and whether it is configured
+ * @access  Private (Admin only)
+ */
+router.get('/channels',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    return sendSuccessResponse(res, {
+      fake_mode: isFakeMode(),
+      channels: describeAdapters(),
+      fake_outbox: isFakeMode() ? getFakeOutbox().slice(0, 50) : []
+    });
+  })
+);
+
+/**
+ * @route   GET /api/notifications/deliveries
+ * @desc    Delivery log, newest first
+ * @access  Private (Admin only)
+ */
+router.get('/deliveries',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.notification.deliveries),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+
+    const result = await fetchDeliveries(filters, { page, limit });
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch notification deliveries');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/notifications/deliveries/:id/retry
+ * @desc    Retry a failed delivery now by replaying its outbox event
+ * @access  Private (Admin only)
+ */
+router.post('/deliveries/:id/retry',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await retryDelivery(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      if (result.error.includes('no outbox event')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'retry notification');
+    }
+
+    const sent = result.data.delivery.status === 'sent';
+    return sendSuccessResponse(res, result.data, sent ? 'Notification sent' : 'Notification failed again');
+  })
+);
+
+/**
+ * @route   POST /api/notifications/test
+ * @desc    Send a test message on one channel
+ * @access  Private (Admin only)
+ */
+router.post('/test',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.notification.test),
+  asyncHandler(async (req, res) => {
+    const result = await sendTestNotification(req.body.channel, req.body.address, req.user.id);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'send test notification');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Test notification processed');
+  })
+);
+
+/**
+ * @route   GET /api/notifications/templates
+ * @desc    Templates per event and channel
+ * @access  Private (Admin only)
+ */
+router.get('/templates',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await fetchTemplates();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch notification templates');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/notifications/templates/:id
+ * @desc    Edit a template, switch its channel on or off, or change its default opt-in
+ * @access  Private (Admin only)
+ */
+router.put('/templates/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.notification.updateTemplate),
+  asyncHandler(async (req, res) => {
+    const result = await updateTemplate(req.params.id, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update notification template');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Template updated');
+  })
+);
+
+/**
+ * @route   GET /api/notifications/preferences/me
+ * @desc    The signed-in user's (or customer's) channel preferences
+ * @access  Private
+ */
+router.get('/preferences/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { recipientType, recipientId } = ownRecipient(req.user);
+
+    const result = await fetchPreferences(recipientType, recipientId);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch notification preferences');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/notifications/preferences/me
+ * @desc    Replace the signed-in user's (or customer's) channel preferences
+ * @access  Private
+ */
+router.put('/preferences/me',
+  authenticateToken,
+  validateBody(routeSchemas.notification.preferences),
+  asyncHandler(async (req, res) => {
+    const { recipientType, recipientId } = ownRecipient(req.user);
+
+    const result = await savePreferences(recipientType, recipientId, req.body.preferences, req.user.id);
+
+    return sendPreferencesResult(res, result, 'Notification preferences saved');
+  })
+);
+
+/**
+ * @route   GET /api/notifications/preferences/:recipient_type/:recipient_id
+ * @desc    A user's or customer's channel preferences
+ * @access  Private (Admin only)
+ */
+router.get('/preferences/:recipient_type/:recipient_id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(routeSchemas.notification.recipientParams),
+  asyncHandler(async (req, res) => {
+    const result = await fetchPreferences(req.params.recipient_type, req.params.recipient_id);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch notification preferences');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/notifications/preferences/:recipient_type/:recipient_id
+ * @desc    Replace a user's or customer's channel preferences
+ * @access  Private (Admin only)
+ */
+router.put('/preferences/:recipient_type/:recipient_id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(routeSchemas.notification.recipientParams),
+  validateBody(routeSchemas.notification.preferences),
+  asyncHandler(async (req, res) => {
+    const result = await savePreferences(
+      req.params.recipient_type,
+      req.params.recipient_id,
+      req.body.preferences,
+      req.user.id
+    );
+
+    return sendPreferencesResult(res, result, 'Notification preferences saved');
+  })
+);
+
+module.exports = router;
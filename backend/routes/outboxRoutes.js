@@ -0,0 +1,150 @@
+/**
+ * Outbox routes
+ * Inspect queued and dead-lettered outbound events and replay them, and the domain
+ * events whose subscribers the outbox delivers
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  fetchOutboxEvents,
+  getOutboxSummary,
+  replayOutboxEvent,
+  replayDeadLetters
+} = require('../utils/outboxHelpers');
+const { listSubscriptions, fetchDomainEvents } = require('../utils/domainEventBus');
+// Registers the handlers for the event types the outbox delivers
+require('../utils/notificationHelpers');
+require('../utils/domainEventSubscribers');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/outbox/summary
+ * @desc    Event counts per status and the oldest pending event
+ * @access  Private (Admin only)
+ */
+router.get('/summary',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await getOutboxSummary();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch outbox summary');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/outbox/events
+ * @desc    List outbox events (status=dead_letter for the dead-letter view)
+ * @access  Private (Admin only)
+ */
+router.get('/events',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.outbox.events),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+
+    const result = await fetchOutboxEvents(filters, { page, limit });
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch outbox events');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/outbox/events/:id/replay
+ * @desc    Re-queue an event and attempt it immediately
+ * @access  Private (Admin only)
+ */
+router.post('/events/:id/replay',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await replayOutboxEvent(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'replay outbox event');
+    }
+
+    const { status } = result.data.event;
+    const message = status === 'delivered'
+      ? 'Event delivered'
+      : status === 'dead_letter' ? 'Event failed again' : 'Event queued for retry';
+    return sendSuccessResponse(res, result.data, message);
+  })
+);
+
+/**
+ * @route   POST /api/outbox/dead-letters/replay
+ * @desc    Re-queue dead-lettered events (all, or the given IDs) for the worker
+ * @access  Private (Admin only)
+ */
+router.post('/dead-letters/replay',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.outbox.replayDeadLetters),
+  asyncHandler(async (req, res) => {
+    const result = await replayDeadLetters(req.body.event_ids, req.user.id);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'replay dead letters');
+    }
+
+    return sendSuccessResponse(res, result.data, `${result.data.replayed} events re-queued`);
+  })
+);
+
+/**
+ * @route   GET /api/outbox/domain-events
+ * @desc    Published domain events with each subscriber's delivery state
+ * @access  Private (Admin only)
+ */
+router.get('/domain-events',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.outbox.domainEvents),
+  asyncHandler(async (req, res) => {
+    const result = await fetchDomainEvents(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch domain events');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/outbox/subscriptions
+ * @desc    Subscribers registered for each domain event
+ * @access  Private (Admin only)
+ */
+router.get('/subscriptions',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    return sendSuccessResponse(res, { subscriptions: listSubscriptions() });
+  })
+);
+
+module.exports = router;
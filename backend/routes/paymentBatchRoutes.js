@@ -0,0 +1,214 @@
+/**
+ * Payment batch routes
+ * Export pending payments as net banking bulk-payment files and import the bank's response
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  BULK_FORMATS,
+  fetchPayablePayments,
+  createPaymentBatch,
+  fetchPaymentBatches,
+  fetchPaymentBatch,
+  importBatchResponse
+} = require('../utils/paymentBatchHelpers');
+
+const router = express.Router();
+
+// Bank response files are small CSVs; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (['.csv', '.txt'].some(extension => name.endsWith(extension))) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or TXT response files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * @route   GET /api/payment-batches/formats
+ * @desc    List supported bulk-payment file formats
+ * @access  Private (Admin only)
+ */
+router.get('/formats',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const formats = Object.entries(BULK_FORMATS).map(([id, format]) => ({
+      id,
+      label: format.label,
+      modes: format.modes
+    }));
+
+    return sendSuccessResponse(res, { formats });
+  })
+);
+
+/**
+ * @route   GET /api/payment-batches/payable
+ * @desc    List payments awaiting UTRs that can go into a new batch
+ * @access  Private (Admin only)
+ */
+router.get('/payable',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await fetchPayablePayments();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch payable payments');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/payment-batches
+ * @desc    Export selected payments as a bulk-payment batch
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.paymentBatch.create),
+  asyncHandler(async (req, res) => {
+    const { payment_ids, ...options } = req.body;
+
+    const result = await createPaymentBatch(payment_ids, options, req.user.id);
+
+    if (!result.success) {
+      if (result.details) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.details
+        });
+      }
+      if (result.error.includes('retry') || result.error.includes('already in an open batch')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'export payment batch');
+    }
+
+    const { file_content, ...batch } = result.data;
+    return sendSuccessResponse(res, { batch }, `Batch ${batch.batch_number} exported with ${batch.payment_count} payments`, 201);
+  })
+);
+
+/**
+ * @route   GET /api/payment-batches
+ * @desc    List exported payment batches
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.paymentBatch.list),
+  asyncHandler(async (req, res) => {
+    const result = await fetchPaymentBatches(req.query.limit);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch payment batches');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/payment-batches/:id
+ * @desc    Get a payment batch with its payments and their bank outcome
+ * @access  Private (Admin only)
+ */
+router.get('/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await fetchPaymentBatch(req.params.id);
+
+    if (!result.success) {
+      return sendErrorResponse(res, 404, result.error);
+    }
+
+    const { file_content, ...batch } = result.data;
+    return sendSuccessResponse(res, { batch });
+  })
+);
+
+/**
+ * @route   GET /api/payment-batches/:id/file
+ * @desc    Download the bulk-payment file exactly as exported
+ * @access  Private (Admin only)
+ */
+router.get('/:id/file',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await fetchPaymentBatch(req.params.id);
+
+    if (!result.success) {
+      return sendErrorResponse(res, 404, result.error);
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.data.file_name}"`);
+    return res.send(result.data.file_content);
+  })
+);
+
+/**
+ * @route   POST /api/payment-batches/:id/response
+ * @desc    Import the bank's response file; paid rows submit their UTRs for verification
+ * @access  Private (Admin only)
+ */
+router.post('/:id/response',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return sendErrorResponse(res, 400, 'A CSV response file is required');
+    }
+
+    const result = await importBatchResponse(req.params.id, req.file, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.details) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.details
+        });
+      }
+      return handleDatabaseError(res, { message: result.error }, 'import batch response');
+    }
+
+    const summary = result.data;
+    return sendSuccessResponse(
+      res,
+      summary,
+      `${summary.paid} paid, ${summary.failed} failed, ${summary.pending} still pending, ${summary.unmatched.length} unmatched`
+    );
+  })
+);
+
+module.exports = router;
@@ -4,37 +4,80 @@
  */
 
 const express = require('express');
-const axios = require('axios');
 const { supabase } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateBody, validateParams } = require('../middleware/validation');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
 const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
 const {
   generateCDU,
+  previewCDU,
   submitUTR,
   fetchPaymentDetails,
   fetchPayments,
   getPaymentStatistics,
-  validatePaymentData
+  validatePaymentData,
+  verifyUTREntry,
+  fetchUTREntries,
+  fetchSuspiciousUTRs,
+  resolveSuspiciousUTR,
+  AWAITING_UTR_STATUSES,
+  VERIFIER_ROLES,
+  SETTLED_PAYMENT_STATUSES
 } = require('../utils/paymentHelpers');
+const { sumMoney } = require('../utils/moneyHelpers');
+const { generateCDUPdf } = require('../utils/cduPdfHelpers');
+const {
+  getAgeingReport,
+  refreshPaymentAgeing,
+  fetchAgeingPayments,
+  sendPaymentReminders
+} = require('../utils/paymentAgeingHelpers');
 
 const router = express.Router();
 
+/**
+ * @route   GET /api/payment/cdu/preview
+ * @desc    Show the template, collection account and payment mode the rules pick for a CDU
+ * @access  Private
+ */
+router.get('/cdu/preview',
+  authenticateToken,
+  validateQuery(routeSchemas.payment.cduPreview),
+  asyncHandler(async (req, res) => {
+    const { procurement_id, ...options } = req.query;
+
+    const result = await previewCDU(procurement_id, options);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('required') || result.error.includes('No active CDU template')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'preview CDU');
+    }
+
+    return sendSuccessResponse(res, { cdu: result.data });
+  })
+);
+
 /**
  * @route   POST /api/payment/cdu
- * @desc    Generate CDU (payment draft) from procurement record
+ * @desc    Generate CDU (payment draft) from procurement record; account and mode come from
+ *          the CDU rules unless overridden with a reason
  * @access  Private
  */
 router.post('/cdu', 
   authenticateToken,
   validateBody(routeSchemas.payment.cdu),
   asyncHandler(async (req, res) => {
-    const { procurement_id } = req.body;
+    const { procurement_id, ...options } = req.body;
 
     // Use utility function to generate CDU
-    const result = await generateCDU(procurement_id, req.user.id);
+    const result = await generateCDU(procurement_id, req.user.id, options);
 
     if (!result.success) {
       if (result.error.includes('not found')) {
@@ -43,6 +86,10 @@ router.post('/cdu',
       if (result.error.includes('already exists')) {
         return sendErrorResponse(res, 400, result.error);
       }
+      if (result.error.includes('required') || result.error.includes('No active CDU template') ||
+          result.error.includes('unknown or inactive')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
       return handleDatabaseError(res, { message: result.error }, 'generate CDU');
     }
 
@@ -52,35 +99,45 @@ router.post('/cdu',
 
 /**
  * @route   POST /api/utr/submit
- * @desc    Submit UTR number for a payment
+ * @desc    Submit a UTR tranche (UTR number, amount, paid date) for a payment; it awaits verification
  * @access  Private
  */
 router.post('/submit', 
   authenticateToken,
   validateBody(routeSchemas.payment.utrSubmit),
   asyncHandler(async (req, res) => {
-    const { payment_id, utr_number } = req.body;
+    const { payment_id, utr_number, amount, paid_date } = req.body;
 
     // Use utility function to submit UTR
-    const result = await submitUTR(payment_id, utr_number, req.user.id);
+    const result = await submitUTR(payment_id, { utr_number, amount, paid_date }, req.user.id);
 
     if (!result.success) {
       if (result.error.includes('not found')) {
         return sendErrorResponse(res, 404, result.error);
       }
-      if (result.error.includes('already submitted')) {
+      if (result.error.includes('already used')) {
+        return res.status(409).json({
+          success: false,
+          message: result.error,
+          data: result.details
+        });
+      }
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      if (result.error.includes('already submitted') || result.error.includes('greater than 0') || result.error.includes('Invalid UTR format')) {
         return sendErrorResponse(res, 400, result.error);
       }
       return handleDatabaseError(res, { message: result.error }, 'submit UTR');
     }
 
-    return sendSuccessResponse(res, { payment: result.data }, 'UTR submitted successfully');
+    return sendSuccessResponse(res, { payment: result.data }, 'UTR submitted for verification');
   })
 );
 
 /**
  * @route   GET /api/utr/pending
- * @desc    Get all pending UTR payments (overdue)
+ * @desc    Get all pending or partially paid payments (overdue) with their outstanding balance
  * @access  Private (Admin only)
  */
 router.get('/pending', 
@@ -104,7 +161,7 @@ router.get('/pending',
           )
         )
       `)
-      .is('utr_number', null)
+      .in('payment_status', AWAITING_UTR_STATUSES)
       .lt('due_date', threeDaysAgo.toISOString().split('T')[0])
       .order('due_date', { ascending: true });
 
@@ -112,23 +169,26 @@ router.get('/pending',
       return handleDatabaseError(res, error, 'fetch pending payments');
     }
 
-    // Calculate overdue days for each payment
+    // Calculate overdue days and outstanding balance for each payment
     const today = new Date();
     const paymentsWithOverdue = pendingPayments.map(payment => ({
       ...payment,
+      paid_amount: payment.paid_amount || 0,
+      outstanding_amount: payment.outstanding_amount ?? payment.amount,
       overdue_days: Math.ceil((today - new Date(payment.due_date)) / (1000 * 60 * 60 * 24))
     }));
 
     return sendSuccessResponse(res, {
       pending_payments: paymentsWithOverdue,
-      count: paymentsWithOverdue.length
+      count: paymentsWithOverdue.length,
+      total_outstanding: sumMoney(paymentsWithOverdue.map(payment => payment.outstanding_amount))
     });
   })
 );
 
 /**
  * @route   GET /api/payment/verified
- * @desc    Get all verified payments
+ * @desc    Get all settled (paid or overpaid) payments
  * @access  Private
  */
 router.get('/verified', 
@@ -139,7 +199,7 @@ router.get('/verified',
 
     // Use utility function to fetch payments
     const result = await fetchPayments(
-      { status: 'verified' },
+      { status: SETTLED_PAYMENT_STATUSES },
       { page, limit },
       req.user
     );
@@ -152,6 +212,182 @@ router.get('/verified',
   })
 );
 
+/**
+ * @route   GET /api/utr/entries
+ * @desc    List UTR tranches by verification stage (submitted, verified, rejected)
+ * @access  Private (Admin, trader, verifier)
+ */
+router.get('/entries',
+  authenticateToken,
+  authorizeRoles('admin', 'trader', ...VERIFIER_ROLES),
+  validateQuery(routeSchemas.payment.utrEntries),
+  asyncHandler(async (req, res) => {
+    const { verification_status, search, page, limit } = req.query;
+
+    const result = await fetchUTREntries({ verification_status, search }, { page, limit });
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch UTR entries');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/utr/entries/:id/verify
+ * @desc    Approve or reject a submitted UTR tranche; the submitter cannot verify their own UTR
+ * @access  Private (Verifier or admin)
+ */
+router.post('/entries/:id/verify',
+  authenticateToken,
+  authorizeRoles(...VERIFIER_ROLES),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.payment.verifyUTR),
+  asyncHandler(async (req, res) => {
+    const { decision, reason } = req.body;
+
+    const result = await verifyUTREntry(req.params.id, decision, reason, req.user);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('someone other than') || result.error.includes('Only verifiers')) {
+        return sendErrorResponse(res, 403, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'verify UTR');
+    }
+
+    return sendSuccessResponse(res, result.data, decision === 'verified' ? 'UTR verified' : 'UTR rejected');
+  })
+);
+
+/**
+ * @route   GET /api/payment/suspicious-utrs
+ * @desc    List UTR reuse attempts awaiting (or after) admin review
+ * @access  Private (Admin only)
+ */
+router.get('/suspicious-utrs',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.payment.suspiciousList),
+  asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+
+    const result = await fetchSuspiciousUTRs(status, { page, limit });
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch suspicious UTRs');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/payment/suspicious-utrs/:id/resolve
+ * @desc    Approve (record the tranche anyway) or reject a UTR reuse attempt
+ * @access  Private (Admin only)
+ */
+router.post('/suspicious-utrs/:id/resolve',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.payment.resolveSuspicious),
+  asyncHandler(async (req, res) => {
+    const { decision, reason } = req.body;
+
+    const result = await resolveSuspiciousUTR(req.params.id, decision, reason, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      if (result.error.includes('Invalid UTR format')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'resolve suspicious UTR');
+    }
+
+    return sendSuccessResponse(res, result.data, `UTR reuse ${decision}`);
+  })
+);
+
+/**
+ * @route   GET /api/payment/ageing
+ * @desc    Ageing report: payments awaiting a UTR by days-past-due bucket, with escalation recipients
+ * @access  Private (Admin only)
+ */
+router.get('/ageing',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.payment.ageingReport),
+  asyncHandler(async (req, res) => {
+    const result = await getAgeingReport(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch payment ageing report');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/payment/ageing/refresh
+ * @desc    Record bucket entries and (optionally) send escalation reminders for payments that entered a bucket
+ * @access  Private (Admin only)
+ */
+router.post('/ageing/refresh',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.payment.ageingRefresh),
+  asyncHandler(async (req, res) => {
+    const result = await refreshPaymentAgeing({ notify: req.body.notify, userId: req.user.id });
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'refresh payment ageing');
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      `${result.data.entered.length} payments entered a new bucket`
+    );
+  })
+);
+
+/**
+ * @route   GET /api/payment/:id/cdu.pdf
+ * @desc    Download the CDU payment advice as a PDF
+ * @access  Private
+ */
+router.get('/:id/cdu.pdf',
+  authenticateToken,
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await generateCDUPdf(req.params.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'generate CDU PDF');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.data.fileName}"`);
+    return res.send(result.data.buffer);
+  })
+);
+
 /**
  * @route   GET /api/payment/:id
  * @desc    Get payment details by ID
@@ -176,7 +412,7 @@ router.get('/:id',
 
 /**
  * @route   POST /api/payment/send-reminder
- * @desc    Trigger n8n webhook to send payment reminders
+ * @desc    Send payment reminders through the notification service (by payment or for a whole ageing bucket)
  * @access  Private (Admin only)
  */
 router.post('/send-reminder', 
@@ -184,36 +420,32 @@ router.post('/send-reminder',
   authorizeRoles('admin'),
   validateBody(routeSchemas.payment.sendReminder),
   asyncHandler(async (req, res) => {
-    const { payment_ids } = req.body;
-
-    try {
-      // Trigger n8n webhook for payment reminders
-      const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_PAYMENT_REMINDER_WEBHOOK}`;
-      
-      const response = await axios.post(webhookUrl, {
-        payment_ids,
-        triggered_by: req.user.id,
-        timestamp: new Date().toISOString()
-      });
-
-      // Log reminder trigger
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'payments',
-          action: 'REMINDER_TRIGGERED',
-          user_id: req.user.id,
-          new_values: { payment_ids, n8n_response: response.data }
-        });
+    let paymentIds = req.body.payment_ids;
+
+    // Remind every payment currently in an ageing bucket
+    if (!paymentIds) {
+      const bucketResult = await fetchAgeingPayments();
+      if (!bucketResult.success) {
+        return handleDatabaseError(res, { message: bucketResult.error }, 'fetch ageing payments');
+      }
+      paymentIds = bucketResult.data.payments
+        .filter(payment => payment.bucket_key === req.body.bucket_key)
+        .map(payment => payment.id);
 
-      return sendSuccessResponse(res, {
-        triggered_count: payment_ids.length,
-        n8n_response: response.data
-      }, 'Payment reminders triggered successfully');
-    } catch (error) {
-      console.error('n8n webhook error:', error);
-      return handleDatabaseError(res, { message: error.message }, 'trigger payment reminders');
+      if (paymentIds.length === 0) {
+        return sendErrorResponse(res, 404, 'No payments in this ageing bucket');
+      }
     }
+
+    // Notify each payment's escalation recipients with its bucket
+    const result = await sendPaymentReminders(paymentIds, req.user.id);
+
+    if (!result.success) {
+      console.error('Payment reminder error:', result.error);
+      return handleDatabaseError(res, { message: result.error }, 'trigger payment reminders');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Payment reminders triggered successfully');
   })
 );
 
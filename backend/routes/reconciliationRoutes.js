@@ -0,0 +1,175 @@
+/**
+ * Bank reconciliation routes
+ * Import bank statements and confirm their lines against open payments
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  importBankStatement,
+  fetchBankStatements,
+  fetchStatementLines,
+  confirmStatementLine,
+  ignoreStatementLine
+} = require('../utils/bankStatementHelpers');
+
+const router = express.Router();
+
+// Statements are text files (CSV, MT940 or CAMT.053 XML); keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (['.csv', '.txt', '.sta', '.mt940', '.940', '.xml'].some(extension => name.endsWith(extension))) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, MT940 or CAMT.053 XML statements are allowed'), false);
+    }
+  }
+});
+
+/**
+ * Map a statement line error to a response
+ */
+function sendLineError(res, error, operation) {
+  if (error.includes('not found')) {
+    return sendErrorResponse(res, 404, error);
+  }
+  if (error.includes('already')) {
+    return sendErrorResponse(res, 409, error);
+  }
+  if (error.includes('Select the payment') || error.includes('no UTR') || error.includes('settled') || error.includes('Invalid UTR format')) {
+    return sendErrorResponse(res, 400, error);
+  }
+  return handleDatabaseError(res, { message: error }, operation);
+}
+
+/**
+ * @route   POST /api/reconciliation/statements
+ * @desc    Import a bank statement and match its lines to open payments
+ * @access  Private (Admin only)
+ */
+router.post('/statements',
+  authenticateToken,
+  authorizeRoles('admin'),
+  upload.single('file'),
+  validateBody(routeSchemas.reconciliation.importStatement),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return sendErrorResponse(res, 400, 'A CSV, MT940 or CAMT.053 statement file is required');
+    }
+
+    const result = await importBankStatement(req.file, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.details) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.details
+        });
+      }
+      return handleDatabaseError(res, { message: result.error }, 'import bank statement');
+    }
+
+    const { statement } = result.data;
+    return sendSuccessResponse(
+      res,
+      result.data,
+      `Imported ${statement.line_count} lines: ${statement.matched_count} matched, ${statement.ambiguous_count} ambiguous, ${statement.unmatched_count} unmatched`,
+      201
+    );
+  })
+);
+
+/**
+ * @route   GET /api/reconciliation/statements
+ * @desc    List imported bank statements
+ * @access  Private (Admin only)
+ */
+router.get('/statements',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.reconciliation.statements),
+  asyncHandler(async (req, res) => {
+    const result = await fetchBankStatements(req.query.limit);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch bank statements');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   GET /api/reconciliation/statements/:id/lines
+ * @desc    List statement lines with their matched and candidate payments
+ * @access  Private (Admin only)
+ */
+router.get('/statements/:id/lines',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateQuery(routeSchemas.reconciliation.lines),
+  asyncHandler(async (req, res) => {
+    const result = await fetchStatementLines(req.params.id, req.query.status);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch statement lines');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/reconciliation/lines/:id/confirm
+ * @desc    Confirm a statement line against a payment, recording its UTR as a tranche
+ * @access  Private (Admin only)
+ */
+router.post('/lines/:id/confirm',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.reconciliation.confirmLine),
+  asyncHandler(async (req, res) => {
+    const result = await confirmStatementLine(req.params.id, req.body.payment_id, req.user.id);
+
+    if (!result.success) {
+      return sendLineError(res, result.error, 'confirm statement line');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Statement line confirmed');
+  })
+);
+
+/**
+ * @route   POST /api/reconciliation/lines/:id/ignore
+ * @desc    Mark a statement line as unrelated to any payment
+ * @access  Private (Admin only)
+ */
+router.post('/lines/:id/ignore',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await ignoreStatementLine(req.params.id, req.user.id);
+
+    if (!result.success) {
+      return sendLineError(res, result.error, 'ignore statement line');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Statement line ignored');
+  })
+);
+
+module.exports = router;
@@ -19,14 +19,10 @@ const {
   processSalesConfirmation, 
   createSalesOrder 
 } = require('../utils/salesHelpers');
+const { sumMoney } = require('../utils/moneyHelpers');
 
 const router = express.Router();
 
-// Add safety check for n8n env variables at the top (we have to add the draft webhook later is used !process.env.N8N_DRAFT_WEBHOOK )
-if (!process.env.N8N_BASE_URL || !process.env.N8N_SALES_CONFIRMATION_WEBHOOK) {
-  throw new Error('n8n webhook URLs are not configured in environment variables');
-}
-
 /**
  * @route   GET /api/sales/pending-orders
  * @desc    Get all pending sales orders
@@ -133,7 +129,7 @@ router.post('/manual-lot-selection',
     }
 
     // Calculate total value
-    const totalValue = lots.reduce((sum, lot) => sum + (lot.bid_price || 0), 0);
+    const totalValue = sumMoney(lots.map(lot => lot.bid_price));
 
     return sendSuccessResponse(res, {
       selected_lots: lots,
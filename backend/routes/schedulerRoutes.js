@@ -0,0 +1,118 @@
+/**
+ * Scheduler routes
+ * View scheduled jobs and their run history, change schedules and trigger runs
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  fetchScheduledJobs,
+  updateScheduledJob,
+  executeScheduledJob,
+  fetchJobRuns
+} = require('../utils/schedulerHelpers');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/scheduler/jobs
+ * @desc    List scheduled jobs with their schedule, lease and last outcome
+ * @access  Private (Admin only)
+ */
+router.get('/jobs',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await fetchScheduledJobs();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch scheduled jobs');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   PUT /api/scheduler/jobs/:job_key
+ * @desc    Change a job's cron expression, lease length or enable/disable it
+ * @access  Private (Admin only)
+ */
+router.put('/jobs/:job_key',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(routeSchemas.scheduler.jobParam),
+  validateBody(routeSchemas.scheduler.updateJob),
+  asyncHandler(async (req, res) => {
+    const result = await updateScheduledJob(req.params.job_key, req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('Invalid cron')) {
+        return sendErrorResponse(res, 400, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update scheduled job');
+    }
+
+    return sendSuccessResponse(res, { job: result.data }, 'Scheduled job updated successfully');
+  })
+);
+
+/**
+ * @route   POST /api/scheduler/jobs/:job_key/run
+ * @desc    Run a job now (waits for it to finish)
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/:job_key/run',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(routeSchemas.scheduler.jobParam),
+  asyncHandler(async (req, res) => {
+    const result = await executeScheduledJob(req.params.job_key, { trigger: 'manual', userId: req.user.id });
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      if (result.error.includes('already running')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'run scheduled job');
+    }
+
+    const { run } = result.data;
+    return sendSuccessResponse(
+      res,
+      { run },
+      run.status === 'succeeded' ? 'Job finished successfully' : `Job failed: ${run.error}`
+    );
+  })
+);
+
+/**
+ * @route   GET /api/scheduler/runs
+ * @desc    Run history, newest first
+ * @access  Private (Admin only)
+ */
+router.get('/runs',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.scheduler.runs),
+  asyncHandler(async (req, res) => {
+    const result = await fetchJobRuns(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch job runs');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * Webhook administration routes
+ * Manage inbound webhook integrations and view the delivery log
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { routeSchemas, commonObjects } = require('../utils/validationSchemas');
+const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('../utils/databaseHelpers');
+const {
+  fetchIntegrations,
+  createIntegration,
+  rotateIntegrationSecret,
+  setIntegrationActive,
+  fetchDeliveries
+} = require('../utils/webhookHelpers');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/webhooks/integrations
+ * @desc    List webhook integrations (secrets are never returned)
+ * @access  Private (Admin only)
+ */
+router.get('/integrations',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const result = await fetchIntegrations();
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch webhook integrations');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+/**
+ * @route   POST /api/webhooks/integrations
+ * @desc    Register an integration; returns its secret once
+ * @access  Private (Admin only)
+ */
+router.post('/integrations',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(routeSchemas.webhook.createIntegration),
+  asyncHandler(async (req, res) => {
+    const result = await createIntegration(req.body, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('already exists')) {
+        return sendErrorResponse(res, 409, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'create webhook integration');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Webhook integration created; store the secret now, it will not be shown again', 201);
+  })
+);
+
+/**
+ * @route   POST /api/webhooks/integrations/:id/rotate-secret
+ * @desc    Issue a new secret for an integration; the old one stops working immediately
+ * @access  Private (Admin only)
+ */
+router.post('/integrations/:id/rotate-secret',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  asyncHandler(async (req, res) => {
+    const result = await rotateIntegrationSecret(req.params.id, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'rotate webhook secret');
+    }
+
+    return sendSuccessResponse(res, result.data, 'Webhook secret rotated; store the new secret now, it will not be shown again');
+  })
+);
+
+/**
+ * @route   PUT /api/webhooks/integrations/:id
+ * @desc    Enable or disable an integration
+ * @access  Private (Admin only)
+ */
+router.put('/integrations/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(commonObjects.idParam),
+  validateBody(routeSchemas.webhook.updateIntegration),
+  asyncHandler(async (req, res) => {
+    const result = await setIntegrationActive(req.params.id, req.body.is_active, req.user.id);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        return sendErrorResponse(res, 404, result.error);
+      }
+      return handleDatabaseError(res, { message: result.error }, 'update webhook integration');
+    }
+
+    return sendSuccessResponse(res, { integration: result.data }, 'Webhook integration updated');
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Browse the inbound webhook delivery log
+ * @access  Private (Admin only)
+ */
+router.get('/deliveries',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(routeSchemas.webhook.deliveries),
+  asyncHandler(async (req, res) => {
+    const result = await fetchDeliveries(req.query);
+
+    if (!result.success) {
+      return handleDatabaseError(res, { message: result.error }, 'fetch webhook deliveries');
+    }
+
+    return sendSuccessResponse(res, result.data);
+  })
+);
+
+module.exports = router;
@@ -14,6 +14,8 @@ const { supabase } = require('./config/supabase');
 const { authenticateToken } = require('./middleware/auth');
 const { asyncHandler } = require('./middleware/errorHandler');
 const { sendErrorResponse, sendSuccessResponse } = require('./utils/databaseHelpers');
+const { resumeInterruptedJobs } = require('./utils/jobHelpers');
+const { startScheduler } = require('./utils/schedulerHelpers');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -27,6 +29,17 @@ const customerLotsRoutes = require('./routes/customerLotsRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const doSpecificationsRoutes = require('./routes/doSpecificationsRoutes');
 const logsRoutes = require('./routes/logsRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const configRoutes = require('./routes/configRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const paymentBatchRoutes = require('./routes/paymentBatchRoutes');
+const schedulerRoutes = require('./routes/schedulerRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const outboxRoutes = require('./routes/outboxRoutes');
+const indentRoutes = require('./routes/indentRoutes');
+const contractVerificationRoutes = require('./routes/contractVerificationRoutes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -55,11 +68,19 @@ app.use(cors({
     ? ['https://your-frontend-domain.com'] 
     : ['http://localhost:3000', 'http://localhost:5173'],
   credentials: true,
+  // File downloads (CDU PDFs) name themselves through Content-Disposition
+  exposedHeaders: ['Content-Disposition'],
   optionsSuccessStatus: 200
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so webhook signatures can be verified byte-for-byte
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -91,6 +112,17 @@ app.use('/api/customer', customerLotsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/do-specifications', doSpecificationsRoutes);
 app.use('/api/logs', logsRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/config', configRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/payment-batches', paymentBatchRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/indents', indentRoutes);
+app.use('/api/public/contracts', contractVerificationRoutes);
 
 // Common lookup endpoints using utility functions
 app.get('/api/customer-info', authenticateToken, asyncHandler(async (req, res) => {
@@ -147,6 +179,12 @@ app.listen(PORT, () => {
 📅 Started at: ${new Date().toISOString()}
 🔗 Health check: http://localhost:${PORT}/health
   `);
+
+  // Pick up background jobs interrupted by a restart
+  resumeInterruptedJobs();
+
+  // Reminders, escalations and assignment expiry run on schedule, not on user traffic
+  startScheduler();
 });
 
 // Graceful shutdown
@@ -5,6 +5,7 @@
 
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError, createPaginationMeta, applyRoleFilter } = require('./databaseHelpers');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
 
 /**
  * Build allocation query with filters
@@ -230,6 +231,19 @@ async function createAllocation(allocationData, userId) {
         new_values: allocationData
       });
 
+    // Subscribers create the procurement record
+    await publishDomainEvent(DOMAIN_EVENTS.ALLOCATION_CREATED, {
+      aggregateType: 'allocation',
+      aggregateId: allocation.id,
+      indentNumber: allocation.indent_number,
+      data: {
+        bale_quantity: allocation.bale_quantity,
+        otr_price: allocation.otr_price,
+        branch_id: allocation.branch_id
+      },
+      userId
+    });
+
     return { 
       success: true, 
       data: allocation 
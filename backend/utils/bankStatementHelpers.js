@@ -0,0 +1,924 @@
+/**
+ * Bank statement reconciliation
+ * Parses CSV, MT940 and CAMT.053 statements and matches their lines to open payments
+ * by UTR, amount and date tolerance; confirmed lines become UTR tranches on the payment
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { splitCSVLine, toDateString } = require('./holidayHelpers');
+const { OPEN_PAYMENT_STATUSES, submitUTR, logPaymentAction } = require('./paymentHelpers');
+const { roundMoney, subtract, toPaise } = require('./moneyHelpers');
+
+// Matching defaults, overridable per import
+const DEFAULT_AMOUNT_TOLERANCE = 1;
+const DEFAULT_DATE_TOLERANCE_DAYS = 3;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Accepted CSV header names (lowercased, punctuation collapsed to spaces), most preferred first
+const CSV_COLUMNS = {
+  date: ['value date', 'value dt', 'date', 'txn date', 'transaction date', 'tran date', 'posting date'],
+  amount: ['amount', 'txn amount', 'transaction amount'],
+  type: ['type', 'cr dr', 'dr cr', 'credit debit', 'direction'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposit amt', 'deposits'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawal amt', 'withdrawals'],
+  utr: ['utr', 'utr number', 'utr no'],
+  reference: ['reference', 'ref no', 'reference no', 'chq ref no', 'ref no cheque no', 'cheque no', 'chq no'],
+  narration: ['narration', 'description', 'particulars', 'remarks', 'details', 'transaction details']
+};
+
+/**
+ * Parse a statement date (YYYY-MM-DD, DD-MM-YYYY, DD/MM/YY, DD-MMM-YYYY or YYMMDD)
+ * @param {string} value - Date text
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{2}|\d{4})$/))) {
+    [, day, month, year] = match;
+  } else if ((match = text.match(/^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{2}|\d{4})$/))) {
+    day = match[1];
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = match[3];
+    if (month === 0) return null;
+  } else if ((match = text.match(/^(\d{2})(\d{2})(\d{2})$/))) {
+    [, year, month, day] = match;
+  } else {
+    return null;
+  }
+
+  if (String(year).length === 2) {
+    year = `20${year}`;
+  }
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed.getTime()) || parsed.toISOString().split('T')[0] !== date) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Parse a statement amount ("1,23,456.50", "50000,00", "1,200.00 Cr")
+ * @param {string} value - Amount text
+ * @param {boolean} commaDecimal - Treat a comma as the decimal separator (MT940)
+ * @returns {number|null} Absolute amount in rupees
+ */
+function parseStatementAmount(value, commaDecimal = false) {
+  let text = String(value || '').trim().replace(/\s*(cr|dr)\.?$/i, '');
+  text = commaDecimal ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  text = text.replace(/^[-+]/, '');
+  if (!/^\d+(\.\d+)?$/.test(text) || Number(text) === 0) {
+    return null;
+  }
+  return roundMoney(text);
+}
+
+/**
+ * Find the first UTR-shaped token in the given texts
+ * RTGS references are 22 characters, NEFT 16 and IMPS 12 digits
+ * @param {...string} texts - References and narration to search
+ * @returns {string|null} UTR number
+ */
+function extractUTR(...texts) {
+  for (const text of texts) {
+    const tokens = String(text || '').toUpperCase().split(/[^A-Z0-9]+/);
+    const utr = tokens.find(token =>
+      (token.length === 22 || token.length === 16 || token.length === 12) &&
+      /\d{6,}/.test(token) &&
+      (token.length !== 12 || /^\d+$/.test(token))
+    );
+    if (utr) {
+      return utr;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a statement line from parsed fields
+ */
+function buildStatementLine(lineNumber, fields) {
+  return {
+    line_number: lineNumber,
+    value_date: fields.value_date,
+    direction: fields.direction,
+    amount: fields.amount,
+    utr_number: extractUTR(fields.utr, fields.reference, fields.narration),
+    reference: fields.reference ? String(fields.reference).substring(0, 100) : null,
+    narration: fields.narration || null
+  };
+}
+
+/**
+ * Parse statement lines from CSV content
+ * Expects a header row with a date column and either amount (+ type) or credit/debit columns
+ * @param {string} content - CSV file content
+ * @returns {Object} { lines, errors, account_number, statement_reference }
+ */
+function parseStatementCSV(content) {
+  const rows = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (rows.length === 0) {
+    return { lines: [], errors: [{ line: 0, error: 'File is empty' }] };
+  }
+
+  const normalize = (column) => column.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const header = splitCSVLine(rows[0]).map(normalize);
+  const columnIndex = (key) => {
+    const name = CSV_COLUMNS[key].find(candidate => header.includes(candidate));
+    return name ? header.indexOf(name) : -1;
+  };
+  const index = Object.keys(CSV_COLUMNS).reduce((acc, key) => ({ ...acc, [key]: columnIndex(key) }), {});
+
+  if (index.date === -1 || (index.amount === -1 && index.credit === -1 && index.debit === -1)) {
+    return {
+      lines: [],
+      errors: [{ line: 1, error: 'Header must include a date column and an amount or credit/debit columns' }]
+    };
+  }
+
+  const lines = [];
+  const errors = [];
+
+  rows.slice(1).forEach((row, idx) => {
+    const fields = splitCSVLine(row);
+    const lineNumber = idx + 2;
+    const valueDate = parseStatementDate(fields[index.date]);
+    if (!valueDate) {
+      errors.push({ line: lineNumber, error: `Invalid date: ${fields[index.date] || '(empty)'}` });
+      return;
+    }
+
+    let amount = null;
+    let direction = null;
+    const credit = index.credit !== -1 ? parseStatementAmount(fields[index.credit]) : null;
+    const debit = index.debit !== -1 ? parseStatementAmount(fields[index.debit]) : null;
+    if (credit) {
+      amount = credit;
+      direction = 'credit';
+    } else if (debit) {
+      amount = debit;
+      direction = 'debit';
+    } else if (index.amount !== -1) {
+      const raw = String(fields[index.amount] || '');
+      const type = index.type !== -1 ? String(fields[index.type] || '').toLowerCase() : '';
+      amount = parseStatementAmount(raw);
+      if (/^(dr|d|debit)/.test(type) || /^-/.test(raw.trim()) || /dr\.?$/i.test(raw.trim())) {
+        direction = 'debit';
+      } else {
+        direction = 'credit';
+      }
+    }
+
+    if (!amount) {
+      errors.push({ line: lineNumber, error: 'Missing or zero amount' });
+      return;
+    }
+
+    lines.push(buildStatementLine(lineNumber, {
+      value_date: valueDate,
+      direction,
+      amount,
+      utr: index.utr !== -1 ? fields[index.utr] : null,
+      reference: index.reference !== -1 ? fields[index.reference] : (index.utr !== -1 ? fields[index.utr] : null),
+      narration: index.narration !== -1 ? fields[index.narration] : null
+    }));
+  });
+
+  return { lines, errors, account_number: null, statement_reference: null };
+}
+
+/**
+ * Parse statement lines from SWIFT MT940 content (:61: entries with their :86: narration)
+ * @param {string} content - MT940 file content
+ * @returns {Object} { lines, errors, account_number, statement_reference }
+ */
+function parseStatementMT940(content) {
+  // Group continuation lines under the tag they belong to
+  const tags = [];
+  content.split(/\r?\n/).forEach(row => {
+    const match = row.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      tags.push({ tag: match[1], value: match[2] });
+    } else if (tags.length > 0 && row.trim() !== '' && !/^-}?$/.test(row.trim())) {
+      tags[tags.length - 1].value += `\n${row}`;
+    }
+  });
+
+  const lines = [];
+  const errors = [];
+  let accountNumber = null;
+  let statementReference = null;
+
+  tags.forEach((entry, idx) => {
+    if (entry.tag === '20' && !statementReference) {
+      statementReference = entry.value.trim();
+    } else if (entry.tag === '25' && !accountNumber) {
+      accountNumber = entry.value.trim();
+    } else if (entry.tag === '61') {
+      const [first, ...rest] = entry.value.split('\n');
+      const match = first.match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d{0,2})([A-Z][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/);
+      if (!match) {
+        errors.push({ line: idx + 1, error: `Unrecognised :61: entry: ${first}` });
+        return;
+      }
+
+      const valueDate = parseStatementDate(match[1]);
+      const amount = parseStatementAmount(match[5], true);
+      if (!valueDate || !amount) {
+        errors.push({ line: idx + 1, error: `Invalid date or amount in :61: entry: ${first}` });
+        return;
+      }
+
+      const next = tags[idx + 1];
+      const narration = next && next.tag === '86' ? next.value.replace(/\n/g, ' ').trim() : rest.join(' ').trim();
+      const reference = [match[7], match[8]].filter(part => part && part.trim() && part.trim() !== 'NONREF').join(' ').trim();
+
+      lines.push(buildStatementLine(idx + 1, {
+        value_date: valueDate,
+        // A reversed debit (RD) puts money back, a reversed credit (RC) takes it out
+        direction: match[3] === 'C' || match[3] === 'RD' ? 'credit' : 'debit',
+        amount,
+        reference,
+        narration
+      }));
+    }
+  });
+
+  if (lines.length === 0 && errors.length === 0) {
+    errors.push({ line: 0, error: 'No :61: statement lines found' });
+  }
+
+  return { lines, errors, account_number: accountNumber, statement_reference: statementReference };
+}
+
+/**
+ * Parse statement lines from ISO 20022 CAMT.053 XML (one line per Ntry)
+ * @param {string} content - CAMT.053 file content
+ * @returns {Object} { lines, errors, account_number, statement_reference }
+ */
+function parseStatementCAMT053(content) {
+  // Drop namespace prefixes so <camt:Ntry> and <Ntry> read the same
+  const xml = content.replace(/<(\/?)[A-Za-z0-9]+:/g, '<$1');
+
+  const blocks = (text, tag) => {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+    const found = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      found.push(match[1]);
+    }
+    return found;
+  };
+  const first = (text, tag) => {
+    const found = blocks(text || '', tag);
+    return found.length > 0 ? found[0].trim() : null;
+  };
+  const unescape = (text) => text && text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+  const statement = first(xml, 'Stmt') || xml;
+  const account = first(statement, 'Acct');
+  const accountNumber = account ? (first(account, 'IBAN') || first(first(account, 'Othr'), 'Id')) : null;
+  const statementReference = first(statement.replace(/<(Acct|Ntry|Bal|GrpHdr)[\s\S]*?<\/\1>/g, ''), 'Id');
+
+  const lines = [];
+  const errors = [];
+
+  blocks(statement, 'Ntry').forEach((entry, idx) => {
+    const amount = parseStatementAmount(first(entry, 'Amt'));
+    const indicator = first(entry, 'CdtDbtInd');
+    const reversed = first(entry, 'RvslInd') === 'true';
+    const valueDate = parseStatementDate(first(first(entry, 'ValDt'), 'Dt') || first(first(entry, 'ValDt'), 'DtTm') ||
+      first(first(entry, 'BookgDt'), 'Dt') || first(first(entry, 'BookgDt'), 'DtTm'));
+
+    if (!amount || !['CRDT', 'DBIT'].includes(indicator) || !valueDate) {
+      errors.push({ line: idx + 1, error: 'Entry is missing Amt, CdtDbtInd or a booking/value date' });
+      return;
+    }
+
+    const isCredit = indicator === 'CRDT';
+    const references = ['UETR', 'EndToEndId', 'TxId', 'InstrId', 'AcctSvcrRef', 'NtryRef']
+      .map(tag => first(entry, tag))
+      .filter(value => value && value !== 'NOTPROVIDED');
+    const narration = ['AddtlNtryInf', 'AddtlTxInf', 'Ustrd']
+      .flatMap(tag => blocks(entry, tag).map(value => unescape(value.trim())))
+      .filter(Boolean)
+      .join(' ');
+
+    lines.push(buildStatementLine(idx + 1, {
+      value_date: valueDate,
+      direction: isCredit !== reversed ? 'credit' : 'debit',
+      amount,
+      utr: extractUTR(...references),
+      reference: references[0] ? unescape(references[0]) : null,
+      narration
+    }));
+  });
+
+  if (lines.length === 0 && errors.length === 0) {
+    errors.push({ line: 0, error: 'No Ntry entries found' });
+  }
+
+  return { lines, errors, account_number: accountNumber, statement_reference: statementReference };
+}
+
+/**
+ * Detect the statement format from its name and content
+ * @param {string} fileName - Uploaded file name
+ * @param {string} content - File content
+ * @returns {string} 'camt053', 'mt940' or 'csv'
+ */
+function detectStatementFormat(fileName, content) {
+  const name = String(fileName || '').toLowerCase();
+  if (name.endsWith('.xml') || /<(\w+:)?BkToCstmrStmt/.test(content)) {
+    return 'camt053';
+  }
+  if (name.endsWith('.sta') || name.endsWith('.mt940') || /^:20:/m.test(content) && /^:61:/m.test(content)) {
+    return 'mt940';
+  }
+  return 'csv';
+}
+
+/**
+ * Parse a statement file in any supported format
+ * @param {string} fileName - Uploaded file name
+ * @param {string} content - File content
+ * @returns {Object} { format, lines, errors, account_number, statement_reference }
+ */
+function parseBankStatement(fileName, content) {
+  const format = detectStatementFormat(fileName, content);
+  const parsers = {
+    csv: parseStatementCSV,
+    mt940: parseStatementMT940,
+    camt053: parseStatementCAMT053
+  };
+  return { format, ...parsers[format](content) };
+}
+
+/**
+ * Whole days from one date to another (YYYY-MM-DD)
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Match statement lines to payments
+ * A known UTR always wins. Otherwise a payment is a candidate when the line amount is within
+ * the tolerance of its outstanding balance and the value date falls between CDU generation and
+ * the UTR due date, widened by the date tolerance; an indent number in the narration breaks ties
+ * and also matches part-payments.
+ * @param {Array} lines - Parsed statement lines
+ * @param {Array} payments - Open payments (id, amount, outstanding_amount, due_date, utr_due_date, created_at, procurement_dump)
+ * @param {Array} utrEntries - Existing UTR tranches (payment_id, utr_number, amount)
+ * @param {Object} tolerance - { amount, days }
+ * @returns {Array} Lines with match_status, match_reason, matched_payment_id, candidate_payment_ids
+ */
+function matchStatementLines(lines, payments, utrEntries, tolerance = {}) {
+  const amountTolerance = toPaise(tolerance.amount ?? DEFAULT_AMOUNT_TOLERANCE);
+  const dayTolerance = tolerance.days ?? DEFAULT_DATE_TOLERANCE_DAYS;
+  const entriesByUTR = new Map((utrEntries || []).map(entry => [entry.utr_number, entry]));
+
+  const withinDates = (line, payment) => {
+    const opened = toDateString(payment.created_at || payment.due_date);
+    const closes = toDateString(payment.utr_due_date || payment.due_date);
+    return daysBetween(opened, line.value_date) >= -dayTolerance && daysBetween(closes, line.value_date) <= dayTolerance;
+  };
+  const outstandingOf = (payment) => payment.outstanding_amount ?? payment.amount;
+  const mentionsIndent = (line, payment) => {
+    const indent = payment.procurement_dump?.indent_number;
+    return Boolean(indent) && `${line.narration || ''} ${line.reference || ''}`.toUpperCase().includes(String(indent).toUpperCase());
+  };
+
+  const matched = lines.map(line => {
+    const result = (status, reason, paymentId = null, candidates = []) => ({
+      ...line,
+      match_status: status,
+      match_reason: reason,
+      matched_payment_id: paymentId,
+      candidate_payment_ids: candidates
+    });
+
+    const entry = line.utr_number ? entriesByUTR.get(line.utr_number) : null;
+    if (entry) {
+      return Math.abs(toPaise(subtract(entry.amount, line.amount))) <= amountTolerance
+        ? result('matched', 'utr', entry.payment_id, [entry.payment_id])
+        : result('ambiguous', 'utr_amount_mismatch', null, [entry.payment_id]);
+    }
+
+    const byAmount = payments.filter(payment =>
+      Math.abs(toPaise(subtract(outstandingOf(payment), line.amount))) <= amountTolerance && withinDates(line, payment)
+    );
+    const byIndent = byAmount.filter(payment => mentionsIndent(line, payment));
+
+    if (byAmount.length === 1) {
+      return result('matched', 'amount_and_date', byAmount[0].id, [byAmount[0].id]);
+    }
+    if (byIndent.length === 1) {
+      return result('matched', 'amount_date_and_indent', byIndent[0].id, byAmount.map(payment => payment.id));
+    }
+    if (byAmount.length > 1) {
+      return result('ambiguous', 'several_payments_match_amount', null, byAmount.map(payment => payment.id));
+    }
+
+    // Part-payment: the narration names the indent and the line does not exceed what is owed
+    const partial = payments.filter(payment =>
+      mentionsIndent(line, payment) && toPaise(line.amount) <= toPaise(outstandingOf(payment)) + amountTolerance
+    );
+    if (partial.length === 1) {
+      return result('matched', 'indent_part_payment', partial[0].id, [partial[0].id]);
+    }
+    if (partial.length > 1) {
+      return result('ambiguous', 'several_payments_match_indent', null, partial.map(payment => payment.id));
+    }
+
+    return result('unmatched', null);
+  });
+
+  // Two lines claiming the full balance of one payment cannot both be right
+  const fullMatches = new Map();
+  matched.forEach(line => {
+    if (line.match_status === 'matched' && line.match_reason !== 'utr' && line.match_reason !== 'indent_part_payment') {
+      fullMatches.set(line.matched_payment_id, (fullMatches.get(line.matched_payment_id) || 0) + 1);
+    }
+  });
+
+  return matched.map(line => (
+    line.match_status === 'matched' && fullMatches.get(line.matched_payment_id) > 1 && line.match_reason !== 'utr' && line.match_reason !== 'indent_part_payment'
+      ? { ...line, match_status: 'ambiguous', match_reason: 'several_lines_match_payment', matched_payment_id: null }
+      : line
+  ));
+}
+
+/**
+ * Hash the fields that identify each statement line across re-imports
+ * Identical lines in one statement (two same-day credits of one amount with no reference) are
+ * told apart by their position among those identical lines, so both are kept while a re-import
+ * or an overlapping statement still produces the same hashes
+ * @param {string} accountNumber - Statement account number
+ * @param {Array} lines - Statement lines in file order
+ * @returns {Array} Hash per line
+ */
+function hashStatementLines(accountNumber, lines) {
+  const occurrences = new Map();
+
+  return lines.map(line => {
+    const key = [accountNumber || '', line.value_date, line.direction, toPaise(line.amount), line.utr_number || line.reference || '', line.narration || ''].join('|');
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+
+    return crypto
+      .createHash('sha256')
+      .update(occurrence > 1 ? `${key}|${occurrence}` : key)
+      .digest('hex');
+  });
+}
+
+/**
+ * Fetch open payments and existing UTR tranches to match against
+ * @param {Array} utrNumbers - UTRs found in the statement
+ * @returns {Object} { payments, utrEntries }
+ */
+async function fetchMatchingData(utrNumbers) {
+  const { data: payments, error } = await supabase
+    .from('payments')
+    .select(`
+      id,
+      amount,
+      outstanding_amount,
+      due_date,
+      utr_due_date,
+      created_at,
+      payment_type,
+      payment_status,
+      procurement_dump:procurement_id (
+        indent_number,
+        firm_name
+      )
+    `)
+    .in('payment_status', OPEN_PAYMENT_STATUSES);
+
+  if (error) {
+    throw new Error(`Failed to fetch open payments: ${error.message}`);
+  }
+
+  let utrEntries = [];
+  if (utrNumbers.length > 0) {
+    const { data: entries, error: entriesError } = await supabase
+      .from('payment_utr_entries')
+      .select('id, payment_id, utr_number, amount, statement_line_id')
+      .in('utr_number', utrNumbers)
+      .neq('verification_status', 'rejected');
+
+    if (entriesError) {
+      throw new Error(`Failed to fetch UTR entries: ${entriesError.message}`);
+    }
+    utrEntries = entries || [];
+  }
+
+  return { payments: payments || [], utrEntries };
+}
+
+/**
+ * Import a bank statement and match its lines to payments
+ * Lines already imported from an earlier statement are skipped
+ * @param {Object} file - Uploaded file (multer memory storage)
+ * @param {Object} options - amount_tolerance, date_tolerance_days
+ * @param {string} userId - User ID
+ * @returns {Object} Import summary
+ */
+async function importBankStatement(file, options, userId) {
+  try {
+    const content = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const parsed = parseBankStatement(file.originalname, content);
+
+    if (parsed.lines.length === 0) {
+      return {
+        success: false,
+        error: 'No valid statement lines found in file',
+        details: parsed.errors
+      };
+    }
+
+    const tolerance = {
+      amount: options.amount_tolerance ?? DEFAULT_AMOUNT_TOLERANCE,
+      days: options.date_tolerance_days ?? DEFAULT_DATE_TOLERANCE_DAYS
+    };
+
+    const utrNumbers = [...new Set(parsed.lines.map(line => line.utr_number).filter(Boolean))];
+    const { payments, utrEntries } = await fetchMatchingData(utrNumbers);
+    const matchedLines = matchStatementLines(parsed.lines, payments, utrEntries, tolerance);
+
+    const { data: statement, error: statementError } = await supabase
+      .from('bank_statements')
+      .insert({
+        file_name: file.originalname,
+        format: parsed.format,
+        account_number: parsed.account_number,
+        statement_reference: parsed.statement_reference,
+        amount_tolerance: tolerance.amount,
+        date_tolerance_days: tolerance.days,
+        line_count: matchedLines.length,
+        imported_by: userId
+      })
+      .select()
+      .single();
+
+    if (statementError) {
+      return {
+        success: false,
+        error: `Failed to record statement: ${statementError.message}`
+      };
+    }
+
+    const hashes = hashStatementLines(parsed.account_number, matchedLines);
+    const rows = matchedLines.map((line, index) => ({
+      ...line,
+      statement_id: statement.id,
+      line_hash: hashes[index]
+    }));
+
+    const { data: inserted, error: linesError } = await supabase
+      .from('bank_statement_lines')
+      .upsert(rows, { onConflict: 'line_hash', ignoreDuplicates: true })
+      .select('id, match_status');
+
+    if (linesError) {
+      await supabase.from('bank_statements').delete().eq('id', statement.id);
+      return {
+        success: false,
+        error: `Failed to import statement lines: ${linesError.message}`
+      };
+    }
+
+    const count = (status) => (inserted || []).filter(line => line.match_status === status).length;
+    const summary = {
+      line_count: (inserted || []).length,
+      duplicate_count: rows.length - (inserted || []).length,
+      matched_count: count('matched'),
+      ambiguous_count: count('ambiguous'),
+      unmatched_count: count('unmatched')
+    };
+
+    const { data: updatedStatement } = await supabase
+      .from('bank_statements')
+      .update(summary)
+      .eq('id', statement.id)
+      .select()
+      .single();
+
+    await logPaymentAction('bank_statements', statement.id, 'BANK_STATEMENT_IMPORTED', userId, {
+      file_name: file.originalname,
+      format: parsed.format,
+      ...summary,
+      parse_errors: parsed.errors.length
+    });
+
+    return {
+      success: true,
+      data: {
+        statement: updatedStatement || { ...statement, ...summary },
+        errors: parsed.errors
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Statement import failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * List imported statements, newest first
+ * @param {number} limit - Maximum statements to return
+ * @returns {Object} Statements
+ */
+async function fetchBankStatements(limit = 20) {
+  const { data: statements, error } = await supabase
+    .from('bank_statements')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: { statements: statements || [] }
+  };
+}
+
+/**
+ * List the lines of a statement with their matched and candidate payments
+ * @param {string} statementId - Statement ID
+ * @param {string} status - Match status filter (optional)
+ * @returns {Object} Statement lines
+ */
+async function fetchStatementLines(statementId, status = null) {
+  let query = supabase
+    .from('bank_statement_lines')
+    .select('*')
+    .eq('statement_id', statementId)
+    .order('line_number', { ascending: true });
+
+  if (status) {
+    query = query.eq('match_status', status);
+  }
+
+  const { data: lines, error } = await query;
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const paymentIds = [...new Set((lines || []).flatMap(line =>
+    [line.matched_payment_id, ...(line.candidate_payment_ids || [])].filter(Boolean)
+  ))];
+
+  let paymentsById = new Map();
+  if (paymentIds.length > 0) {
+    const { data: payments, error: paymentsError } = await supabase
+      .from('payments')
+      .select(`
+        id,
+        amount,
+        outstanding_amount,
+        payment_status,
+        payment_type,
+        due_date,
+        procurement_dump:procurement_id (
+          indent_number,
+          firm_name
+        )
+      `)
+      .in('id', paymentIds);
+
+    if (paymentsError) {
+      return {
+        success: false,
+        error: paymentsError.message
+      };
+    }
+    paymentsById = new Map((payments || []).map(payment => [payment.id, payment]));
+  }
+
+  return {
+    success: true,
+    data: {
+      lines: (lines || []).map(line => ({
+        ...line,
+        matched_payment: paymentsById.get(line.matched_payment_id) || null,
+        candidates: (line.candidate_payment_ids || []).map(id => paymentsById.get(id)).filter(Boolean)
+      }))
+    }
+  };
+}
+
+/**
+ * Fetch a statement line that can still be confirmed or ignored
+ */
+async function fetchOpenStatementLine(lineId) {
+  const { data: line, error } = await supabase
+    .from('bank_statement_lines')
+    .select('*')
+    .eq('id', lineId)
+    .single();
+
+  if (error || !line) {
+    return { success: false, error: 'Statement line not found' };
+  }
+  if (['confirmed', 'ignored'].includes(line.match_status)) {
+    return { success: false, error: `Statement line already ${line.match_status}` };
+  }
+  return { success: true, data: line };
+}
+
+/**
+ * Confirm a statement line against a payment
+ * The line's UTR becomes a tranche on the payment, or reconciles the tranche already submitted
+ * @param {string} lineId - Statement line ID
+ * @param {string} paymentId - Payment to apply the line to (defaults to the matched payment)
+ * @param {string} userId - User ID
+ * @returns {Object} Confirmation result
+ */
+async function confirmStatementLine(lineId, paymentId, userId) {
+  try {
+    const lineResult = await fetchOpenStatementLine(lineId);
+    if (!lineResult.success) {
+      return lineResult;
+    }
+    const line = lineResult.data;
+
+    const targetPaymentId = paymentId || line.matched_payment_id;
+    if (!targetPaymentId) {
+      return { success: false, error: 'Select the payment this line belongs to' };
+    }
+    if (!line.utr_number) {
+      return { success: false, error: 'Statement line has no UTR; it cannot be recorded as a tranche' };
+    }
+
+    // A tranche already submitted by hand for this UTR is reconciled rather than recorded twice
+    const { data: existingEntry, error: existingError } = await supabase
+      .from('payment_utr_entries')
+      .select('id, payment_id')
+      .eq('utr_number', line.utr_number)
+      .eq('payment_id', targetPaymentId)
+      .neq('verification_status', 'rejected')
+      .maybeSingle();
+
+    if (existingError) {
+      return { success: false, error: `Failed to check existing UTR entries: ${existingError.message}` };
+    }
+
+    let entryId;
+    let payment = null;
+    if (existingEntry) {
+      entryId = existingEntry.id;
+    } else {
+      const submitResult = await submitUTR(targetPaymentId, {
+        utr_number: line.utr_number,
+        amount: line.amount,
+        paid_date: line.value_date
+      }, userId);
+      if (!submitResult.success) {
+        return submitResult;
+      }
+      payment = submitResult.data;
+      entryId = payment.utr_entries[payment.utr_entries.length - 1].id;
+    }
+
+    const confirmedAt = new Date().toISOString();
+    await supabase
+      .from('payment_utr_entries')
+      .update({ statement_line_id: line.id, reconciled_at: confirmedAt })
+      .eq('id', entryId);
+
+    const { data: updatedLine, error: updateError } = await supabase
+      .from('bank_statement_lines')
+      .update({
+        match_status: 'confirmed',
+        matched_payment_id: targetPaymentId,
+        utr_entry_id: entryId,
+        confirmed_by: userId,
+        confirmed_at: confirmedAt
+      })
+      .eq('id', line.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      return {
+        success: false,
+        error: `Failed to confirm statement line: ${updateError.message}`
+      };
+    }
+
+    await logPaymentAction('bank_statement_lines', line.id, 'BANK_LINE_CONFIRMED', userId, {
+      payment_id: targetPaymentId,
+      utr_entry_id: entryId,
+      utr_number: line.utr_number,
+      amount: line.amount,
+      value_date: line.value_date,
+      tranche_created: !existingEntry
+    }, {
+      match_status: line.match_status,
+      matched_payment_id: line.matched_payment_id
+    });
+
+    return {
+      success: true,
+      data: {
+        line: updatedLine,
+        payment
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Statement line confirmation failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Mark a statement line as not belonging to any payment
+ * @param {string} lineId - Statement line ID
+ * @param {string} userId - User ID
+ * @returns {Object} Update result
+ */
+async function ignoreStatementLine(lineId, userId) {
+  const lineResult = await fetchOpenStatementLine(lineId);
+  if (!lineResult.success) {
+    return lineResult;
+  }
+
+  const { data: line, error } = await supabase
+    .from('bank_statement_lines')
+    .update({
+      match_status: 'ignored',
+      confirmed_by: userId,
+      confirmed_at: new Date().toISOString()
+    })
+    .eq('id', lineId)
+    .select()
+    .single();
+
+  if (error) {
+    return {
+      success: false,
+      error: `Failed to ignore statement line: ${error.message}`
+    };
+  }
+
+  await logPaymentAction('bank_statement_lines', lineId, 'BANK_LINE_IGNORED', userId,
+    { match_status: 'ignored' },
+    { match_status: lineResult.data.match_status }
+  );
+
+  return {
+    success: true,
+    data: { line }
+  };
+}
+
+module.exports = {
+  DEFAULT_AMOUNT_TOLERANCE,
+  DEFAULT_DATE_TOLERANCE_DAYS,
+  parseStatementDate,
+  parseStatementAmount,
+  extractUTR,
+  parseStatementCSV,
+  parseStatementMT940,
+  parseStatementCAMT053,
+  parseBankStatement,
+  matchStatementLines,
+  hashStatementLines,
+  importBankStatement,
+  fetchBankStatements,
+  fetchStatementLines,
+  confirmStatementLine,
+  ignoreStatementLine
+};
@@ -0,0 +1,324 @@
+/**
+ * Candy rate table
+ * Per-zone candy rate and assumed bale weight, optionally overridden per branch and season
+ */
+
+const { supabase } = require('../config/supabase');
+
+// Candy-to-kg factor used to derive an assumed bale weight from a candy rate
+const CANDY_WEIGHT_FACTOR = 0.2812;
+
+// Used only when the candy_rates table has no matching row (including the zone-less default)
+const LEGACY_CANDY_RATES = {
+  south: 48,
+  default: 47
+};
+
+/**
+ * Normalize a zone name for matching ("South Zone", "south" and "SOUTH" are the same zone)
+ * @param {string} zone - Zone name
+ * @returns {string} Normalized zone key ('' when empty)
+ */
+function normalizeZone(zone) {
+  return String(zone || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+zone$/, '');
+}
+
+/**
+ * Fetch all candy rate rows
+ * @returns {Array} Candy rate rows
+ */
+async function fetchCandyRates() {
+  const { data: rates, error } = await supabase
+    .from('candy_rates')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name
+      )
+    `)
+    .order('zone', { ascending: true, nullsFirst: true })
+    .order('season', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch candy rates: ${error.message}`);
+  }
+
+  return rates || [];
+}
+
+/**
+ * Pick the most specific candy rate for a zone, branch and season
+ * Precedence: branch + season, branch, zone + season, zone, default (+ season), default
+ * @param {Array} rates - Candy rate rows
+ * @param {Object} criteria - zone, branchId, season
+ * @returns {Object} { candyRate, assumedBaleWeight, rateId, source }
+ */
+function resolveCandyRate(rates, { zone, branchId = null, season = null } = {}) {
+  const zoneKey = normalizeZone(zone);
+  const seasonKey = season ? String(season).trim().toLowerCase() : null;
+
+  const scoreRow = (row) => {
+    const rowSeason = row.season ? row.season.trim().toLowerCase() : null;
+    if (rowSeason && rowSeason !== seasonKey) return -1;
+
+    let score;
+    if (row.branch_id) {
+      if (row.branch_id !== branchId) return -1;
+      score = 4;
+    } else if (row.zone) {
+      if (normalizeZone(row.zone) !== zoneKey) return -1;
+      score = 2;
+    } else {
+      score = 0;
+    }
+    return rowSeason ? score + 1 : score;
+  };
+
+  let best = null;
+  let bestScore = -1;
+  rates.forEach(row => {
+    const score = scoreRow(row);
+    if (score > bestScore) {
+      best = row;
+      bestScore = score;
+    }
+  });
+
+  if (!best) {
+    const candyRate = zoneKey.includes('south') ? LEGACY_CANDY_RATES.south : LEGACY_CANDY_RATES.default;
+    return {
+      candyRate,
+      assumedBaleWeight: candyRate / CANDY_WEIGHT_FACTOR,
+      rateId: null,
+      source: 'legacy'
+    };
+  }
+
+  const candyRate = Number(best.candy_rate);
+  return {
+    candyRate,
+    assumedBaleWeight: best.assumed_bale_weight !== null && best.assumed_bale_weight !== undefined
+      ? Number(best.assumed_bale_weight)
+      : candyRate / CANDY_WEIGHT_FACTOR,
+    rateId: best.id,
+    source: best.branch_id ? 'branch' : best.zone ? 'zone' : 'default'
+  };
+}
+
+/**
+ * Create a resolver that answers any number of lookups from one fetch
+ * @returns {Function} (criteria) => resolved candy rate
+ */
+async function createCandyRateResolver() {
+  const rates = await fetchCandyRates();
+  return (criteria) => resolveCandyRate(rates, criteria);
+}
+
+/**
+ * Get the candy rate and assumed bale weight for a zone, branch and season
+ * @param {Object} criteria - zone, branchId, season
+ * @returns {Object} Resolved candy rate
+ */
+async function getCandyRate(criteria) {
+  const resolve = await createCandyRateResolver();
+  return resolve(criteria);
+}
+
+/**
+ * List candy rate rows
+ * @returns {Object} Candy rates
+ */
+async function listCandyRates() {
+  try {
+    const rates = await fetchCandyRates();
+    return {
+      success: true,
+      data: {
+        rates: rates.map(rate => ({
+          ...rate,
+          effective_assumed_bale_weight: rate.assumed_bale_weight !== null
+            ? Number(rate.assumed_bale_weight)
+            : Number(rate.candy_rate) / CANDY_WEIGHT_FACTOR
+        }))
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Write an audit entry for a candy rate change
+ */
+async function logCandyRateAction(action, rateId, userId, oldValues, newValues) {
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: 'candy_rates',
+      record_id: rateId,
+      action,
+      user_id: userId,
+      old_values: oldValues || {},
+      new_values: newValues || {}
+    });
+}
+
+/**
+ * Map request fields onto a candy_rates row
+ * @param {Object} rateData - Request body
+ * @returns {Object} Row values
+ */
+function toCandyRateRow(rateData) {
+  const row = {};
+  ['zone', 'branch_id', 'season', 'notes'].forEach(field => {
+    if (rateData[field] !== undefined) row[field] = rateData[field] || null;
+  });
+  ['candy_rate', 'assumed_bale_weight'].forEach(field => {
+    if (rateData[field] !== undefined) row[field] = rateData[field];
+  });
+  return row;
+}
+
+/**
+ * Create a candy rate row
+ * @param {Object} rateData - zone, branch_id, season, candy_rate, assumed_bale_weight, notes
+ * @param {string} userId - User ID
+ * @returns {Object} Creation result
+ */
+async function createCandyRate(rateData, userId) {
+  try {
+    const { data: rate, error } = await supabase
+      .from('candy_rates')
+      .insert({ ...toCandyRateRow(rateData), created_by: userId })
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: error.code === '23505'
+          ? 'A candy rate already exists for this zone, branch and season'
+          : `Failed to create candy rate: ${error.message}`
+      };
+    }
+
+    await logCandyRateAction('CANDY_RATE_CREATED', rate.id, userId, null, rate);
+
+    return {
+      success: true,
+      data: rate
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to create candy rate: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Update a candy rate row
+ * @param {string} rateId - Candy rate ID
+ * @param {Object} rateData - Fields to update
+ * @param {string} userId - User ID
+ * @returns {Object} Update result
+ */
+async function updateCandyRate(rateId, rateData, userId) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('candy_rates')
+      .select('*')
+      .eq('id', rateId)
+      .single();
+
+    if (fetchError || !existing) {
+      return {
+        success: false,
+        error: 'Candy rate not found'
+      };
+    }
+
+    const { data: rate, error } = await supabase
+      .from('candy_rates')
+      .update({ ...toCandyRateRow(rateData), updated_at: new Date().toISOString() })
+      .eq('id', rateId)
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: error.code === '23505'
+          ? 'A candy rate already exists for this zone, branch and season'
+          : `Failed to update candy rate: ${error.message}`
+      };
+    }
+
+    await logCandyRateAction('CANDY_RATE_UPDATED', rateId, userId, existing, rate);
+
+    return {
+      success: true,
+      data: rate
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update candy rate: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Delete a candy rate row
+ * @param {string} rateId - Candy rate ID
+ * @param {string} userId - User ID
+ * @returns {Object} Deletion result
+ */
+async function deleteCandyRate(rateId, userId) {
+  try {
+    const { data: rate, error } = await supabase
+      .from('candy_rates')
+      .delete()
+      .eq('id', rateId)
+      .select()
+      .single();
+
+    if (error || !rate) {
+      return {
+        success: false,
+        error: 'Candy rate not found'
+      };
+    }
+
+    await logCandyRateAction('CANDY_RATE_DELETED', rateId, userId, rate, null);
+
+    return {
+      success: true,
+      data: rate
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to delete candy rate: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  CANDY_WEIGHT_FACTOR,
+  normalizeZone,
+  fetchCandyRates,
+  resolveCandyRate,
+  createCandyRateResolver,
+  getCandyRate,
+  listCandyRates,
+  createCandyRate,
+  updateCandyRate,
+  deleteCandyRate
+};
@@ -0,0 +1,495 @@
+/**
+ * CDU configuration
+ * Collection account master (our receiving accounts by branch or zone) and CDU
+ * templates per payment type, with the rules that pick an account and payment mode
+ */
+
+const { supabase } = require('../config/supabase');
+const { normalizeZone } = require('./candyRateHelpers');
+const { toDateString } = require('./holidayHelpers');
+
+const CDU_PAYMENT_TYPES = ['EMD', 'DO_PAYMENT', 'LATE_LIFTING'];
+
+// Used only when the cdu_templates table has no EMD row; matches the old hardcoded draft
+const LEGACY_CDU_TEMPLATE = {
+  id: null,
+  payment_type: 'EMD',
+  amount_source: 'emd_amount',
+  payment_mode: 'RTGS',
+  rtgs_min_amount: 0,
+  fallback_payment_mode: 'NEFT',
+  remarks_template: 'EMD Payment for Indent {indent_number}',
+  due_in_days: null
+};
+
+// Bank shown on a CDU when no collection account matches
+const LEGACY_BANK = 'State Bank of India';
+
+/**
+ * Fetch collection accounts
+ * @param {Object} options - activeOnly
+ * @returns {Array} Collection account rows
+ */
+async function fetchCollectionAccounts({ activeOnly = false } = {}) {
+  let query = supabase
+    .from('collection_accounts')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name
+      )
+    `);
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: accounts, error } = await query
+    .order('zone', { ascending: true, nullsFirst: true })
+    .order('priority', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch collection accounts: ${error.message}`);
+  }
+
+  return accounts || [];
+}
+
+/**
+ * Fetch CDU templates
+ * @returns {Array} CDU template rows
+ */
+async function fetchCDUTemplates() {
+  const { data: templates, error } = await supabase
+    .from('cdu_templates')
+    .select('*')
+    .order('payment_type', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch CDU templates: ${error.message}`);
+  }
+
+  return templates || [];
+}
+
+/**
+ * Pick the collection account for a branch, zone and payment type
+ * Precedence: branch, zone, default; an account dedicated to the payment type beats a general one,
+ * and lower priority wins a tie
+ * @param {Array} accounts - Active collection account rows
+ * @param {Object} criteria - zone, branchId, paymentType
+ * @returns {Object|null} Chosen account
+ */
+function resolveCollectionAccount(accounts, { zone, branchId = null, paymentType } = {}) {
+  const zoneKey = normalizeZone(zone);
+
+  const scoreAccount = (account) => {
+    if (account.payment_type && account.payment_type !== paymentType) return -1;
+
+    let score;
+    if (account.branch_id) {
+      if (account.branch_id !== branchId) return -1;
+      score = 4;
+    } else if (account.zone) {
+      if (normalizeZone(account.zone) !== zoneKey) return -1;
+      score = 2;
+    } else {
+      score = 0;
+    }
+    return account.payment_type ? score + 1 : score;
+  };
+
+  let best = null;
+  let bestScore = -1;
+  accounts.forEach(account => {
+    const score = scoreAccount(account);
+    if (score > bestScore || (score === bestScore && score >= 0 && account.priority < best.priority)) {
+      best = account;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Pick the payment mode for an amount: the template mode, unless RTGS is below its minimum
+ * @param {Object} template - CDU template
+ * @param {number} amount - Payment amount
+ * @returns {string} Payment mode
+ */
+function choosePaymentMode(template, amount) {
+  if (template.payment_mode === 'RTGS' && Number(amount) < Number(template.rtgs_min_amount || 0)) {
+    return template.fallback_payment_mode || 'NEFT';
+  }
+  return template.payment_mode;
+}
+
+/**
+ * Fill a remarks template from the procurement
+ * @param {string} remarksTemplate - Template with {indent_number}, {firm_name}, {payment_type}
+ * @param {Object} procurement - Procurement record
+ * @param {string} paymentType - Payment type
+ * @returns {string} Remarks
+ */
+function renderRemarks(remarksTemplate, procurement, paymentType) {
+  const values = {
+    indent_number: procurement.indent_number,
+    firm_name: procurement.firm_name,
+    payment_type: paymentType
+  };
+  return remarksTemplate.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+/**
+ * Add days to today and return an ISO date
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Work out a CDU draft from its template, the account rules and any overrides
+ * Overriding the rule-chosen account or payment mode requires a reason
+ * @param {Object} procurement - Procurement record (with allocation.branch_id)
+ * @param {Object} template - CDU template for the payment type
+ * @param {Array} accounts - Active collection accounts
+ * @param {Object} options - amount, due_date, collection_account_id, payment_mode, override_reason
+ * @returns {Object} CDU draft data
+ */
+function resolveCDUSettings(procurement, template, accounts, options = {}) {
+  const paymentType = template.payment_type;
+
+  const amount = template.amount_source === 'emd_amount'
+    ? Number(procurement.emd_amount)
+    : Number(options.amount);
+
+  if (!amount || amount <= 0) {
+    return {
+      success: false,
+      error: template.amount_source === 'emd_amount'
+        ? 'Procurement has no EMD amount; calculate procurement costs first'
+        : `Amount is required for ${paymentType} CDUs`
+    };
+  }
+
+  const ruleAccount = resolveCollectionAccount(accounts, {
+    zone: procurement.zone,
+    branchId: procurement.allocation?.branch_id || null,
+    paymentType
+  });
+  const ruleMode = choosePaymentMode(template, amount);
+
+  let account = ruleAccount;
+  if (options.collection_account_id) {
+    account = accounts.find(a => a.id === options.collection_account_id);
+    if (!account) {
+      return {
+        success: false,
+        error: 'Collection account is unknown or inactive'
+      };
+    }
+  }
+  const paymentMode = options.payment_mode || ruleMode;
+
+  const overridden = (account?.id || null) !== (ruleAccount?.id || null) || paymentMode !== ruleMode;
+  const overrideReason = (options.override_reason || '').trim();
+  if (overridden && !overrideReason) {
+    return {
+      success: false,
+      error: 'An override reason is required when changing the rule-chosen account or payment mode'
+    };
+  }
+
+  const dueDate = options.due_date
+    ? toDateString(options.due_date)
+    : (template.due_in_days !== null && template.due_in_days !== undefined
+      ? daysFromToday(template.due_in_days)
+      : procurement.due_date);
+
+  return {
+    success: true,
+    data: {
+      payment_mode: paymentMode,
+      payment_type: paymentType,
+      amount,
+      bank: account ? account.bank_name : LEGACY_BANK,
+      collection_account_id: account ? account.id : null,
+      account_name: account ? account.account_name : null,
+      account_number: account ? account.account_number : null,
+      ifsc_code: account ? account.ifsc_code : null,
+      cdu_template_id: template.id,
+      due_date: dueDate,
+      remarks: renderRemarks(template.remarks_template, procurement, paymentType),
+      override_reason: overridden ? overrideReason : null,
+      rule: {
+        collection_account_id: ruleAccount ? ruleAccount.id : null,
+        payment_mode: ruleMode
+      }
+    }
+  };
+}
+
+/**
+ * Load the template and accounts for a payment type and resolve a CDU draft
+ * @param {Object} procurement - Procurement record
+ * @param {Object} options - payment_type (default EMD) plus resolveCDUSettings options
+ * @returns {Object} CDU draft data
+ */
+async function buildCDUDraft(procurement, options = {}) {
+  try {
+    const paymentType = options.payment_type || 'EMD';
+    const [templates, accounts] = await Promise.all([
+      fetchCDUTemplates(),
+      fetchCollectionAccounts({ activeOnly: true })
+    ]);
+
+    let template = templates.find(t => t.payment_type === paymentType);
+    if (!template && paymentType === 'EMD') {
+      template = LEGACY_CDU_TEMPLATE;
+    }
+    if (!template || template.is_active === false) {
+      return {
+        success: false,
+        error: `No active CDU template for payment type ${paymentType}`
+      };
+    }
+
+    return resolveCDUSettings(procurement, template, accounts, options);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Write an audit entry for a CDU configuration change
+ */
+async function logCDUConfigAction(tableName, action, recordId, userId, oldValues, newValues) {
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: tableName,
+      record_id: recordId,
+      action,
+      user_id: userId,
+      old_values: oldValues || {},
+      new_values: newValues || {}
+    });
+}
+
+/**
+ * Map request fields onto a collection_accounts row
+ * @param {Object} accountData - Request body
+ * @returns {Object} Row values
+ */
+function toCollectionAccountRow(accountData) {
+  const row = {};
+  ['account_name', 'bank_name', 'account_number', 'ifsc_code', 'priority', 'is_active'].forEach(field => {
+    if (accountData[field] !== undefined) row[field] = accountData[field];
+  });
+  ['bank_branch', 'zone', 'branch_id', 'payment_type', 'notes'].forEach(field => {
+    if (accountData[field] !== undefined) row[field] = accountData[field] || null;
+  });
+  return row;
+}
+
+/**
+ * List collection accounts
+ * @returns {Object} Collection accounts
+ */
+async function listCollectionAccounts() {
+  try {
+    const accounts = await fetchCollectionAccounts();
+    return {
+      success: true,
+      data: { accounts }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Create a collection account
+ * @param {Object} accountData - Account fields
+ * @param {string} userId - User ID
+ * @returns {Object} Creation result
+ */
+async function createCollectionAccount(accountData, userId) {
+  try {
+    const { data: account, error } = await supabase
+      .from('collection_accounts')
+      .insert({ ...toCollectionAccountRow(accountData), created_by: userId })
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: error.code === '23505'
+          ? 'A collection account with this IFSC and account number already exists'
+          : `Failed to create collection account: ${error.message}`
+      };
+    }
+
+    await logCDUConfigAction('collection_accounts', 'COLLECTION_ACCOUNT_CREATED', account.id, userId, null, account);
+
+    return {
+      success: true,
+      data: account
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to create collection account: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Update a collection account (set is_active false to retire it; payments keep their reference)
+ * @param {string} accountId - Collection account ID
+ * @param {Object} accountData - Fields to update
+ * @param {string} userId - User ID
+ * @returns {Object} Update result
+ */
+async function updateCollectionAccount(accountId, accountData, userId) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('collection_accounts')
+      .select('*')
+      .eq('id', accountId)
+      .single();
+
+    if (fetchError || !existing) {
+      return {
+        success: false,
+        error: 'Collection account not found'
+      };
+    }
+
+    const { data: account, error } = await supabase
+      .from('collection_accounts')
+      .update({ ...toCollectionAccountRow(accountData), updated_at: new Date().toISOString() })
+      .eq('id', accountId)
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: error.code === '23505'
+          ? 'A collection account with this IFSC and account number already exists'
+          : `Failed to update collection account: ${error.message}`
+      };
+    }
+
+    await logCDUConfigAction('collection_accounts', 'COLLECTION_ACCOUNT_UPDATED', accountId, userId, existing, account);
+
+    return {
+      success: true,
+      data: account
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update collection account: ${error.message}`
+    };
+  }
+}
+
+/**
+ * List CDU templates
+ * @returns {Object} CDU templates
+ */
+async function listCDUTemplates() {
+  try {
+    const templates = await fetchCDUTemplates();
+    return {
+      success: true,
+      data: { templates }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Update the CDU template for a payment type
+ * @param {string} paymentType - EMD, DO_PAYMENT or LATE_LIFTING
+ * @param {Object} templateData - Fields to update
+ * @param {string} userId - User ID
+ * @returns {Object} Update result
+ */
+async function updateCDUTemplate(paymentType, templateData, userId) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('cdu_templates')
+      .select('*')
+      .eq('payment_type', paymentType)
+      .single();
+
+    if (fetchError || !existing) {
+      return {
+        success: false,
+        error: 'CDU template not found'
+      };
+    }
+
+    const { data: template, error } = await supabase
+      .from('cdu_templates')
+      .update({ ...templateData, updated_by: userId, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to update CDU template: ${error.message}`
+      };
+    }
+
+    await logCDUConfigAction('cdu_templates', 'CDU_TEMPLATE_UPDATED', existing.id, userId, existing, template);
+
+    return {
+      success: true,
+      data: template
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update CDU template: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  CDU_PAYMENT_TYPES,
+  LEGACY_BANK,
+  fetchCollectionAccounts,
+  fetchCDUTemplates,
+  resolveCollectionAccount,
+  choosePaymentMode,
+  renderRemarks,
+  resolveCDUSettings,
+  buildCDUDraft,
+  listCollectionAccounts,
+  createCollectionAccount,
+  updateCollectionAccount,
+  listCDUTemplates,
+  updateCDUTemplate
+};
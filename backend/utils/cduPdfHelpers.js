@@ -0,0 +1,238 @@
+/**
+ * CDU payment advice PDF
+ * Renders a payment's CDU (indent, firm, amount in words, bank details, due date and a QR
+ * of the payment reference) so branch staff stop retyping it into bank portals and letters
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { supabase } = require('../config/supabase');
+const { fetchPaymentDetails, fetchProcurementDetails } = require('./paymentHelpers');
+const { toPaise } = require('./moneyHelpers');
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Indian numbering: crore (10^7), lakh (10^5), thousand, hundred
+const INDIAN_UNITS = [
+  { value: 10000000, name: 'Crore' },
+  { value: 100000, name: 'Lakh' },
+  { value: 1000, name: 'Thousand' },
+  { value: 100, name: 'Hundred' }
+];
+
+/**
+ * Spell out a whole number below 100
+ */
+function twoDigitWords(number) {
+  if (number < 20) return ONES[number];
+  return [TENS[Math.floor(number / 10)], ONES[number % 10]].filter(Boolean).join(' ');
+}
+
+/**
+ * Spell out a whole number using the Indian numbering system
+ * @param {number} number - Non-negative integer
+ * @returns {string} Words, e.g. 150000 -> "One Lakh Fifty Thousand"
+ */
+function numberToIndianWords(number) {
+  if (number === 0) return 'Zero';
+
+  const words = [];
+  let remainder = number;
+
+  INDIAN_UNITS.forEach(({ value, name }) => {
+    const count = Math.floor(remainder / value);
+    if (count > 0) {
+      // Crores can exceed 99 (e.g. 150 crore); spell the count out recursively
+      words.push(`${count >= 100 ? numberToIndianWords(count) : twoDigitWords(count)} ${name}`);
+      remainder %= value;
+    }
+  });
+
+  if (remainder > 0) {
+    words.push(twoDigitWords(remainder));
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Spell out a rupee amount for a payment advice
+ * @param {number|string} amount - Amount in rupees
+ * @returns {string} e.g. "Rupees One Lakh Twenty Thousand and Fifty Paise Only"
+ */
+function amountInWords(amount) {
+  const paise = toPaise(amount);
+  const rupees = Math.floor(paise / 100);
+  const paiseRemainder = paise % 100;
+
+  const rupeeWords = `Rupees ${numberToIndianWords(rupees)}`;
+  return paiseRemainder > 0
+    ? `${rupeeWords} and ${twoDigitWords(paiseRemainder)} Paise Only`
+    : `${rupeeWords} Only`;
+}
+
+/**
+ * Build the reference encoded in the CDU QR code
+ * @param {Object} payment - Payment record
+ * @param {Object} procurement - Procurement record
+ * @returns {string} Pipe-separated reference: CDU|indent|payment id|type|amount|account|IFSC
+ */
+function buildPaymentReference(payment, procurement) {
+  return [
+    'CDU',
+    procurement?.indent_number || '',
+    payment.id,
+    payment.payment_type,
+    Number(payment.amount).toFixed(2),
+    payment.account_number || '',
+    payment.ifsc_code || ''
+  ].join('|');
+}
+
+/**
+ * Format a date as DD/MM/YYYY for the advice
+ */
+function formatDate(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+/**
+ * Format a rupee amount with Indian digit grouping
+ */
+function formatAmount(amount) {
+  return `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Render the payment advice PDF
+ * @param {Object} advice - payment, procurement, account (collection account or null)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+async function renderCDUPdf({ payment, procurement, account }) {
+  const reference = buildPaymentReference(payment, procurement);
+  const qrImage = await QRCode.toBuffer(reference, { type: 'png', width: 160, margin: 1 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `CDU ${procurement?.indent_number || payment.id}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(18).text('Payment Advice (CDU)', left, 50);
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+      .text(`${payment.payment_type} payment for Indent ${procurement?.indent_number || '-'}`)
+      .text(`Generated ${formatDate(new Date())}`);
+    doc.image(qrImage, left + width - 110, 45, { width: 110 });
+    doc.fillColor('#000000');
+
+    const row = (label, value) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(label, left, y, { width: 150 });
+      doc.font('Helvetica').fontSize(10).text(value || '-', left + 160, y, { width: width - 160 });
+      doc.moveDown(0.4);
+    };
+
+    const section = (title) => {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(12).text(title, left, doc.y);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor('#cccccc').stroke();
+      doc.moveDown(0.6);
+    };
+
+    doc.y = 170;
+
+    section('Procurement');
+    row('Indent Number', procurement?.indent_number);
+    row('Firm Name', procurement?.firm_name);
+    row('Branch', procurement?.allocation?.branch_information?.branch_name);
+    row('Zone', procurement?.zone);
+    row('Bale Quantity', procurement?.bale_quantity ? `${Number(procurement.bale_quantity).toLocaleString('en-IN')} bales` : null);
+
+    section('Payment');
+    row('Amount', formatAmount(payment.amount));
+    row('Amount in Words', amountInWords(payment.amount));
+    row('Payment Mode', payment.payment_mode);
+    row('Due Date', formatDate(payment.utr_due_date || payment.due_date));
+    row('Remarks', payment.remarks);
+
+    section('Beneficiary Bank Details');
+    row('Account Name', account?.account_name);
+    row('Bank', payment.bank);
+    row('Bank Branch', account?.bank_branch);
+    row('Account Number', payment.account_number);
+    row('IFSC', payment.ifsc_code);
+
+    section('Payment Reference');
+    doc.font('Courier').fontSize(9).text(reference, left, doc.y, { width });
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+      'Quote the indent number in the transfer remarks and submit the UTR against this payment once the transfer is made.',
+      left,
+      doc.y,
+      { width }
+    );
+
+    doc.end();
+  });
+}
+
+/**
+ * Build the CDU payment advice PDF for a payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Object} { buffer, fileName }
+ */
+async function generateCDUPdf(paymentId) {
+  try {
+    const paymentResult = await fetchPaymentDetails(paymentId);
+    if (!paymentResult.success) {
+      return paymentResult;
+    }
+    const payment = paymentResult.data;
+
+    const procurementResult = await fetchProcurementDetails(payment.procurement_id);
+    const procurement = procurementResult.success ? procurementResult.data : null;
+
+    let account = null;
+    if (payment.collection_account_id) {
+      const { data } = await supabase
+        .from('collection_accounts')
+        .select('account_name, bank_branch')
+        .eq('id', payment.collection_account_id)
+        .single();
+      account = data || null;
+    }
+
+    const buffer = await renderCDUPdf({ payment, procurement, account });
+
+    return {
+      success: true,
+      data: {
+        buffer,
+        fileName: `CDU-${procurement?.indent_number || payment.id}-${payment.payment_type}.pdf`
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `CDU PDF generation failed: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  numberToIndianWords,
+  amountInWords,
+  buildPaymentReference,
+  renderCDUPdf,
+  generateCDUPdf
+};
@@ -0,0 +1,180 @@
+/**
+ * Contract extraction helpers
+ * Reads the key terms out of an uploaded contract PDF and checks them against the
+ * procurement we calculated, so the approver sees disagreements before approving
+ */
+
+const { PDFParse } = require('pdf-parse');
+
+// Amounts are in rupees; the contract may round to the rupee
+const AMOUNT_TOLERANCE = 1;
+const RATE_TOLERANCE = 0.01;
+
+const AMOUNT = '(?:rs\\.?|inr|₹)?\\s*([\\d,]+(?:\\.\\d+)?)';
+
+// Label patterns per field; the first line that matches wins
+const FIELD_PATTERNS = {
+  indent_number: [
+    /indent\s*(?:no\.?|number|#)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\/\-_.]*)/i
+  ],
+  firm_name: [
+    /(?:firm|seller|party|ginner)\s*(?:name)?\s*[:\-]\s*(.+)/i,
+    /(?:m\/s\.?)\s+(.+)/i
+  ],
+  // The label must name bales; a bare quantity is usually the weight in kg or quintals
+  bale_quantity: [
+    /(?:no\.?\s*of\s*bales|bales?\s*(?:qty|quantity)|(?:qty|quantity)\s*\(?\s*(?:in\s*)?bales\s*\)?|bales)\s*[:\-]?\s*([\d,]+)/i
+  ],
+  // Only lines that name the candy; GST and interest lines carry rates too
+  candy_rate: [
+    new RegExp(`candy\\s*rate\\s*[:\\-]?\\s*${AMOUNT}`, 'i'),
+    new RegExp(`rate\\s*(?:per|\\/)\\s*candy\\s*[:\\-]?\\s*${AMOUNT}`, 'i')
+  ],
+  total_amount: [
+    new RegExp(`(?:total\\s*(?:contract\\s*)?(?:amount|value)|contract\\s*value|grand\\s*total)\\s*[:\\-]?\\s*${AMOUNT}`, 'i')
+  ]
+};
+
+const FIELD_LABELS = {
+  indent_number: 'Indent number',
+  firm_name: 'Firm name',
+  bale_quantity: 'Bale quantity',
+  candy_rate: 'Candy rate',
+  total_amount: 'Total amount'
+};
+
+/**
+ * Extract the text layer of a PDF
+ * Scanned contracts without a text layer come back empty.
+ * @param {Buffer} buffer - PDF file content
+ * @returns {string} Text, pages separated by newlines
+ */
+async function extractPdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.text || '';
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function parseNumber(value) {
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse contract terms from extracted text
+ * @param {string} text - Contract text
+ * @returns {Object} indent_number, firm_name, bale_quantity, candy_rate, total_amount (null when not found)
+ */
+function parseContractFields(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  const find = (field) => {
+    for (const pattern of FIELD_PATTERNS[field]) {
+      for (const line of lines) {
+        const match = line.match(pattern);
+        if (match) {
+          return match[1].trim();
+        }
+      }
+    }
+    return null;
+  };
+
+  const bales = find('bale_quantity');
+  const rate = find('candy_rate');
+  const total = find('total_amount');
+
+  return {
+    indent_number: find('indent_number'),
+    firm_name: find('firm_name'),
+    bale_quantity: bales === null ? null : parseNumber(bales),
+    candy_rate: rate === null ? null : parseNumber(rate),
+    total_amount: total === null ? null : parseNumber(total)
+  };
+}
+
+/**
+ * Extract and parse a contract PDF
+ * @param {Buffer} buffer - PDF file content
+ * @returns {Object} { fields, error } - error is set when the PDF has no readable text
+ */
+async function extractContractFields(buffer) {
+  try {
+    const text = await extractPdfText(buffer);
+    if (!text.replace(/--\s*\d+\s*of\s*\d+\s*--/g, '').trim()) {
+      return {
+        fields: null,
+        error: 'The PDF has no text layer (scanned document?)'
+      };
+    }
+    return {
+      fields: parseContractFields(text),
+      error: null
+    };
+  } catch (error) {
+    return {
+      fields: null,
+      error: `Could not read the PDF: ${error.message}`
+    };
+  }
+}
+
+const normalizeText = (value) => String(value).toLowerCase()
+  .replace(/\b(m\/s|pvt|private|ltd|limited)\b\.?/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+const normalizeIndent = (value) => String(value).toUpperCase().replace(/\s/g, '');
+
+/**
+ * Compare contract terms with the procurement record
+ * @param {Object} fields - Parsed contract fields (may be null)
+ * @param {Object} procurement - procurement_dump row
+ * @returns {Object} { checks: [{ field, label, contract_value, procurement_value, status }], mismatch_count }
+ */
+function compareContractWithProcurement(fields, procurement) {
+  const values = fields || {};
+
+  const checks = Object.keys(FIELD_LABELS).map(field => {
+    const contractValue = values[field] ?? null;
+    const procurementValue = procurement[field] ?? null;
+
+    let matches;
+    let missing = contractValue === null;
+    if (field === 'indent_number') {
+      matches = normalizeIndent(contractValue) === normalizeIndent(procurementValue);
+    } else if (field === 'firm_name') {
+      const contractFirm = normalizeText(contractValue ?? '');
+      const procurementFirm = normalizeText(procurementValue ?? '');
+      // A name that is only "M/s Pvt Ltd" says nothing about the firm
+      missing = missing || contractFirm === '';
+      // Contracts often add a suffix or location after the registered firm name
+      matches = procurementFirm !== '' && contractFirm.startsWith(procurementFirm);
+    } else {
+      const tolerance = field === 'total_amount' ? AMOUNT_TOLERANCE : field === 'candy_rate' ? RATE_TOLERANCE : 0;
+      matches = Math.abs(contractValue - Number(procurementValue)) <= tolerance;
+    }
+
+    return {
+      field,
+      label: FIELD_LABELS[field],
+      contract_value: contractValue,
+      procurement_value: procurementValue,
+      status: missing ? 'missing' : matches ? 'match' : 'mismatch'
+    };
+  });
+
+  return {
+    checks,
+    mismatch_count: checks.filter(check => check.status === 'mismatch').length
+  };
+}
+
+module.exports = {
+  extractContractFields,
+  parseContractFields,
+  compareContractWithProcurement
+};
@@ -3,8 +3,22 @@
  * Extracted from contractRoutes.js to reduce code duplication and improve maintainability
  */
 
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('./databaseHelpers');
+const { getStorageAdapter } = require('./storageAdapters');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
+const { extractContractFields, compareContractWithProcurement } = require('./contractExtractionHelpers');
+const { stampApprovedContract } = require('./contractStampHelpers');
+const { createContractSlaResolver, groupOverdueByBranch } = require('./contractSlaHelpers');
+const { toDateString, shiftDate } = require('./holidayHelpers');
+const { getMinimumContractDueDays } = require('./tradingConfigHelpers');
+const { sumMoney } = require('./moneyHelpers');
+
+// A new version replacing one of these amends an approved contract
+const APPROVED_CONTRACT_STATUSES = ['approved', 'sent'];
 
 /**
  * Search procurement details by indent number
@@ -62,6 +76,7 @@ async function getPendingContracts() {
         )
       `)
       .eq('status', 'pending')
+      .eq('version_state', 'active')
       .order('uploaded_at', { ascending: false });
 
     if (error) {
@@ -71,11 +86,17 @@ async function getPendingContracts() {
       };
     }
 
+    // Each contract carries its cross-check so the approver sees mismatches up front
+    const checkedContracts = await Promise.all((contracts || []).map(async contract => ({
+      ...contract,
+      field_check: await checkContractAgainstProcurement(contract)
+    })));
+
     return { 
       success: true, 
       data: {
-        contracts: contracts || [],
-        count: contracts ? contracts.length : 0
+        contracts: checkedContracts,
+        count: checkedContracts.length
       }
     };
   } catch (error) {
@@ -87,7 +108,105 @@ async function getPendingContracts() {
 }
 
 /**
- * Get all indent numbers with their contract upload status
+ * Compare a contract's extracted terms with its procurement
+ * Contracts stored before extraction existed are read and saved on first check.
+ * @param {Object} contract - purchase_contract_table row
+ * @returns {Object} { extraction_error, procurement_found, checks, mismatch_count }
+ */
+async function checkContractAgainstProcurement(contract) {
+  let fields = contract.extracted_fields;
+  let extractionError = contract.extraction_error || null;
+
+  if (!fields && !extractionError) {
+    if (contract.storage_key) {
+      try {
+        const content = await getStorageAdapter(contract.storage_driver).get(contract.storage_key);
+        const extraction = await extractContractFields(content);
+        fields = extraction.fields;
+        extractionError = extraction.error;
+
+        await supabase
+          .from('purchase_contract_table')
+          .update({
+            extracted_fields: fields,
+            extraction_error: extractionError,
+            extracted_at: new Date().toISOString()
+          })
+          .eq('id', contract.id);
+      } catch (error) {
+        // Storage outages are not saved, so the next check tries again
+        extractionError = `Could not read the stored file: ${error.message}`;
+      }
+    } else {
+      extractionError = 'The contract file is stored outside the application';
+    }
+  }
+
+  const procurementResult = await searchProcurementByIndent(contract.indent_number);
+  if (!procurementResult.success) {
+    return {
+      extraction_error: extractionError,
+      procurement_found: false,
+      checks: [],
+      mismatch_count: 0
+    };
+  }
+
+  return {
+    extraction_error: extractionError,
+    procurement_found: true,
+    ...compareContractWithProcurement(fields, procurementResult.data.procurement)
+  };
+}
+
+// Procurement columns behind an indent status row
+const INDENT_STATUS_COLUMNS = `
+  indent_number,
+  firm_name,
+  bale_quantity,
+  total_amount,
+  created_at,
+  allocation:allocation_id (
+    branch_id,
+    branch_information:branch_id (
+      branch_name,
+      branch_code,
+      state
+    )
+  )
+`;
+
+/**
+ * Combine a procurement with the contract standing for it into an indent status row
+ * @param {Object} procurement - Row selected with INDENT_STATUS_COLUMNS
+ * @param {Object|null} contract - Active version (id, status, uploaded_at, file_name, version_number)
+ * @param {number} versionCount - Versions uploaded for the indent
+ * @param {string|null} submittedAt - When the standing contract was first uploaded
+ * @param {Function} evaluateSla - Resolver from createContractSlaResolver
+ * @returns {Object} Indent status row
+ */
+function toIndentStatusRow(procurement, contract, versionCount, submittedAt, evaluateSla) {
+  return {
+    indent_number: procurement.indent_number,
+    firm_name: procurement.firm_name,
+    bale_quantity: procurement.bale_quantity,
+    total_amount: procurement.total_amount,
+    created_at: procurement.created_at,
+    branch_id: procurement.allocation?.branch_id || null,
+    branch_name: procurement.allocation?.branch_information?.branch_name || 'Unknown',
+    branch_code: procurement.allocation?.branch_information?.branch_code || 'Unknown',
+    contract_status: contract ? contract.status : 'pending',
+    contract_uploaded_at: contract ? contract.uploaded_at : null,
+    contract_file_name: contract ? contract.file_name : null,
+    contract_id: contract ? contract.id : null,
+    contract_version: contract ? contract.version_number : null,
+    contract_version_count: versionCount,
+    ...evaluateSla(procurement, procurement.allocation?.branch_information?.state || null, submittedAt)
+  };
+}
+
+/**
+ * Get all indent numbers with their contract upload status and upload SLA
  * @returns {Object} Indent status data
  */
 async function getIndentContractStatus() {
@@ -95,19 +214,7 @@ async function getIndentContractStatus() {
     // Get all procurement records
     const { data: procurements, error: procurementError } = await supabase
       .from('procurement_dump')
-      .select(`
-        indent_number,
-        firm_name,
-        bale_quantity,
-        total_amount,
-        created_at,
-        allocation:allocation_id (
-          branch_information:branch_id (
-            branch_name,
-            branch_code
-          )
-        )
-      `)
+      .select(INDENT_STATUS_COLUMNS)
       .order('created_at', { ascending: false });
 
     if (procurementError) {
@@ -117,11 +224,10 @@ async function getIndentContractStatus() {
       };
     }
 
-    // Get all uploaded contracts
+    // Get all uploaded contract versions
     const { data: contracts, error: contractError } = await supabase
       .from('purchase_contract_table')
-      .select('indent_number, status, uploaded_at, file_name')
-      .order('uploaded_at', { ascending: false });
+      .select('id, indent_number, status, uploaded_at, file_name, version_number, version_state');
 
     if (contractError) {
       return { 
@@ -130,41 +236,48 @@ async function getIndentContractStatus() {
       };
     }
 
-    // Create a map of contract status by indent number
+    // The active version stands for the indent; the others only count towards its history
     const contractStatusMap = {};
-    if (contracts) {
-      contracts.forEach(contract => {
+    const versionCounts = {};
+    const firstUploads = {};
+    (contracts || []).forEach(contract => {
+      versionCounts[contract.indent_number] = (versionCounts[contract.indent_number] || 0) + 1;
+      if (!firstUploads[contract.indent_number] || contract.uploaded_at < firstUploads[contract.indent_number]) {
+        firstUploads[contract.indent_number] = contract.uploaded_at;
+      }
+      if (contract.version_state === 'active') {
         contractStatusMap[contract.indent_number] = {
+          id: contract.id,
           status: contract.status,
           uploaded_at: contract.uploaded_at,
-          file_name: contract.file_name
+          file_name: contract.file_name,
+          version_number: contract.version_number
         };
-      });
-    }
+      }
+    });
+
+    const today = toDateString(new Date());
+    const evaluateSla = await createContractSlaResolver(procurements, today);
 
     // Combine procurement data with contract status
     const indentStatus = procurements.map(procurement => {
       const contractInfo = contractStatusMap[procurement.indent_number];
-      return {
-        indent_number: procurement.indent_number,
-        firm_name: procurement.firm_name,
-        bale_quantity: procurement.bale_quantity,
-        total_amount: procurement.total_amount,
-        created_at: procurement.created_at,
-        branch_name: procurement.allocation?.branch_information?.branch_name || 'Unknown',
-        branch_code: procurement.allocation?.branch_information?.branch_code || 'Unknown',
-        contract_status: contractInfo ? contractInfo.status : 'pending',
-        contract_uploaded_at: contractInfo ? contractInfo.uploaded_at : null,
-        contract_file_name: contractInfo ? contractInfo.file_name : null
-      };
+      // A rejected contract leaves the indent waiting; amendments don't reset the clock
+      const submittedAt = contractInfo && contractInfo.status !== 'rejected'
+        ? firstUploads[procurement.indent_number]
+        : null;
+      return toIndentStatusRow(procurement, contractInfo, versionCounts[procurement.indent_number] || 0, submittedAt, evaluateSla);
     });
 
     return { 
       success: true, 
       data: {
+        as_of: today,
         indent_status: indentStatus,
         total_indents: indentStatus.length,
-        contracts_uploaded: Object.keys(contractStatusMap).length
+        contracts_uploaded: Object.keys(contractStatusMap).length,
+        contract_versions: (contracts || []).length,
+        contracts_overdue: indentStatus.filter(indent => indent.sla_status === 'overdue').length
       }
     };
   } catch (error) {
@@ -175,6 +288,181 @@ async function getIndentContractStatus() {
   }
 }
 
+/**
+ * Report indents past the contract upload SLA without a contract, grouped by branch
+ * @param {Object} filters - branch_id
+ * @returns {Object} { as_of, total_overdue, total_amount, branches }
+ */
+async function getOverdueContractsReport(filters = {}) {
+  try {
+    const today = toDateString(new Date());
+    // A contract is due at least the shortest SLA in calendar days after its procurement,
+    // so newer procurements cannot be overdue yet
+    const cutoff = shiftDate(today, -(await getMinimumContractDueDays()));
+
+    // Only indents with no contract standing for them
+    const { data: procurements, error } = await supabase
+      .from('procurements_awaiting_contract')
+      .select(`
+        ${INDENT_STATUS_COLUMNS},
+        contract_id,
+        contract_status,
+        contract_uploaded_at,
+        contract_file_name,
+        contract_version,
+        contract_version_count
+      `)
+      .lt('created_at', cutoff)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch procurement data: ${error.message}`
+      };
+    }
+
+    const evaluateSla = await createContractSlaResolver(procurements || [], today);
+    const overdue = (procurements || [])
+      .filter(procurement => !filters.branch_id || procurement.allocation?.branch_id === filters.branch_id)
+      .map(procurement => {
+        // The view only carries a rejected active version, which leaves the indent waiting
+        const contract = procurement.contract_id
+          ? {
+            id: procurement.contract_id,
+            status: procurement.contract_status,
+            uploaded_at: procurement.contract_uploaded_at,
+            file_name: procurement.contract_file_name,
+            version_number: procurement.contract_version
+          }
+          : null;
+        return toIndentStatusRow(procurement, contract, Number(procurement.contract_version_count) || 0, null, evaluateSla);
+      })
+      .filter(indent => indent.sla_status === 'overdue');
+    const branches = groupOverdueByBranch(overdue);
+
+    return {
+      success: true,
+      data: {
+        as_of: today,
+        total_overdue: overdue.length,
+        total_amount: sumMoney(branches.map(branch => branch.total_amount)),
+        branches
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to get overdue contracts report: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Get every contract version for an indent with its review trail
+ * @param {string} indentNumber - Indent number
+ * @returns {Object} { indent_number, active_version, versions } - newest version first
+ */
+async function getContractHistory(indentNumber) {
+  try {
+    const { data: versions, error } = await supabase
+      .from('purchase_contract_table')
+      .select(`
+        id,
+        indent_number,
+        firm_name,
+        version_number,
+        version_state,
+        supersedes_id,
+        amendment_reason,
+        status,
+        file_name,
+        file_url,
+        file_size,
+        file_sha256,
+        stamped_sha256,
+        stamped_at,
+        extracted_fields,
+        uploaded_at,
+        approved_at,
+        approval_notes,
+        rejected_at,
+        rejection_reason,
+        uploaded_user:uploaded_by (
+          first_name,
+          last_name,
+          email
+        ),
+        approved_user:approved_by (
+          first_name,
+          last_name,
+          email
+        ),
+        rejected_user:rejected_by (
+          first_name,
+          last_name,
+          email
+        )
+      `)
+      .eq('indent_number', indentNumber)
+      .order('version_number', { ascending: false });
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch contract versions: ${error.message}`
+      };
+    }
+
+    if (!versions || versions.length === 0) {
+      return {
+        success: true,
+        data: { indent_number: indentNumber, active_version: null, versions: [] }
+      };
+    }
+
+    const { data: auditEntries, error: auditError } = await supabase
+      .from('audit_log')
+      .select('record_id, action, new_values, created_at, users:user_id (first_name, last_name, email)')
+      .eq('table_name', 'purchase_contract_table')
+      .in('record_id', versions.map(version => version.id))
+      .order('created_at', { ascending: true });
+
+    if (auditError) {
+      return {
+        success: false,
+        error: `Failed to fetch contract audit trail: ${auditError.message}`
+      };
+    }
+
+    const versionsWithTrail = versions.map(version => ({
+      ...version,
+      trail: (auditEntries || [])
+        .filter(entry => entry.record_id === version.id)
+        .map(entry => ({
+          action: entry.action,
+          at: entry.created_at,
+          user: entry.users,
+          details: entry.new_values
+        }))
+    }));
+
+    return {
+      success: true,
+      data: {
+        indent_number: indentNumber,
+        active_version: versionsWithTrail.find(version => version.version_state === 'active') || null,
+        versions: versionsWithTrail
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to get contract history: ${error.message}`
+    };
+  }
+}
+
 /**
  * Get contract details by ID
  * @param {string} contractId - Contract ID
@@ -237,15 +525,18 @@ async function updateContractStatus(contractId, status, userId, additionalData =
 
     if (status === 'approved') {
       updateData.approved_by = userId;
-      updateData.approved_at = new Date().toISOString();
+      updateData.approved_at = additionalData.approved_at || new Date().toISOString();
     }
 
+    // Only a pending, active version can be reviewed; the earlier read may be stale by now
     const { data: updatedContract, error } = await supabase
       .from('purchase_contract_table')
       .update(updateData)
       .eq('id', contractId)
+      .eq('status', 'pending')
+      .eq('version_state', 'active')
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
       return { 
@@ -254,6 +545,13 @@ async function updateContractStatus(contractId, status, userId, additionalData =
       };
     }
 
+    if (!updatedContract) {
+      return {
+        success: false,
+        error: 'Contract was already reviewed or superseded by a newer version'
+      };
+    }
+
     return { 
       success: true, 
       data: { contract: updatedContract } 
@@ -313,21 +611,52 @@ async function approveContract(contractId, userId, notes = '') {
       return contractResult;
     }
 
+    const contract = contractResult.data.contract;
+    if (contract.version_state !== 'active') {
+      return {
+        success: false,
+        error: `Contract version ${contract.version_number} is already ${contract.version_state}`
+      };
+    }
+
+    if (contract.status !== 'pending') {
+      return {
+        success: false,
+        error: `Contract is already ${contract.status}`
+      };
+    }
+
     const oldValues = {
-      status: contractResult.data.contract.status,
-      approved_by: contractResult.data.contract.approved_by,
-      approved_at: contractResult.data.contract.approved_at
+      status: contract.status,
+      approved_by: contract.approved_by,
+      approved_at: contract.approved_at
     };
 
+    // Stamp before approving so an approved stored contract always has its stamped copy;
+    // contracts uploaded through n8n have no stored file to stamp
+    const approvedAt = new Date().toISOString();
+    let stamp = {};
+    if (contract.storage_key) {
+      const stampResult = await stampApprovedContract(contract, userId, approvedAt);
+      if (!stampResult.success) {
+        return stampResult;
+      }
+      stamp = stampResult.data;
+    }
+
     // Update contract status
     const updateResult = await updateContractStatus(
       contractId, 
       'approved', 
       userId, 
-      { approval_notes: notes }
+      { approval_notes: notes, approved_at: approvedAt, ...stamp }
     );
 
     if (!updateResult.success) {
+      if (stamp.stamped_storage_key) {
+        await getStorageAdapter(contract.storage_driver).remove(stamp.stamped_storage_key)
+          .catch(error => console.error('Failed to remove unused stamped contract:', error.message));
+      }
       return updateResult;
     }
 
@@ -339,12 +668,21 @@ async function approveContract(contractId, userId, notes = '') {
       {
         status: 'approved',
         approved_by: userId,
-        approved_at: new Date().toISOString(),
-        approval_notes: notes
+        approved_at: approvedAt,
+        approval_notes: notes,
+        stamped_sha256: stamp.stamped_sha256 || null
       },
       oldValues
     );
 
+    await publishDomainEvent(DOMAIN_EVENTS.CONTRACT_APPROVED, {
+      aggregateType: 'purchase_contract_table',
+      aggregateId: contractId,
+      indentNumber: contract.indent_number,
+      data: { approval_notes: notes },
+      userId
+    });
+
     return { 
       success: true, 
       data: {
@@ -360,6 +698,317 @@ async function approveContract(contractId, userId, notes = '') {
   }
 }
 
+/**
+ * Reject contract
+ * @param {string} contractId - Contract ID
+ * @param {string} userId - User ID
+ * @param {string} reason - Rejection reason, shared with the uploader
+ * @returns {Object} Rejection result
+ */
+async function rejectContract(contractId, userId, reason) {
+  try {
+    const contractResult = await getContractDetails(contractId);
+    if (!contractResult.success) {
+      return contractResult;
+    }
+
+    const contract = contractResult.data.contract;
+    if (contract.version_state !== 'active') {
+      return {
+        success: false,
+        error: `Contract version ${contract.version_number} is already ${contract.version_state}`
+      };
+    }
+
+    if (contract.status !== 'pending') {
+      return {
+        success: false,
+        error: `Contract is already ${contract.status}`
+      };
+    }
+
+    const rejectedAt = new Date().toISOString();
+    const updateResult = await updateContractStatus(
+      contractId,
+      'rejected',
+      userId,
+      {
+        rejected_by: userId,
+        rejected_at: rejectedAt,
+        rejection_reason: reason
+      }
+    );
+
+    if (!updateResult.success) {
+      return updateResult;
+    }
+
+    await logContractAction(
+      contractId,
+      'CONTRACT_REJECTED',
+      userId,
+      {
+        status: 'rejected',
+        rejected_by: userId,
+        rejected_at: rejectedAt,
+        rejection_reason: reason
+      },
+      { status: contract.status }
+    );
+
+    await publishDomainEvent(DOMAIN_EVENTS.CONTRACT_REJECTED, {
+      aggregateType: 'purchase_contract_table',
+      aggregateId: contractId,
+      indentNumber: contract.indent_number,
+      data: { rejection_reason: reason },
+      userId
+    });
+
+    return {
+      success: true,
+      data: {
+        contract: updateResult.data.contract,
+        message: 'Contract rejected'
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to reject contract: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Check an uploaded file is a PDF by type, extension and content
+ * @param {Object} file - Multer file (originalname, mimetype, size, buffer)
+ * @returns {Array} Validation errors, empty when the file is acceptable
+ */
+function validateContractFile(file) {
+  const errors = [];
+
+  if (file.mimetype !== 'application/pdf') {
+    errors.push({ field: 'contract', message: `File type ${file.mimetype} is not allowed; upload a PDF` });
+  }
+  if (!file.originalname.toLowerCase().endsWith('.pdf')) {
+    errors.push({ field: 'contract', message: 'File name must end with .pdf' });
+  }
+  // Browsers report the type from the extension, so also check the file really is a PDF
+  if (file.buffer.length < 5 || file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    errors.push({ field: 'contract', message: 'File content is not a valid PDF' });
+  }
+
+  return errors;
+}
+
+/**
+ * Upload a contract PDF for an indent as its next version
+ * The file goes to the configured storage adapter and is served back through the API.
+ * The version it replaces is superseded, or amended if it had been approved.
+ * @param {Object} file - Multer file from memory storage
+ * @param {string} indentNumber - Indent number
+ * @param {string} userId - Uploading user ID
+ * @param {string} amendmentReason - Why an approved version is being replaced (optional otherwise)
+ * @returns {Object} Upload result
+ */
+async function uploadContract(file, indentNumber, userId, amendmentReason = null) {
+  try {
+    const fileErrors = validateContractFile(file);
+    if (fileErrors.length > 0) {
+      return {
+        success: false,
+        error: 'Invalid contract file',
+        details: fileErrors
+      };
+    }
+
+    const procurementResult = await searchProcurementByIndent(indentNumber);
+    if (!procurementResult.success) {
+      return procurementResult;
+    }
+    const { procurement } = procurementResult.data;
+
+    const { data: latestVersions, error: versionError } = await supabase
+      .from('purchase_contract_table')
+      .select('id, version_number, version_state, status')
+      .eq('indent_number', indentNumber)
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    if (versionError) {
+      return {
+        success: false,
+        error: `Failed to check existing contracts: ${versionError.message}`
+      };
+    }
+
+    const latest = latestVersions && latestVersions[0];
+    const previous = latest && latest.version_state === 'active' ? latest : null;
+    const amendsApproved = Boolean(previous && APPROVED_CONTRACT_STATUSES.includes(previous.status));
+
+    if (amendsApproved && !amendmentReason) {
+      return {
+        success: false,
+        error: 'Invalid contract amendment',
+        details: [{
+          field: 'amendment_reason',
+          message: `Contract version ${previous.version_number} is ${previous.status}; give a reason for the amendment`
+        }]
+      };
+    }
+
+    // A contract we cannot read is still accepted; the approver sees why it was not checked
+    const extraction = await extractContractFields(file.buffer);
+
+    const contractId = uuidv4();
+    const storage = getStorageAdapter();
+    const storageKey = `contracts/${indentNumber.replace(/[^a-zA-Z0-9_-]/g, '_')}/${contractId}.pdf`;
+    await storage.put(storageKey, file.buffer, 'application/pdf');
+
+    // Retire the active version first; only one upload can win it
+    const replacedState = amendsApproved ? 'amended' : 'superseded';
+    if (previous) {
+      const { data: retired, error: retireError } = await supabase
+        .from('purchase_contract_table')
+        .update({ version_state: replacedState, updated_at: new Date().toISOString() })
+        .eq('id', previous.id)
+        .eq('version_state', 'active')
+        .select('id');
+
+      if (retireError || !retired || retired.length === 0) {
+        await storage.remove(storageKey).catch(() => {});
+        return {
+          success: false,
+          error: retireError
+            ? `Failed to update contract version ${previous.version_number}: ${retireError.message}`
+            : `A newer contract version for indent ${indentNumber} was already uploaded`
+        };
+      }
+    }
+
+    const { data: contract, error } = await supabase
+      .from('purchase_contract_table')
+      .insert({
+        id: contractId,
+        indent_number: indentNumber,
+        firm_name: procurement.firm_name,
+        version_number: (latest ? latest.version_number : 0) + 1,
+        version_state: 'active',
+        supersedes_id: previous ? previous.id : null,
+        amendment_reason: amendmentReason || null,
+        file_name: path.basename(file.originalname),
+        file_url: `/api/contract/${contractId}/file`,
+        storage_driver: storage.name,
+        storage_key: storageKey,
+        file_size: file.size,
+        file_sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        extracted_fields: extraction.fields,
+        extraction_error: extraction.error,
+        extracted_at: new Date().toISOString(),
+        status: 'pending',
+        uploaded_by: userId,
+        uploaded_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      await storage.remove(storageKey).catch(() => {});
+      if (previous) {
+        await supabase
+          .from('purchase_contract_table')
+          .update({ version_state: 'active' })
+          .eq('id', previous.id);
+      }
+      return {
+        success: false,
+        error: error.code === '23505'
+          ? `A newer contract version for indent ${indentNumber} was already uploaded`
+          : `Failed to save contract: ${error.message}`
+      };
+    }
+
+    await logContractAction(contractId, 'CONTRACT_UPLOADED', userId, {
+      indent_number: indentNumber,
+      version_number: contract.version_number,
+      supersedes_id: contract.supersedes_id,
+      amendment_reason: contract.amendment_reason,
+      file_name: contract.file_name,
+      file_size: contract.file_size,
+      file_sha256: contract.file_sha256
+    });
+
+    if (previous) {
+      await logContractAction(
+        previous.id,
+        amendsApproved ? 'CONTRACT_AMENDED' : 'CONTRACT_SUPERSEDED',
+        userId,
+        { version_state: replacedState, replaced_by: contractId, replaced_by_version: contract.version_number },
+        { version_state: 'active' }
+      );
+    }
+
+    await publishDomainEvent(DOMAIN_EVENTS.CONTRACT_UPLOADED, {
+      aggregateType: 'purchase_contract_table',
+      aggregateId: contractId,
+      indentNumber,
+      data: {
+        branch_email_id: procurement.allocation?.branch_information?.branch_email_id || null
+      },
+      userId
+    });
+
+    return {
+      success: true,
+      data: { contract }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to upload contract: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Read a stored contract file
+ * Approved contracts are served as their stamped copy unless the original is asked for.
+ * @param {string} contractId - Contract ID
+ * @param {boolean} original - Return the file as uploaded
+ * @returns {Object} { contract, content, stamped } with the PDF as a Buffer
+ */
+async function getContractFile(contractId, original = false) {
+  try {
+    const contractResult = await getContractDetails(contractId);
+    if (!contractResult.success) {
+      return contractResult;
+    }
+
+    const contract = contractResult.data.contract;
+    // Contracts uploaded through n8n only have an external file_url
+    if (!contract.storage_key) {
+      return {
+        success: false,
+        error: 'Contract file not found in storage'
+      };
+    }
+
+    const stamped = Boolean(contract.stamped_storage_key && !original);
+    const content = await getStorageAdapter(contract.storage_driver)
+      .get(stamped ? contract.stamped_storage_key : contract.storage_key);
+
+    return {
+      success: true,
+      data: { contract, content, stamped }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to read contract file: ${error.message}`
+    };
+  }
+}
+
 /**
  * Get contract statistics
  * @returns {Object} Contract statistics
@@ -439,10 +1088,16 @@ module.exports = {
   searchProcurementByIndent,
   getPendingContracts,
   getIndentContractStatus,
+  getOverdueContractsReport,
+  getContractHistory,
   getContractDetails,
   updateContractStatus,
   logContractAction,
   approveContract,
+  rejectContract,
+  uploadContract,
+  getContractFile,
+  checkContractAgainstProcurement,
   getContractStatistics,
   validateContractData
 }; 
\ No newline at end of file
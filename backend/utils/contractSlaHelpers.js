@@ -0,0 +1,140 @@
+/**
+ * Contract upload SLA
+ * A contract is due contract_due_days business days (trading configuration in force on the
+ * procurement date) after its procurement, skipping the branch state's holidays
+ */
+
+const { supabase } = require('../config/supabase');
+const {
+  toDateString,
+  shiftDate,
+  addBusinessDays,
+  countBusinessDaysBetween
+} = require('./holidayHelpers');
+const { createConfigResolver } = require('./tradingConfigHelpers');
+const { sumMoney } = require('./moneyHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch every holiday in a range once and hand out per-state sets
+ * National holidays (no state) apply everywhere
+ * @param {string} startDate - Range start (YYYY-MM-DD)
+ * @param {string} endDate - Range end (YYYY-MM-DD)
+ * @returns {Function} (state) => Set of holiday date strings
+ */
+async function fetchHolidaySetsByState(startDate, endDate) {
+  const { data: holidays, error } = await supabase
+    .from('holiday_calendar')
+    .select('holiday_date, state')
+    .gte('holiday_date', startDate)
+    .lte('holiday_date', endDate);
+
+  if (error) {
+    throw new Error(`Failed to fetch holidays: ${error.message}`);
+  }
+
+  const national = (holidays || []).filter(holiday => !holiday.state).map(holiday => holiday.holiday_date);
+  const sets = new Map();
+
+  return (state) => {
+    const key = (state || '').toLowerCase();
+    if (!sets.has(key)) {
+      sets.set(key, new Set([
+        ...national,
+        ...(key
+          ? (holidays || [])
+            .filter(holiday => holiday.state && holiday.state.toLowerCase() === key)
+            .map(holiday => holiday.holiday_date)
+          : [])
+      ]));
+    }
+    return sets.get(key);
+  };
+}
+
+/**
+ * Build an SLA evaluator for a set of procurements from one config and holiday fetch
+ * @param {Array} procurements - Rows with created_at
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {Function} (procurement, state, submittedAt) => SLA fields; status is on_track or
+ * overdue while no contract stands for the indent, met or late once one does
+ */
+async function createContractSlaResolver(procurements, today = toDateString(new Date())) {
+  const resolveConfig = await createConfigResolver();
+
+  const dates = procurements.map(procurement => toDateString(procurement.created_at)).sort();
+  if (dates.length === 0) {
+    return () => null;
+  }
+
+  const maxDueDays = Math.max(...procurements.map(procurement => resolveConfig(procurement.created_at).contractDueDays));
+  // Same headroom as calculateBusinessDueDate, and far enough to count days overdue up to today
+  const windowEnd = shiftDate(dates[dates.length - 1], Math.ceil(maxDueDays * 2) + 30);
+  const holidaysFor = await fetchHolidaySetsByState(dates[0], windowEnd > today ? windowEnd : today);
+
+  return (procurement, state = null, submittedAt = null) => {
+    const dueDays = resolveConfig(procurement.created_at).contractDueDays;
+    const holidaySet = holidaysFor(state);
+    const dueDate = addBusinessDays(procurement.created_at, dueDays, holidaySet);
+    // How late: the upload date once a contract is in, otherwise today
+    const measuredOn = submittedAt ? toDateString(submittedAt) : today;
+    const late = measuredOn > dueDate;
+
+    let slaStatus;
+    if (submittedAt) {
+      slaStatus = late ? 'late' : 'met';
+    } else {
+      slaStatus = late ? 'overdue' : 'on_track';
+    }
+
+    return {
+      contract_due_days: dueDays,
+      contract_due_date: dueDate,
+      sla_status: slaStatus,
+      days_overdue: late ? Math.round((new Date(measuredOn) - new Date(dueDate)) / DAY_MS) : 0,
+      business_days_overdue: late ? countBusinessDaysBetween(dueDate, measuredOn, holidaySet) : 0
+    };
+  };
+}
+
+/**
+ * Group overdue indents by branch, most overdue branch first
+ * @param {Array} indents - Indent status rows with SLA fields
+ * @returns {Array} Branches with count, total_amount, max_days_overdue and their indents
+ */
+function groupOverdueByBranch(indents) {
+  const branches = new Map();
+
+  indents.forEach(indent => {
+    const key = indent.branch_id || indent.branch_name;
+    if (!branches.has(key)) {
+      branches.set(key, {
+        branch_id: indent.branch_id,
+        branch_name: indent.branch_name,
+        branch_code: indent.branch_code,
+        count: 0,
+        max_days_overdue: 0,
+        indents: []
+      });
+    }
+
+    const branch = branches.get(key);
+    branch.count += 1;
+    branch.max_days_overdue = Math.max(branch.max_days_overdue, indent.days_overdue);
+    branch.indents.push(indent);
+  });
+
+  return [...branches.values()]
+    .map(branch => ({
+      ...branch,
+      total_amount: sumMoney(branch.indents.map(indent => indent.total_amount)),
+      indents: branch.indents.sort((a, b) => b.days_overdue - a.days_overdue)
+    }))
+    .sort((a, b) => b.count - a.count || b.max_days_overdue - a.max_days_overdue);
+}
+
+module.exports = {
+  createContractSlaResolver,
+  groupOverdueByBranch
+};
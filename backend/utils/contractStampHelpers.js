@@ -0,0 +1,284 @@
+/**
+ * Contract approval stamping
+ * Approved contracts get an approval page appended (approver, time, hash of the uploaded
+ * file and a verification QR) so a firm can prove the PDF it holds is the one we approved
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { PDFDocument: PDFLibDocument } = require('pdf-lib');
+const QRCode = require('qrcode');
+const { supabase } = require('../config/supabase');
+const { getStorageAdapter } = require('./storageAdapters');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Public page a verification QR points to
+ * @param {string} token - Contract verification token
+ * @returns {string} URL
+ */
+function buildVerificationUrl(token) {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}/verify/contract/${token}`;
+}
+
+/**
+ * Format a timestamp in IST for the approval page
+ */
+function formatTimestamp(value) {
+  return `${new Date(value).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  })} IST`;
+}
+
+/**
+ * Render the approval page
+ * @param {Object} stamp - contract, approverName, approvedAt, verificationUrl
+ * @returns {Promise<Buffer>} Single-page PDF
+ */
+async function renderApprovalPage({ contract, approverName, approvedAt, verificationUrl }) {
+  const qrImage = await QRCode.toBuffer(verificationUrl, { type: 'png', width: 200, margin: 1 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Contract approval ${contract.indent_number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Contract Approval Certificate', left, 50);
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+      .text(`Purchase contract for Indent ${contract.indent_number}, version ${contract.version_number}`);
+    doc.fillColor('#000000');
+    doc.moveTo(left, 100).lineTo(left + width, 100).strokeColor('#cccccc').stroke();
+
+    const row = (label, value, font = 'Helvetica') => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(label, left, y, { width: 150 });
+      doc.font(font).fontSize(10).text(value || '-', left + 160, y, { width: width - 160 });
+      doc.moveDown(0.6);
+    };
+
+    doc.y = 120;
+    row('Indent Number', contract.indent_number);
+    row('Firm Name', contract.firm_name);
+    row('Contract Version', `v${contract.version_number}`);
+    row('Contract File', contract.file_name);
+    row('Approved By', approverName);
+    row('Approved At', formatTimestamp(approvedAt));
+    row('SHA-256 of Uploaded File', contract.file_sha256, 'Courier');
+
+    doc.moveDown(1);
+    const qrTop = doc.y;
+    doc.image(qrImage, left, qrTop, { width: 140 });
+    doc.font('Helvetica-Bold').fontSize(11).text('Verify this contract', left + 160, qrTop);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+      'Scan the code or open the link below, then upload this PDF. The check confirms it was approved '
+        + 'by us and has not been changed since; any edit to the file, including this page, fails it.',
+      left + 160,
+      doc.y + 4,
+      { width: width - 160 }
+    );
+    doc.font('Courier').fontSize(8).fillColor('#000000').text(verificationUrl, left + 160, doc.y + 6, { width: width - 160 });
+
+    doc.end();
+  });
+}
+
+/**
+ * Append the approval page to a contract PDF
+ * @param {Buffer} original - Uploaded contract
+ * @param {Buffer} approvalPage - Rendered approval page
+ * @returns {Promise<Buffer>} Stamped PDF
+ */
+async function appendApprovalPage(original, approvalPage) {
+  const contractPdf = await PDFLibDocument.load(original, { ignoreEncryption: true });
+  const pagePdf = await PDFLibDocument.load(approvalPage);
+  const [page] = await contractPdf.copyPages(pagePdf, [0]);
+  contractPdf.addPage(page);
+  return Buffer.from(await contractPdf.save());
+}
+
+/**
+ * Stamp a contract being approved and store the stamped copy next to the original
+ * @param {Object} contract - purchase_contract_table row with a stored file
+ * @param {string} approverId - Approving user ID
+ * @param {string} approvedAt - Approval timestamp printed on the page
+ * @returns {Object} Columns to save: stamped_storage_key, stamped_sha256, stamped_at, verification_token
+ */
+async function stampApprovedContract(contract, approverId, approvedAt) {
+  try {
+    const storage = getStorageAdapter(contract.storage_driver);
+    const original = await storage.get(contract.storage_key);
+
+    // The hash on the page must be the one recorded at upload
+    if (sha256(original) !== contract.file_sha256) {
+      return {
+        success: false,
+        error: 'Stored contract file does not match the hash recorded at upload'
+      };
+    }
+
+    const { data: approver } = await supabase
+      .from('users')
+      .select('first_name, last_name')
+      .eq('id', approverId)
+      .single();
+
+    const verificationToken = crypto.randomBytes(16).toString('hex');
+    const approvalPage = await renderApprovalPage({
+      contract,
+      approverName: approver ? `${approver.first_name} ${approver.last_name}` : approverId,
+      approvedAt,
+      verificationUrl: buildVerificationUrl(verificationToken)
+    });
+    const stamped = await appendApprovalPage(original, approvalPage);
+
+    // Unique per attempt, so a losing concurrent approval can delete its own copy safely
+    const stampedKey = path.posix.join(
+      path.posix.dirname(contract.storage_key),
+      `${contract.id}-approved-${verificationToken.slice(0, 8)}.pdf`
+    );
+    await storage.put(stampedKey, stamped, 'application/pdf');
+
+    return {
+      success: true,
+      data: {
+        stamped_storage_key: stampedKey,
+        stamped_sha256: sha256(stamped),
+        stamped_at: new Date().toISOString(),
+        verification_token: verificationToken
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to stamp contract: ${error.message}`
+    };
+  }
+}
+
+// What a firm may see about a contract; no amounts or files
+const PUBLIC_CONTRACT_FIELDS = `
+  indent_number,
+  firm_name,
+  version_number,
+  version_state,
+  status,
+  file_sha256,
+  stamped_sha256,
+  approved_at,
+  approved_user:approved_by (
+    first_name,
+    last_name
+  )
+`;
+
+function toPublicContract(contract) {
+  return {
+    indent_number: contract.indent_number,
+    firm_name: contract.firm_name,
+    version_number: contract.version_number,
+    // A later amendment replaces this version even though its approval stands
+    version_state: contract.version_state,
+    status: contract.status,
+    approved_at: contract.approved_at,
+    approved_by: contract.approved_user
+      ? `${contract.approved_user.first_name} ${contract.approved_user.last_name}`
+      : null,
+    original_sha256: contract.file_sha256,
+    stamped_sha256: contract.stamped_sha256
+  };
+}
+
+/**
+ * Look up a stamped contract by the token in its QR code
+ * @param {string} token - Verification token
+ * @returns {Object} Public contract details
+ */
+async function getContractByVerificationToken(token) {
+  const { data: contract, error } = await supabase
+    .from('purchase_contract_table')
+    .select(PUBLIC_CONTRACT_FIELDS)
+    .eq('verification_token', token)
+    .maybeSingle();
+
+  if (error) {
+    return {
+      success: false,
+      error: `Failed to look up contract: ${error.message}`
+    };
+  }
+
+  if (!contract) {
+    return {
+      success: false,
+      error: 'Approved contract not found for this verification code'
+    };
+  }
+
+  return {
+    success: true,
+    data: { contract: toPublicContract(contract) }
+  };
+}
+
+/**
+ * Check a contract PDF against the approved copies we issued
+ * @param {Buffer} buffer - PDF to check
+ * @param {string} token - Verification token from the QR (optional); the file must then be that contract
+ * @returns {Object} { authentic, sha256, contract, message }
+ */
+async function verifyContractFile(buffer, token = null) {
+  const fileHash = sha256(buffer);
+
+  let query = supabase
+    .from('purchase_contract_table')
+    .select(PUBLIC_CONTRACT_FIELDS)
+    .eq('stamped_sha256', fileHash);
+
+  if (token) {
+    query = query.eq('verification_token', token);
+  }
+
+  const { data: matches, error } = await query.limit(1);
+
+  if (error) {
+    return {
+      success: false,
+      error: `Failed to verify contract: ${error.message}`
+    };
+  }
+
+  const contract = matches && matches[0];
+
+  return {
+    success: true,
+    data: {
+      authentic: Boolean(contract),
+      sha256: fileHash,
+      contract: contract ? toPublicContract(contract) : null,
+      message: contract
+        ? `This is the approved contract v${contract.version_number} for indent ${contract.indent_number}, unmodified`
+        : 'This file does not match any approved contract; it may have been modified'
+    }
+  };
+}
+
+module.exports = {
+  stampApprovedContract,
+  getContractByVerificationToken,
+  verifyContractFile
+};
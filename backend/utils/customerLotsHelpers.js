@@ -3,9 +3,10 @@
  * Extracted from customerLotsRoutes.js to reduce code duplication and improve maintainability
  */
 
-const axios = require('axios');
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('./databaseHelpers');
+const { notify } = require('./notificationHelpers');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
 
 /**
  * Get customer ID from user object
@@ -202,6 +203,127 @@ async function autoExpireAssignments(expiredAssignments) {
   }
 }
 
+/**
+ * Expire every pending assignment whose window has closed, across all customers
+ * Run by the scheduler so lots go back to inventory on time, not when a customer next logs in
+ * @param {string} currentDate - Current date in YYYY-MM-DD format
+ * @returns {Object} Expiration result
+ */
+async function expireLapsedAssignments(currentDate = new Date().toISOString().split('T')[0]) {
+  try {
+    const { data: lapsed, error } = await supabase
+      .from('customer_assignment_table')
+      .select('id, inventory_id')
+      .eq('lot_status', 'PENDING')
+      .lt('window_end_date', currentDate);
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch lapsed assignments: ${error.message}`
+      };
+    }
+
+    return autoExpireAssignments(lapsed || []);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to expire lapsed assignments: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Remind customers about their assignments through the notification service
+ * @param {Array} assignmentIds - Assignment IDs
+ * @param {Object|null} triggeredBy - User who triggered the reminder (null for the scheduler)
+ * @returns {Object} Assignments and how many notifications were queued
+ */
+async function sendLotReminders(assignmentIds, triggeredBy) {
+  const { data: rows, error } = await supabase
+    .from('customer_assignment_table')
+    .select(`
+      *,
+      inventory_table:inventory_id (
+        lot_number
+      ),
+      customer_info:customer_id (
+        customer_name,
+        email
+      )
+    `)
+    .in('id', assignmentIds);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  // n8n keeps receiving the plain assignment rows
+  const assignments = (rows || []).map(({ inventory_table, customer_info, ...assignment }) => assignment);
+
+  const result = await notify('lot_reminder', {
+    recipients: (rows || []).map(row => ({
+      type: 'customer',
+      id: row.customer_id,
+      name: row.customer_info?.customer_name,
+      email: row.customer_info?.email,
+      related_id: row.id,
+      data: {
+        lot_number: row.inventory_table?.lot_number,
+        window_end_date: row.window_end_date
+      }
+    })),
+    payload: { assignments, triggered_by: triggeredBy },
+    related: { table: 'customer_assignment_table' },
+    userId: triggeredBy?.id || null
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    data: { assignments, queued: result.data.queued }
+  };
+}
+
+/**
+ * Remind customers about pending assignments whose window closes within the next day
+ * @param {string} currentDate - Current date in YYYY-MM-DD format
+ * @returns {Object} Reminder result
+ */
+async function remindClosingAssignments(currentDate = new Date().toISOString().split('T')[0]) {
+  const tomorrow = new Date(`${currentDate}T00:00:00Z`);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  const { data: closing, error } = await supabase
+    .from('customer_assignment_table')
+    .select('id')
+    .eq('lot_status', 'PENDING')
+    .gte('window_end_date', currentDate)
+    .lte('window_end_date', tomorrow.toISOString().split('T')[0]);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  if (!closing || closing.length === 0) {
+    return {
+      success: true,
+      data: { assignments: [], delivered: false }
+    };
+  }
+
+  return sendLotReminders(closing.map(assignment => assignment.id), null);
+}
+
 /**
  * Calculate assignment summary
  * @param {Array} assignments - All assignments
@@ -443,7 +565,11 @@ async function checkAndTriggerConfirmation(salesId, user) {
     // Get sales order details
     const { data: salesOrder, error: salesError } = await supabase
       .from('sales_table')
-      .select('total_lots, confirmed_lots')
+      .select(`
+        total_lots,
+        confirmed_lots,
+        customer_id
+      `)
       .eq('id', salesId)
       .single();
 
@@ -454,37 +580,39 @@ async function checkAndTriggerConfirmation(salesId, user) {
 
     // Check if all lots are accepted
     if (salesOrder.confirmed_lots >= salesOrder.total_lots) {
-      // Trigger n8n webhook for confirmation
-      const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_LOT_ACCEPTANCE_CONFIRMATION_WEBHOOK}`;
-      
-      try {
-        await axios.post(webhookUrl, {
-          sales_id: salesId,
+      // Subscribers send the acceptance notifications
+      const result = await publishDomainEvent(DOMAIN_EVENTS.SALE_LOTS_ACCEPTED, {
+        aggregateType: 'sales_table',
+        aggregateId: salesId,
+        data: {
+          customer_id: salesOrder.customer_id,
           confirmed_lots: salesOrder.confirmed_lots,
-          total_lots: salesOrder.total_lots,
-          triggered_by: user.id,
-          timestamp: new Date().toISOString()
-        });
+          total_lots: salesOrder.total_lots
+        },
+        userId: user.id
+      });
 
-        // Log confirmation trigger
-        await supabase
-          .from('audit_log')
-          .insert({
-            table_name: 'sales_table',
-            record_id: salesId,
-            action: 'CONFIRMATION_TRIGGERED',
-            user_id: user.id,
-            new_values: { 
-              confirmed_lots: salesOrder.confirmed_lots,
-              total_lots: salesOrder.total_lots
-            }
-          });
-
-        return { success: true, confirmation_triggered: true };
-      } catch (webhookError) {
-        console.error('n8n webhook error:', webhookError);
-        return { success: false, webhook_error: webhookError.message };
+      if (!result.success) {
+        console.error('Confirmation event error:', result.error);
+        return { success: false, error: result.error };
       }
+
+      // Log confirmation trigger
+      await supabase
+        .from('audit_log')
+        .insert({
+          table_name: 'sales_table',
+          record_id: salesId,
+          action: 'CONFIRMATION_TRIGGERED',
+          user_id: user.id,
+          new_values: { 
+            confirmed_lots: salesOrder.confirmed_lots,
+            total_lots: salesOrder.total_lots,
+            domain_event_id: result.data.event.id
+          }
+        });
+
+      return { success: true, confirmation_triggered: true };
     }
 
     return { success: true, confirmation_triggered: false };
@@ -498,6 +626,9 @@ module.exports = {
   getCustomerId,
   categorizeAssignments,
   autoExpireAssignments,
+  expireLapsedAssignments,
+  sendLotReminders,
+  remindClosingAssignments,
   calculateAssignmentSummary,
   fetchCustomerAssignments,
   fetchAssignmentDetails,
@@ -5,6 +5,8 @@
 
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('./databaseHelpers');
+const { sumMoney } = require('./moneyHelpers');
+const { SETTLED_PAYMENT_STATUSES } = require('./paymentHelpers');
 
 /**
  * Get entity counts for dashboard overview
@@ -166,12 +168,11 @@ async function getFinancialSummary() {
       };
     }
 
-    const summary = data.reduce((acc, item) => {
-      acc.total_value += item.total_amount || 0;
-      acc.total_emd += item.emd_amount || 0;
-      acc.total_gst += item.gst_amount || 0;
-      return acc;
-    }, { total_value: 0, total_emd: 0, total_gst: 0 });
+    const summary = {
+      total_value: sumMoney(data.map(item => item.total_amount)),
+      total_emd: sumMoney(data.map(item => item.emd_amount)),
+      total_gst: sumMoney(data.map(item => item.gst_amount))
+    };
 
     return { 
       success: true, 
@@ -298,16 +299,16 @@ async function getPaymentStatusDistribution() {
     const distribution = {};
     data.forEach(item => {
       if (!distribution[item.payment_status]) {
-        distribution[item.payment_status] = { count: 0, amount: 0 };
+        distribution[item.payment_status] = { count: 0, amounts: [] };
       }
       distribution[item.payment_status].count += 1;
-      distribution[item.payment_status].amount += item.amount || 0;
+      distribution[item.payment_status].amounts.push(item.amount);
     });
 
     const paymentDistribution = Object.entries(distribution).map(([status, values]) => ({
       status,
       count: values.count,
-      amount: values.amount
+      amount: sumMoney(values.amounts)
     }));
 
     return { 
@@ -430,7 +431,7 @@ async function getPerformanceMetrics() {
       .then(({ data, error }) => {
         if (error) return { data: { completed: 0, total: 0 } };
         const total = data.length;
-        const completed = data.filter(item => item.payment_status === 'verified').length;
+        const completed = data.filter(item => SETTLED_PAYMENT_STATUSES.includes(item.payment_status)).length;
         return { data: { completed, total, rate: total > 0 ? (completed / total * 100).toFixed(2) : 0 } };
       });
 
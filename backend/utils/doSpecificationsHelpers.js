@@ -5,6 +5,8 @@
 
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('./databaseHelpers');
+const { getCandyRate, CANDY_WEIGHT_FACTOR } = require('./candyRateHelpers');
+const { ROUNDING, subtract, multiply, divide, roundMoney, sumMoney } = require('./moneyHelpers');
 
 /**
  * Calculate weight difference for a lot
@@ -14,7 +16,7 @@ const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require(
  * @returns {Object} Weight difference calculation result
  */
 function calculateWeightDifference(actualWeight, assumedWeight, bidPrice) {
-  const weightDiffAmount = (actualWeight - assumedWeight) * bidPrice * 0.2812;
+  const weightDiffAmount = roundMoney(multiply(subtract(actualWeight, assumedWeight), bidPrice, CANDY_WEIGHT_FACTOR));
   let weightCase = '';
   let weightMessage = '';
 
@@ -30,7 +32,7 @@ function calculateWeightDifference(actualWeight, assumedWeight, bidPrice) {
   }
 
   return {
-    weightDifference: Number(weightDiffAmount.toFixed(2)),
+    weightDifference: weightDiffAmount,
     weightCase,
     weightMessage
   };
@@ -38,28 +40,29 @@ function calculateWeightDifference(actualWeight, assumedWeight, bidPrice) {
 
 /**
  * Calculate interest for DO payments
+ * Interest is rounded per payment slot and the rounded slots are summed
  * @param {Array} doPaymentDates - Array of DO payment dates and amounts
  * @param {string} emdPaidDate - EMD paid date
  * @returns {number} Total interest amount
  */
 function calculateInterest(doPaymentDates, emdPaidDate) {
-  let interestTotal = 0;
+  const slotInterests = [];
 
   if (Array.isArray(doPaymentDates)) {
     doPaymentDates.forEach(slot => {
       const emdDate = new Date(emdPaidDate);
       const doDate = new Date(slot.date);
       const days = Math.max(0, Math.ceil((doDate - emdDate) / (1000 * 60 * 60 * 24)));
-      const slotInterest = (((days * 0.05) / 365) * slot.amount);
-      interestTotal += slotInterest;
+      slotInterests.push(divide(multiply(days, '0.05', slot.amount), 365));
     });
   }
 
-  return Number(interestTotal.toFixed(2));
+  return sumMoney(slotInterests, ROUNDING.PER_LINE);
 }
 
 /**
  * Calculate late lifting charges for deliveries
+ * Base charge and GST are rounded per delivery; the total is the sum of the rounded lines
  * @param {Array} deliveryDates - Array of delivery dates
  * @param {Array} doPaymentDates - Array of DO payment dates
  * @param {number} cottonValue - Cotton value
@@ -67,7 +70,6 @@ function calculateInterest(doPaymentDates, emdPaidDate) {
  * @returns {Object} Late lifting charges calculation result
  */
 function calculateLateLiftingCharges(deliveryDates, doPaymentDates, cottonValue, gstRate) {
-  let lateLiftingTotal = 0;
   let lateLiftingBreakdown = [];
 
   if (Array.isArray(deliveryDates)) {
@@ -97,12 +99,11 @@ function calculateLateLiftingCharges(deliveryDates, doPaymentDates, cottonValue,
 
       let baseCharge = 0;
       if (rate > 0) {
-        baseCharge = cottonValue * rate * delivery.lots;
+        baseCharge = roundMoney(multiply(cottonValue, rate, delivery.lots));
       }
 
-      const gst = baseCharge * gstRate;
-      const totalCharge = baseCharge + gst;
-      lateLiftingTotal += totalCharge;
+      const gst = roundMoney(multiply(baseCharge, gstRate));
+      const totalCharge = sumMoney([baseCharge, gst]);
 
       lateLiftingBreakdown.push({
         delivery_date: delivery.date,
@@ -118,18 +119,23 @@ function calculateLateLiftingCharges(deliveryDates, doPaymentDates, cottonValue,
   }
 
   return {
-    lateLiftingCharges: Number(lateLiftingTotal.toFixed(3)),
+    lateLiftingCharges: sumMoney(lateLiftingBreakdown.map(line => line.total_charge), ROUNDING.PER_LINE),
     lateLiftingBreakdown
   };
 }
 
 /**
- * Get assumed weight based on zone
+ * Get assumed bale weight from the candy rate table
  * @param {string} zone - Zone (South Zone or Other Zone)
- * @returns {number} Assumed weight
+ * @param {Object} options - Optional branchId and season overrides
+ * @returns {Object} { assumedWeight, source }
  */
-function getAssumedWeight(zone) {
-  return zone === 'South Zone' ? 48 / 0.2812 : 47 / 0.2812;
+async function getAssumedWeight(zone, { branchId = null, season = null } = {}) {
+  const rate = await getCandyRate({ zone, branchId, season });
+  return {
+    assumedWeight: rate.assumedBaleWeight,
+    source: rate.source
+  };
 }
 
 /**
@@ -140,15 +146,12 @@ function getAssumedWeight(zone) {
  * @param {number} params.emdAmount - EMD amount
  * @param {number} params.cottonValue - Cotton value
  * @param {number} params.gstRate - GST rate
- * @param {string} params.zone - Zone
+ * @param {number} params.assumedWeight - Assumed bale weight (see getAssumedWeight)
  * @returns {Object} Calculation results
  */
-function calculateResults({ lots, bid_price, emd_amount, cotton_value, gst_rate, zone }) {
-  const assumedWeight = getAssumedWeight(zone);
+function calculateResults({ lots, bid_price, emd_amount, cotton_value, gst_rate, assumed_weight }) {
+  const assumedWeight = assumed_weight;
   const results = [];
-  let totalWeightDiff = 0;
-  let totalInterest = 0;
-  let totalLateLifting = 0;
 
   lots.forEach((lot, idx) => {
     const actualWeight = Number(lot.actual_weight);
@@ -176,18 +179,15 @@ function calculateResults({ lots, bid_price, emd_amount, cotton_value, gst_rate,
       late_lifting_charges: lateLiftingResult.lateLiftingCharges,
       late_lifting_breakdown: lateLiftingResult.lateLiftingBreakdown
     });
-
-    totalWeightDiff += weightResult.weightDifference;
-    totalInterest += interestTotal;
-    totalLateLifting += lateLiftingResult.lateLiftingCharges;
   });
 
   return {
     lots: results,
     summary: {
-      total_weight_difference: Number(totalWeightDiff.toFixed(2)),
-      total_interest: Number(totalInterest.toFixed(2)),
-      total_late_lifting_charges: Number(totalLateLifting.toFixed(3))
+      total_weight_difference: sumMoney(results.map(lot => lot.weight_difference)),
+      total_interest: sumMoney(results.map(lot => lot.interest)),
+      total_late_lifting_charges: sumMoney(results.map(lot => lot.late_lifting_charges)),
+      assumed_weight: Number(assumedWeight.toFixed(2))
     }
   };
 }
@@ -200,7 +200,10 @@ function calculateResults({ lots, bid_price, emd_amount, cotton_value, gst_rate,
  */
 async function saveDOSpecification(doSpecData, userId) {
   try {
-    const { customer_id, total_lots, bid_price, emd_amount, cotton_value, gst_rate, zone, lots } = doSpecData;
+    const { customer_id, indent_number, total_lots, bid_price, emd_amount, cotton_value, gst_rate, zone, lots, branch_id, season } = doSpecData;
+
+    // Assumed bale weight comes from the same candy rate table as procurement
+    const { assumedWeight, source } = await getAssumedWeight(zone, { branchId: branch_id, season });
 
     // Calculate results
     const calculationResults = calculateResults({ 
@@ -209,8 +212,9 @@ async function saveDOSpecification(doSpecData, userId) {
       emd_amount, 
       cotton_value, 
       gst_rate, 
-      zone 
+      assumed_weight: assumedWeight
     });
+    calculationResults.summary.assumed_weight_source = source;
 
     // Insert into database
     const { data, error } = await supabase
@@ -218,6 +222,7 @@ async function saveDOSpecification(doSpecData, userId) {
       .insert({
         user_id: userId,
         customer_id,
+        indent_number: indent_number || null,
         total_lots,
         bid_price,
         emd_amount,
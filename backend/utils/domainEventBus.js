@@ -0,0 +1,225 @@
+/**
+ * Domain event bus
+ * Helpers publish business events here; subscribers registered per event receive them
+ * through the outbox, so downstream steps run (and retry) the same way whether the
+ * upstream record came from the UI, a webhook, a background job or the scheduler.
+ */
+
+const { supabase } = require('../config/supabase');
+const { registerOutboxHandler, enqueueOutboxEvents } = require('./outboxHelpers');
+
+const DOMAIN_EVENTS = {
+  ALLOCATION_CREATED: 'AllocationCreated',
+  PROCUREMENT_CALCULATED: 'ProcurementCalculated',
+  PAYMENT_VERIFIED: 'PaymentVerified',
+  LOTS_SAMPLED: 'LotsSampled',
+  SALE_CONFIRMED: 'SaleConfirmed',
+  SALE_LOTS_ACCEPTED: 'SaleLotsAccepted',
+  CONTRACT_UPLOADED: 'ContractUploaded',
+  CONTRACT_APPROVED: 'ContractApproved',
+  CONTRACT_REJECTED: 'ContractRejected'
+};
+
+const EVENT_SOURCES = ['api', 'webhook', 'job', 'scheduler', 'event'];
+
+// Outbox event type carrying one domain event to one subscriber
+const OUTBOX_EVENT_TYPE = 'domain_event';
+
+// event name -> Map(subscriber name -> handler)
+const subscribers = new Map();
+
+/**
+ * Subscribe a handler to an event
+ * Handlers must be idempotent: a retried or replayed delivery runs them again.
+ * @param {string} eventName - One of DOMAIN_EVENTS
+ * @param {string} subscriberName - Stable name, stored on queued deliveries
+ * @param {Function} handler - async (event) => { success, error }; a failure is retried
+ */
+function subscribe(eventName, subscriberName, handler) {
+  if (!Object.values(DOMAIN_EVENTS).includes(eventName)) {
+    throw new Error(`Unknown domain event: ${eventName}`);
+  }
+  if (!subscribers.has(eventName)) {
+    subscribers.set(eventName, new Map());
+  }
+  subscribers.get(eventName).set(subscriberName, handler);
+}
+
+/**
+ * Registered subscribers per event
+ * @returns {Array} [{ event_name, subscribers }]
+ */
+function listSubscriptions() {
+  return Object.values(DOMAIN_EVENTS).map(eventName => ({
+    event_name: eventName,
+    subscribers: [...(subscribers.get(eventName)?.keys() || [])]
+  }));
+}
+
+/**
+ * Record an event and queue it for each subscriber
+ * A publish failure is returned, not thrown: the business action has already happened.
+ * @param {string} eventName - One of DOMAIN_EVENTS
+ * @param {Object} event - aggregateType, aggregateId, indentNumber, data, source, userId
+ * @returns {Object} { event, queued }
+ */
+async function publishDomainEvent(eventName, event) {
+  const { aggregateType, aggregateId = null, indentNumber = null, data = {}, source = 'api', userId = null } = event;
+
+  try {
+    const { data: recorded, error } = await supabase
+      .from('domain_events')
+      .insert({
+        event_name: eventName,
+        aggregate_type: aggregateType,
+        aggregate_id: aggregateId,
+        indent_number: indentNumber,
+        data,
+        source,
+        published_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Failed to publish ${eventName}:`, error.message);
+      return {
+        success: false,
+        error: `Failed to publish ${eventName}: ${error.message}`
+      };
+    }
+
+    const subscriberNames = [...(subscribers.get(eventName)?.keys() || [])];
+    const enqueueResult = await enqueueOutboxEvents(subscriberNames.map(subscriber => ({
+      event_type: OUTBOX_EVENT_TYPE,
+      aggregate_type: 'domain_events',
+      aggregate_id: recorded.id,
+      payload: { domain_event_id: recorded.id, event_name: eventName, subscriber }
+    })), userId);
+
+    if (!enqueueResult.success) {
+      console.error(`Failed to queue ${eventName} for subscribers:`, enqueueResult.error);
+      return enqueueResult;
+    }
+
+    return {
+      success: true,
+      data: { event: recorded, queued: subscriberNames }
+    };
+  } catch (error) {
+    console.error(`Failed to publish ${eventName}:`, error.message);
+    return {
+      success: false,
+      error: `Failed to publish ${eventName}: ${error.message}`
+    };
+  }
+}
+
+registerOutboxHandler(OUTBOX_EVENT_TYPE, async (outboxEvent) => {
+  const { domain_event_id: domainEventId, event_name: eventName, subscriber } = outboxEvent.payload;
+
+  const handler = subscribers.get(eventName)?.get(subscriber);
+  if (!handler) {
+    throw new Error(`No subscriber ${subscriber} for ${eventName}`);
+  }
+
+  const { data: domainEvent, error } = await supabase
+    .from('domain_events')
+    .select('*')
+    .eq('id', domainEventId)
+    .single();
+
+  if (error || !domainEvent) {
+    throw new Error(`Domain event ${domainEventId} not found`);
+  }
+
+  const result = await handler(domainEvent);
+  if (result && result.success === false) {
+    throw new Error(result.error || `${subscriber} failed`);
+  }
+});
+
+/**
+ * List published events, newest first
+ * @param {Object} filters - event_name, indent_number, aggregate_id, limit
+ * @returns {Object} { events }
+ */
+async function fetchDomainEvents(filters = {}) {
+  let query = supabase
+    .from('domain_events')
+    .select(`
+      *,
+      publisher:published_by (
+        first_name,
+        last_name
+      )
+    `);
+
+  if (filters.event_name) {
+    query = query.eq('event_name', filters.event_name);
+  }
+
+  if (filters.indent_number) {
+    query = query.eq('indent_number', filters.indent_number);
+  }
+
+  if (filters.aggregate_id) {
+    query = query.eq('aggregate_id', filters.aggregate_id);
+  }
+
+  const { data: events, error } = await query
+    .order('occurred_at', { ascending: false })
+    .limit(filters.limit || 50);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  // Attach each subscriber's delivery state from the outbox
+  const eventIds = (events || []).map(event => event.id);
+  const { data: deliveries, error: deliveriesError } = eventIds.length > 0
+    ? await supabase
+      .from('outbox_events')
+      .select('id, aggregate_id, payload, status, attempts, last_error, delivered_at')
+      .eq('event_type', OUTBOX_EVENT_TYPE)
+      .in('aggregate_id', eventIds)
+    : { data: [], error: null };
+
+  if (deliveriesError) {
+    return {
+      success: false,
+      error: deliveriesError.message
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      events: (events || []).map(event => ({
+        ...event,
+        deliveries: (deliveries || [])
+          .filter(delivery => delivery.aggregate_id === event.id)
+          .map(({ id, payload, status, attempts, last_error, delivered_at }) => ({
+            outbox_event_id: id,
+            subscriber: payload.subscriber,
+            status,
+            attempts,
+            last_error,
+            delivered_at
+          }))
+      }))
+    }
+  };
+}
+
+module.exports = {
+  DOMAIN_EVENTS,
+  EVENT_SOURCES,
+  subscribe,
+  listSubscriptions,
+  publishDomainEvent,
+  fetchDomainEvents
+};
@@ -0,0 +1,157 @@
+/**
+ * Domain event subscribers
+ * Downstream steps of the allocation -> procurement -> payment -> sales pipeline.
+ * Required wherever the outbox is dispatched so every subscriber is registered first.
+ */
+
+const { supabase } = require('../config/supabase');
+const { DOMAIN_EVENTS, subscribe } = require('./domainEventBus');
+const { createProcurementForAllocation } = require('./procurementHelpers');
+const { closePaymentAgeing } = require('./paymentAgeingHelpers');
+const { notify } = require('./notificationHelpers');
+
+// Every allocation gets its procurement record, whichever path created it
+subscribe(DOMAIN_EVENTS.ALLOCATION_CREATED, 'procurement.create', async (event) => {
+  return createProcurementForAllocation({ allocationId: event.aggregate_id }, {
+    createdBy: event.published_by,
+    auditAction: 'AUTO_PROCUREMENT_CREATED',
+    auditContext: { domain_event_id: event.id },
+    source: 'event'
+  });
+});
+
+// A verified payment leaves the ageing buckets straight away
+subscribe(DOMAIN_EVENTS.PAYMENT_VERIFIED, 'payment_ageing.close', async (event) => {
+  return closePaymentAgeing(event.aggregate_id);
+});
+
+subscribe(DOMAIN_EVENTS.SALE_CONFIRMED, 'notification.sale_confirmation', async (event) => {
+  return notify('sale_confirmation', {
+    data: event.data,
+    payload: {
+      sales_id: event.aggregate_id,
+      ...event.data,
+      confirmed_by: event.published_by,
+      timestamp: event.occurred_at
+    },
+    related: { table: 'sales_table', id: event.aggregate_id },
+    userId: event.published_by
+  });
+});
+
+subscribe(DOMAIN_EVENTS.SALE_LOTS_ACCEPTED, 'notification.lot_acceptance_confirmation', async (event) => {
+  const { customer_id: customerId, confirmed_lots: confirmedLots, total_lots: totalLots } = event.data;
+
+  let customer = null;
+  if (customerId) {
+    const { data, error } = await supabase
+      .from('customer_info')
+      .select('customer_name, email')
+      .eq('id', customerId)
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch customer: ${error.message}`
+      };
+    }
+    customer = data;
+  }
+
+  return notify('lot_acceptance_confirmation', {
+    recipients: customerId
+      ? [{
+        type: 'customer',
+        id: customerId,
+        name: customer?.customer_name,
+        email: customer?.email
+      }]
+      : [],
+    data: { total_lots: totalLots },
+    payload: {
+      sales_id: event.aggregate_id,
+      confirmed_lots: confirmedLots,
+      total_lots: totalLots,
+      triggered_by: event.published_by,
+      timestamp: event.occurred_at
+    },
+    related: { table: 'sales_table', id: event.aggregate_id },
+    userId: event.published_by
+  });
+});
+
+/**
+ * Notify about a contract event; the uploader is the personal recipient
+ * @param {string} eventKey - Notification event key
+ * @param {Object} event - Domain event on purchase_contract_table
+ * @returns {Object} notify result
+ */
+async function notifyContractEvent(eventKey, event) {
+  const { data: contract, error } = await supabase
+    .from('purchase_contract_table')
+    .select(`
+      id,
+      indent_number,
+      firm_name,
+      file_name,
+      file_url,
+      status,
+      uploaded_by,
+      uploaded_user:uploaded_by (
+        first_name,
+        last_name,
+        email
+      )
+    `)
+    .eq('id', event.aggregate_id)
+    .single();
+
+  if (error || !contract) {
+    return {
+      success: false,
+      error: `Failed to fetch contract: ${error ? error.message : 'not found'}`
+    };
+  }
+
+  const data = {
+    indent_number: contract.indent_number,
+    firm_name: contract.firm_name,
+    file_name: contract.file_name,
+    ...event.data
+  };
+
+  return notify(eventKey, {
+    recipients: contract.uploaded_user
+      ? [{
+        type: 'user',
+        id: contract.uploaded_by,
+        name: `${contract.uploaded_user.first_name} ${contract.uploaded_user.last_name}`,
+        email: contract.uploaded_user.email
+      }]
+      : [],
+    data,
+    payload: {
+      contract_id: contract.id,
+      ...data,
+      file_url: contract.file_url,
+      status: contract.status,
+      triggered_by: event.published_by,
+      timestamp: event.occurred_at
+    },
+    related: { table: 'purchase_contract_table', id: contract.id },
+    userId: event.published_by
+  });
+}
+
+subscribe(DOMAIN_EVENTS.CONTRACT_UPLOADED, 'notification.contract_uploaded', async (event) => {
+  return notifyContractEvent('contract_uploaded', event);
+});
+
+subscribe(DOMAIN_EVENTS.CONTRACT_APPROVED, 'notification.contract_approved', async (event) => {
+  return notifyContractEvent('contract_approved', event);
+});
+
+subscribe(DOMAIN_EVENTS.CONTRACT_REJECTED, 'notification.contract_rejected', async (event) => {
+  return notifyContractEvent('contract_rejected', event);
+});
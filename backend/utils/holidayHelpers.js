@@ -0,0 +1,654 @@
+/**
+ * Holiday calendar utility functions
+ * Business-day arithmetic and holiday management used for EMD and UTR due dates
+ */
+
+const { supabase } = require('../config/supabase');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Normalize a date or timestamp to a YYYY-MM-DD string (UTC)
+ * @param {string|Date} value - Date value
+ * @returns {string} Date string
+ */
+function toDateString(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return new Date(value).toISOString().split('T')[0];
+}
+
+/**
+ * Check whether a date string falls on a weekend
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {boolean} True for Saturday or Sunday
+ */
+function isWeekend(dateString) {
+  const dayOfWeek = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  return dayOfWeek === 0 || dayOfWeek === 6;
+}
+
+/**
+ * Shift a date string by a number of calendar days
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (can be negative)
+ * @returns {string} Shifted date string
+ */
+function shiftDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return new Date(date.getTime() + days * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Check whether a holiday applies in a state (national holidays apply everywhere)
+ * Compared here rather than in a PostgREST filter so the state name never becomes filter syntax
+ * @param {Object} holiday - holiday_calendar row
+ * @param {string} state - State name
+ * @returns {boolean} True when the holiday applies
+ */
+function appliesToState(holiday, state) {
+  return !holiday.state || holiday.state.toLowerCase() === state.trim().toLowerCase();
+}
+
+/**
+ * Fetch holiday dates between two dates for a state (national holidays always apply)
+ * @param {string} startDate - Range start (YYYY-MM-DD)
+ * @param {string} endDate - Range end (YYYY-MM-DD)
+ * @param {string} state - State name (optional)
+ * @returns {Object} Set of holiday date strings
+ */
+async function fetchHolidaySet(startDate, endDate, state = null) {
+  let query = supabase
+    .from('holiday_calendar')
+    .select('holiday_date, state')
+    .gte('holiday_date', startDate)
+    .lte('holiday_date', endDate);
+
+  if (!state) {
+    query = query.is('state', null);
+  }
+
+  const { data: holidays, error } = await query;
+
+  if (error) {
+    return {
+      success: false,
+      error: `Failed to fetch holidays: ${error.message}`
+    };
+  }
+
+  return {
+    success: true,
+    data: new Set((holidays || [])
+      .filter(holiday => !state || appliesToState(holiday, state))
+      .map(holiday => holiday.holiday_date))
+  };
+}
+
+/**
+ * Add business days to a date, skipping weekends and the given holidays
+ * @param {string|Date} startDate - Start date
+ * @param {number} businessDays - Business days to add
+ * @param {Set} holidaySet - Holiday date strings
+ * @returns {string} Resulting date (YYYY-MM-DD)
+ */
+function addBusinessDays(startDate, businessDays, holidaySet = new Set()) {
+  let currentDate = toDateString(startDate);
+  let businessDaysAdded = 0;
+
+  while (businessDaysAdded < businessDays) {
+    currentDate = shiftDate(currentDate, 1);
+    if (!isWeekend(currentDate) && !holidaySet.has(currentDate)) {
+      businessDaysAdded++;
+    }
+  }
+
+  return currentDate;
+}
+
+/**
+ * Count business days after one date up to and including another
+ * @param {string|Date} fromDate - Start date (not counted)
+ * @param {string|Date} toDate - End date
+ * @param {Set} holidaySet - Holiday date strings
+ * @returns {number} Business days (0 when toDate is not after fromDate)
+ */
+function countBusinessDaysBetween(fromDate, toDate, holidaySet = new Set()) {
+  const endDate = toDateString(toDate);
+  let currentDate = toDateString(fromDate);
+  let businessDays = 0;
+
+  while (currentDate < endDate) {
+    currentDate = shiftDate(currentDate, 1);
+    if (!isWeekend(currentDate) && !holidaySet.has(currentDate)) {
+      businessDays++;
+    }
+  }
+
+  return businessDays;
+}
+
+/**
+ * Roll a date forward to the next business day if it is a weekend or holiday
+ * @param {string|Date} date - Date to check
+ * @param {Set} holidaySet - Holiday date strings
+ * @returns {string} Business date (YYYY-MM-DD)
+ */
+function rollToBusinessDay(date, holidaySet = new Set()) {
+  let currentDate = toDateString(date);
+  while (isWeekend(currentDate) || holidaySet.has(currentDate)) {
+    currentDate = shiftDate(currentDate, 1);
+  }
+  return currentDate;
+}
+
+/**
+ * Calculate a due date N business days after a start date using the holiday calendar
+ * @param {string|Date} startDate - Start date
+ * @param {number} businessDays - Business days to add
+ * @param {string} state - State whose holidays apply (optional)
+ * @returns {string} Due date (YYYY-MM-DD)
+ */
+async function calculateBusinessDueDate(startDate, businessDays, state = null) {
+  const start = toDateString(startDate);
+  // Weekends alone can stretch the window by ~40%; leave headroom for holiday clusters
+  const end = shiftDate(start, Math.ceil(businessDays * 2) + 30);
+
+  const holidayResult = await fetchHolidaySet(start, end, state);
+  if (!holidayResult.success) {
+    throw new Error(holidayResult.error);
+  }
+
+  return addBusinessDays(start, businessDays, holidayResult.data);
+}
+
+/**
+ * Get the next business day on or after a date using the holiday calendar
+ * @param {string|Date} date - Date to check
+ * @param {string} state - State whose holidays apply (optional)
+ * @returns {string} Business date (YYYY-MM-DD)
+ */
+async function getNextBusinessDay(date, state = null) {
+  const start = toDateString(date);
+  const holidayResult = await fetchHolidaySet(start, shiftDate(start, 30), state);
+  if (!holidayResult.success) {
+    throw new Error(holidayResult.error);
+  }
+
+  return rollToBusinessDay(start, holidayResult.data);
+}
+
+/**
+ * Fetch holidays with optional filters
+ * @param {Object} filters - Filter criteria (year, state, start_date, end_date)
+ * @returns {Object} Holidays list
+ */
+async function fetchHolidays(filters = {}) {
+  try {
+    let query = supabase
+      .from('holiday_calendar')
+      .select('*')
+      .order('holiday_date', { ascending: true });
+
+    if (filters.year) {
+      query = query
+        .gte('holiday_date', `${filters.year}-01-01`)
+        .lte('holiday_date', `${filters.year}-12-31`);
+    }
+    if (filters.start_date) {
+      query = query.gte('holiday_date', toDateString(filters.start_date));
+    }
+    if (filters.end_date) {
+      query = query.lte('holiday_date', toDateString(filters.end_date));
+    }
+    if (filters.state === 'NATIONAL') {
+      query = query.is('state', null);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch holidays: ${error.message}`
+      };
+    }
+
+    const holidays = filters.state && filters.state !== 'NATIONAL'
+      ? (rows || []).filter(holiday => appliesToState(holiday, filters.state))
+      : rows;
+
+    return {
+      success: true,
+      data: {
+        holidays: holidays || [],
+        count: holidays ? holidays.length : 0
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to get holidays: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Build a holiday row from request data
+ * @param {Object} holidayData - Holiday data
+ * @returns {Object} Row for holiday_calendar
+ */
+function buildHolidayRow(holidayData) {
+  return {
+    holiday_date: toDateString(holidayData.holiday_date),
+    name: holidayData.name.trim(),
+    state: holidayData.state ? holidayData.state.trim() : null,
+    description: holidayData.description || null
+  };
+}
+
+/**
+ * Log holiday action in audit log
+ * @param {string} recordId - Holiday ID
+ * @param {string} action - Action performed
+ * @param {string} userId - User ID
+ * @param {Object} newValues - New values
+ * @param {Object} oldValues - Old values (optional)
+ */
+async function logHolidayAction(recordId, action, userId, newValues, oldValues = {}) {
+  try {
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'holiday_calendar',
+        record_id: recordId,
+        action,
+        user_id: userId,
+        old_values: oldValues,
+        new_values: newValues
+      });
+  } catch (error) {
+    console.error('Failed to log holiday action:', error);
+  }
+}
+
+/**
+ * Create a holiday
+ * @param {Object} holidayData - Holiday data
+ * @param {string} userId - User ID
+ * @returns {Object} Creation result
+ */
+async function createHoliday(holidayData, userId) {
+  try {
+    const row = buildHolidayRow(holidayData);
+
+    const { data: holiday, error } = await supabase
+      .from('holiday_calendar')
+      .insert({ ...row, created_by: userId })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return {
+          success: false,
+          error: 'Holiday already exists for this date and state'
+        };
+      }
+      return {
+        success: false,
+        error: `Failed to create holiday: ${error.message}`
+      };
+    }
+
+    await logHolidayAction(holiday.id, 'HOLIDAY_CREATED', userId, row);
+
+    return {
+      success: true,
+      data: holiday
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Holiday creation failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Update a holiday
+ * @param {string} holidayId - Holiday ID
+ * @param {Object} holidayData - Holiday data
+ * @param {string} userId - User ID
+ * @returns {Object} Update result
+ */
+async function updateHoliday(holidayId, holidayData, userId) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('holiday_calendar')
+      .select('*')
+      .eq('id', holidayId)
+      .single();
+
+    if (fetchError || !existing) {
+      return {
+        success: false,
+        error: 'Holiday not found'
+      };
+    }
+
+    const row = buildHolidayRow({ ...existing, ...holidayData });
+
+    const { data: holiday, error } = await supabase
+      .from('holiday_calendar')
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq('id', holidayId)
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to update holiday: ${error.message}`
+      };
+    }
+
+    await logHolidayAction(holidayId, 'HOLIDAY_UPDATED', userId, row, {
+      holiday_date: existing.holiday_date,
+      name: existing.name,
+      state: existing.state,
+      description: existing.description
+    });
+
+    return {
+      success: true,
+      data: holiday
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Holiday update failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Delete a holiday
+ * @param {string} holidayId - Holiday ID
+ * @param {string} userId - User ID
+ * @returns {Object} Deletion result
+ */
+async function deleteHoliday(holidayId, userId) {
+  try {
+    const { data: holiday, error } = await supabase
+      .from('holiday_calendar')
+      .delete()
+      .eq('id', holidayId)
+      .select()
+      .single();
+
+    if (error || !holiday) {
+      return {
+        success: false,
+        error: 'Holiday not found'
+      };
+    }
+
+    await logHolidayAction(holidayId, 'HOLIDAY_DELETED', userId, {}, holiday);
+
+    return {
+      success: true,
+      data: holiday
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Holiday deletion failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Split a CSV line into fields, honouring double-quoted values
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+
+  return fields;
+}
+
+/**
+ * Parse holidays from CSV content
+ * Expects a header row with date and name columns; state and description are optional
+ * @param {string} content - CSV file content
+ * @returns {Object} Parsed holidays and per-line errors
+ */
+function parseHolidayCSV(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return { holidays: [], errors: [{ line: 0, error: 'File is empty' }] };
+  }
+
+  const header = splitCSVLine(lines[0]).map(column => column.toLowerCase());
+  const dateIndex = header.findIndex(column => ['date', 'holiday_date'].includes(column));
+  const nameIndex = header.findIndex(column => ['name', 'holiday', 'holiday_name'].includes(column));
+  const stateIndex = header.indexOf('state');
+  const descriptionIndex = header.indexOf('description');
+
+  if (dateIndex === -1 || nameIndex === -1) {
+    return { holidays: [], errors: [{ line: 1, error: 'Header must include date and name columns' }] };
+  }
+
+  const holidays = [];
+  const errors = [];
+
+  lines.slice(1).forEach((line, idx) => {
+    const fields = splitCSVLine(line);
+    const date = fields[dateIndex];
+    const name = fields[nameIndex];
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+      errors.push({ line: idx + 2, error: `Invalid date: ${date || '(empty)'}` });
+      return;
+    }
+    if (!name) {
+      errors.push({ line: idx + 2, error: 'Missing holiday name' });
+      return;
+    }
+
+    holidays.push({
+      holiday_date: date,
+      name,
+      state: stateIndex !== -1 && fields[stateIndex] ? fields[stateIndex] : null,
+      description: descriptionIndex !== -1 && fields[descriptionIndex] ? fields[descriptionIndex] : null
+    });
+  });
+
+  return { holidays, errors };
+}
+
+/**
+ * Parse holidays from iCalendar (ICS) content
+ * Multi-day events are expanded into one holiday per day; a timed event covers the days it
+ * touches, read from its local date as written
+ * @param {string} content - ICS file content
+ * @param {string} state - State to apply to every event (optional)
+ * @returns {Object} Parsed holidays and per-event errors
+ */
+function parseHolidayICS(content, state = null) {
+  // Unfold continuation lines (RFC 5545 §3.1)
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  const errors = [];
+  let event = null;
+  let eventIndex = 0;
+
+  const parseICSDate = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  };
+
+  // An all-day DTEND, or a timed one at midnight, is the first day not covered
+  const isExclusiveEnd = (value) => !/^\d{8}T/.test(value) || /^\d{8}T000000/.test(value);
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      eventIndex++;
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (!event.start || !event.summary) {
+        errors.push({ line: eventIndex, error: 'Event is missing DTSTART or SUMMARY' });
+      } else {
+        let end = event.start;
+        if (event.end) {
+          end = event.endExclusive ? shiftDate(event.end, -1) : event.end;
+        }
+        // A DTEND before DTSTART is ignored rather than dropping the event
+        if (end < event.start) {
+          end = event.start;
+        }
+        for (let date = event.start; date <= end; date = shiftDate(date, 1)) {
+          holidays.push({
+            holiday_date: date,
+            name: event.summary,
+            state,
+            description: event.description || null
+          });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) {
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+    const property = line.substring(0, separator).split(';')[0].toUpperCase();
+    const value = line.substring(separator + 1).replace(/\\,/g, ',').replace(/\\n/gi, ' ').trim();
+
+    if (property === 'DTSTART') {
+      event.start = parseICSDate(value);
+    } else if (property === 'DTEND') {
+      event.end = parseICSDate(value);
+      event.endExclusive = isExclusiveEnd(value);
+    } else if (property === 'SUMMARY') {
+      event.summary = value;
+    } else if (property === 'DESCRIPTION') {
+      event.description = value;
+    }
+  });
+
+  return { holidays, errors };
+}
+
+/**
+ * Import holidays from a CSV or ICS file, skipping dates already in the calendar
+ * @param {Object} file - Uploaded file (multer memory storage)
+ * @param {string} state - State to apply to ICS events (optional)
+ * @param {string} userId - User ID
+ * @returns {Object} Import summary
+ */
+async function importHolidays(file, state, userId) {
+  try {
+    const content = file.buffer.toString('utf8');
+    const isICS = file.originalname.toLowerCase().endsWith('.ics') || content.includes('BEGIN:VCALENDAR');
+    const parsed = isICS ? parseHolidayICS(content, state || null) : parseHolidayCSV(content);
+
+    if (parsed.holidays.length === 0) {
+      return {
+        success: false,
+        error: 'No valid holidays found in file',
+        details: parsed.errors
+      };
+    }
+
+    const rows = parsed.holidays.map(holiday => ({
+      ...buildHolidayRow(holiday),
+      created_by: userId
+    }));
+
+    const { data: inserted, error } = await supabase
+      .from('holiday_calendar')
+      .upsert(rows, { onConflict: 'holiday_date,state_key', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to import holidays: ${error.message}`
+      };
+    }
+
+    const summary = {
+      format: isICS ? 'ics' : 'csv',
+      parsed: rows.length,
+      imported: inserted ? inserted.length : 0,
+      skipped: rows.length - (inserted ? inserted.length : 0),
+      errors: parsed.errors
+    };
+
+    await logHolidayAction(null, 'HOLIDAYS_IMPORTED', userId, {
+      file_name: file.originalname,
+      ...summary
+    });
+
+    return {
+      success: true,
+      data: summary
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Holiday import failed: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  toDateString,
+  isWeekend,
+  shiftDate,
+  addBusinessDays,
+  countBusinessDaysBetween,
+  rollToBusinessDay,
+  fetchHolidaySet,
+  calculateBusinessDueDate,
+  getNextBusinessDay,
+  fetchHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  splitCSVLine,
+  parseHolidayCSV,
+  parseHolidayICS,
+  importHolidays
+};
@@ -0,0 +1,550 @@
+/**
+ * Indent lifecycle timeline
+ * Stitches an indent's allocation, procurement, payments, contract, lots, sales and
+ * DO specifications into one chronological view, with actors taken from audit_log
+ */
+
+const { supabase } = require('../config/supabase');
+const { OPEN_PAYMENT_STATUSES } = require('./paymentHelpers');
+
+// Pipeline stages in the order an indent moves through them
+const INDENT_STAGES = [
+  { key: 'allocation', label: 'Allocation' },
+  { key: 'procurement', label: 'Procurement' },
+  { key: 'payment', label: 'Payment' },
+  { key: 'contract', label: 'Contract' },
+  { key: 'sampling', label: 'Sampling' },
+  { key: 'sales', label: 'Sales' },
+  { key: 'delivery', label: 'Delivery order' }
+];
+
+// Stage an audit entry belongs to, by the table it was logged against
+const TABLE_STAGES = {
+  allocation: 'allocation',
+  procurement_dump: 'procurement',
+  payments: 'payment',
+  payment_utr_entries: 'payment',
+  purchase_contract_table: 'contract',
+  inventory_table: 'sampling',
+  sales_configuration: 'sales',
+  sales_table: 'sales',
+  customer_assignment_table: 'sales',
+  do_specifications: 'delivery'
+};
+
+/**
+ * "PROCUREMENT_RECALCULATED" -> "Procurement recalculated"
+ */
+function humanizeAction(action) {
+  const words = action.toLowerCase().split('_');
+  return [words[0].charAt(0).toUpperCase() + words[0].slice(1), ...words.slice(1)].join(' ');
+}
+
+/**
+ * Earliest / latest timestamp of a list, ignoring blanks
+ */
+function earliest(values) {
+  return values.filter(Boolean).sort()[0] || null;
+}
+
+function latest(values) {
+  return values.filter(Boolean).sort().pop() || null;
+}
+
+/**
+ * Fetch every record that belongs to an indent
+ * @param {string} indentNumber - Indent number
+ * @returns {Object} Records keyed by source
+ */
+async function fetchIndentRecords(indentNumber) {
+  const { data: allocation, error: allocationError } = await supabase
+    .from('allocation')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name,
+        state
+      ),
+      parsed_data:parsed_data_id (
+        firm_name
+      )
+    `)
+    .eq('indent_number', indentNumber)
+    .single();
+
+  if (allocationError || !allocation) {
+    return {
+      success: false,
+      error: 'Allocation not found for the given indent number'
+    };
+  }
+
+  const [procurementResult, contractResult, inventoryResult, lineItemResult, doSpecResult] = await Promise.all([
+    supabase.from('procurement_dump').select('*').eq('indent_number', indentNumber),
+    supabase.from('purchase_contract_table').select('*').eq('indent_number', indentNumber).order('uploaded_at', { ascending: true }),
+    supabase.from('inventory_table').select('*').eq('indent_number', indentNumber),
+    supabase
+      .from('sales_line_items')
+      .select(`
+        quantity,
+        sales_configuration:sales_config_id (
+          id,
+          order_date,
+          status,
+          created_by,
+          customer_info:customer_id (
+            customer_name
+          )
+        )
+      `)
+      .eq('indent_number', indentNumber),
+    supabase.from('do_specifications').select('id, created_at, user_id, total_lots, zone').eq('indent_number', indentNumber)
+  ]);
+
+  const firstError = [procurementResult, contractResult, inventoryResult, lineItemResult, doSpecResult]
+    .find(result => result.error);
+  if (firstError) {
+    return {
+      success: false,
+      error: firstError.error.message
+    };
+  }
+
+  const procurements = procurementResult.data || [];
+  const inventory = inventoryResult.data || [];
+  const salesOrders = (lineItemResult.data || [])
+    .filter(item => item.sales_configuration)
+    .map(item => ({ ...item.sales_configuration, quantity: item.quantity }));
+
+  const procurementIds = procurements.map(procurement => procurement.id);
+  const inventoryIds = inventory.map(lot => lot.id);
+  const salesConfigIds = salesOrders.map(order => order.id);
+
+  const [paymentResult, assignmentResult, salesResult] = await Promise.all([
+    procurementIds.length > 0
+      ? supabase
+        .from('payments')
+        .select(`
+          *,
+          utr_entries:payment_utr_entries (
+            id,
+            utr_number,
+            amount,
+            verification_status,
+            verified_by,
+            verified_at,
+            rejection_reason,
+            created_by,
+            created_at
+          )
+        `)
+        .in('procurement_id', procurementIds)
+      : { data: [] },
+    inventoryIds.length > 0
+      ? supabase
+        .from('customer_assignment_table')
+        .select('id, sales_id, inventory_id, lot_status, responded_by, responded_at, created_at')
+        .in('inventory_id', inventoryIds)
+      : { data: [] },
+    salesConfigIds.length > 0
+      ? supabase.from('sales_table').select('*').in('sales_config_id', salesConfigIds)
+      : { data: [] }
+  ]);
+
+  const secondError = [paymentResult, assignmentResult, salesResult].find(result => result.error);
+  if (secondError) {
+    return {
+      success: false,
+      error: secondError.error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      allocation,
+      procurements,
+      payments: paymentResult.data || [],
+      contracts: contractResult.data || [],
+      inventory,
+      assignments: assignmentResult.data || [],
+      salesOrders,
+      sales: salesResult.data || [],
+      doSpecifications: doSpecResult.data || []
+    }
+  };
+}
+
+/**
+ * Audit entries logged against the indent's records (lot-level entries are left out)
+ * @param {string} indentNumber - Indent number
+ * @param {Array} recordIds - IDs of the indent's allocation, procurement, payment, contract and sales rows
+ * @returns {Array} audit_log rows, oldest first
+ */
+async function fetchIndentAuditEntries(indentNumber, recordIds) {
+  const [byRecord, bySampling] = await Promise.all([
+    supabase
+      .from('audit_log')
+      .select('id, table_name, record_id, action, user_id, new_values, created_at')
+      .in('record_id', recordIds)
+      .order('created_at', { ascending: true }),
+    // Sampling is logged against the indent rather than a single record
+    supabase
+      .from('audit_log')
+      .select('id, table_name, record_id, action, user_id, new_values, created_at')
+      .eq('action', 'SAMPLING_COMPLETED')
+      .eq('new_values->>indent_number', indentNumber)
+  ]);
+
+  if (byRecord.error) {
+    throw new Error(`Failed to fetch audit log: ${byRecord.error.message}`);
+  }
+
+  return [...(byRecord.data || []), ...(bySampling.data || [])];
+}
+
+/**
+ * Milestones derived from the records themselves
+ * Each names the audit actions that describe it, so those entries are not repeated
+ */
+function buildMilestones(records) {
+  const { allocation, procurements, payments, contracts, inventory, assignments, salesOrders, sales, doSpecifications } = records;
+  const milestones = [];
+
+  milestones.push({
+    stage: 'allocation',
+    title: 'Allocation created',
+    description: `${allocation.bale_quantity} bales for ${allocation.parsed_data?.firm_name || 'Unknown firm'}` +
+      (allocation.branch_information ? ` at ${allocation.branch_information.branch_name}` : ''),
+    occurred_at: allocation.created_at,
+    actor_id: allocation.created_by,
+    status: allocation.allocation_status === 'cancelled' ? 'error' : 'success',
+    reference: { table: 'allocation', id: allocation.id },
+    audit_actions: ['ALLOCATION_CREATED']
+  });
+
+  procurements.forEach(procurement => {
+    milestones.push({
+      stage: 'procurement',
+      title: 'Procurement calculated',
+      description: `Total Rs. ${procurement.total_amount}, EMD Rs. ${procurement.emd_amount} due ${procurement.due_date}`,
+      occurred_at: procurement.created_at,
+      actor_id: procurement.created_by,
+      status: 'success',
+      reference: { table: 'procurement_dump', id: procurement.id },
+      audit_actions: ['PROCUREMENT_CALCULATED', 'AUTO_PROCUREMENT_CREATED']
+    });
+  });
+
+  payments.forEach(payment => {
+    milestones.push({
+      stage: 'payment',
+      title: `${payment.payment_type || 'Payment'} raised`,
+      description: `Rs. ${payment.amount} due ${payment.due_date} (${payment.payment_status})`,
+      occurred_at: payment.created_at,
+      actor_id: payment.created_by || null,
+      status: OPEN_PAYMENT_STATUSES.includes(payment.payment_status) ? 'warning' : 'success',
+      reference: { table: 'payments', id: payment.id },
+      audit_actions: ['PAYMENT_CREATED', 'CDU_GENERATED']
+    });
+
+    (payment.utr_entries || []).forEach(entry => {
+      milestones.push({
+        stage: 'payment',
+        title: 'UTR submitted',
+        description: `${entry.utr_number} for Rs. ${entry.amount}`,
+        occurred_at: entry.created_at,
+        actor_id: entry.created_by,
+        status: 'info',
+        reference: { table: 'payment_utr_entries', id: entry.id },
+        audit_actions: ['UTR_SUBMITTED']
+      });
+
+      if (entry.verified_at) {
+        const verified = entry.verification_status === 'verified';
+        milestones.push({
+          stage: 'payment',
+          title: verified ? 'UTR verified' : 'UTR rejected',
+          description: verified ? entry.utr_number : `${entry.utr_number}: ${entry.rejection_reason || 'no reason given'}`,
+          occurred_at: entry.verified_at,
+          actor_id: entry.verified_by,
+          status: verified ? 'success' : 'error',
+          reference: { table: 'payment_utr_entries', id: entry.id },
+          audit_actions: ['UTR_VERIFIED', 'UTR_REJECTED']
+        });
+      }
+    });
+  });
+
+  contracts.forEach(contract => {
+    const version = contract.version_number ? ` v${contract.version_number}` : '';
+
+    milestones.push({
+      stage: 'contract',
+      title: contract.supersedes_id ? `Contract${version} uploaded (replaces v${contract.version_number - 1})` : `Contract${version} uploaded`,
+      description: [contract.file_name, contract.amendment_reason].filter(Boolean).join(' - ') || null,
+      occurred_at: contract.uploaded_at,
+      actor_id: contract.uploaded_by,
+      status: 'info',
+      reference: { table: 'purchase_contract_table', id: contract.id },
+      audit_actions: ['CONTRACT_UPLOADED']
+    });
+
+    if (contract.status === 'approved') {
+      milestones.push({
+        stage: 'contract',
+        title: `Contract${version} approved`,
+        description: contract.approval_notes || null,
+        occurred_at: contract.approved_at || contract.updated_at,
+        actor_id: contract.approved_by || null,
+        status: 'success',
+        reference: { table: 'purchase_contract_table', id: contract.id },
+        audit_actions: ['CONTRACT_APPROVED']
+      });
+    }
+
+    if (contract.status === 'rejected') {
+      milestones.push({
+        stage: 'contract',
+        title: `Contract${version} rejected`,
+        description: contract.rejection_reason || null,
+        occurred_at: contract.rejected_at || contract.updated_at,
+        actor_id: contract.rejected_by || null,
+        status: 'error',
+        reference: { table: 'purchase_contract_table', id: contract.id },
+        audit_actions: ['CONTRACT_REJECTED']
+      });
+    }
+  });
+
+  if (inventory.length > 0) {
+    milestones.push({
+      stage: 'sampling',
+      title: 'Lots sampled',
+      description: `${inventory.length} lots added to inventory`,
+      occurred_at: earliest(inventory.map(lot => lot.created_at || lot.date)),
+      actor_id: inventory[0].added_by,
+      status: 'success',
+      reference: { table: 'inventory_table', id: null },
+      audit_actions: ['SAMPLING_COMPLETED']
+    });
+  }
+
+  salesOrders.forEach(order => {
+    milestones.push({
+      stage: 'sales',
+      title: 'Sales order created',
+      description: `${order.quantity} bales for ${order.customer_info?.customer_name || 'Unknown customer'}`,
+      occurred_at: order.order_date,
+      actor_id: order.created_by,
+      status: 'info',
+      reference: { table: 'sales_configuration', id: order.id },
+      audit_actions: []
+    });
+  });
+
+  sales.forEach(sale => {
+    milestones.push({
+      stage: 'sales',
+      title: 'Sale confirmed',
+      description: `${(sale.selected_lots || []).length} lots`,
+      occurred_at: sale.created_at,
+      actor_id: sale.created_by,
+      status: 'success',
+      reference: { table: 'sales_table', id: sale.id },
+      audit_actions: []
+    });
+
+    const saleAssignments = assignments.filter(assignment => assignment.sales_id === sale.id);
+    if (saleAssignments.length === 0) {
+      return;
+    }
+
+    milestones.push({
+      stage: 'sales',
+      title: 'Lots offered to customer',
+      description: `${saleAssignments.length} lots awaiting acceptance`,
+      occurred_at: earliest(saleAssignments.map(assignment => assignment.created_at)),
+      actor_id: null,
+      status: 'info',
+      reference: { table: 'sales_table', id: sale.id },
+      audit_actions: []
+    });
+
+    const responded = saleAssignments.filter(assignment => assignment.responded_at);
+    if (responded.length > 0) {
+      const count = status => responded.filter(assignment => assignment.lot_status === status).length;
+      const accepted = count('ACCEPTED');
+      milestones.push({
+        stage: 'sales',
+        title: 'Customer responded',
+        description: `${accepted} accepted, ${count('REJECTED')} rejected, ${count('EXPIRED')} expired of ${saleAssignments.length}`,
+        occurred_at: latest(responded.map(assignment => assignment.responded_at)),
+        actor_id: null,
+        status: accepted === saleAssignments.length ? 'success' : 'warning',
+        reference: { table: 'sales_table', id: sale.id },
+        audit_actions: []
+      });
+    }
+  });
+
+  doSpecifications.forEach(spec => {
+    milestones.push({
+      stage: 'delivery',
+      title: 'DO specification saved',
+      description: `${spec.total_lots} lots, ${spec.zone}`,
+      occurred_at: spec.created_at,
+      actor_id: spec.user_id,
+      status: 'success',
+      reference: { table: 'do_specifications', id: spec.id },
+      audit_actions: []
+    });
+  });
+
+  return milestones;
+}
+
+/**
+ * Work out how far the indent has got
+ * @returns {Object} { stages, current_stage } - current_stage is null once delivery is done
+ */
+function resolveStages(records, milestones) {
+  const { procurements, payments, contracts, inventory, sales, doSpecifications } = records;
+
+  const done = {
+    allocation: true,
+    procurement: procurements.length > 0,
+    payment: payments.length > 0 && payments.every(payment => !OPEN_PAYMENT_STATUSES.includes(payment.payment_status)),
+    contract: contracts.some(contract => contract.status === 'approved'),
+    sampling: inventory.length > 0,
+    sales: sales.length > 0 && inventory.every(lot => lot.status === 'SOLD'),
+    delivery: doSpecifications.length > 0
+  };
+
+  const current = INDENT_STAGES.find(stage => !done[stage.key]);
+
+  return {
+    current_stage: current ? current.key : null,
+    stages: INDENT_STAGES.map(stage => {
+      const stageMilestones = milestones.filter(milestone => milestone.stage === stage.key);
+      return {
+        ...stage,
+        status: done[stage.key] ? 'completed' : stage.key === current?.key ? 'current' : 'pending',
+        started_at: earliest(stageMilestones.map(milestone => milestone.occurred_at)),
+        completed_at: done[stage.key] ? latest(stageMilestones.map(milestone => milestone.occurred_at)) : null
+      };
+    })
+  };
+}
+
+/**
+ * Build the lifecycle timeline for an indent
+ * @param {string} indentNumber - Indent number
+ * @param {Object} user - Requesting user; traders only see their own allocations
+ * @returns {Object} { indent_number, allocation, current_stage, stages, entries }
+ */
+async function buildIndentTimeline(indentNumber, user) {
+  try {
+    const recordsResult = await fetchIndentRecords(indentNumber);
+    if (!recordsResult.success) {
+      return recordsResult;
+    }
+    const records = recordsResult.data;
+
+    if (user.role === 'trader' && records.allocation.created_by !== user.id) {
+      return {
+        success: false,
+        error: 'Allocation not found for the given indent number'
+      };
+    }
+
+    const recordIds = [
+      records.allocation.id,
+      ...records.procurements.map(procurement => procurement.id),
+      ...records.payments.map(payment => payment.id),
+      ...records.payments.flatMap(payment => (payment.utr_entries || []).map(entry => entry.id)),
+      ...records.contracts.map(contract => contract.id),
+      ...records.sales.map(sale => sale.id)
+    ];
+
+    const auditEntries = await fetchIndentAuditEntries(indentNumber, recordIds);
+    const milestones = buildMilestones(records);
+    const consumed = new Set();
+
+    // Take the actor (and a missing timestamp) from the audit entry describing each milestone
+    milestones.forEach(milestone => {
+      const audit = auditEntries.find(entry =>
+        !consumed.has(entry.id) &&
+        milestone.audit_actions.includes(entry.action) &&
+        (milestone.reference.id === null || entry.record_id === milestone.reference.id)
+      );
+      if (audit) {
+        consumed.add(audit.id);
+        milestone.actor_id = milestone.actor_id || audit.user_id;
+        milestone.occurred_at = milestone.occurred_at || audit.created_at;
+      }
+    });
+
+    // Everything else in the audit log (recalculations, overrides, edits) shows as activity
+    const activity = auditEntries
+      .filter(entry => !consumed.has(entry.id))
+      .map(entry => ({
+        stage: TABLE_STAGES[entry.table_name] || 'allocation',
+        title: humanizeAction(entry.action),
+        description: entry.new_values?.reason || entry.new_values?.notes || null,
+        occurred_at: entry.created_at,
+        actor_id: entry.user_id,
+        status: 'info',
+        reference: { table: entry.table_name, id: entry.record_id },
+        kind: 'activity'
+      }));
+
+    const entries = [...milestones.map(milestone => ({ ...milestone, kind: 'milestone' })), ...activity];
+
+    const actorIds = [...new Set(entries.map(entry => entry.actor_id).filter(Boolean))];
+    const { data: actors } = actorIds.length > 0
+      ? await supabase.from('users').select('id, first_name, last_name, role').in('id', actorIds)
+      : { data: [] };
+    const actorsById = new Map((actors || []).map(actor => [actor.id, actor]));
+
+    const { stages, current_stage } = resolveStages(records, milestones);
+
+    return {
+      success: true,
+      data: {
+        indent_number: indentNumber,
+        allocation: {
+          id: records.allocation.id,
+          firm_name: records.allocation.parsed_data?.firm_name || null,
+          branch_name: records.allocation.branch_information?.branch_name || null,
+          bale_quantity: records.allocation.bale_quantity,
+          allocation_status: records.allocation.allocation_status
+        },
+        current_stage,
+        stages,
+        entries: entries
+          .filter(entry => entry.occurred_at)
+          .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+          .map(({ audit_actions, actor_id, ...entry }) => {
+            const actor = actorsById.get(actor_id);
+            return {
+              ...entry,
+              actor: actor
+                ? { id: actor.id, name: `${actor.first_name} ${actor.last_name}`.trim(), role: actor.role }
+                : null
+            };
+          })
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to build indent timeline: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  INDENT_STAGES,
+  buildIndentTimeline
+};
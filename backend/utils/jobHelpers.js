@@ -0,0 +1,678 @@
+/**
+ * Background job runner
+ * Persisted, resumable jobs processed in batches with per-item success/failure tracking
+ */
+
+const os = require('os');
+const { supabase } = require('../config/supabase');
+const { bulkProcurementJob } = require('./procurementHelpers');
+
+// Handlers by job type: plan() lists items, prepare() builds shared state,
+// processItem() handles one item, finalize() runs once the job is finished
+const JOB_HANDLERS = {
+  procurement_bulk: bulkProcurementJob
+};
+
+const BATCH_SIZE = 25;
+const ITEM_INSERT_CHUNK = 500;
+const ACTIVE_STATUSES = ['queued', 'running'];
+// A job is run by whichever process holds its lease; a crashed runner's lease lapses
+const LEASE_SECONDS = 300;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Check whether some process currently holds a job's lease
+ * @param {Object} job - background_jobs row
+ * @returns {boolean} True while the lease is unexpired
+ */
+function isJobLeased(job) {
+  return Boolean(job.locked_until && new Date(job.locked_until) > new Date());
+}
+
+/**
+ * Take a job's lease if no other process holds it
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True when this process now runs the job
+ */
+async function acquireJobLease(jobId) {
+  const now = new Date();
+  const { data: leased, error } = await supabase
+    .from('background_jobs')
+    .update({
+      locked_by: INSTANCE_ID,
+      locked_until: new Date(now.getTime() + LEASE_SECONDS * 1000).toISOString()
+    })
+    .eq('id', jobId)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to lock job: ${error.message}`);
+  }
+
+  return Boolean(leased && leased.length > 0);
+}
+
+/**
+ * Extend the lease held by this process
+ * @param {string} jobId - Job ID
+ * @returns {boolean} False when the lease lapsed and another process took the job
+ */
+async function renewJobLease(jobId) {
+  const { data: renewed, error } = await supabase
+    .from('background_jobs')
+    .update({ locked_until: new Date(Date.now() + LEASE_SECONDS * 1000).toISOString() })
+    .eq('id', jobId)
+    .eq('locked_by', INSTANCE_ID)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to renew job lease: ${error.message}`);
+  }
+
+  return Boolean(renewed && renewed.length > 0);
+}
+
+/**
+ * Release the lease held by this process
+ * @param {string} jobId - Job ID
+ */
+async function releaseJobLease(jobId) {
+  await supabase
+    .from('background_jobs')
+    .update({ locked_by: null, locked_until: null })
+    .eq('id', jobId)
+    .eq('locked_by', INSTANCE_ID);
+}
+
+/**
+ * Fetch a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job row
+ */
+async function fetchJobRow(jobId) {
+  const { data: job, error } = await supabase
+    .from('background_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error || !job) {
+    throw new Error('Job not found');
+  }
+
+  return job;
+}
+
+/**
+ * Update a job row
+ * @param {string} jobId - Job ID
+ * @param {Object} updates - Columns to update
+ * @returns {Object} Updated job row
+ */
+async function updateJobRow(jobId, updates) {
+  const { data: job, error } = await supabase
+    .from('background_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update job: ${error.message}`);
+  }
+
+  return job;
+}
+
+/**
+ * Count job items by status
+ * @param {string} jobId - Job ID
+ * @returns {Object} { pending, succeeded, failed }
+ */
+async function countJobItems(jobId) {
+  const count = async (status) => {
+    const { count: total, error } = await supabase
+      .from('background_job_items')
+      .select('*', { count: 'exact', head: true })
+      .eq('job_id', jobId)
+      .eq('status', status);
+
+    if (error) {
+      throw new Error(`Failed to count job items: ${error.message}`);
+    }
+    return total || 0;
+  };
+
+  const [pending, succeeded, failed] = await Promise.all([
+    count('pending'),
+    count('succeeded'),
+    count('failed')
+  ]);
+
+  return { pending, succeeded, failed };
+}
+
+/**
+ * Persist the planned items for a job
+ * @param {Object} job - Job row
+ * @param {Array} items - Items ({ item_key, reference_id })
+ */
+async function insertJobItems(job, items) {
+  for (let i = 0; i < items.length; i += ITEM_INSERT_CHUNK) {
+    const rows = items.slice(i, i + ITEM_INSERT_CHUNK).map(item => ({
+      job_id: job.id,
+      item_key: item.item_key,
+      reference_id: item.reference_id || null,
+      status: 'pending'
+    }));
+
+    // Planning may be re-run after a crash; keep items that were already stored
+    const { error } = await supabase
+      .from('background_job_items')
+      .upsert(rows, { onConflict: 'job_id,item_key', ignoreDuplicates: true });
+
+    if (error) {
+      throw new Error(`Failed to store job items: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Process a job until no pending items remain
+ * Safe to call again after an interruption: only pending items are picked up
+ * @param {string} jobId - Job ID
+ */
+async function runJob(jobId) {
+  try {
+    if (!await acquireJobLease(jobId)) {
+      return;
+    }
+  } catch (error) {
+    console.error(`Background job ${jobId} could not be started:`, error);
+    return;
+  }
+
+  try {
+    let job = await fetchJobRow(jobId);
+    const handler = JOB_HANDLERS[job.job_type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.job_type}`);
+    }
+
+    job = await updateJobRow(jobId, {
+      status: 'running',
+      started_at: job.started_at || new Date().toISOString(),
+      finished_at: null,
+      last_error: null
+    });
+
+    if (!job.planned_at) {
+      const items = await handler.plan(job);
+      await insertJobItems(job, items);
+      job = await updateJobRow(jobId, {
+        total_items: items.length,
+        planned_at: new Date().toISOString()
+      });
+      await renewJobLease(jobId);
+    }
+
+    const context = handler.prepare ? await handler.prepare(job) : { job };
+
+    for (;;) {
+      const { data: batch, error: batchError } = await supabase
+        .from('background_job_items')
+        .select('*')
+        .eq('job_id', jobId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: true })
+        .order('item_key', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (batchError) {
+        throw new Error(`Failed to fetch job items: ${batchError.message}`);
+      }
+
+      if (!batch || batch.length === 0) {
+        break;
+      }
+
+      for (const item of batch) {
+        const update = {
+          attempts: (item.attempts || 0) + 1,
+          processed_at: new Date().toISOString()
+        };
+
+        try {
+          const result = await handler.processItem(item, context);
+          Object.assign(update, {
+            status: 'succeeded',
+            error: null,
+            result_id: result?.result_id || null,
+            skipped: Boolean(result?.skipped)
+          });
+        } catch (error) {
+          Object.assign(update, { status: 'failed', error: error.message });
+        }
+
+        const { error: itemError } = await supabase
+          .from('background_job_items')
+          .update(update)
+          .eq('id', item.id);
+
+        if (itemError) {
+          throw new Error(`Failed to record job item result: ${itemError.message}`);
+        }
+      }
+
+      const counts = await countJobItems(jobId);
+      job = await updateJobRow(jobId, {
+        processed_items: counts.succeeded + counts.failed,
+        succeeded_items: counts.succeeded,
+        failed_items: counts.failed
+      });
+
+      if (!await renewJobLease(jobId)) {
+        console.error(`Background job ${jobId} lost its lease; leaving it to the process that holds it`);
+        return;
+      }
+    }
+
+    const counts = await countJobItems(jobId);
+    job = await updateJobRow(jobId, {
+      status: counts.failed > 0 ? 'completed_with_errors' : 'completed',
+      processed_items: counts.succeeded + counts.failed,
+      succeeded_items: counts.succeeded,
+      failed_items: counts.failed,
+      finished_at: new Date().toISOString()
+    });
+
+    if (handler.finalize) {
+      await handler.finalize(job);
+    }
+  } catch (error) {
+    console.error(`Background job ${jobId} failed:`, error);
+    try {
+      await updateJobRow(jobId, {
+        status: 'failed',
+        last_error: error.message,
+        finished_at: new Date().toISOString()
+      });
+    } catch (updateError) {
+      console.error(`Failed to mark job ${jobId} as failed:`, updateError);
+    }
+  } finally {
+    await releaseJobLease(jobId);
+  }
+}
+
+/**
+ * Run a job in the background without blocking the caller
+ * Does nothing when another process already holds the job's lease
+ * @param {string} jobId - Job ID
+ */
+function startJob(jobId) {
+  setImmediate(() => {
+    runJob(jobId);
+  });
+}
+
+/**
+ * Create and start a job, or return the active job of the same type
+ * @param {string} jobType - Job type (see JOB_HANDLERS)
+ * @param {Object} params - Job parameters
+ * @param {string} userId - User ID
+ * @returns {Object} Job and whether it already existed
+ */
+async function createJob(jobType, params, userId) {
+  try {
+    if (!JOB_HANDLERS[jobType]) {
+      return {
+        success: false,
+        error: `Unknown job type: ${jobType}`
+      };
+    }
+
+    const { data: active, error: activeError } = await supabase
+      .from('background_jobs')
+      .select('*')
+      .eq('job_type', jobType)
+      .in('status', ACTIVE_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (activeError) {
+      return {
+        success: false,
+        error: `Failed to check for active jobs: ${activeError.message}`
+      };
+    }
+
+    if (active && active.length > 0) {
+      if (!isJobLeased(active[0])) {
+        startJob(active[0].id);
+      }
+      return {
+        success: true,
+        data: { job: active[0], existing: true }
+      };
+    }
+
+    const { data: job, error } = await supabase
+      .from('background_jobs')
+      .insert({
+        job_type: jobType,
+        status: 'queued',
+        params: params || {},
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to create job: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'background_jobs',
+        record_id: job.id,
+        action: 'JOB_CREATED',
+        user_id: userId,
+        new_values: { job_type: jobType, params: job.params }
+      });
+
+    startJob(job.id);
+
+    return {
+      success: true,
+      data: { job, existing: false }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to create job: ${error.message}`
+    };
+  }
+}
+
+/**
+ * List recent jobs
+ * @param {Object} filters - job_type, status, limit
+ * @returns {Object} Jobs
+ */
+async function fetchJobs(filters = {}) {
+  try {
+    let query = supabase
+      .from('background_jobs')
+      .select(`
+        *,
+        created_user:created_by (
+          first_name,
+          last_name
+        )
+      `)
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 20);
+
+    if (filters.job_type) {
+      query = query.eq('job_type', filters.job_type);
+    }
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    const { data: jobs, error } = await query;
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch jobs: ${error.message}`
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        jobs: (jobs || []).map(job => ({ ...job, is_running: isJobLeased(job) }))
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to fetch jobs: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Get a job with its progress
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job
+ */
+async function getJob(jobId) {
+  try {
+    const job = await fetchJobRow(jobId);
+    const progress = job.total_items > 0
+      ? Math.round((job.processed_items / job.total_items) * 100)
+      : (job.planned_at ? 100 : 0);
+
+    return {
+      success: true,
+      data: {
+        job: { ...job, progress, is_running: isJobLeased(job) }
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * List a job's items, optionally filtered by status
+ * @param {string} jobId - Job ID
+ * @param {Object} filters - status, page, limit
+ * @returns {Object} Items with pagination
+ */
+async function fetchJobItems(jobId, filters = {}) {
+  try {
+    const page = filters.page || 1;
+    const limit = filters.limit || 50;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('background_job_items')
+      .select('*', { count: 'exact' })
+      .eq('job_id', jobId);
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    const { data: items, error, count } = await query
+      .order('processed_at', { ascending: false, nullsFirst: false })
+      .order('item_key', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch job items: ${error.message}`
+      };
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    return {
+      success: true,
+      data: {
+        items: items || [],
+        pagination: {
+          current_page: page,
+          total_pages: totalPages,
+          total_records: count || 0,
+          per_page: limit
+        }
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to fetch job items: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Resume an interrupted or failed job from its remaining pending items
+ * @param {string} jobId - Job ID
+ * @param {string} userId - User ID
+ * @returns {Object} Job
+ */
+async function resumeJob(jobId, userId) {
+  try {
+    const job = await fetchJobRow(jobId);
+
+    if (isJobLeased(job)) {
+      return {
+        success: false,
+        error: 'Job is already running'
+      };
+    }
+
+    if (job.status === 'completed' || job.status === 'completed_with_errors') {
+      return {
+        success: false,
+        error: 'Job has already completed; retry failed items instead'
+      };
+    }
+
+    const updated = await updateJobRow(jobId, { status: 'queued' });
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'background_jobs',
+        record_id: jobId,
+        action: 'JOB_RESUMED',
+        user_id: userId,
+        old_values: { status: job.status, last_error: job.last_error },
+        new_values: { status: 'queued' }
+      });
+
+    startJob(jobId);
+
+    return {
+      success: true,
+      data: { job: updated }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Reset a job's failed items to pending and run it again
+ * @param {string} jobId - Job ID
+ * @param {string} userId - User ID
+ * @returns {Object} Job and number of items queued for retry
+ */
+async function retryFailedItems(jobId, userId) {
+  try {
+    const job = await fetchJobRow(jobId);
+
+    if (isJobLeased(job) || ACTIVE_STATUSES.includes(job.status)) {
+      return {
+        success: false,
+        error: 'Job is still running; wait for it to finish before retrying'
+      };
+    }
+
+    const { data: resetItems, error } = await supabase
+      .from('background_job_items')
+      .update({ status: 'pending' })
+      .eq('job_id', jobId)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to reset failed items: ${error.message}`
+      };
+    }
+
+    const retried = resetItems ? resetItems.length : 0;
+    if (retried === 0 && job.planned_at) {
+      return {
+        success: false,
+        error: 'Job has no failed items to retry'
+      };
+    }
+
+    const updated = await updateJobRow(jobId, { status: 'queued' });
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'background_jobs',
+        record_id: jobId,
+        action: 'JOB_RETRIED',
+        user_id: userId,
+        old_values: { status: job.status, failed_items: job.failed_items },
+        new_values: { status: 'queued', retried_items: retried }
+      });
+
+    startJob(jobId);
+
+    return {
+      success: true,
+      data: { job: updated, retried }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Restart jobs left queued or running by a previous server process
+ * Called once at startup; jobs another instance is still running keep their lease and are skipped
+ */
+async function resumeInterruptedJobs() {
+  const { data: jobs, error } = await supabase
+    .from('background_jobs')
+    .select('id, job_type')
+    .in('status', ACTIVE_STATUSES);
+
+  if (error) {
+    console.error('Failed to check for interrupted jobs:', error.message);
+    return;
+  }
+
+  (jobs || []).forEach(job => startJob(job.id));
+}
+
+module.exports = {
+  JOB_HANDLERS,
+  createJob,
+  fetchJobs,
+  getJob,
+  fetchJobItems,
+  resumeJob,
+  retryFailedItems,
+  resumeInterruptedJobs
+};
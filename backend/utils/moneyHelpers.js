@@ -0,0 +1,201 @@
+/**
+ * Money arithmetic
+ * Exact decimal arithmetic for rupee amounts with explicit rounding to the paisa
+ *
+ * Rounding rules used by every calculator:
+ *   - Amounts are rounded to the paisa, half away from zero (₹0.005 -> ₹0.01)
+ *   - PER_LINE: each line (tax component, payment slot, delivery) is rounded first and the
+ *     rounded lines are summed, so stored lines always add up to the stored total
+ *   - PER_TOTAL: lines are summed exactly and only the total is rounded
+ *
+ * Values are held internally as { units: BigInt, scale: Number } meaning units / 10^scale,
+ * parsed from the decimal string form of the input so 0.1 is exactly one tenth.
+ */
+
+const ROUNDING = {
+  PER_LINE: 'per_line',
+  PER_TOTAL: 'per_total'
+};
+
+// Extra decimal places kept when a division does not terminate
+const DIVISION_PRECISION = 12;
+
+const TEN = 10n;
+
+/**
+ * Convert a number, numeric string or decimal into an exact decimal
+ * @param {number|string|Object} value - Amount, quantity or rate
+ * @returns {Object} { units, scale }
+ */
+function toDecimal(value) {
+  if (value && typeof value === 'object' && typeof value.units === 'bigint') {
+    return value;
+  }
+  if (value === null || value === undefined || value === '') {
+    return { units: 0n, scale: 0 };
+  }
+
+  let text = typeof value === 'number' ? String(value) : String(value).trim();
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  if (/e/i.test(text)) {
+    text = Number(text).toFixed(20);
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const fraction = match[3] || '';
+  const units = BigInt(`${match[2] || '0'}${fraction}`);
+  return {
+    units: match[1] === '-' ? -units : units,
+    scale: fraction.length
+  };
+}
+
+/**
+ * Change the scale of a decimal, rounding half away from zero when reducing it
+ */
+function rescale(decimal, scale) {
+  if (scale >= decimal.scale) {
+    return { units: decimal.units * TEN ** BigInt(scale - decimal.scale), scale };
+  }
+
+  const divisor = TEN ** BigInt(decimal.scale - scale);
+  const negative = decimal.units < 0n;
+  const magnitude = negative ? -decimal.units : decimal.units;
+  let units = magnitude / divisor;
+  if ((magnitude % divisor) * 2n >= divisor) {
+    units += 1n;
+  }
+  return { units: negative ? -units : units, scale };
+}
+
+/**
+ * Add any number of values exactly
+ * @param {...(number|string|Object)} values - Values to add
+ * @returns {Object} Exact decimal sum
+ */
+function add(...values) {
+  const decimals = values.map(toDecimal);
+  const scale = Math.max(0, ...decimals.map(d => d.scale));
+  return {
+    units: decimals.reduce((sum, d) => sum + rescale(d, scale).units, 0n),
+    scale
+  };
+}
+
+/**
+ * Subtract b from a exactly
+ * @returns {Object} Exact decimal difference
+ */
+function subtract(a, b) {
+  const right = toDecimal(b);
+  return add(a, { units: -right.units, scale: right.scale });
+}
+
+/**
+ * Multiply any number of values exactly
+ * @param {...(number|string|Object)} values - Factors
+ * @returns {Object} Exact decimal product
+ */
+function multiply(...values) {
+  return values.map(toDecimal).reduce(
+    (product, d) => ({ units: product.units * d.units, scale: product.scale + d.scale }),
+    { units: 1n, scale: 0 }
+  );
+}
+
+/**
+ * Divide a by b, exact when the quotient terminates within DIVISION_PRECISION extra places
+ * @returns {Object} Decimal quotient
+ */
+function divide(a, b) {
+  const numerator = toDecimal(a);
+  const divisor = toDecimal(b);
+  if (divisor.units === 0n) {
+    throw new Error('Division by zero');
+  }
+
+  // a/b = (A * 10^(sb + p)) / B at scale sa + p; keep one guard digit for rounding
+  const guarded = numerator.units * TEN ** BigInt(divisor.scale + DIVISION_PRECISION + 1) / divisor.units;
+  return rescale({ units: guarded, scale: numerator.scale + DIVISION_PRECISION + 1 }, numerator.scale + DIVISION_PRECISION);
+}
+
+/**
+ * Apply a percentage to an amount (amount × percent / 100), unrounded
+ * @param {number|string|Object} amount - Base amount
+ * @param {number|string|Object} percent - Percentage, e.g. 2.5 for 2.5%
+ * @returns {Object} Exact decimal
+ */
+function percentOf(amount, percent) {
+  const product = multiply(amount, percent);
+  return { units: product.units, scale: product.scale + 2 };
+}
+
+/**
+ * Round a value to whole paise
+ * @param {number|string|Object} value - Rupee amount
+ * @returns {number} Integer paise
+ */
+function toPaise(value) {
+  return Number(rescale(toDecimal(value), 2).units);
+}
+
+/**
+ * Convert integer paise to rupees
+ * @param {number} paise - Integer paise
+ * @returns {number} Rupees
+ */
+function fromPaise(paise) {
+  return Number(paise) / 100;
+}
+
+/**
+ * Round a value to the paisa and return it in rupees
+ * @param {number|string|Object} value - Rupee amount
+ * @returns {number} Rupees with at most two decimals
+ */
+function roundMoney(value) {
+  return fromPaise(toPaise(value));
+}
+
+/**
+ * Sum amounts under an explicit rounding rule
+ * @param {Array} values - Rupee amounts (numbers, numeric strings or decimals)
+ * @param {string} rule - ROUNDING.PER_LINE (default) or ROUNDING.PER_TOTAL
+ * @returns {number} Rupees rounded to the paisa
+ */
+function sumMoney(values, rule = ROUNDING.PER_LINE) {
+  const lines = (values || []).filter(value => value !== null && value !== undefined && value !== '');
+  if (rule === ROUNDING.PER_TOTAL) {
+    return roundMoney(add(...lines));
+  }
+  return fromPaise(lines.reduce((sum, value) => sum + toPaise(value), 0));
+}
+
+/**
+ * Whether two amounts differ by at least one paisa after rounding
+ * @returns {boolean} True when the amounts differ
+ */
+function moneyDiffers(a, b) {
+  return toPaise(a) !== toPaise(b);
+}
+
+module.exports = {
+  ROUNDING,
+  toDecimal,
+  add,
+  subtract,
+  multiply,
+  divide,
+  percentOf,
+  toPaise,
+  fromPaise,
+  roundMoney,
+  sumMoney,
+  moneyDiffers
+};
@@ -0,0 +1,229 @@
+/**
+ * Notification channel adapters
+ * Each adapter delivers one rendered message and throws when the provider rejects it,
+ * so the delivery log can record the failure and retry later
+ */
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// n8n workflows that used to be called directly, keyed by notification event
+const N8N_EVENT_WEBHOOKS = {
+  payment_reminder: 'N8N_PAYMENT_REMINDER_WEBHOOK',
+  lot_reminder: 'N8N_LOT_REMINDER_WEBHOOK',
+  lot_acceptance_confirmation: 'N8N_LOT_ACCEPTANCE_CONFIRMATION_WEBHOOK',
+  sale_confirmation: 'N8N_SALES_CONFIRMATION_WEBHOOK',
+  contract_uploaded: 'N8N_CONTRACT_UPLOAD_NOTIFICATION_WEBHOOK',
+  contract_approved: 'N8N_CONTRACT_APPROVE_SEND_WEBHOOK'
+};
+
+// Messages captured by the fake adapter, newest last
+const FAKE_OUTBOX_LIMIT = 200;
+const fakeOutbox = [];
+
+let smtpTransport = null;
+
+/**
+ * Normalise a phone number to digits with the country code (10-digit numbers are Indian)
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Digits only, or null when empty
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  return digits.length === 10 ? `91${digits}` : digits;
+}
+
+const smtpAdapter = {
+  name: 'smtp',
+  isConfigured: () => Boolean(process.env.SMTP_HOST),
+  async send(message) {
+    if (!smtpTransport) {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      smtpTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    const info = await smtpTransport.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: message.to,
+      subject: message.subject || '',
+      text: message.body
+    });
+
+    return { provider_message_id: info.messageId || null };
+  }
+};
+
+const smsAdapter = {
+  name: 'sms_gateway',
+  isConfigured: () => Boolean(process.env.SMS_GATEWAY_URL),
+  async send(message) {
+    const response = await axios.post(process.env.SMS_GATEWAY_URL, {
+      to: normalizePhone(message.to),
+      message: message.body,
+      sender: process.env.SMS_SENDER_ID || undefined
+    }, {
+      headers: process.env.SMS_GATEWAY_API_KEY
+        ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` }
+        : {},
+      timeout: 15000
+    });
+
+    const data = response.data || {};
+    return { provider_message_id: data.message_id || data.id || null };
+  }
+};
+
+const whatsappAdapter = {
+  name: 'whatsapp_business',
+  isConfigured: () => Boolean(process.env.WHATSAPP_PHONE_NUMBER_ID && process.env.WHATSAPP_ACCESS_TOKEN),
+  async send(message) {
+    const apiUrl = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0';
+    const body = {
+      messaging_product: 'whatsapp',
+      to: normalizePhone(message.to)
+    };
+
+    // Business-initiated messages outside the 24h window must use an approved template
+    if (message.whatsapp_template_name) {
+      body.type = 'template';
+      body.template = {
+        name: message.whatsapp_template_name,
+        language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+        components: [{
+          type: 'body',
+          parameters: (message.template_params || []).map(value => ({ type: 'text', text: String(value) }))
+        }]
+      };
+    } else {
+      body.type = 'text';
+      body.text = { body: message.body };
+    }
+
+    const response = await axios.post(`${apiUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, body, {
+      headers: { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` },
+      timeout: 15000
+    });
+
+    return { provider_message_id: response.data?.messages?.[0]?.id || null };
+  }
+};
+
+const n8nAdapter = {
+  name: 'n8n',
+  isConfigured: (eventKey) => {
+    if (!process.env.N8N_BASE_URL) {
+      return false;
+    }
+    return eventKey ? Boolean(process.env[N8N_EVENT_WEBHOOKS[eventKey]]) : true;
+  },
+  async send(message) {
+    const envKey = N8N_EVENT_WEBHOOKS[message.event_key];
+    const webhookPath = envKey ? process.env[envKey] : null;
+    if (!process.env.N8N_BASE_URL || !webhookPath) {
+      throw new Error(`n8n webhook for ${message.event_key} is not configured (${envKey || 'no webhook variable'})`);
+    }
+
+    const response = await axios.post(`${process.env.N8N_BASE_URL}${webhookPath}`, message.payload, {
+      timeout: 30000
+    });
+
+    return { provider_message_id: response.data?.executionId || null };
+  }
+};
+
+const fakeAdapter = {
+  name: 'fake',
+  isConfigured: () => true,
+  async send(message) {
+    const entry = {
+      id: `fake-${Date.now()}-${fakeOutbox.length}`,
+      channel: message.channel,
+      event_key: message.event_key,
+      to: message.to,
+      subject: message.subject,
+      body: message.body,
+      payload: message.payload,
+      sent_at: new Date().toISOString()
+    };
+
+    fakeOutbox.push(entry);
+    if (fakeOutbox.length > FAKE_OUTBOX_LIMIT) {
+      fakeOutbox.shift();
+    }
+
+    return { provider_message_id: entry.id };
+  }
+};
+
+const CHANNEL_ADAPTERS = {
+  email: smtpAdapter,
+  sms: smsAdapter,
+  whatsapp: whatsappAdapter,
+  n8n: n8nAdapter
+};
+
+/**
+ * Whether every channel is routed to the fake adapter (offline development and testing)
+ * @returns {boolean}
+ */
+function isFakeMode() {
+  return process.env.NOTIFICATIONS_FAKE === 'true';
+}
+
+/**
+ * Adapter that delivers a channel
+ * @param {string} channel - email, sms, whatsapp or n8n
+ * @returns {Object} Adapter with name, isConfigured and send
+ */
+function getAdapter(channel) {
+  if (isFakeMode()) {
+    return fakeAdapter;
+  }
+  const adapter = CHANNEL_ADAPTERS[channel];
+  if (!adapter) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  return adapter;
+}
+
+/**
+ * Adapter per channel and whether it is configured
+ * @returns {Array} [{ channel, adapter, configured }]
+ */
+function describeAdapters() {
+  return Object.keys(CHANNEL_ADAPTERS).map(channel => {
+    const adapter = getAdapter(channel);
+    return {
+      channel,
+      adapter: adapter.name,
+      configured: adapter.isConfigured()
+    };
+  });
+}
+
+/**
+ * Messages captured by the fake adapter
+ * @returns {Array} Newest first
+ */
+function getFakeOutbox() {
+  return [...fakeOutbox].reverse();
+}
+
+module.exports = {
+  N8N_EVENT_WEBHOOKS,
+  normalizePhone,
+  isFakeMode,
+  getAdapter,
+  describeAdapters,
+  getFakeOutbox
+};
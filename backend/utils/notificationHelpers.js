@@ -0,0 +1,662 @@
+/**
+ * Notification service
+ * Renders per-event templates for each channel, honours recipient preferences and
+ * records every send in notification_deliveries; the outbox delivers and retries them
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { getAdapter } = require('./notificationAdapters');
+const { registerOutboxHandler, enqueueOutboxEvents, replayOutboxEvent } = require('./outboxHelpers');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp', 'n8n'];
+
+// Channels that reach a person; n8n receives one delivery per event
+const RECIPIENT_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const RECIPIENT_TYPES = ['user', 'customer'];
+
+// Preference rows with this event key apply to every event
+const ALL_EVENTS = '*';
+
+// Outbox event type that sends one notification_deliveries row
+const DELIVER_EVENT = 'notification.deliver';
+
+/**
+ * Fill {{placeholders}} from data; unknown placeholders render empty
+ * @param {string} template - Template text
+ * @param {Object} data - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, data = {}) {
+  if (!template) {
+    return template;
+  }
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = data[key];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Placeholder names in the order they first appear (WhatsApp template parameters)
+ * @param {string} template - Template text
+ * @returns {Array} Placeholder names
+ */
+function templatePlaceholders(template) {
+  const names = [];
+  (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (!names.includes(key)) {
+      names.push(key);
+    }
+    return _;
+  });
+  return names;
+}
+
+/**
+ * Pick the preference for a recipient and channel: the event's own row beats the '*' row
+ * @param {Array} preferences - The recipient's preference rows
+ * @param {string} channel - Channel
+ * @param {string} eventKey - Event key
+ * @returns {Object|null} Preference row
+ */
+function resolvePreference(preferences, channel, eventKey) {
+  const forChannel = (preferences || []).filter(pref => pref.channel === channel);
+  return forChannel.find(pref => pref.event_key === eventKey)
+    || forChannel.find(pref => pref.event_key === ALL_EVENTS)
+    || null;
+}
+
+/**
+ * Address for a channel: the matched preference's own, else the one on the channel's '*' row
+ * @param {Array} preferences - The recipient's preference rows
+ * @param {string} channel - Channel
+ * @param {Object|null} preference - Preference matched for the event
+ * @returns {string|null} Email address or phone number
+ */
+function channelAddress(preferences, channel, preference) {
+  if (preference?.address) {
+    return preference.address;
+  }
+  const channelDefault = (preferences || []).find(pref => pref.channel === channel && pref.event_key === ALL_EVENTS);
+  return channelDefault?.address || null;
+}
+
+/**
+ * Send one delivery through its channel adapter and record the outcome
+ * Failures are recorded on the delivery; the caller decides whether to retry
+ * @param {Object} delivery - notification_deliveries row
+ * @returns {Object} Updated delivery
+ */
+async function attemptDelivery(delivery) {
+  const attempts = delivery.attempts + 1;
+  let updates;
+
+  try {
+    const adapter = getAdapter(delivery.channel);
+    const result = await adapter.send({
+      channel: delivery.channel,
+      event_key: delivery.event_key,
+      to: delivery.recipient_address,
+      subject: delivery.subject,
+      body: delivery.body,
+      payload: delivery.payload,
+      whatsapp_template_name: delivery.payload?.whatsapp_template_name || null,
+      template_params: delivery.payload?.template_params || []
+    });
+
+    updates = {
+      adapter: adapter.name,
+      status: 'sent',
+      attempts,
+      last_error: null,
+      provider_message_id: result?.provider_message_id || null,
+      sent_at: new Date().toISOString()
+    };
+  } catch (error) {
+    const providerMessage = error.response?.data
+      ? ` (${typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data)})`
+      : '';
+    console.error(`Notification ${delivery.id} via ${delivery.channel} failed:`, error.message);
+
+    updates = {
+      status: 'failed',
+      attempts,
+      last_error: `${error.message}${providerMessage}`.slice(0, 2000)
+    };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('notification_deliveries')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error(`Failed to record notification ${delivery.id} outcome:`, updateError.message);
+    return { ...delivery, ...updates };
+  }
+
+  return updated;
+}
+
+registerOutboxHandler(DELIVER_EVENT, async (event) => {
+  const { data: delivery, error } = await supabase
+    .from('notification_deliveries')
+    .select('*')
+    .eq('id', event.payload.delivery_id)
+    .single();
+
+  if (error || !delivery) {
+    throw new Error(`Notification delivery ${event.payload.delivery_id} not found`);
+  }
+
+  // Already sent by an earlier attempt whose outcome was not recorded on the event
+  if (delivery.status === 'sent') {
+    return;
+  }
+
+  const updated = await attemptDelivery(delivery);
+  if (updated.status !== 'sent') {
+    throw new Error(updated.last_error || 'Notification delivery failed');
+  }
+});
+
+/**
+ * Notify about an event on every active channel
+ * One n8n delivery carries the event payload; each recipient gets the personal channels
+ * their preferences (or the template's default opt-in) allow and that have an address.
+ * Deliveries are queued on the outbox, so the caller never waits on a provider.
+ * @param {string} eventKey - Event key, e.g. payment_reminder
+ * @param {Object} options - recipients [{ type, id, name, email, data, related_id }],
+ *   data (shared placeholders), payload (n8n body), related { table, id }, userId
+ * @returns {Object} { deliveries, queued, skipped }
+ */
+async function notify(eventKey, options = {}) {
+  const { recipients = [], data = {}, payload = null, related = {}, userId = null } = options;
+
+  try {
+    const { data: templates, error: templatesError } = await supabase
+      .from('notification_templates')
+      .select('*')
+      .eq('event_key', eventKey)
+      .eq('is_active', true);
+
+    if (templatesError) {
+      return {
+        success: false,
+        error: templatesError.message
+      };
+    }
+
+    const base = {
+      event_key: eventKey,
+      related_table: related.table || null,
+      related_id: related.id || null,
+      created_by: userId
+    };
+    const rows = [];
+    let skipped = 0;
+
+    const n8nTemplate = (templates || []).find(template => template.channel === 'n8n');
+    if (n8nTemplate) {
+      rows.push({
+        ...base,
+        channel: 'n8n',
+        adapter: getAdapter('n8n').name,
+        body: n8nTemplate.body_template,
+        payload
+      });
+    }
+
+    const personalTemplates = (templates || []).filter(template => RECIPIENT_CHANNELS.includes(template.channel));
+    if (personalTemplates.length > 0 && recipients.length > 0) {
+      const recipientIds = [...new Set(recipients.map(recipient => recipient.id).filter(Boolean))];
+      const { data: preferences, error: preferencesError } = recipientIds.length > 0
+        ? await supabase
+          .from('notification_preferences')
+          .select('*')
+          .in('recipient_id', recipientIds)
+        : { data: [], error: null };
+
+      if (preferencesError) {
+        return {
+          success: false,
+          error: preferencesError.message
+        };
+      }
+
+      recipients.forEach(recipient => {
+        const recipientType = recipient.type || 'user';
+        const ownPreferences = (preferences || []).filter(pref =>
+          pref.recipient_id === recipient.id && pref.recipient_type === recipientType
+        );
+        const values = { recipient_name: recipient.name, ...data, ...(recipient.data || {}) };
+
+        personalTemplates.forEach(template => {
+          const preference = resolvePreference(ownPreferences, template.channel, eventKey);
+          const enabled = preference ? preference.is_enabled : template.default_opt_in;
+          const address = channelAddress(ownPreferences, template.channel, preference)
+            || (template.channel === 'email' ? recipient.email : null);
+
+          if (!enabled || !address) {
+            skipped += 1;
+            return;
+          }
+
+          rows.push({
+            ...base,
+            related_id: recipient.related_id || base.related_id,
+            channel: template.channel,
+            adapter: getAdapter(template.channel).name,
+            recipient_type: recipientType,
+            recipient_id: recipient.id || null,
+            recipient_address: address,
+            subject: renderTemplate(template.subject_template, values),
+            body: renderTemplate(template.body_template, values),
+            payload: template.channel === 'whatsapp' && template.whatsapp_template_name
+              ? {
+                whatsapp_template_name: template.whatsapp_template_name,
+                template_params: templatePlaceholders(template.body_template).map(key => values[key] ?? '')
+              }
+              : null
+          });
+        });
+      });
+    }
+
+    if (rows.length === 0) {
+      return {
+        success: true,
+        data: { deliveries: [], queued: 0, skipped }
+      };
+    }
+
+    // IDs are assigned up front so each delivery and its outbox event reference each other
+    const queued = rows.map(row => ({ ...row, id: uuidv4(), outbox_event_id: uuidv4() }));
+
+    const enqueueResult = await enqueueOutboxEvents(queued.map(delivery => ({
+      id: delivery.outbox_event_id,
+      event_type: DELIVER_EVENT,
+      aggregate_type: 'notification_deliveries',
+      aggregate_id: delivery.id,
+      payload: { delivery_id: delivery.id, event_key: eventKey, channel: delivery.channel }
+    })), userId);
+
+    if (!enqueueResult.success) {
+      return enqueueResult;
+    }
+
+    const { data: created, error: insertError } = await supabase
+      .from('notification_deliveries')
+      .insert(queued)
+      .select('id, channel, recipient_id, recipient_address, status, outbox_event_id');
+
+    if (insertError) {
+      return {
+        success: false,
+        error: insertError.message
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        deliveries: created || [],
+        queued: (created || []).length,
+        skipped
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Notification ${eventKey} failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Retry one failed delivery now, even after its automatic attempts are exhausted
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} userId - Admin retrying it
+ * @returns {Object} Updated delivery
+ */
+async function retryDelivery(deliveryId, userId) {
+  const { data: delivery, error } = await supabase
+    .from('notification_deliveries')
+    .select('*')
+    .eq('id', deliveryId)
+    .single();
+
+  if (error || !delivery) {
+    return {
+      success: false,
+      error: 'Notification delivery not found'
+    };
+  }
+
+  if (delivery.status === 'sent') {
+    return {
+      success: false,
+      error: 'Notification was already sent'
+    };
+  }
+
+  if (!delivery.outbox_event_id) {
+    return {
+      success: false,
+      error: 'Notification delivery has no outbox event to replay'
+    };
+  }
+
+  // Replaying the outbox event keeps one retry schedule and attempt history per delivery
+  const replayResult = await replayOutboxEvent(delivery.outbox_event_id, userId);
+  if (!replayResult.success) {
+    return replayResult;
+  }
+
+  const { data: updated } = await supabase
+    .from('notification_deliveries')
+    .select('*')
+    .eq('id', deliveryId)
+    .single();
+
+  return {
+    success: true,
+    data: { delivery: updated || delivery }
+  };
+}
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - status, channel, event_key, search (recipient address)
+ * @param {Object} pagination - page, limit
+ * @returns {Object} { deliveries, pagination }
+ */
+async function fetchDeliveries(filters = {}, pagination = {}) {
+  const { page = 1, limit = 25 } = pagination;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('notification_deliveries')
+    .select(`
+      *,
+      outbox_event:outbox_event_id (
+        status,
+        attempts,
+        max_attempts,
+        next_attempt_at
+      )
+    `, { count: 'exact' });
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  if (filters.channel) {
+    query = query.eq('channel', filters.channel);
+  }
+
+  if (filters.event_key) {
+    query = query.eq('event_key', filters.event_key);
+  }
+
+  if (filters.search) {
+    query = query.ilike('recipient_address', `%${filters.search}%`);
+  }
+
+  const { data: deliveries, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      deliveries: deliveries || [],
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil((count || 0) / limit),
+        total_records: count || 0,
+        per_page: limit
+      }
+    }
+  };
+}
+
+/**
+ * List notification templates by event and channel
+ * @returns {Object} { templates }
+ */
+async function fetchTemplates() {
+  const { data: templates, error } = await supabase
+    .from('notification_templates')
+    .select('*')
+    .order('event_key', { ascending: true })
+    .order('channel', { ascending: true });
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: { templates: templates || [] }
+  };
+}
+
+/**
+ * Update a template's text, activation or default opt-in
+ * @param {string} templateId - Template ID
+ * @param {Object} updates - subject_template, body_template, whatsapp_template_name, default_opt_in, is_active
+ * @param {string} userId - Admin making the change
+ * @returns {Object} Updated template
+ */
+async function updateTemplate(templateId, updates, userId) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('notification_templates')
+    .select('*')
+    .eq('id', templateId)
+    .single();
+
+  if (fetchError || !existing) {
+    return {
+      success: false,
+      error: 'Notification template not found'
+    };
+  }
+
+  const { data: template, error } = await supabase
+    .from('notification_templates')
+    .update({ ...updates, updated_by: userId, updated_at: new Date().toISOString() })
+    .eq('id', templateId)
+    .select()
+    .single();
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: 'notification_templates',
+      record_id: templateId,
+      action: 'UPDATE',
+      user_id: userId,
+      old_values: existing,
+      new_values: template
+    });
+
+  return {
+    success: true,
+    data: { template }
+  };
+}
+
+/**
+ * A recipient's channel preferences
+ * @param {string} recipientType - user or customer
+ * @param {string} recipientId - User or customer ID
+ * @returns {Object} { preferences }
+ */
+async function fetchPreferences(recipientType, recipientId) {
+  const { data: preferences, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .eq('recipient_type', recipientType)
+    .eq('recipient_id', recipientId)
+    .order('channel', { ascending: true })
+    .order('event_key', { ascending: true });
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: { preferences: preferences || [] }
+  };
+}
+
+/**
+ * Replace a recipient's channel preferences
+ * @param {string} recipientType - user or customer
+ * @param {string} recipientId - User or customer ID
+ * @param {Array} preferences - [{ channel, event_key, is_enabled, address }]
+ * @param {string} userId - User making the change
+ * @returns {Object} { preferences }
+ */
+async function savePreferences(recipientType, recipientId, preferences, userId) {
+  const missingAddress = preferences.filter(pref =>
+    pref.is_enabled && pref.channel !== 'email' && !channelAddress(preferences, pref.channel, pref)
+  );
+  if (missingAddress.length > 0) {
+    return {
+      success: false,
+      error: 'A phone number is required to enable SMS or WhatsApp',
+      details: missingAddress.map(pref => `${pref.channel} (${pref.event_key || ALL_EVENTS}) needs a phone number`)
+    };
+  }
+
+  const { error: deleteError } = await supabase
+    .from('notification_preferences')
+    .delete()
+    .eq('recipient_type', recipientType)
+    .eq('recipient_id', recipientId);
+
+  if (deleteError) {
+    return {
+      success: false,
+      error: deleteError.message
+    };
+  }
+
+  if (preferences.length > 0) {
+    const { error: insertError } = await supabase
+      .from('notification_preferences')
+      .insert(preferences.map(pref => ({
+        recipient_type: recipientType,
+        recipient_id: recipientId,
+        channel: pref.channel,
+        event_key: pref.event_key || ALL_EVENTS,
+        is_enabled: pref.is_enabled,
+        address: pref.address || null
+      })));
+
+    if (insertError) {
+      return {
+        success: false,
+        error: insertError.message
+      };
+    }
+  }
+
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: 'notification_preferences',
+      record_id: recipientId,
+      action: 'UPDATE',
+      user_id: userId,
+      new_values: { recipient_type: recipientType, preferences }
+    });
+
+  return fetchPreferences(recipientType, recipientId);
+}
+
+/**
+ * Send a test message on one recipient channel, bypassing templates and preferences
+ * Sent inline rather than through the outbox so the admin sees the outcome
+ * @param {string} channel - email, sms or whatsapp
+ * @param {string} address - Email address or phone number
+ * @param {string} userId - Admin sending the test
+ * @returns {Object} { delivery }
+ */
+async function sendTestNotification(channel, address, userId) {
+  const { data: delivery, error } = await supabase
+    .from('notification_deliveries')
+    .insert({
+      event_key: 'test',
+      channel,
+      adapter: getAdapter(channel).name,
+      recipient_type: 'user',
+      recipient_id: userId,
+      recipient_address: address,
+      subject: 'Test notification',
+      body: 'This is a test notification from the procurement portal.',
+      payload: { test: true, triggered_by: userId, timestamp: new Date().toISOString() },
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const updated = await attemptDelivery(delivery);
+
+  return {
+    success: true,
+    data: { delivery: updated }
+  };
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  RECIPIENT_CHANNELS,
+  RECIPIENT_TYPES,
+  ALL_EVENTS,
+  renderTemplate,
+  templatePlaceholders,
+  resolvePreference,
+  notify,
+  retryDelivery,
+  fetchDeliveries,
+  fetchTemplates,
+  updateTemplate,
+  fetchPreferences,
+  savePreferences,
+  sendTestNotification
+};
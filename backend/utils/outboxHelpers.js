@@ -0,0 +1,528 @@
+/**
+ * Transactional outbox
+ * Business actions enqueue outbound events; the worker claims due events under a lease,
+ * runs the handler registered for their type and retries failures with exponential
+ * backoff. Events that exhaust their attempts are dead-lettered until replayed.
+ */
+
+const os = require('os');
+const { supabase } = require('../config/supabase');
+
+const OUTBOX_STATUSES = ['pending', 'processing', 'delivered', 'dead_letter'];
+
+// Backoff: 30s, 1m, 2m, 4m... capped at 6h, with +/-20% jitter so retries spread out
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const JITTER_RATIO = 0.2;
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const LEASE_SECONDS = 120;
+const DISPATCH_BATCH_SIZE = 25;
+const ATTEMPT_LOG_LIMIT = 20;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// event_type -> async handler({ id, payload, ... }); throwing marks the attempt failed
+const handlers = new Map();
+
+// Set while this process is draining the outbox so kicks don't overlap
+let dispatching = false;
+
+/**
+ * Register the handler that delivers an event type
+ * @param {string} eventType - Event type, e.g. notification.deliver
+ * @param {Function} handler - async (event) => result; throw to fail the attempt
+ */
+function registerOutboxHandler(eventType, handler) {
+  handlers.set(eventType, handler);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelayMs(attempts) {
+  const seconds = Math.min(BASE_DELAY_SECONDS * Math.pow(2, attempts - 1), MAX_DELAY_SECONDS);
+  const jitter = 1 + (Math.random() * 2 - 1) * JITTER_RATIO;
+  return Math.round(seconds * jitter * 1000);
+}
+
+/**
+ * Enqueue events for delivery and start the worker
+ * @param {Array} events - [{ id?, event_type, aggregate_type, aggregate_id, payload, max_attempts }]
+ * @param {string} userId - User whose action produced the events
+ * @returns {Object} { events }
+ */
+async function enqueueOutboxEvents(events, userId = null) {
+  if (events.length === 0) {
+    return {
+      success: true,
+      data: { events: [] }
+    };
+  }
+
+  const { data: created, error } = await supabase
+    .from('outbox_events')
+    .insert(events.map(event => ({
+      ...(event.id ? { id: event.id } : {}),
+      event_type: event.event_type,
+      aggregate_type: event.aggregate_type || null,
+      aggregate_id: event.aggregate_id || null,
+      payload: event.payload || {},
+      max_attempts: event.max_attempts || DEFAULT_MAX_ATTEMPTS,
+      created_by: userId
+    })))
+    .select('id, event_type, status');
+
+  if (error) {
+    return {
+      success: false,
+      error: `Failed to enqueue outbox events: ${error.message}`
+    };
+  }
+
+  kickOutboxDispatch();
+
+  return {
+    success: true,
+    data: { events: created || [] }
+  };
+}
+
+/**
+ * Take the lease on an event; fails if another worker holds it or it is no longer due
+ * @param {Object} event - outbox_events row
+ * @returns {Object|null} Claimed event
+ */
+async function claimEvent(event) {
+  const now = new Date();
+  const { data: claimed, error } = await supabase
+    .from('outbox_events')
+    .update({
+      status: 'processing',
+      locked_by: INSTANCE_ID,
+      locked_until: new Date(now.getTime() + LEASE_SECONDS * 1000).toISOString(),
+      updated_at: now.toISOString()
+    })
+    .eq('id', event.id)
+    .in('status', ['pending', 'processing'])
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Failed to claim outbox event ${event.id}:`, error.message);
+    return null;
+  }
+
+  return claimed;
+}
+
+/**
+ * Run a claimed event's handler and record the outcome
+ * @param {Object} event - Claimed outbox_events row
+ * @returns {Object} Updated event
+ */
+async function processEvent(event) {
+  const startedAt = Date.now();
+  const attempts = event.attempts + 1;
+  let errorMessage = null;
+
+  try {
+    const handler = handlers.get(event.event_type);
+    if (!handler) {
+      throw new Error(`No outbox handler registered for ${event.event_type}`);
+    }
+    await handler(event);
+  } catch (error) {
+    errorMessage = (error.message || String(error)).slice(0, 2000);
+    console.error(`Outbox event ${event.id} (${event.event_type}) attempt ${attempts} failed:`, errorMessage);
+  }
+
+  const now = new Date();
+  const attemptLog = [
+    ...(event.attempt_log || []),
+    { attempt: attempts, at: now.toISOString(), duration_ms: Date.now() - startedAt, error: errorMessage }
+  ].slice(-ATTEMPT_LOG_LIMIT);
+
+  let updates;
+  if (!errorMessage) {
+    updates = { status: 'delivered', delivered_at: now.toISOString(), last_error: null };
+  } else if (attempts >= event.max_attempts) {
+    updates = { status: 'dead_letter', dead_lettered_at: now.toISOString(), last_error: errorMessage };
+  } else {
+    updates = {
+      status: 'pending',
+      next_attempt_at: new Date(now.getTime() + backoffDelayMs(attempts)).toISOString(),
+      last_error: errorMessage
+    };
+  }
+
+  const { data: updated, error } = await supabase
+    .from('outbox_events')
+    .update({
+      ...updates,
+      attempts,
+      attempt_log: attemptLog,
+      locked_by: null,
+      locked_until: null,
+      updated_at: now.toISOString()
+    })
+    .eq('id', event.id)
+    .eq('locked_by', INSTANCE_ID)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    // The lease expires and another pass retries the event
+    console.error(`Failed to record outbox event ${event.id} outcome:`, error.message);
+  }
+
+  return updated || { ...event, ...updates, attempts };
+}
+
+/**
+ * Deliver due events until none are left
+ * @param {Object} options - maxEvents to process in this pass
+ * @returns {Object} { processed, delivered, retrying, dead_lettered }
+ */
+async function dispatchOutbox({ maxEvents = 500 } = {}) {
+  if (dispatching) {
+    return {
+      success: true,
+      data: { processed: 0, delivered: 0, retrying: 0, dead_lettered: 0, skipped: 'dispatch already running' }
+    };
+  }
+
+  dispatching = true;
+  const counts = { processed: 0, delivered: 0, retrying: 0, dead_lettered: 0 };
+
+  try {
+    while (counts.processed < maxEvents) {
+      const now = new Date().toISOString();
+      const { data: due, error } = await supabase
+        .from('outbox_events')
+        .select('*')
+        .in('status', ['pending', 'processing'])
+        .lte('next_attempt_at', now)
+        .or(`locked_until.is.null,locked_until.lt.${now}`)
+        .order('next_attempt_at', { ascending: true })
+        .limit(DISPATCH_BATCH_SIZE);
+
+      if (error) {
+        return {
+          success: false,
+          error: `Outbox dispatch failed: ${error.message}`
+        };
+      }
+
+      if (!due || due.length === 0) {
+        break;
+      }
+
+      let claimedAny = false;
+      for (const event of due) {
+        const claimed = await claimEvent(event);
+        if (!claimed) {
+          continue;
+        }
+        claimedAny = true;
+
+        const result = await processEvent(claimed);
+        counts.processed += 1;
+        if (result.status === 'delivered') {
+          counts.delivered += 1;
+        } else if (result.status === 'dead_letter') {
+          counts.dead_lettered += 1;
+        } else {
+          counts.retrying += 1;
+        }
+      }
+
+      // Everything due is leased by other instances
+      if (!claimedAny) {
+        break;
+      }
+    }
+
+    return {
+      success: true,
+      data: counts
+    };
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Drain the outbox in the background right after events are enqueued
+ */
+function kickOutboxDispatch() {
+  setImmediate(() => {
+    dispatchOutbox().then(result => {
+      if (!result.success) {
+        console.error(result.error);
+      }
+    }).catch(error => console.error('Outbox dispatch failed:', error.message));
+  });
+}
+
+/**
+ * Put an event back in the queue for immediate delivery and process it now
+ * @param {string} eventId - Event ID
+ * @param {string} userId - Admin replaying it
+ * @returns {Object} { event } after the replayed attempt
+ */
+async function replayOutboxEvent(eventId, userId) {
+  const { data: event, error } = await supabase
+    .from('outbox_events')
+    .select('*')
+    .eq('id', eventId)
+    .single();
+
+  if (error || !event) {
+    return {
+      success: false,
+      error: 'Outbox event not found'
+    };
+  }
+
+  if (event.status === 'delivered') {
+    return {
+      success: false,
+      error: 'Outbox event was already delivered'
+    };
+  }
+
+  if (event.status === 'processing' && event.locked_until && new Date(event.locked_until) > new Date()) {
+    return {
+      success: false,
+      error: 'Outbox event is already being processed'
+    };
+  }
+
+  const now = new Date().toISOString();
+  const { error: resetError } = await supabase
+    .from('outbox_events')
+    .update({
+      status: 'pending',
+      // A replay gets a fresh set of attempts
+      max_attempts: event.status === 'dead_letter' ? event.attempts + event.max_attempts : event.max_attempts,
+      next_attempt_at: now,
+      dead_lettered_at: null,
+      replay_count: event.replay_count + 1,
+      replayed_by: userId,
+      replayed_at: now,
+      updated_at: now
+    })
+    .eq('id', eventId);
+
+  if (resetError) {
+    return {
+      success: false,
+      error: resetError.message
+    };
+  }
+
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: 'outbox_events',
+      record_id: eventId,
+      action: 'OUTBOX_REPLAYED',
+      user_id: userId,
+      old_values: { status: event.status, attempts: event.attempts, last_error: event.last_error }
+    });
+
+  const claimed = await claimEvent({ id: eventId });
+  if (!claimed) {
+    // Another worker picked it up first; it is queued either way
+    return {
+      success: true,
+      data: { event: { ...event, status: 'pending' } }
+    };
+  }
+
+  const updated = await processEvent(claimed);
+
+  return {
+    success: true,
+    data: { event: updated }
+  };
+}
+
+/**
+ * Replay several dead-lettered events (all of them when no IDs are given)
+ * @param {Array|null} eventIds - Event IDs
+ * @param {string} userId - Admin replaying them
+ * @returns {Object} { replayed }
+ */
+async function replayDeadLetters(eventIds, userId) {
+  let query = supabase
+    .from('outbox_events')
+    .select('id, attempts, max_attempts, replay_count')
+    .eq('status', 'dead_letter');
+
+  if (eventIds && eventIds.length > 0) {
+    query = query.in('id', eventIds);
+  }
+
+  const { data: events, error } = await query.limit(500);
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const now = new Date().toISOString();
+  const results = await Promise.all((events || []).map(event =>
+    supabase
+      .from('outbox_events')
+      .update({
+        status: 'pending',
+        max_attempts: event.attempts + event.max_attempts,
+        next_attempt_at: now,
+        dead_lettered_at: null,
+        replay_count: event.replay_count + 1,
+        replayed_by: userId,
+        replayed_at: now,
+        updated_at: now
+      })
+      .eq('id', event.id)
+      .eq('status', 'dead_letter')
+  ));
+
+  const failed = results.filter(result => result.error);
+  if (failed.length > 0) {
+    return {
+      success: false,
+      error: `Failed to replay ${failed.length} of ${results.length} events: ${failed[0].error.message}`
+    };
+  }
+
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: 'outbox_events',
+      record_id: null,
+      action: 'OUTBOX_REPLAYED',
+      user_id: userId,
+      new_values: { event_ids: (events || []).map(event => event.id) }
+    });
+
+  kickOutboxDispatch();
+
+  return {
+    success: true,
+    data: { replayed: (events || []).length }
+  };
+}
+
+/**
+ * List outbox events, newest first
+ * @param {Object} filters - status, event_type, aggregate_id
+ * @param {Object} pagination - page, limit
+ * @returns {Object} { events, pagination }
+ */
+async function fetchOutboxEvents(filters = {}, pagination = {}) {
+  const { page = 1, limit = 25 } = pagination;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('outbox_events')
+    .select(`
+      *,
+      replayed_user:replayed_by (
+        first_name,
+        last_name
+      )
+    `, { count: 'exact' });
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  if (filters.event_type) {
+    query = query.eq('event_type', filters.event_type);
+  }
+
+  if (filters.aggregate_id) {
+    query = query.eq('aggregate_id', filters.aggregate_id);
+  }
+
+  const { data: events, error, count } = await query
+    .order(filters.status === 'dead_letter' ? 'dead_lettered_at' : 'created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      events: events || [],
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil((count || 0) / limit),
+        total_records: count || 0,
+        per_page: limit
+      }
+    }
+  };
+}
+
+/**
+ * Event counts per status, plus the oldest pending event's age
+ * @returns {Object} { counts, oldest_pending_at, event_types }
+ */
+async function getOutboxSummary() {
+  const countResults = await Promise.all(OUTBOX_STATUSES.map(status =>
+    supabase
+      .from('outbox_events')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', status)
+  ));
+
+  const failed = countResults.find(result => result.error);
+  if (failed) {
+    return {
+      success: false,
+      error: failed.error.message
+    };
+  }
+
+  const { data: oldest } = await supabase
+    .from('outbox_events')
+    .select('created_at')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  return {
+    success: true,
+    data: {
+      counts: Object.fromEntries(OUTBOX_STATUSES.map((status, index) => [status, countResults[index].count || 0])),
+      oldest_pending_at: oldest?.[0]?.created_at || null,
+      event_types: [...handlers.keys()]
+    }
+  };
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  registerOutboxHandler,
+  backoffDelayMs,
+  enqueueOutboxEvents,
+  dispatchOutbox,
+  kickOutboxDispatch,
+  replayOutboxEvent,
+  replayDeadLetters,
+  fetchOutboxEvents,
+  getOutboxSummary
+};
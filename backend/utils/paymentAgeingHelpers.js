@@ -0,0 +1,870 @@
+/**
+ * Payment ageing
+ * Buckets payments awaiting a UTR by days past due, tracks when each payment entered
+ * each bucket and escalates reminders from the trader to the branch head to an admin
+ */
+
+const { supabase } = require('../config/supabase');
+const { AWAITING_UTR_STATUSES, logPaymentAction } = require('./paymentHelpers');
+const { sumMoney } = require('./moneyHelpers');
+const { toDateString } = require('./holidayHelpers');
+const { notify } = require('./notificationHelpers');
+
+// Escalation order; a bucket names the highest level it reaches
+const ESCALATION_LEVELS = ['trader', 'branch_head', 'admin'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGEING_PAYMENT_SELECT = `
+  id,
+  amount,
+  outstanding_amount,
+  payment_type,
+  payment_status,
+  due_date,
+  procurement_dump:procurement_id (
+    indent_number,
+    firm_name,
+    created_by,
+    allocation:allocation_id (
+      branch_id,
+      created_by,
+      branch_information:branch_id (
+        branch_name,
+        branch_head_user_id
+      )
+    )
+  )
+`;
+
+/**
+ * Whole days between a due date and today (negative when not yet due)
+ * @param {string} dueDate - Due date
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {number} Days past due
+ */
+function daysPastDue(dueDate, today = toDateString(new Date())) {
+  return Math.round((new Date(today) - new Date(toDateString(dueDate))) / DAY_MS);
+}
+
+/**
+ * Find the bucket a payment falls in
+ * @param {Array} buckets - Buckets ordered by min_days
+ * @param {number} days - Days past due
+ * @returns {Object|null} Bucket, or null when not yet due
+ */
+function findBucket(buckets, days) {
+  return buckets.find(bucket =>
+    days >= bucket.min_days && (bucket.max_days === null || bucket.max_days === undefined || days <= bucket.max_days)
+  ) || null;
+}
+
+/**
+ * Check a proposed bucket set: starts at day 0, no gaps or overlaps, only the last is open-ended
+ * @param {Array} buckets - Buckets ({ label, min_days, max_days, escalate_to })
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateBucketSet(buckets) {
+  const problems = [];
+  const sorted = [...buckets].sort((a, b) => a.min_days - b.min_days);
+
+  if (sorted.length === 0) {
+    return ['At least one bucket is required'];
+  }
+  if (sorted[0].min_days !== 0) {
+    problems.push('The first bucket must start at 0 days');
+  }
+
+  sorted.forEach((bucket, index) => {
+    const isLast = index === sorted.length - 1;
+    const hasMax = bucket.max_days !== null && bucket.max_days !== undefined;
+
+    if (!isLast && !hasMax) {
+      problems.push(`Only the last bucket can be open-ended (${bucket.label})`);
+    }
+    if (isLast && hasMax) {
+      problems.push(`The last bucket must be open-ended (${bucket.label})`);
+    }
+    if (hasMax && bucket.max_days < bucket.min_days) {
+      problems.push(`${bucket.label} ends before it starts`);
+    }
+    if (!isLast && hasMax && sorted[index + 1].min_days !== bucket.max_days + 1) {
+      problems.push(`${sorted[index + 1].label} must start the day after ${bucket.label} ends`);
+    }
+    if (index > 0) {
+      const previousLevel = ESCALATION_LEVELS.indexOf(sorted[index - 1].escalate_to);
+      if (ESCALATION_LEVELS.indexOf(bucket.escalate_to) < previousLevel) {
+        problems.push(`${bucket.label} cannot escalate to a lower level than the bucket before it`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Fetch ageing buckets ordered by days past due
+ * @returns {Object} Buckets
+ */
+async function fetchAgeingBuckets() {
+  const { data: buckets, error } = await supabase
+    .from('payment_ageing_buckets')
+    .select('*')
+    .order('min_days', { ascending: true });
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: { buckets: buckets || [] }
+  };
+}
+
+/**
+ * Replace the ageing bucket set
+ * Open entries in removed buckets move to their new bucket on the next refresh
+ * @param {Array} buckets - Buckets ({ label, min_days, max_days, escalate_to })
+ * @param {string} userId - User making the change
+ * @returns {Object} Saved buckets
+ */
+async function replaceAgeingBuckets(buckets, userId) {
+  try {
+    const problems = validateBucketSet(buckets);
+    if (problems.length > 0) {
+      return {
+        success: false,
+        error: 'Invalid ageing buckets',
+        details: problems
+      };
+    }
+
+    const existingResult = await fetchAgeingBuckets();
+    if (!existingResult.success) {
+      return existingResult;
+    }
+
+    const now = new Date().toISOString();
+    const rows = buckets.map(bucket => ({
+      bucket_key: `${bucket.min_days}_${bucket.max_days ?? 'plus'}`,
+      label: bucket.label,
+      min_days: bucket.min_days,
+      max_days: bucket.max_days ?? null,
+      escalate_to: bucket.escalate_to,
+      updated_by: userId,
+      updated_at: now
+    }));
+
+    const keep = rows.map(row => row.bucket_key);
+    const removed = existingResult.data.buckets.filter(bucket => !keep.includes(bucket.bucket_key));
+
+    if (removed.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('payment_ageing_buckets')
+        .delete()
+        .in('id', removed.map(bucket => bucket.id));
+
+      if (deleteError) {
+        return {
+          success: false,
+          error: `Failed to update ageing buckets: ${deleteError.message}`
+        };
+      }
+    }
+
+    const { data: saved, error } = await supabase
+      .from('payment_ageing_buckets')
+      .upsert(rows, { onConflict: 'bucket_key' })
+      .select();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to update ageing buckets: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'payment_ageing_buckets',
+        action: 'AGEING_BUCKETS_UPDATED',
+        user_id: userId,
+        old_values: { buckets: existingResult.data.buckets },
+        new_values: { buckets: saved }
+      });
+
+    return {
+      success: true,
+      data: { buckets: saved.sort((a, b) => a.min_days - b.min_days) }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update ageing buckets: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Work out who a payment's reminder goes to for an escalation level
+ * Each level also copies the levels below it; a level with nobody configured
+ * (e.g. a branch without a head) passes the escalation up to the next one
+ * @param {Object} payment - Payment with procurement_dump.allocation.branch_information
+ * @param {string} escalateTo - trader, branch_head or admin
+ * @param {Object} directory - usersById (Map) and admins (Array)
+ * @returns {Array} Recipients ({ id, email, name, level })
+ */
+function resolveEscalationRecipients(payment, escalateTo, { usersById, admins }) {
+  const procurement = payment.procurement_dump || {};
+  const traderId = procurement.created_by || procurement.allocation?.created_by || null;
+  const branchHeadId = procurement.allocation?.branch_information?.branch_head_user_id || null;
+
+  const usersForLevel = {
+    trader: [usersById.get(traderId)],
+    branch_head: [usersById.get(branchHeadId)],
+    admin: admins
+  };
+
+  let targetIndex = ESCALATION_LEVELS.indexOf(escalateTo);
+  while (
+    targetIndex < ESCALATION_LEVELS.length - 1 &&
+    usersForLevel[ESCALATION_LEVELS[targetIndex]].filter(Boolean).length === 0
+  ) {
+    targetIndex += 1;
+  }
+
+  const recipients = [];
+  ESCALATION_LEVELS.slice(0, targetIndex + 1).forEach(level => {
+    usersForLevel[level].filter(Boolean).forEach(user => {
+      if (!recipients.some(recipient => recipient.id === user.id)) {
+        recipients.push({
+          id: user.id,
+          email: user.email,
+          name: `${user.first_name} ${user.last_name}`.trim(),
+          level
+        });
+      }
+    });
+  });
+
+  return recipients;
+}
+
+/**
+ * Load the users reminders can go to: the payments' traders and branch heads, and active admins
+ * @param {Array} payments - Payments with procurement_dump.allocation.branch_information
+ * @returns {Object} { usersById, admins }
+ */
+async function fetchEscalationDirectory(payments) {
+  const ids = new Set();
+  payments.forEach(payment => {
+    const procurement = payment.procurement_dump || {};
+    [
+      procurement.created_by,
+      procurement.allocation?.created_by,
+      procurement.allocation?.branch_information?.branch_head_user_id
+    ].filter(Boolean).forEach(id => ids.add(id));
+  });
+
+  const [{ data: users, error }, { data: admins, error: adminError }] = await Promise.all([
+    ids.size > 0
+      ? supabase.from('users').select('id, email, first_name, last_name, role, is_active').in('id', [...ids])
+      : Promise.resolve({ data: [], error: null }),
+    supabase
+      .from('users')
+      .select('id, email, first_name, last_name, role, is_active')
+      .eq('role', 'admin')
+      .eq('is_active', true)
+  ]);
+
+  if (error || adminError) {
+    throw new Error((error || adminError).message);
+  }
+
+  return {
+    usersById: new Map((users || []).filter(user => user.is_active).map(user => [user.id, user])),
+    admins: admins || []
+  };
+}
+
+/**
+ * Bring bucket tracking up to date: open an entry when a payment enters a bucket and
+ * close it when the payment moves on or stops awaiting a UTR
+ * @param {Object} options - notify (send reminders for payments that entered a bucket), userId
+ * @returns {Object} { as_of, tracked, entered, closed, reminders }
+ */
+async function refreshPaymentAgeing({ notify = false, userId = null } = {}) {
+  try {
+    const today = toDateString(new Date());
+
+    const bucketsResult = await fetchAgeingBuckets();
+    if (!bucketsResult.success) {
+      return bucketsResult;
+    }
+    const buckets = bucketsResult.data.buckets;
+
+    const [{ data: payments, error }, { data: openEntries, error: entriesError }] = await Promise.all([
+      supabase
+        .from('payments')
+        .select('id, due_date')
+        .in('payment_status', AWAITING_UTR_STATUSES)
+        .lte('due_date', today),
+      supabase
+        .from('payment_ageing_entries')
+        .select('id, payment_id, bucket_key')
+        .is('exited_at', null)
+    ]);
+
+    if (error || entriesError) {
+      return {
+        success: false,
+        error: (error || entriesError).message
+      };
+    }
+
+    const now = new Date().toISOString();
+    const openByPayment = new Map((openEntries || []).map(entry => [entry.payment_id, entry]));
+    const toClose = [];
+    const toEnter = [];
+
+    (payments || []).forEach(payment => {
+      const days = daysPastDue(payment.due_date, today);
+      const bucket = findBucket(buckets, days);
+      const open = openByPayment.get(payment.id);
+      openByPayment.delete(payment.id);
+
+      if (open && open.bucket_key === bucket?.bucket_key) {
+        return;
+      }
+      if (open) {
+        toClose.push(open.id);
+      }
+      if (bucket) {
+        toEnter.push({
+          payment_id: payment.id,
+          bucket_key: bucket.bucket_key,
+          bucket_label: bucket.label,
+          escalate_to: bucket.escalate_to,
+          days_past_due: days,
+          entered_at: now,
+          exited_at: null
+        });
+      }
+    });
+
+    // Whatever is still open belongs to payments that are paid, under verification or no longer due
+    openByPayment.forEach(entry => toClose.push(entry.id));
+
+    if (toClose.length > 0) {
+      const { error: closeError } = await supabase
+        .from('payment_ageing_entries')
+        .update({ exited_at: now })
+        .in('id', toClose);
+
+      if (closeError) {
+        return {
+          success: false,
+          error: `Failed to close ageing entries: ${closeError.message}`
+        };
+      }
+    }
+
+    if (toEnter.length > 0) {
+      // A payment re-entering a bucket (e.g. after a rejected UTR) reopens its earlier entry
+      const { error: enterError } = await supabase
+        .from('payment_ageing_entries')
+        .upsert(toEnter, { onConflict: 'payment_id,bucket_key' });
+
+      if (enterError) {
+        return {
+          success: false,
+          error: `Failed to record ageing entries: ${enterError.message}`
+        };
+      }
+    }
+
+    let reminders = null;
+    if (notify && toEnter.length > 0) {
+      const reminderResult = await sendPaymentReminders(toEnter.map(entry => entry.payment_id), userId);
+      reminders = reminderResult.success
+        ? { triggered_count: reminderResult.data.triggered_count }
+        : { error: reminderResult.error };
+    }
+
+    return {
+      success: true,
+      data: {
+        as_of: today,
+        tracked: (payments || []).length,
+        entered: toEnter.map(({ payment_id, bucket_key, escalate_to }) => ({ payment_id, bucket_key, escalate_to })),
+        closed: toClose.length,
+        reminders
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Payment ageing refresh failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Close a payment's open bucket entry once it no longer awaits a UTR
+ * Lets a verified payment leave the ageing view without waiting for the next refresh
+ * @param {string} paymentId - Payment ID
+ * @returns {Object} { closed }
+ */
+async function closePaymentAgeing(paymentId) {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('id, payment_status')
+    .eq('id', paymentId)
+    .single();
+
+  if (error || !payment) {
+    return {
+      success: false,
+      error: 'Payment record not found'
+    };
+  }
+
+  if (AWAITING_UTR_STATUSES.includes(payment.payment_status)) {
+    return {
+      success: true,
+      data: { closed: 0 }
+    };
+  }
+
+  const { data: closed, error: closeError } = await supabase
+    .from('payment_ageing_entries')
+    .update({ exited_at: new Date().toISOString() })
+    .eq('payment_id', paymentId)
+    .is('exited_at', null)
+    .select('id');
+
+  if (closeError) {
+    return {
+      success: false,
+      error: `Failed to close ageing entries: ${closeError.message}`
+    };
+  }
+
+  return {
+    success: true,
+    data: { closed: (closed || []).length }
+  };
+}
+
+/**
+ * Fetch ageing payments with their open bucket entry and reminder recipients
+ * @param {Object} filters - payment_ids, bucket_key, branch_id
+ * @returns {Object} { buckets, payments }
+ */
+async function fetchAgeingPayments(filters = {}) {
+  const today = toDateString(new Date());
+
+  const bucketsResult = await fetchAgeingBuckets();
+  if (!bucketsResult.success) {
+    return bucketsResult;
+  }
+  const buckets = bucketsResult.data.buckets;
+
+  let query = supabase
+    .from('payments')
+    .select(AGEING_PAYMENT_SELECT)
+    .in('payment_status', AWAITING_UTR_STATUSES)
+    .lte('due_date', today)
+    .order('due_date', { ascending: true });
+
+  if (filters.payment_ids) {
+    query = query.in('id', filters.payment_ids);
+  }
+
+  const { data: payments, error } = await query;
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const paymentIds = (payments || []).map(payment => payment.id);
+  const { data: entries, error: entriesError } = paymentIds.length > 0
+    ? await supabase
+      .from('payment_ageing_entries')
+      .select('payment_id, bucket_key, entered_at, reminder_count, last_reminded_at')
+      .in('payment_id', paymentIds)
+      .is('exited_at', null)
+    : { data: [], error: null };
+
+  if (entriesError) {
+    return {
+      success: false,
+      error: entriesError.message
+    };
+  }
+
+  const entryByPayment = new Map((entries || []).map(entry => [entry.payment_id, entry]));
+  const directory = await fetchEscalationDirectory(payments || []);
+
+  const aged = (payments || [])
+    .map(payment => {
+      const days = daysPastDue(payment.due_date, today);
+      const bucket = findBucket(buckets, days);
+      const entry = entryByPayment.get(payment.id);
+      const escalateTo = bucket?.escalate_to || 'trader';
+
+      return {
+        ...payment,
+        days_past_due: days,
+        bucket_key: bucket?.bucket_key || null,
+        bucket_label: bucket?.label || null,
+        escalate_to: escalateTo,
+        // Untracked until the next refresh records the bucket entry
+        entered_bucket_at: entry?.bucket_key === bucket?.bucket_key ? entry.entered_at : null,
+        reminder_count: entry?.bucket_key === bucket?.bucket_key ? entry.reminder_count : 0,
+        last_reminded_at: entry?.bucket_key === bucket?.bucket_key ? entry.last_reminded_at : null,
+        recipients: resolveEscalationRecipients(payment, escalateTo, directory)
+      };
+    })
+    .filter(payment => !filters.bucket_key || payment.bucket_key === filters.bucket_key)
+    .filter(payment => !filters.branch_id || payment.procurement_dump?.allocation?.branch_id === filters.branch_id);
+
+  return {
+    success: true,
+    data: { buckets, payments: aged }
+  };
+}
+
+/**
+ * Count payments awaiting a UTR in each ageing bucket
+ * @returns {Object} Buckets with count and outstanding_amount
+ */
+async function getAgeingSummary() {
+  try {
+    const today = toDateString(new Date());
+
+    const bucketsResult = await fetchAgeingBuckets();
+    if (!bucketsResult.success) {
+      return bucketsResult;
+    }
+
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('id, amount, outstanding_amount, due_date')
+      .in('payment_status', AWAITING_UTR_STATUSES)
+      .lte('due_date', today);
+
+    if (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    const buckets = bucketsResult.data.buckets.map(bucket => {
+      const inBucket = (payments || []).filter(payment =>
+        findBucket([bucket], daysPastDue(payment.due_date, today))
+      );
+      return {
+        ...bucket,
+        count: inBucket.length,
+        outstanding_amount: sumMoney(inBucket.map(payment => payment.outstanding_amount ?? payment.amount))
+      };
+    });
+
+    return {
+      success: true,
+      data: { as_of: today, buckets }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Build the ageing report: bucket totals and the payments in each bucket
+ * Refreshes bucket tracking first (without sending reminders)
+ * @param {Object} filters - bucket_key, branch_id
+ * @returns {Object} { as_of, buckets, payments }
+ */
+async function getAgeingReport(filters = {}) {
+  try {
+    const refreshResult = await refreshPaymentAgeing();
+    if (!refreshResult.success) {
+      return refreshResult;
+    }
+
+    const allResult = await fetchAgeingPayments({ branch_id: filters.branch_id });
+    if (!allResult.success) {
+      return allResult;
+    }
+
+    const { buckets, payments } = allResult.data;
+    const summary = buckets.map(bucket => {
+      const inBucket = payments.filter(payment => payment.bucket_key === bucket.bucket_key);
+      return {
+        ...bucket,
+        count: inBucket.length,
+        outstanding_amount: sumMoney(inBucket.map(payment => payment.outstanding_amount ?? payment.amount))
+      };
+    });
+
+    return {
+      success: true,
+      data: {
+        as_of: refreshResult.data.as_of,
+        buckets: summary,
+        payments: filters.bucket_key
+          ? payments.filter(payment => payment.bucket_key === filters.bucket_key)
+          : payments
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Ageing report failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Send payment reminders with each payment's bucket to its escalation recipients
+ * @param {Array} paymentIds - Payments to remind about
+ * @param {string} userId - User (or null for the escalation run) triggering the reminders
+ * @returns {Object} { triggered_count, skipped, notifications }
+ */
+async function sendPaymentReminders(paymentIds, userId) {
+  try {
+    const paymentsResult = await fetchAgeingPayments({ payment_ids: paymentIds });
+    if (!paymentsResult.success) {
+      return paymentsResult;
+    }
+
+    const reminders = paymentsResult.data.payments.map(payment => ({
+      payment_id: payment.id,
+      indent_number: payment.procurement_dump?.indent_number || null,
+      firm_name: payment.procurement_dump?.firm_name || null,
+      branch_name: payment.procurement_dump?.allocation?.branch_information?.branch_name || null,
+      payment_type: payment.payment_type,
+      outstanding_amount: payment.outstanding_amount ?? payment.amount,
+      due_date: payment.due_date,
+      days_past_due: payment.days_past_due,
+      bucket: payment.bucket_label,
+      escalate_to: payment.escalate_to,
+      recipients: payment.recipients
+    }));
+    const remindedIds = reminders.map(reminder => reminder.payment_id);
+
+    // A recipient escalated on several payments gets one message per payment
+    const recipients = reminders.flatMap(({ recipients: reminderRecipients, ...reminder }) =>
+      (reminderRecipients || []).map(recipient => ({
+        type: 'user',
+        id: recipient.id,
+        name: recipient.name,
+        email: recipient.email,
+        related_id: reminder.payment_id,
+        data: reminder
+      }))
+    );
+
+    // Payments not yet due or no longer awaiting a UTR are still passed through
+    // so n8n's existing payment_ids handling keeps working
+    const notifyResult = await notify('payment_reminder', {
+      recipients,
+      payload: {
+        payment_ids: paymentIds,
+        reminders,
+        triggered_by: userId,
+        timestamp: new Date().toISOString()
+      },
+      related: { table: 'payments' },
+      userId
+    });
+    if (!notifyResult.success) {
+      return notifyResult;
+    }
+    const { queued, skipped: optedOut } = notifyResult.data;
+
+    if (remindedIds.length > 0) {
+      const { data: entries } = await supabase
+        .from('payment_ageing_entries')
+        .select('id, reminder_count')
+        .in('payment_id', remindedIds)
+        .is('exited_at', null);
+
+      const now = new Date().toISOString();
+      await Promise.all((entries || []).map(entry =>
+        supabase
+          .from('payment_ageing_entries')
+          .update({ reminder_count: entry.reminder_count + 1, last_reminded_at: now })
+          .eq('id', entry.id)
+      ));
+    }
+
+    await logPaymentAction('payments', null, 'REMINDER_TRIGGERED', userId, {
+      payment_ids: paymentIds,
+      escalations: reminders.map(({ payment_id, bucket, escalate_to }) => ({ payment_id, bucket, escalate_to })),
+      notifications: { queued, skipped: optedOut }
+    });
+
+    return {
+      success: true,
+      data: {
+        triggered_count: paymentIds.length,
+        skipped: paymentIds.filter(id => !remindedIds.includes(id)),
+        // Sent by the outbox worker, which retries failed deliveries
+        notifications: { queued, skipped: optedOut }
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Payment reminders failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * List branches with their head (for branch-level escalations) and the users who can head one
+ * @returns {Object} { branches, candidates }
+ */
+async function fetchBranchHeads() {
+  const [{ data: branches, error }, { data: candidates, error: usersError }] = await Promise.all([
+    supabase
+      .from('branch_information')
+      .select(`
+        id,
+        branch_name,
+        branch_code,
+        zone,
+        branch_head_user_id,
+        branch_head:branch_head_user_id (
+          first_name,
+          last_name,
+          email
+        )
+      `)
+      .order('branch_name', { ascending: true }),
+    supabase
+      .from('users')
+      .select('id, first_name, last_name, email, role')
+      .in('role', ['admin', 'trader'])
+      .eq('is_active', true)
+      .order('first_name', { ascending: true })
+  ]);
+
+  if (error || usersError) {
+    return {
+      success: false,
+      error: (error || usersError).message
+    };
+  }
+
+  return {
+    success: true,
+    data: { branches: branches || [], candidates: candidates || [] }
+  };
+}
+
+/**
+ * Set or clear a branch head
+ * @param {string} branchId - Branch ID
+ * @param {string|null} headUserId - User to head the branch, or null to clear
+ * @param {string} userId - User making the change
+ * @returns {Object} Updated branch
+ */
+async function setBranchHead(branchId, headUserId, userId) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('branch_information')
+      .select('id, branch_name, branch_head_user_id')
+      .eq('id', branchId)
+      .single();
+
+    if (fetchError || !existing) {
+      return {
+        success: false,
+        error: 'Branch not found'
+      };
+    }
+
+    if (headUserId) {
+      const { data: head } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', headUserId)
+        .eq('is_active', true)
+        .single();
+
+      if (!head) {
+        return {
+          success: false,
+          error: 'Branch head user not found or inactive'
+        };
+      }
+    }
+
+    const { data: branch, error } = await supabase
+      .from('branch_information')
+      .update({ branch_head_user_id: headUserId })
+      .eq('id', branchId)
+      .select('id, branch_name, branch_head_user_id')
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to update branch head: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'branch_information',
+        record_id: branchId,
+        action: 'BRANCH_HEAD_UPDATED',
+        user_id: userId,
+        old_values: { branch_head_user_id: existing.branch_head_user_id },
+        new_values: { branch_head_user_id: headUserId }
+      });
+
+    return {
+      success: true,
+      data: branch
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update branch head: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  ESCALATION_LEVELS,
+  daysPastDue,
+  findBucket,
+  validateBucketSet,
+  fetchAgeingBuckets,
+  replaceAgeingBuckets,
+  resolveEscalationRecipients,
+  refreshPaymentAgeing,
+  closePaymentAgeing,
+  fetchAgeingPayments,
+  getAgeingSummary,
+  getAgeingReport,
+  sendPaymentReminders,
+  fetchBranchHeads,
+  setBranchHead
+};
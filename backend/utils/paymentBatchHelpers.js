@@ -0,0 +1,632 @@
+/**
+ * Bulk payment batches
+ * Exports selected payments as a net banking bulk-payment file (SBI CMP, HDFC ENet or
+ * ICICI CIB layouts), records the batch, and imports the bank's response file to record UTRs
+ */
+
+const { supabase } = require('../config/supabase');
+const { splitCSVLine, toDateString } = require('./holidayHelpers');
+const { AWAITING_UTR_STATUSES, submitUTR, logPaymentAction } = require('./paymentHelpers');
+const { parseStatementDate, parseStatementAmount } = require('./bankStatementHelpers');
+const { sumMoney, subtract, roundMoney, toPaise, moneyDiffers } = require('./moneyHelpers');
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a YYYY-MM-DD date with the given separator as DD<sep>MM<sep>YYYY
+ */
+function formatBankDate(date, separator) {
+  const [year, month, day] = toDateString(date).split('-');
+  return [day, month, year].join(separator);
+}
+
+// Bulk file layouts. Each builds the rows for a batch; header is null for headerless layouts
+const BULK_FORMATS = {
+  sbi_cmp: {
+    label: 'SBI CMP',
+    extension: 'csv',
+    modes: ['NEFT', 'RTGS', 'IMPS'],
+    header: [
+      'Transaction Type', 'Debit Account No', 'Beneficiary Account No', 'Beneficiary Name', 'IFSC Code',
+      'Amount', 'Value Date', 'Customer Reference No', 'Remarks'
+    ],
+    row: (batch, item) => [
+      item.payment_mode,
+      batch.debit_account_number,
+      item.beneficiary_account_number,
+      item.beneficiary_name,
+      item.beneficiary_ifsc,
+      Number(item.amount).toFixed(2),
+      formatBankDate(batch.value_date, '/'),
+      item.customer_reference,
+      item.remarks
+    ]
+  },
+  // HDFC ENet: 28 positional fields, no header; N = NEFT, R = RTGS
+  hdfc_enet: {
+    label: 'HDFC ENet',
+    extension: 'txt',
+    modes: ['NEFT', 'RTGS'],
+    header: null,
+    row: (batch, item) => [
+      item.payment_mode === 'RTGS' ? 'R' : 'N',
+      '',
+      item.beneficiary_account_number,
+      Number(item.amount).toFixed(2),
+      item.beneficiary_name,
+      '', '',
+      '', '', '', '', '',
+      '',
+      item.customer_reference,
+      item.remarks, '', '', '', '', '', '',
+      '',
+      formatBankDate(batch.value_date, '/'),
+      '',
+      item.beneficiary_ifsc,
+      item.beneficiary_bank || '',
+      '',
+      ''
+    ]
+  },
+  icici_cib: {
+    label: 'ICICI CIB',
+    extension: 'csv',
+    modes: ['NEFT', 'RTGS', 'IMPS'],
+    header: [
+      'PYMT_PROD_TYPE_CODE', 'PYMT_MODE', 'DEBIT_ACC_NO', 'BNF_NAME', 'BENE_ACC_NO', 'BENE_IFSC',
+      'AMOUNT', 'DEBIT_NARR', 'CREDIT_NARR', 'REMARK', 'PYMT_DATE', 'REF_NO'
+    ],
+    row: (batch, item) => [
+      'PAB_VENDOR',
+      item.payment_mode,
+      batch.debit_account_number,
+      item.beneficiary_name,
+      item.beneficiary_account_number,
+      item.beneficiary_ifsc,
+      Number(item.amount).toFixed(2),
+      item.customer_reference,
+      item.customer_reference,
+      item.remarks,
+      formatBankDate(batch.value_date, '-'),
+      item.customer_reference
+    ]
+  }
+};
+
+// Response file columns, most specific name first
+const RESPONSE_COLUMNS = {
+  reference: [
+    'customer reference no', 'customer reference number', 'customer reference', 'cust ref no',
+    'ref no', 'reference no', 'reference'
+  ],
+  utr: ['utr', 'utr no', 'utr number', 'bank reference no', 'bank reference'],
+  status: ['status', 'transaction status', 'payment status'],
+  reason: ['failure reason', 'rejection reason', 'reason', 'error description', 'remarks'],
+  date: ['value date', 'payment date', 'transaction date', 'date'],
+  amount: ['amount', 'instrument amount', 'txn amount']
+};
+
+// Whole words only, and failures are checked first: "Unpaid", "Not Processed" and
+// "Incomplete" contain a success word but mean the transfer did not go through
+const FAILURE_STATUS = /\b(?:un(?:successful|paid|processed|settled|executed)|not\s+(?:successful|paid|processed|settled|executed|completed?)|incomplete|fail(?:ed|ure)?|reject(?:ed)?|return(?:ed)?|cancel(?:l?ed)?)\b/i;
+const SUCCESS_STATUS = /\b(?:success(?:ful)?|paid|processed|executed|settled|completed?)\b/i;
+
+/**
+ * Build the bulk-payment file content for a batch
+ * @param {string} bankFormat - sbi_cmp, hdfc_enet or icici_cib
+ * @param {Object} batch - batch_number, debit_account_number, value_date
+ * @param {Array} items - Batch items with beneficiary details and remarks
+ * @returns {Object} { content, fileName }
+ */
+function buildBatchFile(bankFormat, batch, items) {
+  const format = BULK_FORMATS[bankFormat];
+  const rows = items.map(item => format.row(batch, item));
+  if (format.header) {
+    rows.unshift(format.header);
+  }
+
+  return {
+    content: rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n',
+    fileName: `${batch.batch_number}_${bankFormat}.${format.extension}`
+  };
+}
+
+/**
+ * Make a batch number from the export time, e.g. PB261019143005
+ * @returns {string} Batch number
+ */
+function generateBatchNumber() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `PB${String(now.getFullYear()).slice(2)}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+    `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+/**
+ * Amount of a payment not yet claimed by a submitted or verified UTR
+ * @param {Object} payment - Payment with utr_entries
+ * @returns {number} Unclaimed amount
+ */
+function unclaimedAmount(payment) {
+  const claimed = sumMoney((payment.utr_entries || [])
+    .filter(entry => entry.verification_status !== 'rejected')
+    .map(entry => entry.amount));
+  return Math.max(roundMoney(subtract(payment.amount, claimed)), 0);
+}
+
+const PAYABLE_PAYMENT_SELECT = `
+  *,
+  utr_entries:payment_utr_entries (
+    amount,
+    verification_status
+  ),
+  collection_account:collection_account_id (
+    account_name
+  ),
+  procurement_dump:procurement_id (
+    indent_number,
+    firm_name
+  )
+`;
+
+/**
+ * Fetch payments that are awaiting UTRs, carry beneficiary bank details and are not in an open batch
+ * @returns {Object} Payable payments with their unclaimed amount
+ */
+async function fetchPayablePayments() {
+  try {
+    const [{ data: payments, error }, { data: openItems, error: itemsError }] = await Promise.all([
+      supabase
+        .from('payments')
+        .select(PAYABLE_PAYMENT_SELECT)
+        .in('payment_status', AWAITING_UTR_STATUSES)
+        .order('due_date', { ascending: true }),
+      supabase
+        .from('payment_batch_items')
+        .select('payment_id')
+        .eq('status', 'exported')
+    ]);
+
+    if (error || itemsError) {
+      return {
+        success: false,
+        error: (error || itemsError).message
+      };
+    }
+
+    const batched = new Set((openItems || []).map(item => item.payment_id));
+    const payable = (payments || [])
+      .filter(payment => !batched.has(payment.id))
+      .map(payment => ({ ...payment, unclaimed_amount: unclaimedAmount(payment) }))
+      .filter(payment => toPaise(payment.unclaimed_amount) > 0);
+
+    return {
+      success: true,
+      data: { payments: payable }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Export payments as a bulk-payment batch
+ * @param {Array} paymentIds - Payment IDs
+ * @param {Object} options - bank_format, debit_account_number, value_date
+ * @param {string} userId - User ID
+ * @returns {Object} Batch with its file
+ */
+async function createPaymentBatch(paymentIds, options, userId) {
+  try {
+    const format = BULK_FORMATS[options.bank_format];
+    const valueDate = toDateString(options.value_date || new Date());
+
+    const payableResult = await fetchPayablePayments();
+    if (!payableResult.success) {
+      return payableResult;
+    }
+    const payableById = new Map(payableResult.data.payments.map(payment => [payment.id, payment]));
+
+    const problems = [];
+    const payments = [];
+    paymentIds.forEach(paymentId => {
+      const payment = payableById.get(paymentId);
+      if (!payment) {
+        problems.push({ payment_id: paymentId, error: 'Not awaiting a UTR, nothing left to pay, or already in an open batch' });
+      } else if (!payment.account_number || !payment.ifsc_code) {
+        problems.push({ payment_id: paymentId, error: 'Payment has no beneficiary account number or IFSC' });
+      } else if (!format.modes.includes(payment.payment_mode)) {
+        problems.push({ payment_id: paymentId, error: `${format.label} files do not support ${payment.payment_mode}` });
+      } else {
+        payments.push(payment);
+      }
+    });
+
+    if (problems.length > 0) {
+      return {
+        success: false,
+        error: 'Some payments cannot be exported in this batch',
+        details: problems
+      };
+    }
+
+    const batchNumber = generateBatchNumber();
+    const items = payments.map((payment, index) => ({
+      payment_id: payment.id,
+      customer_reference: `${batchNumber}${String(index + 1).padStart(3, '0')}`,
+      amount: payment.unclaimed_amount,
+      payment_mode: payment.payment_mode,
+      beneficiary_name: payment.collection_account?.account_name || payment.bank,
+      beneficiary_account_number: payment.account_number,
+      beneficiary_ifsc: payment.ifsc_code,
+      // Not stored; only written to the file
+      beneficiary_bank: payment.bank,
+      remarks: `${payment.payment_type} ${payment.procurement_dump?.indent_number || ''}`.trim()
+    }));
+
+    const batchHeader = {
+      batch_number: batchNumber,
+      debit_account_number: options.debit_account_number,
+      value_date: valueDate
+    };
+    const file = buildBatchFile(options.bank_format, batchHeader, items);
+
+    const { data: batch, error: batchError } = await supabase
+      .from('payment_batches')
+      .insert({
+        ...batchHeader,
+        bank_format: options.bank_format,
+        payment_count: items.length,
+        total_amount: sumMoney(items.map(item => item.amount)),
+        file_name: file.fileName,
+        file_content: file.content,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (batchError) {
+      return {
+        success: false,
+        error: batchError.code === '23505'
+          ? 'Another batch was exported at the same moment; please retry'
+          : `Failed to record payment batch: ${batchError.message}`
+      };
+    }
+
+    const { error: itemsError } = await supabase
+      .from('payment_batch_items')
+      .insert(items.map(({ beneficiary_bank, remarks, ...item }) => ({ ...item, batch_id: batch.id })));
+
+    if (itemsError) {
+      await supabase.from('payment_batches').delete().eq('id', batch.id);
+      return {
+        success: false,
+        error: itemsError.code === '23505'
+          ? 'A payment is already in an open batch exported at the same moment; refresh and try again'
+          : `Failed to record payment batch items: ${itemsError.message}`
+      };
+    }
+
+    await logPaymentAction(
+      'payment_batches',
+      batch.id,
+      'PAYMENT_BATCH_EXPORTED',
+      userId,
+      {
+        batch_number: batch.batch_number,
+        bank_format: batch.bank_format,
+        payment_ids: items.map(item => item.payment_id),
+        total_amount: batch.total_amount
+      }
+    );
+
+    return {
+      success: true,
+      data: batch
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Payment batch export failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Fetch recent payment batches (without file content)
+ * @param {number} limit - Maximum batches
+ * @returns {Object} Batches
+ */
+async function fetchPaymentBatches(limit = 20) {
+  const { data: batches, error } = await supabase
+    .from('payment_batches')
+    .select(`
+      id, batch_number, bank_format, debit_account_number, value_date, payment_count, total_amount,
+      file_name, status, response_file_name, response_imported_at, created_at,
+      created_user:created_by (
+        first_name,
+        last_name
+      )
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: { batches: batches || [] }
+  };
+}
+
+/**
+ * Fetch a payment batch with its items
+ * @param {string} batchId - Batch ID
+ * @returns {Object} Batch with items
+ */
+async function fetchPaymentBatch(batchId) {
+  const { data: batch, error } = await supabase
+    .from('payment_batches')
+    .select(`
+      *,
+      items:payment_batch_items (
+        *,
+        payment:payment_id (
+          id,
+          amount,
+          payment_type,
+          payment_status,
+          procurement_dump:procurement_id (
+            indent_number,
+            firm_name
+          )
+        )
+      )
+    `)
+    .eq('id', batchId)
+    .single();
+
+  if (error || !batch) {
+    return {
+      success: false,
+      error: 'Payment batch not found'
+    };
+  }
+
+  batch.items = (batch.items || []).sort((a, b) => a.customer_reference.localeCompare(b.customer_reference));
+
+  return {
+    success: true,
+    data: batch
+  };
+}
+
+/**
+ * Parse a bank response file into per-reference results
+ * Expects a header row with a customer reference column, plus UTR and/or status columns
+ * @param {string} content - Response file content (CSV)
+ * @returns {Object} { rows, errors }
+ */
+function parseBatchResponse(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return { rows: [], errors: [{ line: 0, error: 'File is empty' }] };
+  }
+
+  const normalize = (column) => column.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const header = splitCSVLine(lines[0]).map(normalize);
+  const columnIndex = (key) => {
+    const name = RESPONSE_COLUMNS[key].find(candidate => header.includes(candidate));
+    return name ? header.indexOf(name) : -1;
+  };
+  const index = Object.keys(RESPONSE_COLUMNS).reduce((acc, key) => ({ ...acc, [key]: columnIndex(key) }), {});
+
+  if (index.reference === -1 || (index.utr === -1 && index.status === -1)) {
+    return {
+      rows: [],
+      errors: [{ line: 1, error: 'Header must include a customer reference column and a UTR or status column' }]
+    };
+  }
+
+  const rows = [];
+  const errors = [];
+  lines.slice(1).forEach((line, idx) => {
+    const fields = splitCSVLine(line);
+    const lineNumber = idx + 2;
+    const reference = String(fields[index.reference] || '').trim().toUpperCase();
+    if (!reference) {
+      errors.push({ line: lineNumber, error: 'Missing customer reference' });
+      return;
+    }
+
+    const utr = index.utr !== -1 ? String(fields[index.utr] || '').trim().toUpperCase() : '';
+    const statusText = index.status !== -1 ? String(fields[index.status] || '').trim() : '';
+
+    let outcome = 'pending';
+    if (FAILURE_STATUS.test(statusText)) {
+      outcome = 'failed';
+    } else if (SUCCESS_STATUS.test(statusText) || (!statusText && utr)) {
+      outcome = 'paid';
+    }
+
+    rows.push({
+      line: lineNumber,
+      reference,
+      outcome,
+      utr_number: utr || null,
+      status_text: statusText || null,
+      reason: index.reason !== -1 ? String(fields[index.reason] || '').trim() || null : null,
+      paid_date: index.date !== -1 ? parseStatementDate(fields[index.date]) : null,
+      amount: index.amount !== -1 ? parseStatementAmount(fields[index.amount]) : null
+    });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Import the bank's response file for a batch
+ * Paid rows submit their UTR against the payment (it then awaits verification); failed rows
+ * free the payment for a later batch
+ * @param {string} batchId - Batch ID
+ * @param {Object} file - Uploaded file (originalname, buffer)
+ * @param {string} userId - User ID
+ * @returns {Object} Import summary
+ */
+async function importBatchResponse(batchId, file, userId) {
+  try {
+    const batchResult = await fetchPaymentBatch(batchId);
+    if (!batchResult.success) {
+      return batchResult;
+    }
+    const batch = batchResult.data;
+
+    const { rows, errors } = parseBatchResponse(file.buffer.toString('utf8'));
+    if (rows.length === 0) {
+      return {
+        success: false,
+        error: 'No usable rows in the response file',
+        details: errors
+      };
+    }
+
+    const itemsByReference = new Map(batch.items.map(item => [item.customer_reference.toUpperCase(), item]));
+    const summary = { paid: 0, failed: 0, pending: 0, already_processed: 0, unmatched: [], errors: [...errors] };
+
+    for (const row of rows) {
+      const item = itemsByReference.get(row.reference);
+      if (!item) {
+        summary.unmatched.push({ line: row.line, reference: row.reference });
+        continue;
+      }
+      if (item.status !== 'exported') {
+        summary.already_processed += 1;
+        continue;
+      }
+
+      if (row.outcome === 'pending') {
+        summary.pending += 1;
+        continue;
+      }
+
+      if (row.outcome === 'failed') {
+        await supabase
+          .from('payment_batch_items')
+          .update({
+            status: 'failed',
+            failure_reason: row.reason || row.status_text || 'Rejected by bank',
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', item.id);
+        summary.failed += 1;
+        continue;
+      }
+
+      if (!row.utr_number) {
+        summary.errors.push({ line: row.line, error: `No UTR for paid reference ${row.reference}` });
+        continue;
+      }
+
+      // The tranche records what the bank says it paid; a different amount needs a person to look at it
+      if (row.amount !== null && moneyDiffers(row.amount, item.amount)) {
+        summary.errors.push({
+          line: row.line,
+          error: `${row.reference}: bank paid ${roundMoney(row.amount)} but the batch exported ${roundMoney(item.amount)}`
+        });
+        continue;
+      }
+
+      const utrResult = await submitUTR(item.payment_id, {
+        utr_number: row.utr_number,
+        amount: item.amount,
+        paid_date: row.paid_date || toDateString(batch.value_date)
+      }, userId);
+
+      if (!utrResult.success) {
+        summary.errors.push({ line: row.line, error: `${row.reference}: ${utrResult.error}` });
+        continue;
+      }
+
+      const entry = utrResult.data.utr_entries.find(e => e.utr_number === row.utr_number && e.verification_status === 'submitted');
+      await supabase
+        .from('payment_batch_items')
+        .update({
+          status: 'paid',
+          utr_number: row.utr_number,
+          utr_entry_id: entry ? entry.id : null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', item.id);
+      summary.paid += 1;
+    }
+
+    const { data: remaining } = await supabase
+      .from('payment_batch_items')
+      .select('id')
+      .eq('batch_id', batchId)
+      .eq('status', 'exported');
+
+    const status = remaining && remaining.length > 0 ? 'partially_processed' : 'processed';
+    await supabase
+      .from('payment_batches')
+      .update({
+        status,
+        response_file_name: file.originalname,
+        response_imported_at: new Date().toISOString()
+      })
+      .eq('id', batchId);
+
+    await logPaymentAction(
+      'payment_batches',
+      batchId,
+      'PAYMENT_BATCH_RESPONSE_IMPORTED',
+      userId,
+      {
+        file_name: file.originalname,
+        status,
+        paid: summary.paid,
+        failed: summary.failed,
+        pending: summary.pending,
+        unmatched: summary.unmatched.length,
+        errors: summary.errors.length
+      },
+      { status: batch.status }
+    );
+
+    return {
+      success: true,
+      data: { ...summary, status }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Response import failed: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  BULK_FORMATS,
+  buildBatchFile,
+  parseBatchResponse,
+  fetchPayablePayments,
+  createPaymentBatch,
+  fetchPaymentBatches,
+  fetchPaymentBatch,
+  importBatchResponse
+};
@@ -5,6 +5,30 @@
 
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('./databaseHelpers');
+const { getNextBusinessDay } = require('./holidayHelpers');
+const { sumMoney, subtract, roundMoney, toPaise } = require('./moneyHelpers');
+const { buildCDUDraft } = require('./cduConfigHelpers');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
+
+// Statuses of a payment that is still waiting for (more) UTRs
+const AWAITING_UTR_STATUSES = ['pending', 'partially_paid'];
+
+// Statuses of a payment that is not yet settled, including UTRs awaiting verification
+const OPEN_PAYMENT_STATUSES = [...AWAITING_UTR_STATUSES, 'utr_submitted'];
+
+// Statuses of a payment whose verified tranches cover the full amount
+const SETTLED_PAYMENT_STATUSES = ['paid', 'overpaid'];
+
+// Roles allowed to verify a UTR tranche (never the user who submitted it)
+const VERIFIER_ROLES = ['admin', 'verifier'];
+
+// UTR shape by payment mode; modes not listed accept any 12-22 character reference
+const UTR_FORMATS = {
+  NEFT: { pattern: /^[A-Z0-9]{16}$/, description: '16 letters or digits' },
+  RTGS: { pattern: /^[A-Z0-9]{22}$/, description: '22 letters or digits' },
+  IMPS: { pattern: /^\d{12}$/, description: '12 digits' }
+};
+const DEFAULT_UTR_FORMAT = { pattern: /^[A-Z0-9]{12,22}$/, description: '12 to 22 letters or digits' };
 
 /**
  * Fetch procurement details with related data
@@ -18,9 +42,11 @@ async function fetchProcurementDetails(procurementId) {
       *,
       allocation:allocation_id (
         indent_number,
+        branch_id,
         branch_information:branch_id (
           branch_name,
-          branch_code
+          branch_code,
+          state
         )
       )
     `)
@@ -41,21 +67,25 @@ async function fetchProcurementDetails(procurementId) {
 }
 
 /**
- * Check if payment already exists for procurement
+ * Check if an open payment of the same type already exists for procurement
+ * Settled payments do not block a new one; tranches of an open payment go through submitUTR
  * @param {string} procurementId - Procurement ID
+ * @param {string} paymentType - Payment type (e.g. EMD)
  * @returns {Object} Check result
  */
-async function checkExistingPayment(procurementId) {
-  const { data: existingPayment } = await supabase
+async function checkExistingPayment(procurementId, paymentType) {
+  const { data: existingPayments } = await supabase
     .from('payments')
     .select('id')
     .eq('procurement_id', procurementId)
-    .single();
+    .eq('payment_type', paymentType)
+    .in('payment_status', OPEN_PAYMENT_STATUSES)
+    .limit(1);
 
-  if (existingPayment) {
+  if (existingPayments && existingPayments.length > 0) {
     return { 
       success: false, 
-      error: 'Payment already exists for this procurement' 
+      error: `An open ${paymentType} payment already exists for this procurement` 
     };
   }
 
@@ -64,18 +94,28 @@ async function checkExistingPayment(procurementId) {
 
 /**
  * Generate CDU data from procurement
+ * Template, collection account and payment mode come from the CDU configuration rules
  * @param {Object} procurement - Procurement object
+ * @param {Object} options - payment_type, amount, due_date and account/mode overrides with override_reason
  * @returns {Object} CDU data
  */
-function generateCDUData(procurement) {
-  return {
-    payment_mode: 'RTGS',
-    payment_type: 'EMD',
-    amount: procurement.emd_amount,
-    bank: 'State Bank of India', // Default bank
-    due_date: procurement.due_date,
-    remarks: `EMD Payment for Indent ${procurement.indent_number}`
-  };
+async function generateCDUData(procurement, options = {}) {
+  return buildCDUDraft(procurement, options);
+}
+
+/**
+ * Preview the CDU a procurement would get, without creating a payment
+ * @param {string} procurementId - Procurement ID
+ * @param {Object} options - Same as generateCDUData
+ * @returns {Object} CDU data
+ */
+async function previewCDU(procurementId, options = {}) {
+  const procurementResult = await fetchProcurementDetails(procurementId);
+  if (!procurementResult.success) {
+    return procurementResult;
+  }
+
+  return generateCDUData(procurementResult.data, options);
 }
 
 /**
@@ -148,9 +188,10 @@ async function logPaymentAction(tableName, recordId, action, userId, newValues,
  * Generate CDU (payment draft) from procurement record
  * @param {string} procurementId - Procurement ID
  * @param {string} userId - User ID
+ * @param {Object} options - Same as generateCDUData
  * @returns {Object} CDU generation result
  */
-async function generateCDU(procurementId, userId) {
+async function generateCDU(procurementId, userId, options = {}) {
   try {
     // Fetch procurement details
     const procurementResult = await fetchProcurementDetails(procurementId);
@@ -158,17 +199,24 @@ async function generateCDU(procurementId, userId) {
       return procurementResult;
     }
 
-    // Check if payment already exists
-    const existingResult = await checkExistingPayment(procurementId);
+    // Generate CDU data
+    const cduResult = await generateCDUData(procurementResult.data, options);
+    if (!cduResult.success) {
+      return cduResult;
+    }
+    const cduData = cduResult.data;
+
+    // Check if an open payment of this type already exists
+    const existingResult = await checkExistingPayment(procurementId, cduData.payment_type);
     if (!existingResult.success) {
       return existingResult;
     }
 
-    // Generate CDU data
-    const cduData = generateCDUData(procurementResult.data);
-
-    // Calculate UTR due date (same as payment due date)
-    const utrDueDate = new Date(procurementResult.data.due_date);
+    // UTR due date is the payment due date, rolled past any weekend or bank holiday
+    const utrDueDate = await getNextBusinessDay(
+      cduData.due_date,
+      procurementResult.data.allocation?.branch_information?.state || null
+    );
 
     // Create payment record
     const paymentData = {
@@ -176,9 +224,16 @@ async function generateCDU(procurementId, userId) {
       payment_mode: cduData.payment_mode,
       payment_type: cduData.payment_type,
       amount: cduData.amount,
+      paid_amount: 0,
+      outstanding_amount: cduData.amount,
       bank: cduData.bank,
+      collection_account_id: cduData.collection_account_id,
+      account_number: cduData.account_number,
+      ifsc_code: cduData.ifsc_code,
+      cdu_template_id: cduData.cdu_template_id,
+      override_reason: cduData.override_reason,
       due_date: cduData.due_date,
-      utr_due_date: utrDueDate.toISOString().split('T')[0],
+      utr_due_date: utrDueDate,
       payment_status: 'pending',
       remarks: cduData.remarks,
       created_by: userId
@@ -189,7 +244,7 @@ async function generateCDU(procurementId, userId) {
       return paymentResult;
     }
 
-    // Log CDU generation
+    // Log CDU generation (rule choice and any override are part of the CDU data)
     await logPaymentAction(
       'payments',
       paymentResult.data.id,
@@ -215,14 +270,29 @@ async function generateCDU(procurementId, userId) {
 }
 
 /**
- * Fetch payment details by ID
+ * Fetch payment details by ID, including its UTR tranches
  * @param {string} paymentId - Payment ID
  * @returns {Object} Payment details
  */
 async function fetchPaymentDetails(paymentId) {
   const { data: payment, error } = await supabase
     .from('payments')
-    .select('*')
+    .select(`
+      *,
+      utr_entries:payment_utr_entries (
+        id,
+        utr_number,
+        amount,
+        paid_date,
+        verification_status,
+        verified_by,
+        verified_at,
+        rejection_reason,
+        reconciled_at,
+        created_by,
+        created_at
+      )
+    `)
     .eq('id', paymentId)
     .single();
 
@@ -233,81 +303,338 @@ async function fetchPaymentDetails(paymentId) {
     };
   }
 
+  payment.utr_entries = (payment.utr_entries || [])
+    .sort((a, b) => new Date(a.paid_date) - new Date(b.paid_date) || new Date(a.created_at) - new Date(b.created_at));
+
   return { 
     success: true, 
     data: payment 
   };
 }
 
+/**
+ * Roll up a payment's status from the amounts of its tranches
+ * Only verified tranches count as paid; any tranche awaiting verification makes the payment utr_submitted
+ * @param {number|string} amount - Amount due on the payment
+ * @param {Array} entries - UTR tranches ({ amount, verification_status })
+ * @returns {Object} { payment_status, paid_amount, outstanding_amount }
+ */
+function rollUpPaymentStatus(amount, entries) {
+  const verified = (entries || []).filter(entry => (entry.verification_status || 'verified') === 'verified');
+  const paidAmount = sumMoney(verified.map(entry => entry.amount));
+  const balance = roundMoney(subtract(amount, paidAmount));
+
+  let paymentStatus;
+  if ((entries || []).some(entry => entry.verification_status === 'submitted')) {
+    paymentStatus = 'utr_submitted';
+  } else if (toPaise(paidAmount) === 0) {
+    paymentStatus = 'pending';
+  } else if (toPaise(balance) > 0) {
+    paymentStatus = 'partially_paid';
+  } else if (toPaise(balance) === 0) {
+    paymentStatus = 'paid';
+  } else {
+    paymentStatus = 'overpaid';
+  }
+
+  return {
+    payment_status: paymentStatus,
+    paid_amount: paidAmount,
+    outstanding_amount: Math.max(balance, 0)
+  };
+}
+
+/**
+ * Validate a UTR number against the format of the payment mode
+ * @param {string} utrNumber - UTR number
+ * @param {string} paymentMode - Payment mode (NEFT, RTGS, IMPS)
+ * @returns {Object} Validation result
+ */
+function validateUTRFormat(utrNumber, paymentMode) {
+  const mode = String(paymentMode || '').toUpperCase();
+  const format = UTR_FORMATS[mode] || DEFAULT_UTR_FORMAT;
+
+  if (!format.pattern.test(String(utrNumber || ''))) {
+    return { 
+      success: false, 
+      error: `Invalid UTR format: ${UTR_FORMATS[mode] ? `${mode} UTRs are` : 'UTRs are'} ${format.description}` 
+    };
+  }
+
+  return { success: true };
+}
+
 /**
  * Validate UTR submission
  * @param {Object} payment - Payment object
+ * @param {string} utrNumber - UTR number being submitted
  * @returns {Object} Validation result
  */
-function validateUTRSubmission(payment) {
-  if (payment.utr_number) {
+function validateUTRSubmission(payment, utrNumber) {
+  if (SETTLED_PAYMENT_STATUSES.includes(payment.payment_status)) {
     return { 
       success: false, 
-      error: 'UTR already submitted for this payment' 
+      error: 'Payment is already settled; UTR already submitted for the full amount' 
     };
   }
 
-  return { success: true };
+  if ((payment.utr_entries || []).some(entry => entry.utr_number === utrNumber && entry.verification_status !== 'rejected')) {
+    return { 
+      success: false, 
+      error: 'UTR number already exists on this payment' 
+    };
+  }
+
+  return validateUTRFormat(utrNumber, payment.payment_mode);
 }
 
 /**
- * Submit UTR number for a payment
- * @param {string} paymentId - Payment ID
+ * Find a UTR tranche already recorded on any other payment
  * @param {string} utrNumber - UTR number
+ * @param {string} paymentId - Payment the UTR is being submitted for
+ * @returns {Object|null} Conflicting tranche (id, payment_id, amount) or null
+ */
+async function findUTRUsage(utrNumber, paymentId) {
+  const { data: entries, error } = await supabase
+    .from('payment_utr_entries')
+    .select('id, payment_id, amount, paid_date')
+    .eq('utr_number', utrNumber)
+    .neq('payment_id', paymentId)
+    .neq('verification_status', 'rejected')
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check UTR usage: ${error.message}`);
+  }
+
+  return entries && entries.length > 0 ? entries[0] : null;
+}
+
+/**
+ * Queue a UTR reuse attempt for admin review
+ * @param {Object} attempt - utr_number, payment_id, amount, paid_date
+ * @param {Object} conflict - Tranche already using the UTR
+ * @param {string} userId - User who submitted the UTR
+ * @returns {Object} Suspicious UTR record
+ */
+async function flagSuspiciousUTR(attempt, conflict, userId) {
+  const { data: suspicious, error } = await supabase
+    .from('suspicious_utr_attempts')
+    .insert({
+      ...attempt,
+      conflicting_payment_id: conflict.payment_id,
+      conflicting_entry_id: conflict.id,
+      submitted_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to flag suspicious UTR: ${error.message}`);
+  }
+
+  await logPaymentAction(
+    'payments',
+    attempt.payment_id,
+    'UTR_REUSE_FLAGGED',
+    userId,
+    { ...attempt, suspicious_utr_id: suspicious.id, conflicting_payment_id: conflict.payment_id }
+  );
+
+  return suspicious;
+}
+
+/**
+ * Queue a reused UTR for review and report why the tranche was not recorded
+ * @param {Object} attempt - utr_number, payment_id, amount, paid_date
+ * @param {Object} conflict - Tranche already using the UTR
+ * @param {string} userId - User who submitted the UTR
+ * @returns {Object} Failed submission result
+ */
+async function flagUTRReuse(attempt, conflict, userId) {
+  const suspicious = await flagSuspiciousUTR(attempt, conflict, userId);
+
+  return { 
+    success: false, 
+    error: 'UTR already used on another payment; flagged for admin review',
+    details: { suspicious_utr_id: suspicious.id }
+  };
+}
+
+/**
+ * Recalculate paid and outstanding amounts of a payment from its tranches
+ * @param {Object} payment - Payment object (id, amount, utr_number, verified_at)
+ * @param {string} userId - Verifier the settlement is attributed to
+ * @returns {Object} Update result
+ */
+async function refreshPaymentTotals(payment, userId) {
+  const { data: allEntries, error: entriesError } = await supabase
+    .from('payment_utr_entries')
+    .select('utr_number, amount, paid_date, verification_status, created_at')
+    .eq('payment_id', payment.id)
+    .order('created_at', { ascending: true });
+
+  if (entriesError) {
+    return { 
+      success: false, 
+      error: `Failed to fetch UTR entries: ${entriesError.message}` 
+    };
+  }
+
+  const entries = (allEntries || []).filter(entry => entry.verification_status !== 'rejected');
+  const rollUp = rollUpPaymentStatus(payment.amount, entries);
+  const settled = SETTLED_PAYMENT_STATUSES.includes(rollUp.payment_status);
+
+  // utr_number keeps the first tranche so existing searches and reports still find the payment
+  const updates = {
+    ...rollUp,
+    utr_number: entries.length > 0 ? entries[0].utr_number : null,
+    verified_by: settled ? (payment.verified_by || userId) : null,
+    verified_at: settled ? (payment.verified_at || new Date().toISOString()) : null
+  };
+
+  const { data: updatedPayment, error: updateError } = await supabase
+    .from('payments')
+    .update(updates)
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    return { 
+      success: false, 
+      error: `Failed to update payment totals: ${updateError.message}` 
+    };
+  }
+
+  return { 
+    success: true, 
+    data: updatedPayment 
+  };
+}
+
+/**
+ * Submit a UTR tranche for a payment
+ * A UTR already used on another payment is not recorded; the attempt goes to the suspicious UTR queue
+ * @param {string} paymentId - Payment ID
+ * @param {Object} tranche - utr_number, amount (defaults to the outstanding balance), paid_date (defaults to today)
  * @param {string} userId - User ID
+ * @param {Object} options - allowReuse: record the tranche even if another payment uses the UTR (admin approval)
  * @returns {Object} Submission result
  */
-async function submitUTR(paymentId, utrNumber, userId) {
+async function submitUTR(paymentId, tranche, userId, options = {}) {
   try {
     // Check if payment exists
     const paymentResult = await fetchPaymentDetails(paymentId);
     if (!paymentResult.success) {
       return paymentResult;
     }
+    const payment = paymentResult.data;
 
     // Validate UTR submission
-    const validationResult = validateUTRSubmission(paymentResult.data);
+    const validationResult = validateUTRSubmission(payment, tranche.utr_number);
     if (!validationResult.success) {
       return validationResult;
     }
 
-    // Update payment with UTR number
-    const { data: updatedPayment, error: updateError } = await supabase
-      .from('payments')
-      .update({
-        utr_number: utrNumber,
-        payment_status: 'verified',
-        verified_by: userId,
-        verified_at: new Date().toISOString()
+    // Without an amount the tranche covers whatever no other live tranche claims yet
+    const claimed = sumMoney(payment.utr_entries
+      .filter(entry => entry.verification_status !== 'rejected')
+      .map(entry => entry.amount));
+    const amount = tranche.amount !== undefined && tranche.amount !== null
+      ? roundMoney(tranche.amount)
+      : Math.max(roundMoney(subtract(payment.amount, claimed)), 0);
+
+    if (toPaise(amount) <= 0) {
+      return { 
+        success: false, 
+        error: 'Tranche amount must be greater than 0' 
+      };
+    }
+
+    const paidDate = tranche.paid_date
+      ? new Date(tranche.paid_date).toISOString().split('T')[0]
+      : new Date().toISOString().split('T')[0];
+
+    const attempt = {
+      utr_number: tranche.utr_number,
+      payment_id: paymentId,
+      amount,
+      paid_date: paidDate
+    };
+
+    // A UTR identifies one bank transfer; reuse needs an admin's decision
+    if (!options.allowReuse) {
+      const conflict = await findUTRUsage(tranche.utr_number, paymentId);
+      if (conflict) {
+        return flagUTRReuse(attempt, conflict, userId);
+      }
+    }
+
+    const { data: entry, error: entryError } = await supabase
+      .from('payment_utr_entries')
+      .insert({
+        payment_id: paymentId,
+        utr_number: tranche.utr_number,
+        amount,
+        paid_date: paidDate,
+        verification_status: 'submitted',
+        reuse_approved: Boolean(options.allowReuse),
+        created_by: userId
       })
-      .eq('id', paymentId)
       .select()
       .single();
 
-    if (updateError) {
+    if (entryError) {
+      if (entryError.code === '23505') {
+        // Another payment recorded the same UTR since the check above
+        const conflict = options.allowReuse ? null : await findUTRUsage(tranche.utr_number, paymentId);
+        if (conflict) {
+          return flagUTRReuse(attempt, conflict, userId);
+        }
+      }
       return { 
         success: false, 
-        error: `Failed to update payment with UTR: ${updateError.message}` 
+        error: entryError.code === '23505'
+          ? 'UTR number already exists on this payment'
+          : `Failed to record UTR: ${entryError.message}` 
       };
     }
 
+    const totalsResult = await refreshPaymentTotals(payment, userId);
+    if (!totalsResult.success) {
+      return totalsResult;
+    }
+
     // Log UTR submission
     await logPaymentAction(
       'payments',
       paymentId,
       'UTR_SUBMITTED',
       userId,
-      { utr_number: utrNumber, payment_status: 'verified' }
+      {
+        utr_entry_id: entry.id,
+        utr_number: entry.utr_number,
+        amount: entry.amount,
+        paid_date: entry.paid_date,
+        verification_status: entry.verification_status,
+        payment_status: totalsResult.data.payment_status,
+        paid_amount: totalsResult.data.paid_amount,
+        outstanding_amount: totalsResult.data.outstanding_amount
+      },
+      {
+        payment_status: payment.payment_status,
+        paid_amount: payment.paid_amount,
+        outstanding_amount: payment.outstanding_amount
+      }
     );
 
     return { 
       success: true, 
-      data: updatedPayment 
+      data: {
+        ...totalsResult.data,
+        utr_entries: [...payment.utr_entries, entry]
+      }
     };
   } catch (error) {
     return { 
@@ -317,6 +644,364 @@ async function submitUTR(paymentId, utrNumber, userId) {
   }
 }
 
+/**
+ * Approve or reject a submitted UTR tranche (checker step)
+ * @param {string} entryId - UTR tranche ID
+ * @param {string} decision - 'verified' or 'rejected'
+ * @param {string} reason - Reason (required when rejecting)
+ * @param {Object} user - Verifying user (id, role)
+ * @returns {Object} Verification result
+ */
+async function verifyUTREntry(entryId, decision, reason, user) {
+  try {
+    if (!VERIFIER_ROLES.includes(user.role)) {
+      return { 
+        success: false, 
+        error: 'Only verifiers can approve or reject UTRs' 
+      };
+    }
+
+    const { data: entry, error: fetchError } = await supabase
+      .from('payment_utr_entries')
+      .select('*')
+      .eq('id', entryId)
+      .single();
+
+    if (fetchError || !entry) {
+      return { 
+        success: false, 
+        error: 'UTR entry not found' 
+      };
+    }
+
+    if (entry.verification_status !== 'submitted') {
+      return { 
+        success: false, 
+        error: `UTR entry already ${entry.verification_status}` 
+      };
+    }
+
+    if (entry.created_by === user.id) {
+      return { 
+        success: false, 
+        error: 'A UTR must be verified by someone other than its submitter' 
+      };
+    }
+
+    const { data: updatedEntry, error: updateError } = await supabase
+      .from('payment_utr_entries')
+      .update({
+        verification_status: decision,
+        verified_by: user.id,
+        verified_at: new Date().toISOString(),
+        rejection_reason: decision === 'rejected' ? reason : null
+      })
+      .eq('id', entryId)
+      .eq('verification_status', 'submitted')
+      .select()
+      .single();
+
+    if (updateError || !updatedEntry) {
+      return { 
+        success: false, 
+        error: `Failed to update UTR entry: ${updateError ? updateError.message : 'entry changed concurrently'}` 
+      };
+    }
+
+    const paymentResult = await fetchPaymentDetails(entry.payment_id);
+    if (!paymentResult.success) {
+      return paymentResult;
+    }
+
+    const totalsResult = await refreshPaymentTotals(paymentResult.data, user.id);
+    if (!totalsResult.success) {
+      return totalsResult;
+    }
+
+    await logPaymentAction(
+      'payment_utr_entries',
+      entryId,
+      decision === 'verified' ? 'UTR_VERIFIED' : 'UTR_REJECTED',
+      user.id,
+      {
+        payment_id: entry.payment_id,
+        utr_number: entry.utr_number,
+        verification_status: decision,
+        reason: reason || null,
+        payment_status: totalsResult.data.payment_status,
+        paid_amount: totalsResult.data.paid_amount
+      },
+      {
+        verification_status: entry.verification_status,
+        payment_status: paymentResult.data.payment_status,
+        paid_amount: paymentResult.data.paid_amount
+      }
+    );
+
+    if (decision === 'verified') {
+      const { data: procurement } = await supabase
+        .from('procurement_dump')
+        .select('indent_number')
+        .eq('id', totalsResult.data.procurement_id)
+        .single();
+
+      await publishDomainEvent(DOMAIN_EVENTS.PAYMENT_VERIFIED, {
+        aggregateType: 'payments',
+        aggregateId: entry.payment_id,
+        indentNumber: procurement?.indent_number || null,
+        data: {
+          utr_entry_id: entryId,
+          utr_number: entry.utr_number,
+          amount: entry.amount,
+          payment_type: totalsResult.data.payment_type,
+          payment_status: totalsResult.data.payment_status,
+          paid_amount: totalsResult.data.paid_amount
+        },
+        userId: user.id
+      });
+    }
+
+    return { 
+      success: true, 
+      data: {
+        entry: updatedEntry,
+        payment: totalsResult.data
+      }
+    };
+  } catch (error) {
+    return { 
+      success: false, 
+      error: `UTR verification failed: ${error.message}` 
+    };
+  }
+}
+
+/**
+ * Fetch UTR tranches by verification stage
+ * @param {Object} filters - verification_status, search (UTR number)
+ * @param {Object} pagination - page, limit
+ * @returns {Object} UTR tranches with their payment and submitter
+ */
+async function fetchUTREntries(filters = {}, pagination = {}) {
+  const { page = 1, limit = 25 } = pagination;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('payment_utr_entries')
+    .select(`
+      *,
+      payment:payment_id (
+        id,
+        amount,
+        paid_amount,
+        outstanding_amount,
+        payment_mode,
+        payment_type,
+        payment_status,
+        procurement_dump:procurement_id (
+          indent_number,
+          firm_name
+        )
+      ),
+      submitted_user:created_by (
+        first_name,
+        last_name
+      ),
+      verified_user:verified_by (
+        first_name,
+        last_name
+      )
+    `, { count: 'exact' });
+
+  if (filters.verification_status) {
+    query = query.eq('verification_status', filters.verification_status);
+  }
+
+  if (filters.search) {
+    query = query.ilike('utr_number', `%${filters.search}%`);
+  }
+
+  const { data: entries, error, count } = await query
+    .order('created_at', { ascending: filters.verification_status === 'submitted' })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return { 
+      success: false, 
+      error: error.message 
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      entries: entries || [],
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil((count || 0) / limit),
+        total_records: count || 0,
+        per_page: limit
+      }
+    }
+  };
+}
+
+/**
+ * Fetch the suspicious UTR queue
+ * @param {string} status - open, approved or rejected (optional)
+ * @param {Object} pagination - page, limit
+ * @returns {Object} Suspicious UTR attempts with both payments
+ */
+async function fetchSuspiciousUTRs(status = null, pagination = {}) {
+  const { page = 1, limit = 25 } = pagination;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('suspicious_utr_attempts')
+    .select(`
+      *,
+      payment:payment_id (
+        id,
+        amount,
+        payment_mode,
+        payment_status,
+        procurement_dump:procurement_id (
+          indent_number,
+          firm_name
+        )
+      ),
+      conflicting_payment:conflicting_payment_id (
+        id,
+        amount,
+        payment_mode,
+        payment_status,
+        procurement_dump:procurement_id (
+          indent_number,
+          firm_name
+        )
+      ),
+      submitted_user:submitted_by (
+        first_name,
+        last_name
+      )
+    `, { count: 'exact' });
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: attempts, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return { 
+      success: false, 
+      error: error.message 
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      attempts: attempts || [],
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil((count || 0) / limit),
+        total_records: count || 0,
+        per_page: limit
+      }
+    }
+  };
+}
+
+/**
+ * Resolve a suspicious UTR attempt
+ * Approving records the tranche despite the reuse (e.g. one transfer covering two indents);
+ * rejecting leaves the payment untouched
+ * @param {string} attemptId - Suspicious UTR attempt ID
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} reason - Reviewer's reason
+ * @param {string} userId - Admin user ID
+ * @returns {Object} Resolution result
+ */
+async function resolveSuspiciousUTR(attemptId, decision, reason, userId) {
+  try {
+    const { data: attempt, error: fetchError } = await supabase
+      .from('suspicious_utr_attempts')
+      .select('*')
+      .eq('id', attemptId)
+      .single();
+
+    if (fetchError || !attempt) {
+      return { 
+        success: false, 
+        error: 'Suspicious UTR attempt not found' 
+      };
+    }
+
+    if (attempt.status !== 'open') {
+      return { 
+        success: false, 
+        error: `Suspicious UTR attempt already ${attempt.status}` 
+      };
+    }
+
+    let payment = null;
+    if (decision === 'approved') {
+      const submitResult = await submitUTR(attempt.payment_id, {
+        utr_number: attempt.utr_number,
+        amount: attempt.amount,
+        paid_date: attempt.paid_date
+      }, userId, { allowReuse: true });
+
+      if (!submitResult.success) {
+        return submitResult;
+      }
+      payment = submitResult.data;
+    }
+
+    const { data: resolved, error: updateError } = await supabase
+      .from('suspicious_utr_attempts')
+      .update({
+        status: decision,
+        resolution_reason: reason,
+        resolved_by: userId,
+        resolved_at: new Date().toISOString(),
+        utr_entry_id: payment ? payment.utr_entries[payment.utr_entries.length - 1].id : null
+      })
+      .eq('id', attemptId)
+      .select()
+      .single();
+
+    if (updateError) {
+      return { 
+        success: false, 
+        error: `Failed to resolve suspicious UTR: ${updateError.message}` 
+      };
+    }
+
+    await logPaymentAction(
+      'suspicious_utr_attempts',
+      attemptId,
+      decision === 'approved' ? 'SUSPICIOUS_UTR_APPROVED' : 'SUSPICIOUS_UTR_REJECTED',
+      userId,
+      { status: decision, resolution_reason: reason, utr_number: attempt.utr_number, payment_id: attempt.payment_id },
+      { status: attempt.status }
+    );
+
+    return { 
+      success: true, 
+      data: { attempt: resolved, payment } 
+    };
+  } catch (error) {
+    return { 
+      success: false, 
+      error: `Suspicious UTR resolution failed: ${error.message}` 
+    };
+  }
+}
+
 /**
  * Fetch payments with pagination and filtering
  * @param {Object} filters - Filter criteria
@@ -335,11 +1020,18 @@ async function fetchPayments(filters = {}, pagination = {}) {
         indent_number,
         emd_amount,
         due_date
+      ),
+      utr_entries:payment_utr_entries (
+        utr_number,
+        amount,
+        paid_date
       )
     `, { count: 'exact' });
 
   // Apply filters
-  if (filters.status) {
+  if (Array.isArray(filters.status)) {
+    query = query.in('payment_status', filters.status);
+  } else if (filters.status) {
     query = query.eq('payment_status', filters.status);
   }
 
@@ -405,9 +1097,9 @@ async function getPaymentStatistics() {
     const stats = payments.reduce((acc, payment) => {
       const status = payment.payment_status;
       acc[status] = (acc[status] || 0) + 1;
-      acc.total_amount = (acc.total_amount || 0) + (payment.amount || 0);
       return acc;
     }, {});
+    stats.total_amount = sumMoney(payments.map(payment => payment.amount));
 
     return {
       success: true,
@@ -452,15 +1144,29 @@ function validatePaymentData(paymentData) {
 }
 
 module.exports = {
+  AWAITING_UTR_STATUSES,
+  OPEN_PAYMENT_STATUSES,
+  SETTLED_PAYMENT_STATUSES,
+  VERIFIER_ROLES,
+  UTR_FORMATS,
   fetchProcurementDetails,
   checkExistingPayment,
   generateCDUData,
+  previewCDU,
   createPaymentRecord,
   logPaymentAction,
   generateCDU,
   fetchPaymentDetails,
+  rollUpPaymentStatus,
+  validateUTRFormat,
   validateUTRSubmission,
+  findUTRUsage,
+  refreshPaymentTotals,
   submitUTR,
+  verifyUTREntry,
+  fetchUTREntries,
+  fetchSuspiciousUTRs,
+  resolveSuspiciousUTR,
   fetchPayments,
   getPaymentStatistics,
   validatePaymentData
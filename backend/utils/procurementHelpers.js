@@ -0,0 +1,544 @@
+/**
+ * Procurement-specific utility functions
+ * Extracted from procurementRoutes.js so calculations can be shared with background jobs
+ */
+
+const { supabase } = require('../config/supabase');
+const { calculateBusinessDueDate } = require('./holidayHelpers');
+const { createConfigResolver, getTradingConfigForDate } = require('./tradingConfigHelpers');
+const { createCandyRateResolver } = require('./candyRateHelpers');
+const { multiply, subtract, percentOf, roundMoney, sumMoney, moneyDiffers } = require('./moneyHelpers');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
+
+// Allocations are planned in pages of this size when building a bulk job
+const ALLOCATION_PAGE_SIZE = 1000;
+// Indent numbers per existing-record lookup; a full page in one .in() overruns the request URL
+const INDENT_LOOKUP_CHUNK = 200;
+
+/**
+ * Calculate EMD due date excluding weekends and holidays
+ * @param {string|Date} allocationDate - Allocation date
+ * @param {number} emdDueDays - Business days allowed for EMD payment
+ * @param {string} state - Branch state for state holidays
+ * @returns {string} Due date (YYYY-MM-DD)
+ */
+async function calculateEMDDueDate(allocationDate, emdDueDays = 5, state = null) {
+  return calculateBusinessDueDate(allocationDate, emdDueDays, state);
+}
+
+/**
+ * Fetch allocation with branch and parsed data
+ * @param {string} indentNumber - Indent number
+ * @param {string} allocationId - Allocation ID
+ * @returns {Object} Allocation
+ */
+async function fetchAllocationWithData(indentNumber = null, allocationId = null) {
+  let query = supabase
+    .from('allocation')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name,
+        state,
+        zone
+      ),
+      parsed_data:parsed_data_id (
+        firm_name,
+        seller_type,
+        buyer_type,
+        firm_state
+      )
+    `);
+
+  if (indentNumber) {
+    query = query.eq('indent_number', indentNumber);
+  }
+  if (allocationId) {
+    query = query.eq('id', allocationId);
+  }
+
+  const { data: allocation, error: allocationError } = await query.single();
+
+  if (allocationError || !allocation) {
+    throw new Error('Allocation not found');
+  }
+
+  return allocation;
+}
+
+/**
+ * Perform procurement calculations (cotton value, EMD, GST, due date)
+ * @param {Object} allocation - Allocation with branch and parsed data
+ * @param {Object} config - Normalized trading configuration
+ * @param {Function} resolveCandyRate - Optional resolver from createCandyRateResolver (fetched when omitted)
+ * @returns {Object} Calculations
+ */
+async function calculateProcurement(allocation, config, resolveCandyRate = null) {
+  const baleQty = Number(allocation.bale_quantity);
+  const otrPrice = Number(allocation.otr_price);
+
+  // Calculate EMD Percentage based on threshold
+  const emdPercentage = baleQty <= config.emdThreshold ? config.emdLow : config.emdHigh;
+
+  // Candy rate for the branch's zone, with branch and season overrides from the candy rate table
+  const zoneRate = (resolveCandyRate || await createCandyRateResolver())({
+    zone: allocation.branch_information?.zone || 'West Zone',
+    branchId: allocation.branch_id || null,
+    season: allocation.crop_year || null
+  });
+  const candyRateForZone = zoneRate.candyRate;
+
+  // Calculate Cotton Value (candy rate × bales/100 × OTR price), rounded once to the paisa
+  const cottonValue = roundMoney(percentOf(multiply(candyRateForZone, otrPrice), baleQty));
+
+  // Calculate EMD Amount on the rounded cotton value
+  const emdAmount = roundMoney(percentOf(cottonValue, emdPercentage));
+
+  // GST calculation based on state comparison
+  const firmState = allocation.parsed_data?.firm_state || 'Unknown';
+  const branchState = allocation.branch_information?.state || 'Unknown';
+  const isSameState = firmState.toLowerCase() === branchState.toLowerCase();
+
+  let igstAmount = 0;
+  let cgstAmount = 0;
+  let sgstAmount = 0;
+
+  // Each tax component is rounded per line so the components add up to the GST total
+  if (isSameState) {
+    // Same state: Apply CGST@2.5% & SGST@2.5%
+    cgstAmount = roundMoney(percentOf(cottonValue, config.gstRates.cgst));
+    sgstAmount = roundMoney(percentOf(cottonValue, config.gstRates.sgst));
+  } else {
+    // Different state: Apply IGST@5%
+    igstAmount = roundMoney(percentOf(cottonValue, config.gstRates.igst));
+  }
+
+  const gstAmount = sumMoney([igstAmount, cgstAmount, sgstAmount]);
+
+  // Calculate total amount
+  const totalAmount = sumMoney([cottonValue, gstAmount]);
+
+  // Calculate due date against the branch state's holiday calendar
+  const dueDate = await calculateEMDDueDate(
+    allocation.created_at || new Date().toISOString(),
+    config.emdDueDays,
+    allocation.branch_information?.state || null
+  );
+
+  return {
+    baleQty,
+    otrPrice,
+    emdPercentage,
+    candyRateForZone,
+    cottonValue,
+    emdAmount,
+    igstAmount,
+    cgstAmount,
+    sgstAmount,
+    gstAmount,
+    totalAmount,
+    dueDate,
+    configVersion: config.version,
+    zone: allocation.branch_information?.zone || 'Unknown'
+  };
+}
+
+/**
+ * Create the procurement_dump row for an allocation
+ * @param {Object} allocation - Allocation with parsed data
+ * @param {Object} calculations - Result of calculateProcurement
+ * @param {string} createdBy - User ID
+ * @returns {Object} Procurement data
+ */
+function createProcurementData(allocation, calculations, createdBy) {
+  return {
+    indent_number: allocation.indent_number,
+    allocation_id: allocation.id,
+    firm_name: allocation.parsed_data?.firm_name || 'Unknown',
+    bale_quantity: calculations.baleQty,
+    candy_rate: calculations.candyRateForZone,
+    otr_price: calculations.otrPrice,
+    cotton_value: calculations.cottonValue,
+    emd_amount: calculations.emdAmount,
+    emd_percentage: calculations.emdPercentage,
+    gst_amount: calculations.gstAmount,
+    igst_amount: calculations.igstAmount,
+    cgst_amount: calculations.cgstAmount,
+    sgst_amount: calculations.sgstAmount,
+    total_amount: calculations.totalAmount,
+    transaction_type: 'EMD',
+    due_date: calculations.dueDate,
+    created_by: createdBy,
+    zone: calculations.zone,
+    config_version: calculations.configVersion
+  };
+}
+
+/**
+ * Publish ProcurementCalculated for a newly stored procurement record
+ * @param {Object} procurement - procurement_dump row
+ * @param {string} source - api, webhook, job or event
+ * @param {string} userId - User ID
+ */
+async function publishProcurementCalculated(procurement, source, userId) {
+  await publishDomainEvent(DOMAIN_EVENTS.PROCUREMENT_CALCULATED, {
+    aggregateType: 'procurement_dump',
+    aggregateId: procurement.id,
+    indentNumber: procurement.indent_number,
+    data: {
+      allocation_id: procurement.allocation_id,
+      total_amount: procurement.total_amount,
+      emd_amount: procurement.emd_amount,
+      due_date: procurement.due_date
+    },
+    source,
+    userId
+  });
+}
+
+/**
+ * Fetch the procurement record of an indent
+ * @param {string} indentNumber - Indent number
+ * @returns {Object|null} procurement_dump row
+ */
+async function fetchProcurementByIndent(indentNumber) {
+  const { data: existing } = await supabase
+    .from('procurement_dump')
+    .select('*')
+    .eq('indent_number', indentNumber)
+    .limit(1);
+
+  return existing && existing.length > 0 ? existing[0] : null;
+}
+
+/**
+ * Calculate and store the procurement record for an allocation
+ * Shared by the calculate endpoint, the new-allocation webhook and the AllocationCreated
+ * subscriber; an indent that already has a record is returned unchanged.
+ * @param {Object} target - { indentNumber } or { allocationId }
+ * @param {Object} options - createdBy, auditAction, auditUserId, auditContext, source
+ * @returns {Object} { procurement, calculations, created }
+ */
+async function createProcurementForAllocation(target, options) {
+  const {
+    createdBy,
+    auditAction = 'PROCUREMENT_CALCULATED',
+    auditUserId = createdBy,
+    auditContext = {},
+    source = 'api'
+  } = options;
+
+  let allocation;
+  try {
+    allocation = await fetchAllocationWithData(target.indentNumber || null, target.allocationId || null);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const existing = await fetchProcurementByIndent(allocation.indent_number);
+  if (existing) {
+    return {
+      success: true,
+      data: { procurement: existing, calculations: null, created: false }
+    };
+  }
+
+  let config;
+  try {
+    config = await getTradingConfigForDate(allocation.created_at);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to fetch trading configuration: ${error.message}`
+    };
+  }
+
+  const calculations = await calculateProcurement(allocation, config);
+  const procurementData = createProcurementData(allocation, calculations, createdBy);
+
+  const { data: procurement, error: procurementError } = await supabase
+    .from('procurement_dump')
+    .insert(procurementData)
+    .select()
+    .single();
+
+  if (procurementError) {
+    // Another path created the record between the lookup and the insert
+    if (procurementError.code === '23505') {
+      return {
+        success: true,
+        data: { procurement: await fetchProcurementByIndent(allocation.indent_number), calculations: null, created: false }
+      };
+    }
+    return {
+      success: false,
+      error: `Failed to save procurement calculation: ${procurementError.message}`
+    };
+  }
+
+  await supabase
+    .from('audit_log')
+    .insert({
+      table_name: 'procurement_dump',
+      record_id: procurement.id,
+      action: auditAction,
+      user_id: auditUserId,
+      new_values: { ...procurementData, ...auditContext }
+    });
+
+  await publishProcurementCalculated(procurement, source, auditUserId);
+
+  return {
+    success: true,
+    data: { procurement, calculations, created: true }
+  };
+}
+
+// Fields compared when previewing a recalculation against the stored row
+const RECALCULATION_DIFF_FIELDS = [
+  'bale_quantity',
+  'otr_price',
+  'candy_rate',
+  'cotton_value',
+  'emd_percentage',
+  'emd_amount',
+  'cgst_amount',
+  'sgst_amount',
+  'igst_amount',
+  'gst_amount',
+  'total_amount',
+  'due_date',
+  'config_version'
+];
+
+/**
+ * Build a field-by-field diff between stored and recalculated procurement
+ * @param {Object} stored - Stored procurement_dump row
+ * @param {Object} recalculated - Freshly calculated procurement data
+ * @returns {Array} Diff entries
+ */
+function buildProcurementDiff(stored, recalculated) {
+  return RECALCULATION_DIFF_FIELDS.map(field => {
+    const storedValue = stored[field] ?? null;
+    const newValue = recalculated[field] ?? null;
+    const isNumeric = field !== 'due_date' && storedValue !== null && newValue !== null;
+    const difference = isNumeric ? roundMoney(subtract(newValue, storedValue)) : null;
+    const changed = isNumeric ? difference !== 0 : storedValue !== newValue;
+
+    return {
+      field,
+      stored: storedValue,
+      recalculated: newValue,
+      difference,
+      changed
+    };
+  });
+}
+
+/**
+ * Flag linked EMD payments whose amount no longer matches the procurement
+ * @param {Object} procurement - Procurement row
+ * @param {string} userId - User ID
+ * @returns {Array} IDs of payments currently flagged
+ */
+async function flagMismatchedPayments(procurement, userId) {
+  const { data: payments, error } = await supabase
+    .from('payments')
+    .select('id, amount, payment_type, amount_mismatch')
+    .eq('procurement_id', procurement.id)
+    .eq('payment_type', 'EMD');
+
+  if (error) {
+    throw new Error(`Failed to fetch linked payments: ${error.message}`);
+  }
+
+  const flagged = [];
+  for (const payment of payments || []) {
+    const mismatch = moneyDiffers(payment.amount, procurement.emd_amount);
+    if (mismatch === Boolean(payment.amount_mismatch)) {
+      if (mismatch) flagged.push(payment.id);
+      continue;
+    }
+
+    await supabase
+      .from('payments')
+      .update({
+        amount_mismatch: mismatch,
+        expected_amount: mismatch ? procurement.emd_amount : null
+      })
+      .eq('id', payment.id);
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'payments',
+        record_id: payment.id,
+        action: mismatch ? 'PAYMENT_AMOUNT_MISMATCH' : 'PAYMENT_AMOUNT_MISMATCH_CLEARED',
+        user_id: userId,
+        old_values: { amount: payment.amount, amount_mismatch: payment.amount_mismatch },
+        new_values: { expected_amount: procurement.emd_amount, amount_mismatch: mismatch }
+      });
+
+    if (mismatch) flagged.push(payment.id);
+  }
+
+  return flagged;
+}
+
+/**
+ * Find which indent numbers already have a procurement record
+ * @param {Array} indentNumbers - Indent numbers to check
+ * @returns {Set} Indent numbers with a procurement record
+ */
+async function fetchExistingProcurementIndents(indentNumbers) {
+  const existingIndents = new Set();
+
+  for (let i = 0; i < indentNumbers.length; i += INDENT_LOOKUP_CHUNK) {
+    const { data: existing, error } = await supabase
+      .from('procurement_dump')
+      .select('indent_number')
+      .in('indent_number', indentNumbers.slice(i, i + INDENT_LOOKUP_CHUNK));
+
+    if (error) {
+      throw new Error(`Failed to fetch existing procurement records: ${error.message}`);
+    }
+
+    (existing || []).forEach(p => existingIndents.add(p.indent_number));
+  }
+
+  return existingIndents;
+}
+
+/**
+ * List allocations that still need a procurement record
+ * Pages through allocations so the whole procurement table is never loaded at once
+ * @returns {Array} Job items ({ item_key, reference_id })
+ */
+async function planBulkProcurement() {
+  const items = [];
+  let offset = 0;
+
+  for (;;) {
+    const { data: allocations, error: allocationError } = await supabase
+      .from('allocation')
+      .select('id, indent_number')
+      .not('allocation_status', 'eq', 'cancelled')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + ALLOCATION_PAGE_SIZE - 1);
+
+    if (allocationError) {
+      throw new Error(`Failed to fetch allocations: ${allocationError.message}`);
+    }
+
+    if (!allocations || allocations.length === 0) {
+      break;
+    }
+
+    const existingIndents = await fetchExistingProcurementIndents(
+      allocations.map(allocation => allocation.indent_number)
+    );
+    allocations
+      .filter(allocation => !existingIndents.has(allocation.indent_number))
+      .forEach(allocation => items.push({
+        item_key: allocation.indent_number,
+        reference_id: allocation.id
+      }));
+
+    if (allocations.length < ALLOCATION_PAGE_SIZE) {
+      break;
+    }
+    offset += ALLOCATION_PAGE_SIZE;
+  }
+
+  return items;
+}
+
+/**
+ * Create the procurement record for a single bulk job item
+ * Skips indents that gained a procurement record since the job was planned
+ * @param {Object} item - background_job_items row
+ * @param {Object} context - { job, resolveConfig }
+ * @returns {Object} { result_id, skipped }
+ */
+async function processBulkProcurementItem(item, context) {
+  const { data: existing } = await supabase
+    .from('procurement_dump')
+    .select('id')
+    .eq('indent_number', item.item_key)
+    .limit(1);
+
+  if (existing && existing.length > 0) {
+    return { result_id: existing[0].id, skipped: true };
+  }
+
+  const allocation = await fetchAllocationWithData(null, item.reference_id);
+  const config = context.resolveConfig(allocation.created_at);
+  const calculations = await calculateProcurement(allocation, config, context.resolveCandyRate);
+  const procurementData = createProcurementData(allocation, calculations, context.job.created_by);
+
+  const { data: procurement, error: procurementError } = await supabase
+    .from('procurement_dump')
+    .insert(procurementData)
+    .select('id')
+    .single();
+
+  if (procurementError) {
+    if (procurementError.code === '23505') {
+      const created = await fetchProcurementByIndent(item.item_key);
+      return { result_id: created ? created.id : null, skipped: true };
+    }
+    throw new Error(procurementError.message);
+  }
+
+  await publishProcurementCalculated({ ...procurementData, id: procurement.id }, 'job', context.job.created_by);
+
+  return { result_id: procurement.id, skipped: false };
+}
+
+/**
+ * Background job handler for bulk procurement processing
+ * Configuration versions and candy rates are loaded once per run; each allocation uses the rates in force on its date
+ */
+const bulkProcurementJob = {
+  plan: planBulkProcurement,
+
+  prepare: async (job) => ({
+    job,
+    resolveConfig: await createConfigResolver(),
+    resolveCandyRate: await createCandyRateResolver()
+  }),
+
+  processItem: processBulkProcurementItem,
+
+  finalize: async (job) => {
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'procurement_dump',
+        action: 'BULK_PROCUREMENT_PROCESSED',
+        user_id: job.created_by,
+        new_values: {
+          job_id: job.id,
+          total_items: job.total_items,
+          total_processed: job.succeeded_items,
+          total_errors: job.failed_items
+        }
+      });
+  }
+};
+
+module.exports = {
+  calculateEMDDueDate,
+  fetchAllocationWithData,
+  calculateProcurement,
+  createProcurementData,
+  createProcurementForAllocation,
+  buildProcurementDiff,
+  flagMismatchedPayments,
+  planBulkProcurement,
+  bulkProcurementJob
+};
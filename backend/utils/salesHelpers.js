@@ -5,6 +5,8 @@
 
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse } = require('./databaseHelpers');
+const { sumMoney } = require('./moneyHelpers');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
 
 /**
  * Calculate selection limits for lot selection
@@ -74,7 +76,7 @@ async function autoSelectLots(salesConfig, requestedQty) {
     
     if (!priorityError && priorityLots && priorityLots.length >= limits.required_bales) {
       const autoSelected = priorityLots.slice(0, Math.min(limits.max_allowed, priorityLots.length));
-      const totalValue = autoSelected.reduce((sum, lot) => sum + (lot.bid_price || 0), 0);
+      const totalValue = sumMoney(autoSelected.map(lot => lot.bid_price));
       
       return {
         success: true,
@@ -127,7 +129,7 @@ async function autoSelectLots(salesConfig, requestedQty) {
   }
 
   const autoSelected = allLots.slice(0, Math.min(limits.max_allowed, allLots.length));
-  const totalValue = autoSelected.reduce((sum, lot) => sum + (lot.bid_price || 0), 0);
+  const totalValue = sumMoney(autoSelected.map(lot => lot.bid_price));
 
   return {
     success: true,
@@ -243,14 +245,15 @@ async function createOrUpdateSalesDraft(salesConfigId, selectedLots, userId, not
  */
 async function processSalesConfirmation(salesConfigId, selectedLots, userId, notes = '') {
   // Update inventory status to SOLD
-  const { error: inventoryError } = await supabase
+  const { data: soldLots, error: inventoryError } = await supabase
     .from('inventory_table')
     .update({ 
       status: 'SOLD',
       sold_at: new Date().toISOString(),
       sold_by: userId
     })
-    .in('id', selectedLots);
+    .in('id', selectedLots)
+    .select('indent_number, lot_number');
 
   if (inventoryError) {
     return {
@@ -290,6 +293,22 @@ async function processSalesConfirmation(salesConfigId, selectedLots, userId, not
     })
     .eq('id', salesConfigId);
 
+  // A sale can draw lots from several indents; single-indent sales are also keyed by indent
+  const indentNumbers = [...new Set((soldLots || []).map(lot => lot.indent_number))];
+  await publishDomainEvent(DOMAIN_EVENTS.SALE_CONFIRMED, {
+    aggregateType: 'sales_table',
+    aggregateId: salesRecord.id,
+    indentNumber: indentNumbers.length === 1 ? indentNumbers[0] : null,
+    data: {
+      sales_config_id: salesConfigId,
+      indent_numbers: indentNumbers,
+      lot_numbers: (soldLots || []).map(lot => lot.lot_number),
+      total_lots: selectedLots.length,
+      notes
+    },
+    userId
+  });
+
   return {
     success: true,
     data: salesRecord
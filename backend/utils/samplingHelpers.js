@@ -5,6 +5,7 @@
 
 const { supabase } = require('../config/supabase');
 const { sendErrorResponse, sendSuccessResponse, handleDatabaseError } = require('./databaseHelpers');
+const { DOMAIN_EVENTS, publishDomainEvent } = require('./domainEventBus');
 
 /**
  * Fetch allocation details with related data
@@ -290,6 +291,17 @@ async function saveSamplingEntries(indentNumber, lots, userId) {
     // Log sampling completion
     await logSamplingCompletion(indentNumber, lots, userId);
 
+    await publishDomainEvent(DOMAIN_EVENTS.LOTS_SAMPLED, {
+      aggregateType: 'allocation',
+      aggregateId: allocationResult.data.id,
+      indentNumber,
+      data: {
+        total_lots: lots.length,
+        lot_numbers: lots
+      },
+      userId
+    });
+
     return { 
       success: true, 
       data: {
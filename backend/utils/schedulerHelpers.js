@@ -0,0 +1,770 @@
+/**
+ * In-process job scheduler
+ * Runs cron-style jobs (reminders, escalations, expiries) from the API server itself.
+ * Schedules live in scheduled_jobs; a lease on the row keeps a job to one instance
+ * at a time and every run is recorded in scheduled_job_runs.
+ */
+
+const os = require('os');
+const { supabase } = require('../config/supabase');
+const { expireLapsedAssignments, remindClosingAssignments } = require('./customerLotsHelpers');
+const { refreshPaymentAgeing, fetchAgeingPayments, sendPaymentReminders } = require('./paymentAgeingHelpers');
+const { dispatchOutbox } = require('./outboxHelpers');
+// Registers the notification delivery handler and the domain event subscribers
+require('./notificationHelpers');
+require('./domainEventSubscribers');
+
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+const TICK_MS = 30 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Identifies this process in leases and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Payments reminded this recently (e.g. by the morning escalation) are skipped by the daily reminder
+const PAYMENT_REMINDER_GAP_HOURS = 20;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Send the daily reminder for every overdue payment not reminded in the last day
+ */
+async function remindOverduePayments() {
+  const ageingResult = await fetchAgeingPayments();
+  if (!ageingResult.success) {
+    return ageingResult;
+  }
+
+  const cutoff = Date.now() - PAYMENT_REMINDER_GAP_HOURS * 60 * MINUTE_MS;
+  const due = ageingResult.data.payments.filter(payment =>
+    payment.bucket_key && (!payment.last_reminded_at || new Date(payment.last_reminded_at).getTime() < cutoff)
+  );
+
+  if (due.length === 0) {
+    return { success: true, data: { triggered_count: 0 } };
+  }
+
+  const result = await sendPaymentReminders(due.map(payment => payment.id), null);
+  if (!result.success) {
+    return result;
+  }
+
+  return { success: true, data: { triggered_count: result.data.triggered_count } };
+}
+
+// Job handlers by key, with the schedule used until an admin changes it
+const JOB_DEFINITIONS = {
+  assignment_expiry: {
+    description: 'Expire customer lot assignments whose acceptance window has closed and return the lots to inventory',
+    cron: '*/15 * * * *',
+    run: async () => {
+      const result = await expireLapsedAssignments();
+      return result.success
+        ? { success: true, data: { expired_count: result.expired_count } }
+        : result;
+    }
+  },
+  payment_ageing_escalation: {
+    description: 'Move overdue payments into their ageing bucket and send escalation reminders for new entries',
+    cron: '30 8 * * *',
+    run: () => refreshPaymentAgeing({ notify: true })
+  },
+  payment_reminders: {
+    description: 'Remind the escalation recipients of every overdue payment not reminded in the last day',
+    cron: '0 10 * * 1-6',
+    run: remindOverduePayments
+  },
+  lot_reminders: {
+    description: 'Remind customers about pending lot assignments whose window closes today or tomorrow',
+    cron: '0 9 * * *',
+    run: async () => {
+      const result = await remindClosingAssignments();
+      return result.success
+        ? { success: true, data: { reminded_count: result.data.assignments.length, queued: result.data.queued } }
+        : result;
+    }
+  },
+  outbox_dispatch: {
+    description: 'Deliver queued outbox events (notifications, webhooks) and retry failures whose backoff has elapsed',
+    cron: '* * * * *',
+    run: () => dispatchOutbox()
+  }
+};
+
+/**
+ * Parse one cron field into the set of values it allows
+ * Supports *, numbers, ranges (a-b), steps (e.g. 0-30/10) and comma lists
+ */
+function parseCronField(expression, { name, min, max }) {
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? Number(stepText) : 1;
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) {
+      end = stepText ? max : start;
+    }
+
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`${name} "${part}" is out of range ${min}-${max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 10 * * 1-6"
+ * @returns {Object} Allowed values per field, plus whether day-of-month/day-of-week were restricted
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+
+  // 7 is also Sunday
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Check a cron expression without throwing
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Problem, or null when valid
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const partsFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  weekday: 'short'
+});
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock parts of an instant in the scheduler timezone
+ */
+function localParts(date) {
+  const parts = Object.fromEntries(partsFormatter.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Check whether the day matches; as in cron, when both day fields are restricted either may match
+ */
+function dayMatches(cron, local) {
+  const dayOk = cron.days.has(local.day);
+  const weekdayOk = cron.weekdays.has(local.weekday);
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayOk || weekdayOk;
+  }
+  return dayOk && weekdayOk;
+}
+
+/**
+ * Check whether a cron schedule fires in the minute containing a date
+ * @param {Object} cron - Parsed cron
+ * @param {Date} date - Instant
+ * @returns {boolean} True when due
+ */
+function cronMatches(cron, date) {
+  const local = localParts(date);
+  return cron.months.has(local.month) && dayMatches(cron, local) &&
+    cron.hours.has(local.hour) && cron.minutes.has(local.minute);
+}
+
+/**
+ * Find the next minute a cron schedule fires after a date
+ * @param {string|Object} expression - Cron expression or parsed cron
+ * @param {Date} after - Start point (exclusive)
+ * @returns {Date|null} Next run, or null if none within a year
+ */
+function nextCronRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let candidate = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + 366 * 24 * 60 * MINUTE_MS;
+
+  while (candidate.getTime() <= limit) {
+    const local = localParts(candidate);
+
+    if (!cron.months.has(local.month) || !dayMatches(cron, local)) {
+      // Skip to the next local midnight
+      candidate = new Date(candidate.getTime() + ((24 - local.hour) * 60 - local.minute) * MINUTE_MS);
+    } else if (!cron.hours.has(local.hour)) {
+      candidate = new Date(candidate.getTime() + (60 - local.minute) * MINUTE_MS);
+    } else if (!cron.minutes.has(local.minute)) {
+      candidate = new Date(candidate.getTime() + MINUTE_MS);
+    } else {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add rows for jobs defined in code but not yet in scheduled_jobs
+ * Existing rows keep their admin-edited schedule
+ */
+async function syncScheduledJobs() {
+  const rows = Object.entries(JOB_DEFINITIONS).map(([jobKey, definition]) => ({
+    job_key: jobKey,
+    description: definition.description,
+    cron_expression: definition.cron,
+    next_run_at: nextCronRun(definition.cron)?.toISOString() || null
+  }));
+
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .upsert(rows, { onConflict: 'job_key', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Failed to sync scheduled jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Take the job's lease if no other run holds it
+ * @returns {Object|null} Job row, or null when another run holds the lease
+ */
+async function acquireJobLease(jobKey) {
+  const { data: current, error: fetchError } = await supabase
+    .from('scheduled_jobs')
+    .select('lock_ttl_seconds')
+    .eq('job_key', jobKey)
+    .single();
+
+  if (fetchError || !current) {
+    throw new Error('Scheduled job not found');
+  }
+
+  const now = new Date();
+  const { data: leased, error } = await supabase
+    .from('scheduled_jobs')
+    .update({
+      locked_by: INSTANCE_ID,
+      locked_until: new Date(now.getTime() + current.lock_ttl_seconds * 1000).toISOString()
+    })
+    .eq('job_key', jobKey)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to lock scheduled job: ${error.message}`);
+  }
+
+  return leased && leased.length > 0 ? leased[0] : null;
+}
+
+/**
+ * Release a lease held by this instance and record the outcome on the job
+ */
+async function releaseJobLease(jobKey, updates) {
+  await supabase
+    .from('scheduled_jobs')
+    .update({ ...updates, locked_by: null, locked_until: null })
+    .eq('job_key', jobKey)
+    .eq('locked_by', INSTANCE_ID);
+}
+
+/**
+ * Push out a lease this instance still holds, and the run's expiry with it
+ */
+async function renewJobLease(jobKey, runId, ttlSeconds) {
+  const lockedUntil = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+
+  const { data: renewed, error } = await supabase
+    .from('scheduled_jobs')
+    .update({ locked_until: lockedUntil })
+    .eq('job_key', jobKey)
+    .eq('locked_by', INSTANCE_ID)
+    .select('job_key');
+
+  if (error || !renewed || renewed.length === 0) {
+    console.error(`Scheduled job ${jobKey} lost its lease:`, error ? error.message : 'held by another instance');
+    return;
+  }
+
+  await supabase
+    .from('scheduled_job_runs')
+    .update({ lease_expires_at: lockedUntil })
+    .eq('id', runId);
+}
+
+/**
+ * Run a scheduled job once under its lease and record the run
+ * @param {string} jobKey - Job key
+ * @param {Object} options - trigger ('schedule' or 'manual'), scheduledFor (slot Date), userId
+ * @returns {Object} Run record; skipped: true when the slot already ran elsewhere
+ */
+async function executeScheduledJob(jobKey, { trigger = 'manual', scheduledFor = null, userId = null } = {}) {
+  const definition = JOB_DEFINITIONS[jobKey];
+  if (!definition) {
+    return {
+      success: false,
+      error: 'Scheduled job not found'
+    };
+  }
+
+  let job;
+  try {
+    job = await acquireJobLease(jobKey);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  if (!job) {
+    return {
+      success: false,
+      error: 'Job is already running'
+    };
+  }
+
+  // Another instance already ran this slot before we took the lease
+  if (scheduledFor && job.last_scheduled_for && new Date(job.last_scheduled_for) >= scheduledFor) {
+    await releaseJobLease(jobKey, {});
+    return {
+      success: true,
+      data: { skipped: true }
+    };
+  }
+
+  const startedAt = new Date();
+  const { data: run, error: runError } = await supabase
+    .from('scheduled_job_runs')
+    .insert({
+      job_key: jobKey,
+      trigger,
+      scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+      instance_id: INSTANCE_ID,
+      triggered_by: userId,
+      started_at: startedAt.toISOString(),
+      lease_expires_at: job.locked_until
+    })
+    .select()
+    .single();
+
+  if (runError) {
+    await releaseJobLease(jobKey, {});
+    return {
+      success: false,
+      error: `Failed to record job run: ${runError.message}`
+    };
+  }
+
+  // A job that outlives its TTL keeps the lease, so no other instance starts it and the run is not failed as interrupted
+  const heartbeat = setInterval(() => {
+    renewJobLease(jobKey, run.id, job.lock_ttl_seconds)
+      .catch(error => console.error(`Failed to renew lease for scheduled job ${jobKey}:`, error.message));
+  }, (job.lock_ttl_seconds * 1000) / 3);
+
+  let outcome;
+  try {
+    outcome = await definition.run({ userId });
+  } catch (error) {
+    outcome = { success: false, error: error.message };
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const finishedAt = new Date();
+  const status = outcome.success ? 'succeeded' : 'failed';
+
+  const { data: finished } = await supabase
+    .from('scheduled_job_runs')
+    .update({
+      status,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt - startedAt,
+      result: outcome.success ? outcome.data || {} : null,
+      error: outcome.success ? null : outcome.error
+    })
+    .eq('id', run.id)
+    .select()
+    .single();
+
+  let nextRun = null;
+  try {
+    nextRun = nextCronRun(job.cron_expression, finishedAt);
+  } catch (error) {
+    // An invalid stored expression just leaves next_run_at empty
+  }
+
+  await releaseJobLease(jobKey, {
+    last_run_at: startedAt.toISOString(),
+    last_status: status,
+    last_error: outcome.success ? null : outcome.error,
+    next_run_at: nextRun ? nextRun.toISOString() : null,
+    ...(scheduledFor ? { last_scheduled_for: scheduledFor.toISOString() } : {})
+  });
+
+  if (!outcome.success) {
+    console.error(`Scheduled job ${jobKey} failed:`, outcome.error);
+  }
+
+  return {
+    success: true,
+    data: { run: finished || run }
+  };
+}
+
+/**
+ * Mark runs whose lease expired without finishing (the process died) as failed
+ * A run whose instance still holds the job's lease is alive, only late renewing it
+ */
+async function failInterruptedRuns() {
+  const now = new Date().toISOString();
+
+  const { data: stale, error } = await supabase
+    .from('scheduled_job_runs')
+    .select('id, job_key, instance_id')
+    .eq('status', 'running')
+    .lt('lease_expires_at', now);
+
+  if (error || !stale || stale.length === 0) {
+    return;
+  }
+
+  const { data: leased, error: leaseError } = await supabase
+    .from('scheduled_jobs')
+    .select('job_key, locked_by')
+    .in('job_key', [...new Set(stale.map(run => run.job_key))])
+    .gt('locked_until', now);
+
+  if (leaseError) {
+    return;
+  }
+
+  const held = new Set((leased || []).map(job => `${job.job_key}|${job.locked_by}`));
+  const interrupted = stale
+    .filter(run => !held.has(`${run.job_key}|${run.instance_id}`))
+    .map(run => run.id);
+
+  if (interrupted.length === 0) {
+    return;
+  }
+
+  await supabase
+    .from('scheduled_job_runs')
+    .update({
+      status: 'failed',
+      finished_at: now,
+      error: 'Interrupted before finishing'
+    })
+    .in('id', interrupted)
+    .eq('status', 'running');
+}
+
+/**
+ * Find the latest slot a schedule fired in since the job last ran, up to the current slot
+ * Slots missed while no instance was ticking (restart, deploy, long job) collapse into one run
+ * @param {Object} cron - Parsed cron
+ * @param {Object} job - last_scheduled_for and next_run_at
+ * @param {Date} slot - Current minute
+ * @returns {Date|null} Slot to run, or null when nothing is due
+ */
+function dueSlot(cron, job, slot) {
+  // next_run_at is the first slot still owed, so everything before it has run or been rescheduled
+  const owedFrom = job.next_run_at ? new Date(new Date(job.next_run_at).getTime() - MINUTE_MS) : null;
+  const lastRun = job.last_scheduled_for ? new Date(job.last_scheduled_for) : null;
+  const since = [owedFrom, lastRun].filter(Boolean).sort((a, b) => b - a)[0];
+
+  if (!since) {
+    return cronMatches(cron, slot) ? slot : null;
+  }
+
+  let due = null;
+  let candidate = nextCronRun(cron, since);
+  while (candidate && candidate <= slot) {
+    due = candidate;
+    candidate = nextCronRun(cron, candidate);
+  }
+  return due;
+}
+
+/**
+ * One scheduler tick: start every enabled job whose schedule fired since its last run
+ */
+async function schedulerTick() {
+  const now = new Date();
+  const slot = new Date(Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS);
+
+  const { data: jobs, error } = await supabase
+    .from('scheduled_jobs')
+    .select('job_key, cron_expression, last_scheduled_for, next_run_at')
+    .eq('is_enabled', true);
+
+  if (error) {
+    console.error('Scheduler failed to load jobs:', error.message);
+    return;
+  }
+
+  await failInterruptedRuns();
+
+  for (const job of jobs || []) {
+    if (!JOB_DEFINITIONS[job.job_key]) continue;
+    if (job.last_scheduled_for && new Date(job.last_scheduled_for) >= slot) continue;
+
+    let scheduledFor = null;
+    try {
+      scheduledFor = dueSlot(parseCron(job.cron_expression), job, slot);
+    } catch (parseError) {
+      console.error(`Scheduled job ${job.job_key} has an invalid cron expression:`, parseError.message);
+    }
+
+    if (scheduledFor) {
+      // Jobs run one after another so a slow job cannot overlap the next tick's run of itself
+      await executeScheduledJob(job.job_key, { trigger: 'schedule', scheduledFor });
+    }
+  }
+}
+
+let tickTimer = null;
+let tickInProgress = false;
+let jobsSynced = false;
+
+/**
+ * Start the scheduler loop
+ * Called once at startup; set SCHEDULER_ENABLED=false to run an instance without it
+ */
+function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false' || tickTimer) {
+    return;
+  }
+
+  tickTimer = setInterval(async () => {
+    if (tickInProgress) return;
+    tickInProgress = true;
+    try {
+      // Retried every tick until the database is reachable
+      if (!jobsSynced) {
+        await syncScheduledJobs();
+        jobsSynced = true;
+      }
+      await schedulerTick();
+    } catch (error) {
+      console.error('Scheduler tick failed:', error.message);
+    } finally {
+      tickInProgress = false;
+    }
+  }, TICK_MS);
+}
+
+/**
+ * List scheduled jobs with their schedule, lease and last outcome
+ * @returns {Object} Jobs
+ */
+async function fetchScheduledJobs() {
+  const { data: jobs, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .order('job_key', { ascending: true });
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const now = new Date();
+  return {
+    success: true,
+    data: {
+      timezone: TIMEZONE,
+      jobs: (jobs || []).map(job => ({
+        ...job,
+        is_defined: Boolean(JOB_DEFINITIONS[job.job_key]),
+        is_running: Boolean(job.locked_until && new Date(job.locked_until) > now)
+      }))
+    }
+  };
+}
+
+/**
+ * Change a job's schedule or enable/disable it
+ * @param {string} jobKey - Job key
+ * @param {Object} updates - cron_expression, is_enabled, lock_ttl_seconds
+ * @param {string} userId - User making the change
+ * @returns {Object} Updated job
+ */
+async function updateScheduledJob(jobKey, updates, userId) {
+  try {
+    if (updates.cron_expression !== undefined) {
+      const problem = validateCron(updates.cron_expression);
+      if (problem) {
+        return {
+          success: false,
+          error: `Invalid cron expression: ${problem}`
+        };
+      }
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('job_key', jobKey)
+      .single();
+
+    if (fetchError || !existing) {
+      return {
+        success: false,
+        error: 'Scheduled job not found'
+      };
+    }
+
+    const cronExpression = updates.cron_expression ?? existing.cron_expression;
+    const { data: job, error } = await supabase
+      .from('scheduled_jobs')
+      .update({
+        ...updates,
+        next_run_at: nextCronRun(cronExpression)?.toISOString() || null,
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('job_key', jobKey)
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to update scheduled job: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'scheduled_jobs',
+        action: 'SCHEDULED_JOB_UPDATED',
+        user_id: userId,
+        old_values: {
+          job_key: jobKey,
+          cron_expression: existing.cron_expression,
+          is_enabled: existing.is_enabled,
+          lock_ttl_seconds: existing.lock_ttl_seconds
+        },
+        new_values: { job_key: jobKey, ...updates }
+      });
+
+    return {
+      success: true,
+      data: job
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update scheduled job: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Fetch run history
+ * @param {Object} filters - job_key, status, limit
+ * @returns {Object} Runs, newest first
+ */
+async function fetchJobRuns(filters = {}) {
+  let query = supabase
+    .from('scheduled_job_runs')
+    .select(`
+      *,
+      triggered_user:triggered_by (
+        first_name,
+        last_name
+      )
+    `)
+    .order('started_at', { ascending: false })
+    .limit(filters.limit || 50);
+
+  if (filters.job_key) {
+    query = query.eq('job_key', filters.job_key);
+  }
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data: runs, error } = await query;
+
+  if (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  return {
+    success: true,
+    data: { runs: runs || [] }
+  };
+}
+
+module.exports = {
+  JOB_DEFINITIONS,
+  parseCron,
+  validateCron,
+  cronMatches,
+  nextCronRun,
+  dueSlot,
+  syncScheduledJobs,
+  executeScheduledJob,
+  schedulerTick,
+  startScheduler,
+  fetchScheduledJobs,
+  updateScheduledJob,
+  fetchJobRuns
+};
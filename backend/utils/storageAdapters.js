@@ -0,0 +1,112 @@
+/**
+ * File storage adapters
+ * Uploaded documents are written through one of these so the backing store can be
+ * local disk or any S3-compatible bucket; records keep the driver they were written with
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'uploads');
+
+let s3Client = null;
+
+/**
+ * Resolve a storage key inside the local root, refusing keys that escape it
+ * @param {string} key - Storage key, e.g. contracts/IND-1/abc.pdf
+ * @returns {string} Absolute file path
+ */
+function localPath(key) {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+const localAdapter = {
+  name: 'local',
+  isConfigured: () => true,
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  },
+  async get(key) {
+    return fs.readFile(localPath(key));
+  },
+  async remove(key) {
+    await fs.rm(localPath(key), { force: true });
+  }
+};
+
+function getS3Client() {
+  if (!s3Client) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      // Set for S3-compatible stores (MinIO, R2, Spaces); omit for AWS
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+  return s3Client;
+}
+
+const s3Adapter = {
+  name: 's3',
+  isConfigured: () => Boolean(process.env.S3_BUCKET),
+  async put(key, buffer, contentType) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await getS3Client().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  },
+  async get(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const response = await getS3Client().send(new GetObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  },
+  async remove(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await getS3Client().send(new DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key
+    }));
+  }
+};
+
+const STORAGE_ADAPTERS = {
+  local: localAdapter,
+  s3: s3Adapter
+};
+
+/**
+ * Adapter for a driver; new files go to STORAGE_DRIVER (local by default)
+ * @param {string} driver - local or s3; omit for the configured driver
+ * @returns {Object} Adapter with put, get and remove
+ */
+function getStorageAdapter(driver = process.env.STORAGE_DRIVER || 'local') {
+  const adapter = STORAGE_ADAPTERS[driver];
+  if (!adapter) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  if (!adapter.isConfigured()) {
+    throw new Error(`Storage driver ${driver} is not configured`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  getStorageAdapter
+};
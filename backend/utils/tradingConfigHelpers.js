@@ -0,0 +1,391 @@
+/**
+ * Trading configuration service
+ * Versioned procurement rates (EMD, GST, candy rate) and due days with effective dates
+ */
+
+const { supabase } = require('../config/supabase');
+
+// Effective dates are calendar days where the business runs (the scheduler's timezone), so a
+// version takes effect at local midnight rather than 05:30 IST
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+
+const localDateFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+// Used when neither a version nor a legacy trading_configuration row provides a value
+const DEFAULT_CONFIG = {
+  emd_percentage_low: 15,
+  emd_percentage_high: 25,
+  emd_threshold: 3000,
+  cgst_rate: 2.5,
+  sgst_rate: 2.5,
+  igst_rate: 5,
+  candy_rate: 356,
+  bale_weight: 170,
+  emd_due_days: 5,
+  contract_due_days: 7
+};
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_CONFIG);
+
+/**
+ * Normalize a date or timestamp to the YYYY-MM-DD calendar day in the business timezone
+ * @param {string|Date} value - Date value
+ * @returns {string} Date string
+ */
+function toLocalDateString(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const parts = Object.fromEntries(localDateFormatter.formatToParts(new Date(value)).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Convert a configuration row into the shape used by the calculators
+ * @param {Object} row - trading_configuration_versions row (or equivalent)
+ * @returns {Object} Normalized configuration
+ */
+function normalizeConfig(row) {
+  const value = (field) => {
+    const raw = row[field];
+    return raw === null || raw === undefined ? DEFAULT_CONFIG[field] : Number(raw);
+  };
+
+  return {
+    id: row.id || null,
+    version: row.version ?? null,
+    effectiveFrom: row.effective_from || null,
+    emdLow: value('emd_percentage_low'),
+    emdHigh: value('emd_percentage_high'),
+    emdThreshold: value('emd_threshold'),
+    baleWeight: value('bale_weight'),
+    emdDueDays: value('emd_due_days'),
+    contractDueDays: value('contract_due_days'),
+    gstRates: {
+      cgst: value('cgst_rate'),
+      sgst: value('sgst_rate'),
+      igst: value('igst_rate')
+    },
+    candyRate: value('candy_rate')
+  };
+}
+
+/**
+ * Read the legacy key/value trading_configuration table
+ * Only used until the first configuration version is created
+ * @returns {Object} Normalized configuration with a null version
+ */
+async function fetchLegacyConfiguration() {
+  const { data: configs, error: configError } = await supabase
+    .from('trading_configuration')
+    .select('config_key, config_value')
+    .in('config_key', ['EMD_PERCENTAGE_LOW', 'EMD_PERCENTAGE_HIGH', 'GST_RATES', 'CANDY_RATE', 'BALE_WEIGHT', 'EMD_DUE_DAYS', 'CONTRACT_DUE_DAYS']);
+
+  if (configError) {
+    throw new Error(`Failed to fetch trading configuration: ${configError.message}`);
+  }
+
+  const configMap = {};
+  configs.forEach(config => {
+    configMap[config.config_key] = config.config_value;
+  });
+
+  return normalizeConfig({
+    emd_percentage_low: configMap.EMD_PERCENTAGE_LOW?.percentage,
+    emd_percentage_high: configMap.EMD_PERCENTAGE_HIGH?.percentage,
+    cgst_rate: configMap.GST_RATES?.cgst,
+    sgst_rate: configMap.GST_RATES?.sgst,
+    igst_rate: configMap.GST_RATES?.igst,
+    candy_rate: configMap.CANDY_RATE?.base_rate,
+    bale_weight: configMap.BALE_WEIGHT,
+    emd_due_days: configMap.EMD_DUE_DAYS,
+    contract_due_days: configMap.CONTRACT_DUE_DAYS
+  });
+}
+
+/**
+ * Fetch all configuration versions, newest effective date first
+ * @returns {Array} Configuration version rows
+ */
+async function fetchConfigVersions() {
+  const { data: versions, error } = await supabase
+    .from('trading_configuration_versions')
+    .select(`
+      *,
+      created_user:created_by (
+        first_name,
+        last_name
+      )
+    `)
+    .order('effective_from', { ascending: false })
+    .order('version', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch configuration versions: ${error.message}`);
+  }
+
+  return versions || [];
+}
+
+/**
+ * Pick the version in force on a date from a list of versions
+ * @param {Array} versions - Versions sorted newest effective date first
+ * @param {string|Date} date - Date to resolve for
+ * @returns {Object|null} Matching version row
+ */
+function resolveVersionForDate(versions, date) {
+  const target = toLocalDateString(date);
+  return versions.find(version => version.effective_from <= target) || null;
+}
+
+/**
+ * Create a resolver that returns the configuration for any date from one fetch
+ * Useful for bulk processing where allocations span several rate periods
+ * @returns {Function} (date) => normalized configuration
+ */
+async function createConfigResolver() {
+  const versions = await fetchConfigVersions();
+  // Dates before the first version keep the legacy key/value configuration
+  const legacy = await fetchLegacyConfiguration();
+
+  return (date) => {
+    const version = resolveVersionForDate(versions, date || new Date());
+    return version ? normalizeConfig(version) : legacy;
+  };
+}
+
+/**
+ * Get the trading configuration in force on a date
+ * @param {string|Date} date - Date to resolve for (defaults to today)
+ * @returns {Object} Normalized configuration
+ */
+async function getTradingConfigForDate(date = new Date()) {
+  const resolve = await createConfigResolver();
+  return resolve(date);
+}
+
+/**
+ * Shortest contract upload SLA any configuration has set, the legacy one included
+ * @returns {number} Business days
+ */
+async function getMinimumContractDueDays() {
+  const versions = await fetchConfigVersions();
+  const legacy = await fetchLegacyConfiguration();
+  return Math.min(legacy.contractDueDays, ...versions.map(version => normalizeConfig(version).contractDueDays));
+}
+
+/**
+ * Describe each version as active, scheduled or superseded relative to today
+ * @param {Array} versions - Versions sorted newest effective date first
+ * @returns {Array} Versions with a status field
+ */
+function annotateVersionStatus(versions) {
+  const activeVersion = resolveVersionForDate(versions, new Date());
+  const today = toLocalDateString(new Date());
+
+  return versions.map(version => ({
+    ...version,
+    status: version.effective_from > today
+      ? 'scheduled'
+      : version.id === activeVersion?.id ? 'active' : 'superseded'
+  }));
+}
+
+/**
+ * List configuration versions with their status
+ * @returns {Object} Versions and the currently active configuration
+ */
+async function listConfigVersions() {
+  try {
+    const versions = await fetchConfigVersions();
+    const activeVersion = resolveVersionForDate(versions, new Date());
+    const current = activeVersion
+      ? normalizeConfig(activeVersion)
+      : await fetchLegacyConfiguration();
+
+    return {
+      success: true,
+      data: {
+        versions: annotateVersionStatus(versions),
+        current
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Schedule a new configuration version
+ * Fields not supplied are carried over from the version in force on the effective date
+ * @param {Object} configData - effective_from, notes and any rate fields
+ * @param {string} userId - User ID
+ * @returns {Object} Creation result
+ */
+async function scheduleConfigVersion(configData, userId) {
+  try {
+    const effectiveFrom = toLocalDateString(configData.effective_from);
+    if (effectiveFrom < toLocalDateString(new Date())) {
+      return {
+        success: false,
+        error: 'Effective date cannot be in the past'
+      };
+    }
+
+    const versions = await fetchConfigVersions();
+    const duplicate = versions.find(version => version.effective_from === effectiveFrom);
+    if (duplicate) {
+      return {
+        success: false,
+        error: `Version ${duplicate.version} already exists for ${effectiveFrom}`
+      };
+    }
+
+    const base = resolveVersionForDate(versions, effectiveFrom) || await fetchLegacyConfigurationRow();
+
+    const row = { effective_from: effectiveFrom, notes: configData.notes || null, created_by: userId };
+    CONFIG_FIELDS.forEach(field => {
+      row[field] = configData[field] !== undefined ? configData[field] : base[field];
+    });
+
+    const { data: version, error } = await supabase
+      .from('trading_configuration_versions')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to create configuration version: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'trading_configuration_versions',
+        record_id: version.id,
+        action: 'CONFIG_VERSION_SCHEDULED',
+        user_id: userId,
+        old_values: CONFIG_FIELDS.reduce((acc, field) => ({ ...acc, [field]: base[field] }), {}),
+        new_values: version
+      });
+
+    return {
+      success: true,
+      data: version
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to schedule configuration version: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Legacy configuration expressed as a version row, the base for versions scheduled before the first
+ * @returns {Object} Row-shaped configuration
+ */
+async function fetchLegacyConfigurationRow() {
+  const legacy = await fetchLegacyConfiguration();
+  return {
+    emd_percentage_low: legacy.emdLow,
+    emd_percentage_high: legacy.emdHigh,
+    emd_threshold: legacy.emdThreshold,
+    cgst_rate: legacy.gstRates.cgst,
+    sgst_rate: legacy.gstRates.sgst,
+    igst_rate: legacy.gstRates.igst,
+    candy_rate: legacy.candyRate,
+    bale_weight: legacy.baleWeight,
+    emd_due_days: legacy.emdDueDays,
+    contract_due_days: legacy.contractDueDays
+  };
+}
+
+/**
+ * Cancel a scheduled configuration version that has not yet taken effect
+ * @param {string} versionId - Version ID
+ * @param {string} userId - User ID
+ * @returns {Object} Cancellation result
+ */
+async function cancelConfigVersion(versionId, userId) {
+  try {
+    const { data: version, error: fetchError } = await supabase
+      .from('trading_configuration_versions')
+      .select('*')
+      .eq('id', versionId)
+      .single();
+
+    if (fetchError || !version) {
+      return {
+        success: false,
+        error: 'Configuration version not found'
+      };
+    }
+
+    if (version.effective_from <= toLocalDateString(new Date())) {
+      return {
+        success: false,
+        error: 'Only versions that have not yet taken effect can be cancelled'
+      };
+    }
+
+    const { error } = await supabase
+      .from('trading_configuration_versions')
+      .delete()
+      .eq('id', versionId);
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to cancel configuration version: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'trading_configuration_versions',
+        record_id: versionId,
+        action: 'CONFIG_VERSION_CANCELLED',
+        user_id: userId,
+        old_values: version,
+        new_values: {}
+      });
+
+    return {
+      success: true,
+      data: version
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to cancel configuration version: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  CONFIG_FIELDS,
+  normalizeConfig,
+  fetchConfigVersions,
+  toLocalDateString,
+  resolveVersionForDate,
+  createConfigResolver,
+  getTradingConfigForDate,
+  getMinimumContractDueDays,
+  listConfigVersions,
+  scheduleConfigVersion,
+  cancelConfigVersion
+};
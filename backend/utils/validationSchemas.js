@@ -16,7 +16,9 @@ const commonFields = {
   date: Joi.date().default(() => new Date()),
   quantity: Joi.number().integer().min(1),
   amount: Joi.number().min(0),
-  percentage: Joi.number().min(0).max(100)
+  percentage: Joi.number().min(0).max(100),
+  stateName: Joi.string().trim().max(100).pattern(/^[A-Za-z]+( [A-Za-z]+)*$/)
+    .messages({ 'string.pattern.base': 'State must contain only letters and spaces' })
 };
 
 // Common object schemas
@@ -58,7 +60,7 @@ const routeSchemas = {
       password: commonFields.password.required(),
       first_name: Joi.string().min(2).max(50).required(),
       last_name: Joi.string().min(2).max(50).required(),
-      role: Joi.string().valid('admin', 'trader', 'customer').required()
+      role: Joi.string().valid('admin', 'trader', 'customer', 'verifier').required()
     })
   },
   
@@ -97,16 +99,67 @@ const routeSchemas = {
   // Payment routes
   payment: {
     cdu: Joi.object({
-      procurement_id: commonFields.uuid.required()
+      procurement_id: commonFields.uuid.required(),
+      payment_type: Joi.string().valid('EMD', 'DO_PAYMENT', 'LATE_LIFTING').default('EMD'),
+      amount: Joi.number().positive().precision(2),
+      due_date: Joi.date().iso(),
+      collection_account_id: commonFields.uuid,
+      payment_mode: Joi.string().valid('RTGS', 'NEFT', 'IMPS'),
+      override_reason: Joi.string().trim().max(500).allow('')
+    }),
+
+    cduPreview: Joi.object({
+      procurement_id: commonFields.uuid.required(),
+      payment_type: Joi.string().valid('EMD', 'DO_PAYMENT', 'LATE_LIFTING').default('EMD'),
+      amount: Joi.number().positive().precision(2)
     }),
     
     utrSubmit: Joi.object({
       payment_id: commonFields.uuid.required(),
-      utr_number: Joi.string().min(12).max(22).required()
+      utr_number: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]+$/).min(12).max(22).required(),
+      amount: Joi.number().positive().precision(2).optional(),
+      paid_date: Joi.date().iso().max('now').optional()
     }),
     
     sendReminder: Joi.object({
-      payment_ids: Joi.array().items(commonFields.uuid).min(1).required()
+      payment_ids: Joi.array().items(commonFields.uuid).min(1),
+      bucket_key: Joi.string().trim().max(20)
+    }).xor('payment_ids', 'bucket_key'),
+
+    ageingReport: Joi.object({
+      bucket_key: Joi.string().trim().max(20),
+      branch_id: commonFields.uuid
+    }),
+
+    ageingRefresh: Joi.object({
+      notify: Joi.boolean().default(true)
+    }),
+
+    utrEntries: Joi.object({
+      verification_status: Joi.string().valid('submitted', 'verified', 'rejected').default('submitted'),
+      search: Joi.string().trim().max(22),
+      page: commonObjects.pagination.extract('page'),
+      limit: Joi.number().integer().min(1).max(100).default(25)
+    }),
+
+    verifyUTR: Joi.object({
+      decision: Joi.string().valid('verified', 'rejected').required(),
+      reason: Joi.string().trim().max(500).when('decision', {
+        is: 'rejected',
+        then: Joi.string().min(3).required(),
+        otherwise: Joi.optional().allow('')
+      })
+    }),
+
+    suspiciousList: Joi.object({
+      status: Joi.string().valid('open', 'approved', 'rejected').default('open'),
+      page: commonObjects.pagination.extract('page'),
+      limit: Joi.number().integer().min(1).max(100).default(25)
+    }),
+
+    resolveSuspicious: Joi.object({
+      decision: Joi.string().valid('approved', 'rejected').required(),
+      reason: Joi.string().trim().min(3).max(500).required()
     })
   },
   
@@ -171,9 +224,44 @@ const routeSchemas = {
     approve: Joi.object({
       contract_id: commonFields.uuid.required(),
       notes: commonFields.notes
+    }),
+
+    upload: Joi.object({
+      indent_number: commonFields.indentNumber.required(),
+      // Required by the upload when it replaces an approved version
+      amendment_reason: Joi.string().trim().max(500).allow('')
+    }),
+
+    file: Joi.object({
+      original: Joi.boolean().default(false)
+    }),
+
+    overdue: Joi.object({
+      branch_id: commonFields.uuid
+    }),
+
+    updateStatus: Joi.object({
+      status: Joi.string().valid('approved', 'rejected').required(),
+      // Shown to the uploader, so a rejection must say what to fix
+      notes: Joi.string().trim().max(500).when('status', {
+        is: 'rejected',
+        then: Joi.string().min(3).required(),
+        otherwise: Joi.optional().allow('')
+      })
     })
   },
   
+  // Public contract verification
+  contractVerification: {
+    token: Joi.object({
+      token: Joi.string().hex().length(32).required()
+    }),
+
+    verifyFile: Joi.object({
+      token: Joi.string().hex().length(32)
+    })
+  },
+
   // Sampling routes
   sampling: {
     fetchIndent: Joi.object({
@@ -196,16 +284,316 @@ const routeSchemas = {
     })
   },
   
+  // Holiday calendar routes
+  holiday: {
+    list: Joi.object({
+      year: Joi.number().integer().min(2000).max(2100),
+      state: commonFields.stateName,
+      start_date: Joi.date().iso(),
+      end_date: Joi.date().iso()
+    }),
+
+    create: Joi.object({
+      holiday_date: Joi.date().iso().required(),
+      name: Joi.string().min(2).max(150).required(),
+      state: commonFields.stateName.allow(null, '').optional(),
+      description: commonFields.notes.allow(null, '')
+    }),
+
+    update: Joi.object({
+      holiday_date: Joi.date().iso(),
+      name: Joi.string().min(2).max(150),
+      state: commonFields.stateName.allow(null, ''),
+      description: commonFields.notes.allow(null, '')
+    }).min(1),
+
+    dueDate: Joi.object({
+      start_date: Joi.date().iso().required(),
+      business_days: Joi.number().integer().min(0).max(90).required(),
+      state: commonFields.stateName
+    })
+  },
+
+  // Trading configuration routes
+  tradingConfig: {
+    resolve: Joi.object({
+      date: Joi.date().iso()
+    }),
+
+    schedule: Joi.object({
+      effective_from: Joi.date().iso().required(),
+      emd_percentage_low: commonFields.percentage,
+      emd_percentage_high: commonFields.percentage,
+      emd_threshold: commonFields.quantity,
+      cgst_rate: commonFields.percentage,
+      sgst_rate: commonFields.percentage,
+      igst_rate: commonFields.percentage,
+      candy_rate: commonFields.amount,
+      bale_weight: commonFields.amount,
+      emd_due_days: Joi.number().integer().min(0).max(60),
+      contract_due_days: Joi.number().integer().min(0).max(60),
+      notes: commonFields.notes
+    })
+  },
+
+  // Background job routes
+  job: {
+    list: Joi.object({
+      job_type: Joi.string().valid('procurement_bulk'),
+      status: Joi.string().valid('queued', 'running', 'completed', 'completed_with_errors', 'failed'),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    }),
+
+    items: Joi.object({
+      status: Joi.string().valid('pending', 'succeeded', 'failed'),
+      page: commonObjects.pagination.extract('page'),
+      limit: Joi.number().integer().min(1).max(200).default(50)
+    })
+  },
+
+  // Webhook integration routes
+  webhook: {
+    createIntegration: Joi.object({
+      name: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).min(2).max(50).required(),
+      description: commonFields.notes
+    }),
+
+    updateIntegration: Joi.object({
+      is_active: Joi.boolean().required()
+    }),
+
+    deliveries: Joi.object({
+      integration_id: commonFields.uuid,
+      status: Joi.string().valid('accepted', 'processed', 'failed', 'rejected'),
+      endpoint: Joi.string().max(200),
+      page: commonObjects.pagination.extract('page'),
+      limit: Joi.number().integer().min(1).max(100).default(25)
+    })
+  },
+
+  // Bank statement reconciliation routes
+  reconciliation: {
+    importStatement: Joi.object({
+      amount_tolerance: Joi.number().min(0).max(10000),
+      date_tolerance_days: Joi.number().integer().min(0).max(60)
+    }),
+
+    statements: Joi.object({
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    }),
+
+    lines: Joi.object({
+      status: Joi.string().valid('matched', 'ambiguous', 'unmatched', 'confirmed', 'ignored')
+    }),
+
+    confirmLine: Joi.object({
+      payment_id: commonFields.uuid
+    })
+  },
+
+  // Bulk payment batch routes
+  paymentBatch: {
+    create: Joi.object({
+      payment_ids: Joi.array().items(commonFields.uuid).min(1).max(500).unique().required(),
+      bank_format: Joi.string().valid('sbi_cmp', 'hdfc_enet', 'icici_cib').required(),
+      debit_account_number: Joi.string().trim().pattern(/^\d{9,18}$/).required()
+        .messages({ 'string.pattern.base': 'Debit account number must be 9 to 18 digits' }),
+      value_date: Joi.date().iso()
+    }),
+
+    list: Joi.object({
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+  },
+
+  // Collection account master and CDU template routes
+  cduConfig: {
+    createAccount: Joi.object({
+      account_name: Joi.string().trim().max(150).required(),
+      bank_name: Joi.string().trim().max(100).required(),
+      bank_branch: Joi.string().trim().max(100).allow(null, ''),
+      account_number: Joi.string().trim().pattern(/^\d{9,18}$/).required()
+        .messages({ 'string.pattern.base': 'Account number must be 9 to 18 digits' }),
+      ifsc_code: Joi.string().trim().uppercase().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).required()
+        .messages({ 'string.pattern.base': 'IFSC must be 4 letters, a zero and 6 letters or digits' }),
+      zone: Joi.string().max(50).allow(null, ''),
+      branch_id: commonFields.uuid.allow(null),
+      payment_type: Joi.string().valid('EMD', 'DO_PAYMENT', 'LATE_LIFTING').allow(null, ''),
+      priority: Joi.number().integer().min(0).default(100),
+      is_active: Joi.boolean().default(true),
+      notes: commonFields.notes.allow(null, '')
+    }),
+
+    updateAccount: Joi.object({
+      account_name: Joi.string().trim().max(150),
+      bank_name: Joi.string().trim().max(100),
+      bank_branch: Joi.string().trim().max(100).allow(null, ''),
+      account_number: Joi.string().trim().pattern(/^\d{9,18}$/)
+        .messages({ 'string.pattern.base': 'Account number must be 9 to 18 digits' }),
+      ifsc_code: Joi.string().trim().uppercase().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+        .messages({ 'string.pattern.base': 'IFSC must be 4 letters, a zero and 6 letters or digits' }),
+      zone: Joi.string().max(50).allow(null, ''),
+      branch_id: commonFields.uuid.allow(null),
+      payment_type: Joi.string().valid('EMD', 'DO_PAYMENT', 'LATE_LIFTING').allow(null, ''),
+      priority: Joi.number().integer().min(0),
+      is_active: Joi.boolean(),
+      notes: commonFields.notes.allow(null, '')
+    }).min(1),
+
+    templateParam: Joi.object({
+      payment_type: Joi.string().valid('EMD', 'DO_PAYMENT', 'LATE_LIFTING').required()
+    }),
+
+    updateTemplate: Joi.object({
+      label: Joi.string().trim().max(100),
+      amount_source: Joi.string().valid('emd_amount', 'manual'),
+      payment_mode: Joi.string().valid('RTGS', 'NEFT', 'IMPS'),
+      rtgs_min_amount: commonFields.amount,
+      fallback_payment_mode: Joi.string().valid('NEFT', 'IMPS'),
+      remarks_template: Joi.string().trim().max(255),
+      due_in_days: Joi.number().integer().min(0).allow(null),
+      is_active: Joi.boolean()
+    }).min(1)
+  },
+
+  // In-process scheduler
+  scheduler: {
+    jobParam: Joi.object({
+      job_key: Joi.string().pattern(/^[a-z_]+$/).max(50).required()
+    }),
+
+    updateJob: Joi.object({
+      cron_expression: Joi.string().trim().max(100),
+      is_enabled: Joi.boolean(),
+      lock_ttl_seconds: Joi.number().integer().min(30).max(86400)
+    }).min(1),
+
+    runs: Joi.object({
+      job_key: Joi.string().pattern(/^[a-z_]+$/).max(50),
+      status: Joi.string().valid('running', 'succeeded', 'failed'),
+      limit: Joi.number().integer().min(1).max(200).default(50)
+    })
+  },
+
+  // Outbox and dead letters
+  outbox: {
+    events: Joi.object({
+      status: Joi.string().valid('pending', 'processing', 'delivered', 'dead_letter'),
+      event_type: Joi.string().max(100),
+      aggregate_id: commonFields.uuid,
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(25)
+    }),
+
+    replayDeadLetters: Joi.object({
+      // Omit to replay every dead-lettered event
+      event_ids: Joi.array().items(commonFields.uuid).min(1).max(500)
+    }),
+
+    domainEvents: Joi.object({
+      event_name: Joi.string().max(100),
+      indent_number: Joi.string().max(100),
+      aggregate_id: commonFields.uuid,
+      limit: Joi.number().integer().min(1).max(200).default(50)
+    })
+  },
+
+  // Notification service
+  notification: {
+    deliveries: Joi.object({
+      status: Joi.string().valid('pending', 'sent', 'failed'),
+      channel: Joi.string().valid('email', 'sms', 'whatsapp', 'n8n'),
+      event_key: Joi.string().max(50),
+      search: Joi.string().max(100),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(25)
+    }),
+
+    updateTemplate: Joi.object({
+      subject_template: Joi.string().trim().max(255).allow(null, ''),
+      body_template: Joi.string().trim().max(4000),
+      whatsapp_template_name: Joi.string().trim().max(100).allow(null, ''),
+      default_opt_in: Joi.boolean(),
+      is_active: Joi.boolean()
+    }).min(1),
+
+    recipientParams: Joi.object({
+      recipient_type: Joi.string().valid('user', 'customer').required(),
+      recipient_id: commonFields.uuid.required()
+    }),
+
+    preferences: Joi.object({
+      preferences: Joi.array().items(Joi.object({
+        channel: Joi.string().valid('email', 'sms', 'whatsapp').required(),
+        event_key: Joi.string().max(50).default('*'),
+        is_enabled: Joi.boolean().required(),
+        address: Joi.string().trim().max(255).allow(null, '')
+      })).max(50).required()
+    }),
+
+    test: Joi.object({
+      channel: Joi.string().valid('email', 'sms', 'whatsapp').required(),
+      address: Joi.string().trim().max(255).required()
+    })
+  },
+
+  // Payment ageing buckets and branch heads
+  ageingConfig: {
+    updateBuckets: Joi.object({
+      buckets: Joi.array().items(Joi.object({
+        label: Joi.string().trim().max(50).required(),
+        min_days: Joi.number().integer().min(0).required(),
+        max_days: Joi.number().integer().min(0).allow(null),
+        escalate_to: Joi.string().valid('trader', 'branch_head', 'admin').required()
+      })).min(1).max(10).required()
+    }),
+
+    branchHead: Joi.object({
+      user_id: commonFields.uuid.allow(null).required()
+    })
+  },
+
+  // Candy rate table routes
+  candyRate: {
+    create: Joi.object({
+      zone: Joi.string().max(50).allow(null, ''),
+      branch_id: commonFields.uuid.allow(null),
+      season: Joi.string().max(20).allow(null, ''),
+      candy_rate: Joi.number().positive().required(),
+      assumed_bale_weight: Joi.number().positive().allow(null),
+      notes: commonFields.notes.allow(null, '')
+    }),
+
+    update: Joi.object({
+      zone: Joi.string().max(50).allow(null, ''),
+      branch_id: commonFields.uuid.allow(null),
+      season: Joi.string().max(20).allow(null, ''),
+      candy_rate: Joi.number().positive(),
+      assumed_bale_weight: Joi.number().positive().allow(null),
+      notes: commonFields.notes.allow(null, '')
+    }).min(1),
+
+    resolve: Joi.object({
+      zone: Joi.string().max(50).required(),
+      branch_id: commonFields.uuid,
+      season: Joi.string().max(20)
+    })
+  },
+
   // DO Specifications routes
   doSpecifications: {
     doSpec: Joi.object({
       customer_id: commonFields.uuid.required(),
+      // Links the specification to an indent's lifecycle timeline
+      indent_number: Joi.string().max(100),
       total_lots: commonFields.quantity.required(),
       bid_price: commonFields.amount.required(),
       emd_amount: commonFields.amount.required(),
       cotton_value: commonFields.amount.required(),
       gst_rate: commonFields.percentage.required(),
       zone: Joi.string().valid('South Zone', 'Other Zone').required(),
+      branch_id: commonFields.uuid,
+      season: Joi.string().max(20),
       lots: Joi.array().items(
         Joi.object({
           emd_paid_date: commonFields.date.required(),
@@ -229,6 +617,13 @@ const routeSchemas = {
         })
       ).min(1).required()
     })
+  },
+
+  // Indent lifecycle
+  indent: {
+    params: Joi.object({
+      indent_number: Joi.string().max(100).required()
+    })
   }
 };
 
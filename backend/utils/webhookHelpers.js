@@ -0,0 +1,429 @@
+/**
+ * Inbound webhook utility functions
+ * Per-integration HMAC secrets, service accounts and the delivery log
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../config/supabase');
+
+/**
+ * Generate a new shared secret for an integration
+ * @returns {string} Hex-encoded secret
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Compute the signature for a webhook request
+ * Signed content is `${timestamp}.${nonce}.${rawBody}`
+ * @param {string} secret - Integration secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Unique request nonce
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+function computeWebhookSignature(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Compare a received signature with the expected one in constant time
+ * Accepts both `sha256=<hex>` and bare hex
+ * @param {string} received - Signature header value
+ * @param {string} expected - Expected hex signature
+ * @returns {boolean} Whether the signatures match
+ */
+function signaturesMatch(received, expected) {
+  const value = String(received || '').replace(/^sha256=/i, '');
+  const receivedBuffer = Buffer.from(value, 'hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+
+  return receivedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Find an active integration by name
+ * @param {string} name - Integration name
+ * @returns {Object|null} Integration including its secret
+ */
+async function findActiveIntegration(name) {
+  const { data: integration, error } = await supabase
+    .from('webhook_integrations')
+    .select('*')
+    .eq('name', name)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !integration) {
+    return null;
+  }
+
+  return integration;
+}
+
+/**
+ * Record an inbound webhook delivery
+ * A duplicate nonce for the same integration fails with code 23505
+ * @param {Object} delivery - Delivery row
+ * @returns {Object} { data, error }
+ */
+async function recordDelivery(delivery) {
+  return supabase
+    .from('webhook_deliveries')
+    .insert({
+      ...delivery,
+      received_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+}
+
+/**
+ * Record the outcome of an accepted delivery
+ * @param {string} deliveryId - Delivery ID
+ * @param {number} httpStatus - Response status sent to the caller
+ * @param {string} error - Error message, if any
+ */
+async function completeDelivery(deliveryId, httpStatus, error = null) {
+  const { error: updateError } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      status: httpStatus < 400 ? 'processed' : 'failed',
+      http_status: httpStatus,
+      error,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', deliveryId);
+
+  if (updateError) {
+    console.error('Failed to update webhook delivery:', updateError.message);
+  }
+}
+
+/**
+ * Remove the secret before returning an integration to a client
+ * @param {Object} integration - Integration row
+ * @returns {Object} Integration without its secret
+ */
+function sanitizeIntegration(integration) {
+  const { secret, ...rest } = integration;
+  return rest;
+}
+
+/**
+ * List webhook integrations
+ * @returns {Object} Integrations (secrets omitted)
+ */
+async function fetchIntegrations() {
+  try {
+    const { data: integrations, error } = await supabase
+      .from('webhook_integrations')
+      .select(`
+        *,
+        service_user:service_user_id (
+          email,
+          first_name,
+          last_name
+        )
+      `)
+      .order('name');
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch webhook integrations: ${error.message}`
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        integrations: (integrations || []).map(sanitizeIntegration)
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to fetch webhook integrations: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Create the service account an integration acts as
+ * The account has an unguessable password and is refused at login
+ * @param {string} name - Integration name
+ * @returns {Object} Created user
+ */
+async function createServiceAccount(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .insert({
+      email: `${slug}@service-accounts.local`,
+      password_hash: passwordHash,
+      first_name: name,
+      last_name: 'Service',
+      role: 'service',
+      is_active: true
+    })
+    .select('id, email, first_name, last_name, role')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create service account: ${error.message}`);
+  }
+
+  return user;
+}
+
+/**
+ * Create a webhook integration with its own secret and service account
+ * @param {Object} integrationData - name, description
+ * @param {string} userId - User ID
+ * @returns {Object} Integration including the secret (shown once)
+ */
+async function createIntegration(integrationData, userId) {
+  try {
+    const { data: existing } = await supabase
+      .from('webhook_integrations')
+      .select('id')
+      .eq('name', integrationData.name)
+      .limit(1);
+
+    if (existing && existing.length > 0) {
+      return {
+        success: false,
+        error: `Integration ${integrationData.name} already exists`
+      };
+    }
+
+    const serviceUser = await createServiceAccount(integrationData.name);
+    const secret = generateWebhookSecret();
+
+    const { data: integration, error } = await supabase
+      .from('webhook_integrations')
+      .insert({
+        name: integrationData.name,
+        description: integrationData.description || null,
+        secret,
+        service_user_id: serviceUser.id,
+        is_active: true,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to create webhook integration: ${error.message}`
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'webhook_integrations',
+        record_id: integration.id,
+        action: 'WEBHOOK_INTEGRATION_CREATED',
+        user_id: userId,
+        new_values: { ...sanitizeIntegration(integration), service_user_email: serviceUser.email }
+      });
+
+    return {
+      success: true,
+      data: {
+        integration: { ...sanitizeIntegration(integration), service_user: serviceUser },
+        secret
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to create webhook integration: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Replace an integration's secret
+ * @param {string} integrationId - Integration ID
+ * @param {string} userId - User ID
+ * @returns {Object} New secret (shown once)
+ */
+async function rotateIntegrationSecret(integrationId, userId) {
+  try {
+    const secret = generateWebhookSecret();
+
+    const { data: integration, error } = await supabase
+      .from('webhook_integrations')
+      .update({ secret, secret_rotated_at: new Date().toISOString() })
+      .eq('id', integrationId)
+      .select()
+      .single();
+
+    if (error || !integration) {
+      return {
+        success: false,
+        error: 'Webhook integration not found'
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'webhook_integrations',
+        record_id: integrationId,
+        action: 'WEBHOOK_SECRET_ROTATED',
+        user_id: userId,
+        new_values: { secret_rotated_at: integration.secret_rotated_at }
+      });
+
+    return {
+      success: true,
+      data: {
+        integration: sanitizeIntegration(integration),
+        secret
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to rotate webhook secret: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Enable or disable an integration
+ * @param {string} integrationId - Integration ID
+ * @param {boolean} isActive - New state
+ * @param {string} userId - User ID
+ * @returns {Object} Updated integration
+ */
+async function setIntegrationActive(integrationId, isActive, userId) {
+  try {
+    const { data: integration, error } = await supabase
+      .from('webhook_integrations')
+      .update({ is_active: isActive })
+      .eq('id', integrationId)
+      .select()
+      .single();
+
+    if (error || !integration) {
+      return {
+        success: false,
+        error: 'Webhook integration not found'
+      };
+    }
+
+    await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'webhook_integrations',
+        record_id: integrationId,
+        action: isActive ? 'WEBHOOK_INTEGRATION_ENABLED' : 'WEBHOOK_INTEGRATION_DISABLED',
+        user_id: userId,
+        new_values: { is_active: isActive }
+      });
+
+    return {
+      success: true,
+      data: sanitizeIntegration(integration)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to update webhook integration: ${error.message}`
+    };
+  }
+}
+
+/**
+ * List webhook deliveries with pagination
+ * @param {Object} filters - integration_id, status, endpoint, page, limit
+ * @returns {Object} Deliveries with pagination
+ */
+async function fetchDeliveries(filters = {}) {
+  try {
+    const page = filters.page || 1;
+    const limit = filters.limit || 25;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select(`
+        *,
+        integration:integration_id (
+          name
+        )
+      `, { count: 'exact' });
+
+    if (filters.integration_id) {
+      query = query.eq('integration_id', filters.integration_id);
+    }
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    if (filters.endpoint) {
+      query = query.ilike('endpoint', `%${filters.endpoint}%`);
+    }
+
+    const { data: deliveries, error, count } = await query
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return {
+        success: false,
+        error: `Failed to fetch webhook deliveries: ${error.message}`
+      };
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    return {
+      success: true,
+      data: {
+        deliveries: deliveries || [],
+        pagination: {
+          current_page: page,
+          total_pages: totalPages,
+          total_records: count || 0,
+          has_next: page < totalPages,
+          has_previous: page > 1,
+          per_page: limit
+        }
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to fetch webhook deliveries: ${error.message}`
+    };
+  }
+}
+
+module.exports = {
+  generateWebhookSecret,
+  computeWebhookSignature,
+  signaturesMatch,
+  findActiveIntegration,
+  recordDelivery,
+  completeDelivery,
+  fetchIntegrations,
+  createIntegration,
+  rotateIntegrationSecret,
+  setIntegrationActive,
+  fetchDeliveries
+};
@@ -3,7 +3,7 @@
  */
 
 import React from 'react'
-import { Routes, Route, Navigate } from 'react-router-dom'
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom'
 import { useAuth } from './contexts/AuthContext'
 import Layout from './components/Layout'
 import Login from './pages/Login'
@@ -27,9 +27,36 @@ import ManualAllocationEntry from './pages/ManualAllocationEntry'
 import LogsViewer from './pages/LogsViewer'
 import DOSpecifications from './pages/DOSpecifications';
 import DOSpecificationsHistory from './pages/DOSpecificationsHistory';
+import HolidayCalendar from './pages/HolidayCalendar'
+import TradingConfiguration from './pages/TradingConfiguration'
+import BulkProcurement from './pages/BulkProcurement'
+import WebhookAdmin from './pages/WebhookAdmin'
+import CandyRates from './pages/CandyRates'
+import BankReconciliation from './pages/BankReconciliation'
+import SuspiciousUTRs from './pages/SuspiciousUTRs'
+import CollectionAccounts from './pages/CollectionAccounts'
+import PaymentBatches from './pages/PaymentBatches'
+import PaymentAgeing from './pages/PaymentAgeing'
+import ScheduledJobs from './pages/ScheduledJobs'
+import Notifications from './pages/Notifications'
+import NotificationPreferences from './pages/NotificationPreferences'
+import OutboxEvents from './pages/OutboxEvents'
+import IndentTimeline from './pages/IndentTimeline'
+import VerifyContract from './pages/VerifyContract'
+import OverdueContracts from './pages/OverdueContracts'
 
 function App() {
   const { user, loading } = useAuth()
+  const location = useLocation()
+
+  // Firms open contract verification links without an account
+  if (location.pathname.startsWith('/verify/')) {
+    return (
+      <Routes>
+        <Route path="/verify/contract/:token" element={<VerifyContract />} />
+      </Routes>
+    )
+  }
 
   if (loading) {
     return (
@@ -58,10 +85,13 @@ function App() {
         <Route path="/utr/pending" element={<PendingUTRs />} />
         <Route path="/payments/verified" element={<VerifiedPayments />} />
         <Route path="/allocations/manual-entry" element={<ManualAllocationEntry />} />
+        <Route path="/indents/timeline" element={<IndentTimeline />} />
+        <Route path="/indents/:indentNumber/timeline" element={<IndentTimeline />} />
 
         {/* Contracts - Flow 3 */}
         <Route path="/contract/search" element={<ContractSearch />} />
         <Route path="/contract/upload" element={<ContractUpload />} />
+        <Route path="/contract/overdue" element={<OverdueContracts />} />
         <Route path="/admin/contracts" element={<AdminContracts />} />
         <Route path="/contract/logs" element={<ContractLogs />} />
 
@@ -79,6 +109,24 @@ function App() {
         <Route path="/do-specifications" element={<DOSpecifications />} />
         <Route path="/do-specifications/history" element={<DOSpecificationsHistory />} />
 
+        {/* Admin configuration */}
+        <Route path="/admin/holidays" element={<HolidayCalendar />} />
+        <Route path="/admin/trading-config" element={<TradingConfiguration />} />
+        <Route path="/admin/candy-rates" element={<CandyRates />} />
+        <Route path="/admin/bulk-procurement" element={<BulkProcurement />} />
+        <Route path="/admin/webhooks" element={<WebhookAdmin />} />
+        <Route path="/admin/reconciliation" element={<BankReconciliation />} />
+        <Route path="/admin/suspicious-utrs" element={<SuspiciousUTRs />} />
+        <Route path="/admin/collection-accounts" element={<CollectionAccounts />} />
+        <Route path="/admin/payment-batches" element={<PaymentBatches />} />
+        <Route path="/admin/payment-ageing" element={<PaymentAgeing />} />
+        <Route path="/admin/scheduled-jobs" element={<ScheduledJobs />} />
+        <Route path="/admin/notifications" element={<Notifications />} />
+        <Route path="/admin/outbox" element={<OutboxEvents />} />
+
+        {/* Notification preferences */}
+        <Route path="/notification-preferences" element={<NotificationPreferences />} />
+
         {/* Logs Viewer */}
         <Route path="/logs" element={<LogsViewer />} />
 
@@ -0,0 +1,274 @@
+/**
+ * Contract history component
+ * Every contract version of an indent with its review trail; any version can be
+ * downloaded and two versions compared side by side
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import { Download, GitCompare, History, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const versionStateStyles = {
+  active: 'bg-blue-100 text-blue-800',
+  superseded: 'bg-gray-100 text-gray-700',
+  amended: 'bg-purple-100 text-purple-800'
+}
+
+const statusStyles = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  sent: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const trailLabels = {
+  CONTRACT_UPLOADED: 'Uploaded',
+  CONTRACT_APPROVED: 'Approved',
+  CONTRACT_REJECTED: 'Rejected',
+  CONTRACT_SUPERSEDED: 'Superseded',
+  CONTRACT_AMENDED: 'Amended'
+}
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const userName = (user) => (user ? `${user.first_name} ${user.last_name}` : '-')
+
+const formatAmount = (value) => (value === null || value === undefined ? '-' : `₹${Number(value).toLocaleString()}`)
+
+// Rows of the side-by-side comparison
+const compareRows = [
+  { label: 'Status', value: version => version.status },
+  { label: 'Version state', value: version => version.version_state },
+  { label: 'File name', value: version => version.file_name },
+  { label: 'File size', value: version => (version.file_size ? `${(version.file_size / 1024).toFixed(1)} KB` : '-') },
+  { label: 'File hash (SHA-256)', value: version => (version.file_sha256 ? version.file_sha256.slice(0, 16) : '-') },
+  { label: 'Stamped copy hash', value: version => (version.stamped_sha256 ? version.stamped_sha256.slice(0, 16) : '-') },
+  { label: 'Uploaded', value: version => `${formatDateTime(version.uploaded_at)} by ${userName(version.uploaded_user)}` },
+  { label: 'Amendment reason', value: version => version.amendment_reason || '-' },
+  { label: 'Indent number (PDF)', value: version => version.extracted_fields?.indent_number || '-' },
+  { label: 'Firm name (PDF)', value: version => version.extracted_fields?.firm_name || '-' },
+  { label: 'Bale quantity (PDF)', value: version => version.extracted_fields?.bale_quantity ?? '-' },
+  { label: 'Candy rate (PDF)', value: version => formatAmount(version.extracted_fields?.candy_rate) },
+  { label: 'Total amount (PDF)', value: version => formatAmount(version.extracted_fields?.total_amount) }
+]
+
+const ContractHistory = ({ indentNumber, onLoaded }) => {
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [compareIds, setCompareIds] = useState([])
+  // Parents pass onLoaded inline; keep the latest one without refetching on every render
+  const onLoadedRef = useRef(onLoaded)
+
+  useEffect(() => {
+    onLoadedRef.current = onLoaded
+  }, [onLoaded])
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/contract/history', { params: { indent_number: indentNumber } })
+      setVersions(response.data.data.versions)
+      setCompareIds([])
+      if (onLoadedRef.current) onLoadedRef.current(response.data.data)
+    } catch (error) {
+      console.error('Error fetching contract history:', error)
+      toast.error('Failed to fetch contract history')
+    } finally {
+      setLoading(false)
+    }
+  }, [indentNumber])
+
+  useEffect(() => {
+    fetchHistory()
+  }, [fetchHistory])
+
+  // Approved versions download as their stamped copy unless the original is asked for
+  const downloadVersion = async (version, original = false) => {
+    // Contracts uploaded through n8n link to external storage
+    if (!version.file_url?.startsWith('/api/')) {
+      window.open(version.file_url, '_blank')
+      return
+    }
+
+    try {
+      const response = await api.get(`/contract/${version.id}/file`, { responseType: 'blob', params: { original } })
+      const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1]
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName || version.file_name || `${indentNumber}_v${version.version_number}.pdf`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading contract:', error)
+      toast.error('Failed to download contract')
+    }
+  }
+
+  // Keep at most two versions selected; picking a third drops the oldest pick
+  const toggleCompare = (versionId) => {
+    setCompareIds(prev => (prev.includes(versionId)
+      ? prev.filter(id => id !== versionId)
+      : [...prev, versionId].slice(-2)))
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-500">No contract has been uploaded for this indent yet.</p>
+  }
+
+  // Older version on the left
+  const compared = versions
+    .filter(version => compareIds.includes(version.id))
+    .sort((a, b) => a.version_number - b.version_number)
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <History className="h-5 w-5 text-blue-500 mr-2" />
+          <h3 className="text-md font-medium text-gray-900">
+            Contract History ({versions.length} version{versions.length > 1 ? 's' : ''})
+          </h3>
+        </div>
+        <p className="text-xs text-gray-500">Select two versions to compare</p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Compare</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Uploaded</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Review Trail</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {versions.map(version => (
+              <tr key={version.id} className={version.version_state === 'active' ? 'bg-blue-50' : ''}>
+                <td className="px-4 py-3 align-top">
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(version.id)}
+                    onChange={() => toggleCompare(version.id)}
+                  />
+                </td>
+                <td className="px-4 py-3 align-top whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900">v{version.version_number}</div>
+                  <div className="mt-1 space-x-1">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${versionStateStyles[version.version_state]}`}>
+                      {version.version_state}
+                    </span>
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[version.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {version.status}
+                    </span>
+                  </div>
+                </td>
+                <td className="px-4 py-3 align-top">
+                  <button
+                    onClick={() => downloadVersion(version)}
+                    className="inline-flex items-center text-sm text-blue-600 hover:text-blue-900"
+                  >
+                    <Download className="h-4 w-4 mr-1" />
+                    {version.file_name}
+                  </button>
+                  {version.stamped_sha256 && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      Stamped copy ·{' '}
+                      <button onClick={() => downloadVersion(version, true)} className="text-blue-600 hover:text-blue-900">
+                        original upload
+                      </button>
+                    </div>
+                  )}
+                  {version.amendment_reason && (
+                    <p className="text-xs text-gray-500 mt-1">Amendment: {version.amendment_reason}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 align-top whitespace-nowrap">
+                  <div className="text-sm text-gray-900">{userName(version.uploaded_user)}</div>
+                  <div className="text-xs text-gray-500">{formatDateTime(version.uploaded_at)}</div>
+                </td>
+                <td className="px-4 py-3 align-top">
+                  <ul className="space-y-1">
+                    {version.trail.map((entry, index) => (
+                      <li key={`${entry.action}-${index}`} className="text-xs text-gray-600">
+                        <span className="font-medium text-gray-800">{trailLabels[entry.action] || entry.action}</span>
+                        {' '}{formatDateTime(entry.at)} by {userName(entry.user)}
+                        {entry.action === 'CONTRACT_REJECTED' && entry.details?.rejection_reason && (
+                          <span className="text-red-600"> - {entry.details.rejection_reason}</span>
+                        )}
+                        {entry.action === 'CONTRACT_APPROVED' && entry.details?.approval_notes && (
+                          <span> - {entry.details.approval_notes}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Comparison */}
+      {compared.length === 2 && (
+        <div className="border border-gray-200 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center">
+              <GitCompare className="h-5 w-5 text-purple-500 mr-2" />
+              <h4 className="text-sm font-medium text-gray-900">
+                v{compared[0].version_number} vs v{compared[1].version_number}
+              </h4>
+            </div>
+            <button onClick={() => setCompareIds([])} className="text-gray-400 hover:text-gray-600">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          {compared[0].file_sha256 && compared[0].file_sha256 === compared[1].file_sha256 && (
+            <p className="text-sm text-yellow-700 mb-3">Both versions are the same file.</p>
+          )}
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">v{compared[0].version_number}</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">v{compared[1].version_number}</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {compareRows.map(row => {
+                const left = row.value(compared[0])
+                const right = row.value(compared[1])
+                const changed = String(left) !== String(right)
+
+                return (
+                  <tr key={row.label} className={changed ? 'bg-yellow-50' : ''}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-700">{row.label}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{left}</td>
+                    <td className={`px-4 py-2 text-sm ${changed ? 'font-medium text-yellow-900' : 'text-gray-900'}`}>{right}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ContractHistory
@@ -18,11 +18,26 @@ import {
   LogOut,
   Menu,
   X,
-  ChevronDown
+  ChevronDown,
+  CalendarDays,
+  Layers,
+  Webhook,
+  Scale,
+  Landmark,
+  ShieldAlert,
+  ShieldCheck,
+  Wallet,
+  FileSpreadsheet,
+  Hourglass,
+  AlarmClock,
+  Bell,
+  Inbox,
+  History,
+  CalendarClock
 } from 'lucide-react'
 
 const Layout = ({ children }) => {
-  const { user, logout, isAdmin, isTrader, isCustomer } = useAuth()
+  const { user, logout, isAdmin, isTrader, isCustomer, isVerifier } = useAuth()
   const location = useLocation()
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const [dropdownOpen, setDropdownOpen] = useState(false)
@@ -30,14 +45,16 @@ const Layout = ({ children }) => {
   // Navigation items based on user role
   const getNavigationItems = () => {
     const items = [
-      { name: 'Dashboard', href: '/dashboard', icon: Home, roles: ['admin', 'trader', 'customer'] },
+      { name: 'Dashboard', href: '/dashboard', icon: Home, roles: ['admin', 'trader', 'customer', 'verifier'] },
     ]
 
     if (isAdmin() || isTrader()) {
       items.push(
         { name: 'Allocations', href: '/allocations', icon: ClipboardList, roles: ['admin', 'trader'] },
+        { name: 'Indent Timeline', href: '/indents/timeline', icon: History, roles: ['admin', 'trader'] },
         { name: 'Payments', href: '/payments/verified', icon: Currency, roles: ['admin', 'trader'] },
         { name: 'Contracts', href: '/contract/search', icon: FileText, roles: ['admin', 'trader'] },
+        { name: 'Overdue Contracts', href: '/contract/overdue', icon: CalendarClock, roles: ['admin', 'trader'] },
         { name: 'Sampling', href: '/sampling-entry', icon: Beaker, roles: ['admin', 'trader'] },
         { name: 'Sales', href: '/sales-processing', icon: ShoppingCart, roles: ['admin', 'trader'] },
         { name: 'DO Specifications', href: '/do-specifications', icon: FileText, roles: ['admin', 'trader'] },
@@ -45,11 +62,32 @@ const Layout = ({ children }) => {
       )
     }
 
+    if (isVerifier()) {
+      items.push(
+        { name: 'UTR Verification', href: '/utr/pending', icon: ShieldCheck, roles: ['verifier'] },
+        { name: 'Payments', href: '/payments/verified', icon: Currency, roles: ['verifier'] },
+        { name: 'Indent Timeline', href: '/indents/timeline', icon: History, roles: ['verifier'] },
+      )
+    }
+
     if (isAdmin()) {
       items.push(
         { name: 'Pending UTRs', href: '/utr/pending', icon: Currency, roles: ['admin'] },
+        { name: 'Payment Ageing', href: '/admin/payment-ageing', icon: Hourglass, roles: ['admin'] },
+        { name: 'Payment Batches', href: '/admin/payment-batches', icon: FileSpreadsheet, roles: ['admin'] },
+        { name: 'Bank Reconciliation', href: '/admin/reconciliation', icon: Landmark, roles: ['admin'] },
+        { name: 'Suspicious UTRs', href: '/admin/suspicious-utrs', icon: ShieldAlert, roles: ['admin'] },
+        { name: 'Collection Accounts', href: '/admin/collection-accounts', icon: Wallet, roles: ['admin'] },
         { name: 'Admin Contracts', href: '/admin/contracts', icon: FileText, roles: ['admin'] },
         { name: 'Lot Override', href: '/admin/lot-override', icon: Users, roles: ['admin'] },
+        { name: 'Holiday Calendar', href: '/admin/holidays', icon: CalendarDays, roles: ['admin'] },
+        { name: 'Trading Config', href: '/admin/trading-config', icon: Settings2, roles: ['admin'] },
+        { name: 'Candy Rates', href: '/admin/candy-rates', icon: Scale, roles: ['admin'] },
+        { name: 'Bulk Procurement', href: '/admin/bulk-procurement', icon: Layers, roles: ['admin'] },
+        { name: 'Webhooks', href: '/admin/webhooks', icon: Webhook, roles: ['admin'] },
+        { name: 'Scheduled Jobs', href: '/admin/scheduled-jobs', icon: AlarmClock, roles: ['admin'] },
+        { name: 'Notifications', href: '/admin/notifications', icon: Bell, roles: ['admin'] },
+        { name: 'Outbox', href: '/admin/outbox', icon: Inbox, roles: ['admin'] },
       )
     }
 
@@ -175,7 +213,15 @@ const Layout = ({ children }) => {
                 </button>
 
                 {dropdownOpen && (
-                  <div className="absolute right-0 z-10 mt-2.5 w-32 origin-top-right rounded-md bg-white py-2 shadow-lg ring-1 ring-gray-900/5">
+                  <div className="absolute right-0 z-10 mt-2.5 w-48 origin-top-right rounded-md bg-white py-2 shadow-lg ring-1 ring-gray-900/5">
+                    <Link
+                      to="/notification-preferences"
+                      onClick={() => setDropdownOpen(false)}
+                      className="flex w-full items-center px-3 py-1 text-sm leading-6 text-gray-900 hover:bg-gray-50"
+                    >
+                      <Bell className="mr-2 h-4 w-4" />
+                      Notification settings
+                    </Link>
                     <button
                       onClick={handleLogout}
                       className="flex w-full items-center px-3 py-1 text-sm leading-6 text-gray-900 hover:bg-gray-50"
@@ -0,0 +1,94 @@
+/**
+ * UTR tranches component
+ * Lists the UTR entries recorded against a payment with paid and outstanding totals
+ */
+
+import React from 'react'
+
+const statusStyles = {
+  pending: 'bg-gray-100 text-gray-800',
+  partially_paid: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  overpaid: 'bg-purple-100 text-purple-800',
+  utr_submitted: 'bg-blue-100 text-blue-800'
+}
+
+const verificationStyles = {
+  submitted: 'bg-blue-100 text-blue-800',
+  verified: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+export const PaymentStatusBadge = ({ status }) => (
+  <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[status] || 'bg-gray-100 text-gray-800'}`}>
+    {(status || 'pending').replace(/_/g, ' ')}
+  </span>
+)
+
+const UTRTranches = ({ payment }) => {
+  const entries = payment.utr_entries || []
+  const paidAmount = Number(payment.paid_amount || 0)
+  const outstanding = Number(payment.outstanding_amount ?? payment.amount)
+  const excess = Math.max(paidAmount - Number(payment.amount), 0)
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4 text-center">
+        <div className="bg-gray-50 p-3 rounded-md">
+          <p className="text-xs font-medium text-gray-500">Amount Due</p>
+          <p className="text-lg font-semibold text-gray-900">₹{Number(payment.amount).toLocaleString()}</p>
+        </div>
+        <div className="bg-green-50 p-3 rounded-md">
+          <p className="text-xs font-medium text-green-600">Paid</p>
+          <p className="text-lg font-semibold text-green-900">₹{paidAmount.toLocaleString()}</p>
+        </div>
+        <div className={`${excess > 0 ? 'bg-purple-50' : 'bg-yellow-50'} p-3 rounded-md`}>
+          <p className={`text-xs font-medium ${excess > 0 ? 'text-purple-600' : 'text-yellow-700'}`}>
+            {excess > 0 ? 'Overpaid' : 'Outstanding'}
+          </p>
+          <p className={`text-lg font-semibold ${excess > 0 ? 'text-purple-900' : 'text-yellow-900'}`}>
+            ₹{(excess > 0 ? excess : outstanding).toLocaleString()}
+          </p>
+        </div>
+      </div>
+
+      {entries.some(entry => entry.verification_status === 'submitted') && (
+        <p className="text-sm text-blue-700">Submitted UTRs count towards the paid amount once a verifier approves them.</p>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No UTRs submitted yet.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">UTR Number</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Paid On</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Verification</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {entries.map((entry) => (
+              <tr key={entry.id}>
+                <td className="px-4 py-2 text-sm font-mono text-gray-900">{entry.utr_number}</td>
+                <td className="px-4 py-2 text-sm text-gray-700">{new Date(entry.paid_date).toLocaleDateString()}</td>
+                <td className="px-4 py-2 text-sm">
+                  <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${verificationStyles[entry.verification_status || 'verified']}`}>
+                    {entry.verification_status || 'verified'}
+                  </span>
+                  {entry.rejection_reason && (
+                    <div className="text-xs text-red-700">{entry.rejection_reason}</div>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">₹{Number(entry.amount).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default UTRTranches
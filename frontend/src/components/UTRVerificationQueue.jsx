@@ -0,0 +1,181 @@
+/**
+ * UTR verification queue component
+ * Lists UTR tranches at one verification stage; verifiers approve or reject submitted ones
+ */
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import { Check, Eye, ShieldCheck, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const emptyMessages = {
+  submitted: 'No UTRs awaiting verification',
+  verified: 'No verified UTRs',
+  rejected: 'No rejected UTRs'
+}
+
+const fullName = (person) => person ? `${person.first_name || ''} ${person.last_name || ''}`.trim() : '-'
+
+const UTRVerificationQueue = ({ status }) => {
+  const { user, hasRole } = useAuth()
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reasons, setReasons] = useState({})
+  const [deciding, setDeciding] = useState({})
+  const canVerify = hasRole(['admin', 'verifier'])
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        setLoading(true)
+        const response = await api.get('/utr/entries', { params: { verification_status: status } })
+        setEntries(response.data.data.entries)
+      } catch (error) {
+        console.error('Error fetching UTR entries:', error)
+        toast.error('Failed to fetch UTR entries')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchEntries()
+  }, [status])
+
+  const decide = async (entry, decision) => {
+    const reason = (reasons[entry.id] || '').trim()
+    if (decision === 'rejected' && reason.length < 3) {
+      toast.error('Please enter a rejection reason')
+      return
+    }
+
+    try {
+      setDeciding(prev => ({ ...prev, [entry.id]: true }))
+      await api.post(`/utr/entries/${entry.id}/verify`, { decision, reason })
+      toast.success(decision === 'verified' ? 'UTR verified' : 'UTR rejected')
+      setEntries(prev => prev.filter(e => e.id !== entry.id))
+    } catch (error) {
+      console.error('Error verifying UTR:', error)
+      toast.error(error.response?.data?.message || 'Failed to update UTR')
+    } finally {
+      setDeciding(prev => ({ ...prev, [entry.id]: false }))
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (entries.length === 0) {
+    return (
+      <div className="bg-white shadow rounded-lg text-center py-12">
+        <ShieldCheck className="mx-auto h-12 w-12 text-gray-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">{emptyMessages[status]}</h3>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="table-container">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted By</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                {status === 'submitted' ? 'Decision' : 'Checked By'}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {entries.map((entry) => {
+              const ownEntry = entry.created_by === user?.id
+
+              return (
+                <tr key={entry.id} className="align-top hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-mono text-gray-900">{entry.utr_number}</div>
+                    <div className="text-xs text-gray-500">
+                      ₹{Number(entry.amount).toLocaleString()} paid {new Date(entry.paid_date).toLocaleDateString()}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="text-gray-900">
+                      {entry.payment?.procurement_dump?.indent_number} • {entry.payment?.procurement_dump?.firm_name}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      ₹{Number(entry.payment?.amount || 0).toLocaleString()} {entry.payment?.payment_type} via {entry.payment?.payment_mode}
+                    </div>
+                    <Link
+                      to={`/payment/${entry.payment_id}`}
+                      className="inline-flex items-center text-xs text-blue-600 hover:text-blue-900"
+                    >
+                      <Eye className="h-3 w-3 mr-1" />
+                      View Payment
+                    </Link>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="text-gray-900">{fullName(entry.submitted_user)}</div>
+                    <div className="text-xs text-gray-500">{new Date(entry.created_at).toLocaleString()}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    {status !== 'submitted' ? (
+                      <div>
+                        <div className="text-gray-900">{fullName(entry.verified_user)}</div>
+                        <div className="text-xs text-gray-500">{new Date(entry.verified_at).toLocaleString()}</div>
+                        {entry.rejection_reason && (
+                          <div className="text-xs text-red-700">{entry.rejection_reason}</div>
+                        )}
+                      </div>
+                    ) : !canVerify ? (
+                      <span className="text-xs text-gray-500">Awaiting verifier</span>
+                    ) : ownEntry ? (
+                      <span className="text-xs text-gray-500">Submitted by you; another verifier must check it</span>
+                    ) : (
+                      <div className="space-y-2">
+                        <input
+                          value={reasons[entry.id] || ''}
+                          onChange={(e) => setReasons(prev => ({ ...prev, [entry.id]: e.target.value }))}
+                          placeholder="Reason (required to reject)"
+                          className="input-field text-sm"
+                        />
+                        <div className="space-x-3">
+                          <button
+                            onClick={() => decide(entry, 'verified')}
+                            disabled={deciding[entry.id]}
+                            className="inline-flex items-center text-green-600 hover:text-green-900"
+                          >
+                            <Check className="h-4 w-4 mr-1" />
+                            Verify
+                          </button>
+                          <button
+                            onClick={() => decide(entry, 'rejected')}
+                            disabled={deciding[entry.id]}
+                            className="inline-flex items-center text-red-600 hover:text-red-900"
+                          >
+                            <X className="h-4 w-4 mr-1" />
+                            Reject
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default UTRVerificationQueue
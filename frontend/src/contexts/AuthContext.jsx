@@ -150,6 +150,9 @@ export const AuthProvider = ({ children }) => {
   // Check if user is customer
   const isCustomer = () => hasRole('customer')
 
+  // Check if user is a payment verifier
+  const isVerifier = () => hasRole('verifier')
+
   const value = {
     user,
     loading,
@@ -160,7 +163,8 @@ export const AuthProvider = ({ children }) => {
     hasRole,
     isAdmin,
     isTrader,
-    isCustomer
+    isCustomer,
+    isVerifier
   }
 
   return (
@@ -14,7 +14,8 @@ import {
   Eye,
   Send,
   AlertTriangle,
-  Filter
+  Filter,
+  XCircle
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 import { supabase } from '../services/supabaseClient'
@@ -22,13 +23,71 @@ import Skeleton from 'react-loading-skeleton'
 import 'react-loading-skeleton/dist/skeleton.css'
 import { Tooltip } from 'react-tooltip'
 
-const N8N_CONTRACT_APPROVE_SEND_WEBHOOK='https://webhook-processor-production-b54b.up.railway.app/webhook/contract-approve'; 
+const formatTermValue = (field, value) => {
+  if (value === null || value === undefined) return '-'
+  if (field === 'total_amount' || field === 'candy_rate') return `₹${Number(value).toLocaleString()}`
+  return value
+}
+
+// Contract terms read from the PDF against the calculated procurement
+const ProcurementCheck = ({ check }) => {
+  if (!check) return null
+
+  if (!check.procurement_found) {
+    return <div className="text-sm text-red-600">No procurement found for this indent</div>
+  }
+
+  if (check.extraction_error) {
+    return (
+      <div className="text-sm text-yellow-700">
+        <div className="flex items-center font-medium">
+          <AlertTriangle className="h-4 w-4 mr-1" />
+          Not checked
+        </div>
+        <div className="text-xs whitespace-normal">{check.extraction_error}</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className={`flex items-center text-sm font-medium ${check.mismatch_count > 0 ? 'text-red-600' : 'text-green-600'}`}>
+        {check.mismatch_count > 0 ? (
+          <>
+            <AlertTriangle className="h-4 w-4 mr-1" />
+            {check.mismatch_count} mismatch{check.mismatch_count > 1 ? 'es' : ''}
+          </>
+        ) : (
+          <>
+            <CheckCircle className="h-4 w-4 mr-1" />
+            Matches procurement
+          </>
+        )}
+      </div>
+      {check.checks.filter(item => item.status !== 'match').map(item => (
+        <div key={item.field} className="text-xs">
+          <span className="font-medium text-gray-700">{item.label}: </span>
+          {item.status === 'missing' ? (
+            <span className="text-gray-500">not found in PDF</span>
+          ) : (
+            <>
+              <span className="text-red-600">{formatTermValue(item.field, item.contract_value)}</span>
+              <span className="text-gray-500"> vs {formatTermValue(item.field, item.procurement_value)}</span>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
 
 const AdminContracts = () => {
   const { user, isAdmin } = useAuth()
   const [contracts, setContracts] = useState([])
   const [loading, setLoading] = useState(true)
   const [approving, setApproving] = useState({})
+  const [rejectingId, setRejectingId] = useState(null)
+  const [rejectReason, setRejectReason] = useState('')
   const [filters, setFilters] = useState({
     status: 'pending'
   })
@@ -64,7 +123,11 @@ const AdminContracts = () => {
         if (payload.eventType === 'INSERT') {
           toast.success('New contract uploaded and pending review');
         } else if (payload.eventType === 'UPDATE') {
-          if (payload.new.status === 'sent') {
+          if (payload.new.status === 'approved') {
+            toast.success('Contract approved');
+          } else if (payload.new.status === 'rejected') {
+            toast('Contract rejected');
+          } else if (payload.new.status === 'sent') {
             toast.success('Contract approved and sent to branch');
           } else if (payload.new.status === 'failed') {
             toast.error('Contract sending failed');
@@ -81,52 +144,65 @@ const AdminContracts = () => {
     };
   }, [isAdmin]);
 
-  // Approve and send contract
+  // Approve contract; the branch is notified from the server
   const approveAndSend = async (contractId) => {
+    const mismatches = contracts.find(c => c.id === contractId)?.field_check?.mismatch_count || 0
+    if (mismatches > 0 && !window.confirm(`${mismatches} contract term(s) do not match the procurement. Approve anyway?`)) return
+
     try {
       setApproving(prev => ({ ...prev, [contractId]: true }))
-      const contract = contracts.find(c => c.id === contractId)
-      // Fetch procurement info to get branch_email_id
-      let branchEmail = '';
-      try {
-        const procurementRes = await api.get('/contract/search', { params: { indent_number: contract.indent_number } });
-        branchEmail = procurementRes.data?.data?.procurement?.allocation?.branch_information?.branch_email_id || '';
-      } catch (e) {
-        // If procurement fetch fails, continue with empty branchEmail
-        console.error('Failed to fetch procurement for branch email', e);
-      }
-      // Prepare payload for n8n webhook
-      const payload = {
-        contract_id: contractId,
-        indent_number: contract.indent_number,
-        firm_name: contract.firm_name,
-        file_url: contract.file_url,
-        branch_name: contract.branch_name, // if available
-        branch_email_id: branchEmail,
-        // Add more fields if needed by n8n
-      }
-      const response = await fetch(N8N_CONTRACT_APPROVE_SEND_WEBHOOK, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      })
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.message || 'Failed to approve contract')
-      }
+      await api.put(`/contract/${contractId}/status`, { status: 'approved' })
       toast.success('Contract approved and sent successfully!')
       setContracts(prev => prev.filter(c => c.id !== contractId))
     } catch (error) {
       console.error('Error approving contract:', error)
-      toast.error(error.message || 'Failed to approve contract')
+      toast.error(error.response?.data?.message || 'Failed to approve contract')
+    } finally {
+      setApproving(prev => ({ ...prev, [contractId]: false }))
+    }
+  }
+
+  // Reject contract with a reason for the uploader
+  const rejectContract = async (contractId) => {
+    if (rejectReason.trim().length < 3) {
+      toast.error('Please enter a rejection reason')
+      return
+    }
+
+    try {
+      setApproving(prev => ({ ...prev, [contractId]: true }))
+      await api.put(`/contract/${contractId}/status`, { status: 'rejected', notes: rejectReason.trim() })
+      toast.success('Contract rejected')
+      setContracts(prev => prev.filter(c => c.id !== contractId))
+      setRejectingId(null)
+      setRejectReason('')
+    } catch (error) {
+      console.error('Error rejecting contract:', error)
+      toast.error(error.response?.data?.message || 'Failed to reject contract')
     } finally {
       setApproving(prev => ({ ...prev, [contractId]: false }))
     }
   }
 
   // View contract (open in new tab)
-  const viewContract = (fileUrl) => {
-    window.open(fileUrl, '_blank')
+  const viewContract = async (contract) => {
+    // Contracts uploaded through n8n link to external storage
+    if (!contract.file_url?.startsWith('/api/')) {
+      window.open(contract.file_url, '_blank')
+      return
+    }
+
+    // Open the tab before the request so the browser does not block it as a popup
+    const tab = window.open('', '_blank')
+    try {
+      const response = await api.get(`/contract/${contract.id}/file`, { responseType: 'blob' })
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      tab.location.href = url
+    } catch (error) {
+      tab.close()
+      console.error('Error opening contract:', error)
+      toast.error('Failed to open contract PDF')
+    }
   }
 
   if (!isAdmin()) {
@@ -246,7 +322,7 @@ const AdminContracts = () => {
                   Contract Details
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Procurement Info
+                  Procurement Check
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Upload Details
@@ -276,16 +352,17 @@ const AdminContracts = () => {
                       <div className="text-xs text-gray-500 mt-1">
                         File: {contract.file_name}
                       </div>
+                      {contract.version_number > 1 && (
+                        <div className="text-xs text-purple-700 mt-1 whitespace-normal">
+                          Version {contract.version_number}
+                          {contract.amendment_reason && `: ${contract.amendment_reason}`}
+                        </div>
+                      )}
                     </div>
                   </td>
 
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">
-                      View in procurement section
-                    </div>
-                    <div className="text-sm text-gray-500">
-                      Related to {contract.indent_number}
-                    </div>
+                    <ProcurementCheck check={contract.field_check} />
                   </td>
 
                   <td className="px-6 py-4 whitespace-nowrap">
@@ -312,7 +389,7 @@ const AdminContracts = () => {
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-y-2">
                     <div className="flex space-x-2">
                       <button
-                        onClick={() => viewContract(contract.file_url)}
+                        onClick={() => viewContract(contract)}
                         className="inline-flex items-center text-blue-600 hover:text-blue-900"
                         data-tip data-for="viewTip"
                       >
@@ -347,6 +424,46 @@ const AdminContracts = () => {
                         Approve the contract and send it to the branch email.
                       </Tooltip>
                     </div>
+
+                    {rejectingId === contract.id ? (
+                      <div className="space-y-2">
+                        <input
+                          type="text"
+                          value={rejectReason}
+                          onChange={(e) => setRejectReason(e.target.value)}
+                          placeholder="Reason for rejection"
+                          className="input-field text-sm"
+                          maxLength={500}
+                        />
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => rejectContract(contract.id)}
+                            disabled={approving[contract.id]}
+                            className="inline-flex items-center text-red-600 hover:text-red-900"
+                          >
+                            <XCircle className="h-4 w-4 mr-1" />
+                            Confirm Reject
+                          </button>
+                          <button
+                            onClick={() => { setRejectingId(null); setRejectReason('') }}
+                            className="text-gray-500 hover:text-gray-700"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div>
+                        <button
+                          onClick={() => { setRejectingId(contract.id); setRejectReason('') }}
+                          disabled={approving[contract.id]}
+                          className="inline-flex items-center text-red-600 hover:text-red-900"
+                        >
+                          <XCircle className="h-4 w-4 mr-1" />
+                          Reject
+                        </button>
+                      </div>
+                    )}
                   </td>
                 </tr>
               ))}
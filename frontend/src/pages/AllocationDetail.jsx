@@ -14,7 +14,8 @@ import {
   Calculator,
   FileText,
   Building2,
-  CalendarDays
+  CalendarDays,
+  History
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
@@ -28,13 +29,44 @@ const AllocationDetail = () => {
   const [loading, setLoading] = useState(true)
   const [calculating, setCalculating] = useState(false)
   const [generatingCDU, setGeneratingCDU] = useState(false)
+  const [cduTemplates, setCduTemplates] = useState([])
+  const [collectionAccounts, setCollectionAccounts] = useState([])
+  const [cduOptions, setCduOptions] = useState({ payment_type: 'EMD', amount: '' })
+  const [cduPreview, setCduPreview] = useState(null)
+  const [override, setOverride] = useState({ enabled: false, collection_account_id: '', payment_mode: '', reason: '' })
 
   // Fetch allocation details
   useEffect(() => {
     const fetchAllocation = async () => {
       try {
         const response = await api.get(`/allocations/${id}`)
-        setAllocation(response.data.data.allocation)
+        const fetchedAllocation = response.data.data.allocation
+        setAllocation(fetchedAllocation)
+
+        // Procurement is usually created automatically once the allocation is recorded
+        try {
+          const procurementResponse = await api.get(`/procurement/${encodeURIComponent(fetchedAllocation.indent_number)}`)
+          const stored = procurementResponse.data.data.procurement
+          setProcurement({
+            ...stored,
+            breakdown: {
+              cotton_value: Number(stored.cotton_value),
+              emd_amount: Number(stored.emd_amount),
+              emd_percentage: Number(stored.emd_percentage),
+              gst_breakdown: {
+                total_gst: Number(stored.gst_amount),
+                igst: Number(stored.igst_amount),
+                cgst: Number(stored.cgst_amount),
+                sgst: Number(stored.sgst_amount)
+              },
+              total_amount: Number(stored.total_amount)
+            }
+          })
+        } catch (error) {
+          if (error.response?.status !== 404) {
+            console.error('Error fetching procurement:', error)
+          }
+        }
       } catch (error) {
         console.error('Error fetching allocation:', error)
         toast.error('Failed to fetch allocation details')
@@ -46,6 +78,53 @@ const AllocationDetail = () => {
     fetchAllocation()
   }, [id])
 
+  // Fetch CDU templates and collection accounts for the CDU options
+  useEffect(() => {
+    const fetchCduConfig = async () => {
+      try {
+        const [templatesResponse, accountsResponse] = await Promise.all([
+          api.get('/config/cdu-templates'),
+          api.get('/config/collection-accounts')
+        ])
+        setCduTemplates(templatesResponse.data.data.templates.filter(t => t.is_active))
+        setCollectionAccounts(accountsResponse.data.data.accounts.filter(a => a.is_active))
+      } catch (error) {
+        console.error('Error fetching CDU configuration:', error)
+      }
+    }
+
+    fetchCduConfig()
+  }, [])
+
+  const selectedTemplate = cduTemplates.find(t => t.payment_type === cduOptions.payment_type)
+  const needsAmount = selectedTemplate?.amount_source === 'manual'
+
+  // Preview the account and mode the CDU rules pick
+  useEffect(() => {
+    if (!procurement || (needsAmount && !Number(cduOptions.amount))) {
+      setCduPreview(null)
+      return
+    }
+
+    const fetchPreview = async () => {
+      try {
+        const response = await api.get('/payment/cdu/preview', {
+          params: {
+            procurement_id: procurement.id,
+            payment_type: cduOptions.payment_type,
+            ...(needsAmount && { amount: Number(cduOptions.amount) })
+          }
+        })
+        setCduPreview(response.data.data.cdu)
+      } catch (error) {
+        console.error('Error previewing CDU:', error)
+        setCduPreview(null)
+      }
+    }
+
+    fetchPreview()
+  }, [procurement, cduOptions.payment_type, cduOptions.amount, needsAmount])
+
   // Calculate procurement costs
   const calculateProcurement = async () => {
     try {
@@ -70,10 +149,25 @@ const AllocationDetail = () => {
       return
     }
 
+    if (needsAmount && !Number(cduOptions.amount)) {
+      toast.error('Please enter the amount for this payment type')
+      return
+    }
+
+    if (override.enabled && (override.collection_account_id || override.payment_mode) && override.reason.trim().length < 3) {
+      toast.error('Please enter a reason for the override')
+      return
+    }
+
     try {
       setGeneratingCDU(true)
       const response = await api.post('/payment/cdu', {
-        procurement_id: procurement.id
+        procurement_id: procurement.id,
+        payment_type: cduOptions.payment_type,
+        ...(needsAmount && { amount: Number(cduOptions.amount) }),
+        ...(override.enabled && override.collection_account_id && { collection_account_id: override.collection_account_id }),
+        ...(override.enabled && override.payment_mode && { payment_mode: override.payment_mode }),
+        ...(override.enabled && { override_reason: override.reason })
       })
       
       const paymentId = response.data.data.payment_id
@@ -122,12 +216,21 @@ const AllocationDetail = () => {
               View allocation information and calculate procurement costs
             </p>
           </div>
-          <button
-            onClick={() => navigate('/allocations')}
-            className="btn-secondary"
-          >
-            Back to List
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate(`/indents/${encodeURIComponent(allocation.indent_number)}/timeline`)}
+              className="btn-secondary flex items-center"
+            >
+              <History className="h-4 w-4 mr-2" />
+              Timeline
+            </button>
+            <button
+              onClick={() => navigate('/allocations')}
+              className="btn-secondary"
+            >
+              Back to List
+            </button>
+          </div>
         </div>
       </div>
 
@@ -315,6 +418,101 @@ const AllocationDetail = () => {
               </div>
             </div>
 
+            {/* CDU Options */}
+            <div className="bg-gray-50 p-4 rounded-lg space-y-4">
+              <h3 className="text-sm font-medium text-gray-900">CDU Options</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Payment Type</label>
+                  <select
+                    value={cduOptions.payment_type}
+                    onChange={(e) => setCduOptions({ payment_type: e.target.value, amount: '' })}
+                    className="input-field"
+                  >
+                    {(cduTemplates.length > 0 ? cduTemplates : [{ payment_type: 'EMD', label: 'Earnest money deposit' }]).map((template) => (
+                      <option key={template.payment_type} value={template.payment_type}>
+                        {template.payment_type} - {template.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {needsAmount && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Amount (₹)</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={cduOptions.amount}
+                      onChange={(e) => setCduOptions(prev => ({ ...prev, amount: e.target.value }))}
+                      className="input-field"
+                    />
+                  </div>
+                )}
+              </div>
+
+              {cduPreview && (
+                <div className="text-sm text-gray-700">
+                  <span className="font-medium">Rules pick:</span>{' '}
+                  {cduPreview.payment_mode} to {cduPreview.bank}
+                  {cduPreview.account_number && ` A/c ${cduPreview.account_number} (IFSC ${cduPreview.ifsc_code})`}
+                  {' '}• ₹{Number(cduPreview.amount).toLocaleString()} due {new Date(cduPreview.due_date).toLocaleDateString()}
+                </div>
+              )}
+
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={override.enabled}
+                  onChange={(e) => setOverride(prev => ({ ...prev, enabled: e.target.checked }))}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                />
+                Override account or payment mode
+              </label>
+
+              {override.enabled && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Collection Account</label>
+                    <select
+                      value={override.collection_account_id}
+                      onChange={(e) => setOverride(prev => ({ ...prev, collection_account_id: e.target.value }))}
+                      className="input-field"
+                    >
+                      <option value="">As per rules</option>
+                      {collectionAccounts.map((account) => (
+                        <option key={account.id} value={account.id}>
+                          {account.bank_name} • {account.account_number} ({account.account_name})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Payment Mode</label>
+                    <select
+                      value={override.payment_mode}
+                      onChange={(e) => setOverride(prev => ({ ...prev, payment_mode: e.target.value }))}
+                      className="input-field"
+                    >
+                      <option value="">As per rules</option>
+                      <option value="RTGS">RTGS</option>
+                      <option value="NEFT">NEFT</option>
+                      <option value="IMPS">IMPS</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Reason</label>
+                    <input
+                      value={override.reason}
+                      onChange={(e) => setOverride(prev => ({ ...prev, reason: e.target.value }))}
+                      className="input-field"
+                      placeholder="Why the rules do not apply"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+
             {/* Action Buttons */}
             <div className="flex justify-end space-x-4">
               <button
@@ -128,6 +128,12 @@ const Allocations = () => {
             >
               + Manual Allocation Entry
             </button>
+            <button
+              className="btn-secondary"
+              onClick={() => navigate('/admin/bulk-procurement')}
+            >
+              Bulk Procurement
+            </button>
             <button
               className="btn-secondary"
               onClick={() => navigate('/logs')}
@@ -0,0 +1,377 @@
+/**
+ * Bank Reconciliation page
+ * Import bank statements and confirm matched, ambiguous and unmatched lines against payments
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Check,
+  EyeOff,
+  Landmark,
+  Upload
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const tabs = [
+  { key: 'matched', label: 'Matched' },
+  { key: 'ambiguous', label: 'Ambiguous' },
+  { key: 'unmatched', label: 'Unmatched' },
+  { key: 'confirmed', label: 'Confirmed' },
+  { key: 'ignored', label: 'Ignored' }
+]
+
+const reasonLabels = {
+  utr: 'UTR already submitted',
+  utr_amount_mismatch: 'UTR known, amount differs',
+  amount_and_date: 'Amount and date',
+  amount_date_and_indent: 'Amount, date and indent',
+  indent_part_payment: 'Indent in narration (part payment)',
+  several_payments_match_amount: 'Several payments match amount',
+  several_payments_match_indent: 'Several payments match indent',
+  several_lines_match_payment: 'Several lines match one payment'
+}
+
+const describePayment = (payment) =>
+  `${payment.procurement_dump?.indent_number || payment.id.slice(0, 8)} • ${payment.procurement_dump?.firm_name || ''} • ₹${Number(payment.outstanding_amount ?? payment.amount).toLocaleString()} due`
+
+const BankReconciliation = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [statements, setStatements] = useState([])
+  const [selectedStatement, setSelectedStatement] = useState(null)
+  const [lines, setLines] = useState([])
+  const [activeTab, setActiveTab] = useState('matched')
+  const [loading, setLoading] = useState(true)
+  const [linesLoading, setLinesLoading] = useState(false)
+  const [importFile, setImportFile] = useState(null)
+  const [amountTolerance, setAmountTolerance] = useState('1')
+  const [dateTolerance, setDateTolerance] = useState('3')
+  const [importing, setImporting] = useState(false)
+  const [choices, setChoices] = useState({})
+  const [working, setWorking] = useState({})
+
+  const fetchStatements = useCallback(async (selectId = null) => {
+    try {
+      const response = await api.get('/reconciliation/statements')
+      const list = response.data.data.statements
+      setStatements(list)
+      const next = list.find(s => s.id === selectId) || (selectId ? null : list[0]) || null
+      if (next) setSelectedStatement(next)
+    } catch (error) {
+      console.error('Error fetching statements:', error)
+      toast.error('Failed to fetch bank statements')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchLines = useCallback(async () => {
+    if (!selectedStatement) return
+    try {
+      setLinesLoading(true)
+      const response = await api.get(`/reconciliation/statements/${selectedStatement.id}/lines`, {
+        params: { status: activeTab }
+      })
+      setLines(response.data.data.lines)
+    } catch (error) {
+      console.error('Error fetching statement lines:', error)
+      toast.error('Failed to fetch statement lines')
+    } finally {
+      setLinesLoading(false)
+    }
+  }, [selectedStatement, activeTab])
+
+  useEffect(() => {
+    if (admin) {
+      fetchStatements()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchStatements])
+
+  useEffect(() => {
+    fetchLines()
+  }, [fetchLines])
+
+  const handleImport = async () => {
+    if (!importFile) {
+      toast.error('Please select a statement file')
+      return
+    }
+
+    try {
+      setImporting(true)
+      const formData = new FormData()
+      formData.append('file', importFile)
+      formData.append('amount_tolerance', amountTolerance || '0')
+      formData.append('date_tolerance_days', dateTolerance || '0')
+      const response = await uploadFile('/reconciliation/statements', formData)
+      toast.success(response.data.message)
+      if (response.data.data.statement.duplicate_count > 0) {
+        toast(`${response.data.data.statement.duplicate_count} lines were already imported and were skipped`)
+      }
+      if (response.data.data.errors?.length > 0) {
+        toast.error(`${response.data.data.errors.length} lines could not be parsed`)
+      }
+      setImportFile(null)
+      setActiveTab('matched')
+      fetchStatements(response.data.data.statement.id)
+    } catch (error) {
+      console.error('Error importing statement:', error)
+      toast.error(error.response?.data?.message || 'Failed to import statement')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const confirmLine = async (line) => {
+    const paymentId = choices[line.id] || line.matched_payment_id
+    if (!paymentId) {
+      toast.error('Select the payment this line belongs to')
+      return
+    }
+
+    try {
+      setWorking(prev => ({ ...prev, [line.id]: true }))
+      await api.post(`/reconciliation/lines/${line.id}/confirm`, { payment_id: paymentId })
+      toast.success('Line confirmed; the UTR now awaits verification')
+      setLines(prev => prev.filter(l => l.id !== line.id))
+    } catch (error) {
+      console.error('Error confirming line:', error)
+      toast.error(error.response?.data?.message || 'Failed to confirm line')
+    } finally {
+      setWorking(prev => ({ ...prev, [line.id]: false }))
+    }
+  }
+
+  const ignoreLine = async (line) => {
+    try {
+      setWorking(prev => ({ ...prev, [line.id]: true }))
+      await api.post(`/reconciliation/lines/${line.id}/ignore`)
+      setLines(prev => prev.filter(l => l.id !== line.id))
+    } catch (error) {
+      console.error('Error ignoring line:', error)
+      toast.error(error.response?.data?.message || 'Failed to ignore line')
+    } finally {
+      setWorking(prev => ({ ...prev, [line.id]: false }))
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  const isOpenTab = ['matched', 'ambiguous', 'unmatched'].includes(activeTab)
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Bank Reconciliation</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Upload bank statements to match lines to open payments by UTR, amount and date.
+          Confirming a line records its UTR as a tranche on the payment.
+        </p>
+      </div>
+
+      {/* Import */}
+      <div className="card p-6 space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Import Statement</h3>
+        <p className="text-sm text-gray-500">
+          CSV (date, amount or credit/debit, narration and reference columns), MT940 or CAMT.053 XML.
+          Lines already imported from an earlier statement are skipped.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="md:col-span-2">
+            <input
+              type="file"
+              accept=".csv,.txt,.sta,.mt940,.940,.xml"
+              onChange={(e) => setImportFile(e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-700"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Amount tolerance (₹)</label>
+            <input type="number" step="0.01" min="0" value={amountTolerance} onChange={(e) => setAmountTolerance(e.target.value)} className="input-field" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Date tolerance (days)</label>
+            <input type="number" min="0" value={dateTolerance} onChange={(e) => setDateTolerance(e.target.value)} className="input-field" />
+          </div>
+        </div>
+        <button onClick={handleImport} disabled={importing} className="btn-primary inline-flex items-center">
+          {importing ? <LoadingSpinner size="sm" /> : <Upload className="h-4 w-4 mr-1" />}
+          <span className="ml-1">Import</span>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : statements.length === 0 ? (
+        <div className="text-center py-12 bg-white shadow rounded-lg">
+          <Landmark className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No statements imported yet</h3>
+          <p className="mt-1 text-sm text-gray-500">Import a bank statement to start reconciling payments.</p>
+        </div>
+      ) : (
+        <>
+          {/* Statement picker */}
+          <div className="bg-white p-4 rounded-lg shadow flex flex-wrap gap-4 items-end">
+            <div className="flex-1 min-w-64">
+              <label className="block text-sm font-medium text-gray-700">Statement</label>
+              <select
+                value={selectedStatement?.id || ''}
+                onChange={(e) => setSelectedStatement(statements.find(s => s.id === e.target.value))}
+                className="input-field"
+              >
+                {statements.map((statement) => (
+                  <option key={statement.id} value={statement.id}>
+                    {statement.file_name} ({statement.format.toUpperCase()}) — {new Date(statement.created_at).toLocaleString()}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {selectedStatement && (
+              <div className="text-sm text-gray-600">
+                {selectedStatement.line_count} lines • {selectedStatement.matched_count} matched •{' '}
+                {selectedStatement.ambiguous_count} ambiguous • {selectedStatement.unmatched_count} unmatched
+              </div>
+            )}
+          </div>
+
+          {/* Tabs */}
+          <div className="border-b border-gray-200">
+            <nav className="-mb-px flex space-x-8">
+              {tabs.map((tab) => (
+                <button
+                  key={tab.key}
+                  onClick={() => setActiveTab(tab.key)}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === tab.key
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </nav>
+          </div>
+
+          {/* Lines */}
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            {linesLoading ? (
+              <div className="flex justify-center py-12">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : lines.length === 0 ? (
+              <div className="text-center py-12">
+                <Landmark className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">No {activeTab} lines</h3>
+              </div>
+            ) : (
+              <div className="table-container">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR / Narration</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+                      {isOpenTab && (
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {lines.map((line) => (
+                      <tr key={line.id} className="hover:bg-gray-50 align-top">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(line.value_date).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span className={line.direction === 'debit' ? 'text-red-700' : 'text-green-700'}>
+                            {line.direction === 'debit' ? '-' : '+'}₹{Number(line.amount).toLocaleString()}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          <div className="font-mono text-gray-900">{line.utr_number || <span className="text-gray-400">No UTR found</span>}</div>
+                          <div className="text-xs text-gray-500 max-w-md truncate" title={line.narration}>{line.narration}</div>
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {line.match_reason && (
+                            <div className="text-xs text-gray-500 mb-1">{reasonLabels[line.match_reason] || line.match_reason}</div>
+                          )}
+                          {isOpenTab && line.candidates.length > 0 && (line.candidates.length > 1 || !line.matched_payment) ? (
+                            <select
+                              value={choices[line.id] || line.matched_payment_id || ''}
+                              onChange={(e) => setChoices(prev => ({ ...prev, [line.id]: e.target.value }))}
+                              className="input-field text-sm"
+                            >
+                              <option value="">Select payment…</option>
+                              {line.candidates.map((payment) => (
+                                <option key={payment.id} value={payment.id}>{describePayment(payment)}</option>
+                              ))}
+                            </select>
+                          ) : line.matched_payment ? (
+                            <div className="text-gray-900">{describePayment(line.matched_payment)}</div>
+                          ) : isOpenTab && line.candidates.length === 0 ? (
+                            <input
+                              value={choices[line.id] || ''}
+                              onChange={(e) => setChoices(prev => ({ ...prev, [line.id]: e.target.value.trim() }))}
+                              placeholder="Payment ID"
+                              className="input-field text-sm"
+                            />
+                          ) : (
+                            <span className="text-gray-400">-</span>
+                          )}
+                        </td>
+                        {isOpenTab && (
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                            <button
+                              onClick={() => confirmLine(line)}
+                              disabled={working[line.id] || !line.utr_number}
+                              title={line.utr_number ? 'Record this UTR against the payment' : 'Lines without a UTR cannot be confirmed'}
+                              className="inline-flex items-center text-green-600 hover:text-green-900 disabled:text-gray-300"
+                            >
+                              <Check className="h-4 w-4 mr-1" />
+                              Confirm
+                            </button>
+                            <button
+                              onClick={() => ignoreLine(line)}
+                              disabled={working[line.id]}
+                              className="inline-flex items-center text-gray-600 hover:text-gray-900"
+                            >
+                              <EyeOff className="h-4 w-4 mr-1" />
+                              Ignore
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BankReconciliation
@@ -0,0 +1,298 @@
+/**
+ * Bulk Procurement page
+ * Starts the background job that creates procurement records for all allocations
+ * and shows its progress, failed indents and resume/retry actions
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Layers,
+  Play,
+  RefreshCw,
+  RotateCcw
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const POLL_INTERVAL_MS = 3000
+
+const statusClasses = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  completed_with_errors: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const isActive = (job) => job && ['queued', 'running'].includes(job.status)
+
+const BulkProcurement = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [jobs, setJobs] = useState([])
+  const [selectedJob, setSelectedJob] = useState(null)
+  const [failedItems, setFailedItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [starting, setStarting] = useState(false)
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await api.get('/jobs', { params: { job_type: 'procurement_bulk' } })
+      const list = response.data.data.jobs
+      setJobs(list)
+      return list
+    } catch (error) {
+      console.error('Error fetching jobs:', error)
+      toast.error('Failed to fetch bulk procurement jobs')
+      return []
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchJob = useCallback(async (jobId) => {
+    try {
+      const [jobResponse, itemsResponse] = await Promise.all([
+        api.get(`/jobs/${jobId}`),
+        api.get(`/jobs/${jobId}/items`, { params: { status: 'failed', limit: 200 } })
+      ])
+      setSelectedJob(jobResponse.data.data.job)
+      setFailedItems(itemsResponse.data.data.items)
+      return jobResponse.data.data.job
+    } catch (error) {
+      console.error('Error fetching job:', error)
+      toast.error('Failed to fetch job progress')
+      return null
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!admin) {
+      setLoading(false)
+      return
+    }
+    fetchJobs().then(list => {
+      if (list.length > 0) fetchJob(list[0].id)
+    })
+  }, [admin, fetchJobs, fetchJob])
+
+  // Poll the selected job while it is still queued or running
+  const selectedJobId = selectedJob?.id
+  const polling = isActive(selectedJob)
+
+  useEffect(() => {
+    if (!polling) return undefined
+
+    const timer = setInterval(async () => {
+      const job = await fetchJob(selectedJobId)
+      if (!isActive(job)) {
+        fetchJobs()
+        if (job?.status === 'completed') toast.success('Bulk procurement completed')
+        if (job?.status === 'completed_with_errors') toast.error(`Bulk procurement finished with ${job.failed_items} failures`)
+        if (job?.status === 'failed') toast.error('Bulk procurement job failed')
+      }
+    }, POLL_INTERVAL_MS)
+
+    return () => clearInterval(timer)
+  }, [polling, selectedJobId, fetchJob, fetchJobs])
+
+  const startJob = async () => {
+    try {
+      setStarting(true)
+      const response = await api.post('/procurement/process-all-allocations')
+      const { job_id: jobId, existing } = response.data.data
+      toast.success(existing ? 'A job is already in progress' : 'Bulk procurement started')
+      await fetchJobs()
+      fetchJob(jobId)
+    } catch (error) {
+      console.error('Error starting job:', error)
+      toast.error(error.response?.data?.message || 'Failed to start bulk procurement')
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const runAction = async (action) => {
+    try {
+      const response = await api.post(`/jobs/${selectedJob.id}/${action}`)
+      toast.success(response.data.message)
+      await fetchJob(selectedJob.id)
+      fetchJobs()
+    } catch (error) {
+      console.error(`Error running ${action}:`, error)
+      toast.error(error.response?.data?.message || `Failed to ${action} job`)
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4 flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Bulk Procurement</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Create procurement records for every allocation that does not have one yet
+          </p>
+        </div>
+        <button onClick={startJob} disabled={starting} className="btn-primary inline-flex items-center">
+          {starting ? <LoadingSpinner size="sm" /> : <Play className="h-4 w-4 mr-1" />}
+          <span className="ml-1">Process All Allocations</span>
+        </button>
+      </div>
+
+      {/* Selected job progress */}
+      {selectedJob && (
+        <div className="card p-6 space-y-4">
+          <div className="flex justify-between items-center">
+            <div className="flex items-center">
+              <Layers className="h-5 w-5 text-blue-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">
+                Job started {new Date(selectedJob.created_at).toLocaleString()}
+              </h3>
+              <span className={`ml-3 inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusClasses[selectedJob.status]}`}>
+                {selectedJob.status.replace(/_/g, ' ')}
+              </span>
+            </div>
+            <div className="flex space-x-2">
+              {(selectedJob.status === 'failed' || (isActive(selectedJob) && !selectedJob.is_running)) && (
+                <button onClick={() => runAction('resume')} className="btn-secondary inline-flex items-center">
+                  <RefreshCw className="h-4 w-4 mr-1" />
+                  Resume
+                </button>
+              )}
+              {selectedJob.failed_items > 0 && !isActive(selectedJob) && (
+                <button onClick={() => runAction('retry')} className="btn-secondary inline-flex items-center">
+                  <RotateCcw className="h-4 w-4 mr-1" />
+                  Retry Failed
+                </button>
+              )}
+            </div>
+          </div>
+
+          {!selectedJob.planned_at && isActive(selectedJob) ? (
+            <p className="text-sm text-gray-500">Finding allocations without procurement records...</p>
+          ) : (
+            <>
+              <div className="w-full bg-gray-200 rounded-full h-3">
+                <div
+                  className={`h-3 rounded-full ${selectedJob.failed_items > 0 ? 'bg-yellow-500' : 'bg-blue-600'}`}
+                  style={{ width: `${selectedJob.progress}%` }}
+                />
+              </div>
+              <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div><dt className="text-gray-500">Allocations</dt><dd className="font-semibold">{selectedJob.total_items}</dd></div>
+                <div><dt className="text-gray-500">Processed</dt><dd className="font-semibold">{selectedJob.processed_items} ({selectedJob.progress}%)</dd></div>
+                <div><dt className="text-gray-500">Succeeded</dt><dd className="font-semibold text-green-700">{selectedJob.succeeded_items}</dd></div>
+                <div><dt className="text-gray-500">Failed</dt><dd className="font-semibold text-red-700">{selectedJob.failed_items}</dd></div>
+              </dl>
+            </>
+          )}
+
+          {selectedJob.last_error && (
+            <p className="text-sm text-red-600">Job stopped: {selectedJob.last_error}</p>
+          )}
+
+          {failedItems.length > 0 && (
+            <div className="table-container">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Indent</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Error</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Attempts</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {failedItems.map((item) => (
+                    <tr key={item.id}>
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900">{item.item_key}</td>
+                      <td className="px-4 py-3 text-sm text-red-600">{item.error}</td>
+                      <td className="px-4 py-3 text-sm text-gray-500">{item.attempts}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Job history */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="table-container">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Succeeded / Failed / Total</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started By</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Finished</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {jobs.map((job) => (
+                <tr
+                  key={job.id}
+                  onClick={() => fetchJob(job.id)}
+                  className={`cursor-pointer hover:bg-gray-50 ${selectedJob?.id === job.id ? 'bg-blue-50' : ''}`}
+                >
+                  <td className="px-4 py-3 text-sm text-gray-900">{new Date(job.created_at).toLocaleString()}</td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusClasses[job.status]}`}>
+                      {job.status.replace(/_/g, ' ')}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {job.succeeded_items} / {job.failed_items} / {job.total_items}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {job.created_user ? `${job.created_user.first_name} ${job.created_user.last_name}` : '-'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {job.finished_at ? new Date(job.finished_at).toLocaleString() : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {jobs.length === 0 && (
+          <div className="text-center py-12">
+            <Layers className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No bulk procurement jobs yet</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Start a job to process all allocations in the background.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BulkProcurement
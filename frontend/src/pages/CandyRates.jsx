@@ -0,0 +1,272 @@
+/**
+ * Candy Rates page
+ * Admin management of candy rates and assumed bale weights by zone, branch and season
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Pencil,
+  Plus,
+  Scale,
+  Trash2
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const emptyForm = { zone: '', branch_id: '', season: '', candy_rate: '', assumed_bale_weight: '', notes: '' }
+
+const CandyRates = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [rates, setRates] = useState([])
+  const [branches, setBranches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+  const [editingId, setEditingId] = useState(null)
+
+  const fetchRates = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/config/candy-rates')
+      setRates(response.data.data.rates)
+    } catch (error) {
+      console.error('Error fetching candy rates:', error)
+      toast.error('Failed to fetch candy rates')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchBranches = useCallback(async () => {
+    try {
+      const response = await api.get('/dashboard/branch-info')
+      setBranches(response.data.data.data || [])
+    } catch (error) {
+      console.error('Error fetching branches:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (admin) {
+      fetchRates()
+      fetchBranches()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchRates, fetchBranches])
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target
+    setForm(prev => ({ ...prev, [name]: value }))
+  }
+
+  const resetForm = () => {
+    setForm(emptyForm)
+    setEditingId(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.candy_rate) {
+      toast.error('Candy rate is required')
+      return
+    }
+
+    const payload = {
+      zone: form.zone || null,
+      branch_id: form.branch_id || null,
+      season: form.season || null,
+      candy_rate: Number(form.candy_rate),
+      assumed_bale_weight: form.assumed_bale_weight ? Number(form.assumed_bale_weight) : null,
+      notes: form.notes || null
+    }
+
+    try {
+      setSaving(true)
+      if (editingId) {
+        await api.put(`/config/candy-rates/${editingId}`, payload)
+        toast.success('Candy rate updated')
+      } else {
+        await api.post('/config/candy-rates', payload)
+        toast.success('Candy rate added')
+      }
+      resetForm()
+      fetchRates()
+    } catch (error) {
+      console.error('Error saving candy rate:', error)
+      toast.error(error.response?.data?.message || 'Failed to save candy rate')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const startEdit = (rate) => {
+    setEditingId(rate.id)
+    setForm({
+      zone: rate.zone || '',
+      branch_id: rate.branch_id || '',
+      season: rate.season || '',
+      candy_rate: rate.candy_rate,
+      assumed_bale_weight: rate.assumed_bale_weight || '',
+      notes: rate.notes || ''
+    })
+  }
+
+  const deleteRate = async (rate) => {
+    if (!window.confirm('Delete this candy rate?')) return
+
+    try {
+      await api.delete(`/config/candy-rates/${rate.id}`)
+      toast.success('Candy rate deleted')
+      setRates(prev => prev.filter(r => r.id !== rate.id))
+    } catch (error) {
+      console.error('Error deleting candy rate:', error)
+      toast.error(error.response?.data?.message || 'Failed to delete candy rate')
+    }
+  }
+
+  const describeScope = (rate) => {
+    if (rate.branch_id) return `Branch: ${rate.branch_information?.branch_name || rate.branch_id}`
+    if (rate.zone) return rate.zone
+    return 'Default (all zones)'
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Candy Rates</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Used for cotton value in procurement and the assumed bale weight in DO specifications.
+          The most specific match wins: branch, then zone, then the default; a matching season beats no season.
+        </p>
+      </div>
+
+      {/* Add / edit form */}
+      <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">
+          {editingId ? 'Edit Candy Rate' : 'Add Candy Rate'}
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Zone</label>
+            <input name="zone" value={form.zone} onChange={handleFormChange} className="input-field" placeholder="Blank for default" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Branch</label>
+            <select name="branch_id" value={form.branch_id} onChange={handleFormChange} className="input-field">
+              <option value="">Any branch</option>
+              {branches.map((branch) => (
+                <option key={branch.id} value={branch.id}>{branch.branch_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Season (crop year)</label>
+            <input name="season" value={form.season} onChange={handleFormChange} className="input-field" placeholder="e.g. 2024-25" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Candy rate</label>
+            <input type="number" step="0.01" name="candy_rate" value={form.candy_rate} onChange={handleFormChange} className="input-field" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Assumed bale weight (kg)</label>
+            <input type="number" step="0.01" name="assumed_bale_weight" value={form.assumed_bale_weight} onChange={handleFormChange} className="input-field" placeholder="Blank = candy rate / 0.2812" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Notes</label>
+            <input name="notes" value={form.notes} onChange={handleFormChange} className="input-field" />
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <button type="submit" disabled={saving} className="btn-primary inline-flex items-center">
+            {saving ? <LoadingSpinner size="sm" /> : <Plus className="h-4 w-4 mr-1" />}
+            <span className="ml-1">{editingId ? 'Update' : 'Add'}</span>
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Rates table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Season</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Candy Rate</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Assumed Bale Weight</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Notes</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rates.map((rate) => (
+                  <tr key={rate.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{describeScope(rate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{rate.season || 'All'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{rate.candy_rate}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {Number(rate.effective_assumed_bale_weight).toFixed(2)} kg
+                      {rate.assumed_bale_weight === null && <span className="ml-1 text-xs text-gray-400">(derived)</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{rate.notes || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                      <button onClick={() => startEdit(rate)} className="inline-flex items-center text-blue-600 hover:text-blue-900">
+                        <Pencil className="h-4 w-4 mr-1" />
+                        Edit
+                      </button>
+                      <button onClick={() => deleteRate(rate)} className="inline-flex items-center text-red-600 hover:text-red-900">
+                        <Trash2 className="h-4 w-4 mr-1" />
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Empty State */}
+        {!loading && rates.length === 0 && (
+          <div className="text-center py-12">
+            <Scale className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No candy rates configured</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Calculators fall back to 48 for South Zone and 47 elsewhere until rates are added.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CandyRates
@@ -0,0 +1,458 @@
+/**
+ * Collection Accounts page
+ * Admin management of our collection bank accounts by branch or zone, and the CDU template per payment type
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Pencil,
+  Plus,
+  Wallet
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const emptyForm = {
+  account_name: '',
+  bank_name: '',
+  bank_branch: '',
+  account_number: '',
+  ifsc_code: '',
+  zone: '',
+  branch_id: '',
+  payment_type: '',
+  priority: 100,
+  notes: ''
+}
+
+const paymentTypes = ['EMD', 'DO_PAYMENT', 'LATE_LIFTING']
+
+const CollectionAccounts = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [accounts, setAccounts] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [branches, setBranches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+  const [editingId, setEditingId] = useState(null)
+  const [templateEdits, setTemplateEdits] = useState({})
+
+  const fetchConfig = useCallback(async () => {
+    try {
+      setLoading(true)
+      const [accountsResponse, templatesResponse] = await Promise.all([
+        api.get('/config/collection-accounts'),
+        api.get('/config/cdu-templates')
+      ])
+      setAccounts(accountsResponse.data.data.accounts)
+      setTemplates(templatesResponse.data.data.templates)
+    } catch (error) {
+      console.error('Error fetching collection accounts:', error)
+      toast.error('Failed to fetch collection accounts')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchBranches = useCallback(async () => {
+    try {
+      const response = await api.get('/dashboard/branch-info')
+      setBranches(response.data.data.data || [])
+    } catch (error) {
+      console.error('Error fetching branches:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (admin) {
+      fetchConfig()
+      fetchBranches()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchConfig, fetchBranches])
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target
+    setForm(prev => ({ ...prev, [name]: value }))
+  }
+
+  const resetForm = () => {
+    setForm(emptyForm)
+    setEditingId(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.account_name || !form.bank_name || !form.account_number || !form.ifsc_code) {
+      toast.error('Account name, bank, account number and IFSC are required')
+      return
+    }
+
+    const payload = {
+      account_name: form.account_name,
+      bank_name: form.bank_name,
+      bank_branch: form.bank_branch || null,
+      account_number: form.account_number,
+      ifsc_code: form.ifsc_code.toUpperCase(),
+      zone: form.zone || null,
+      branch_id: form.branch_id || null,
+      payment_type: form.payment_type || null,
+      priority: Number(form.priority) || 0,
+      notes: form.notes || null
+    }
+
+    try {
+      setSaving(true)
+      if (editingId) {
+        await api.put(`/config/collection-accounts/${editingId}`, payload)
+        toast.success('Collection account updated')
+      } else {
+        await api.post('/config/collection-accounts', payload)
+        toast.success('Collection account added')
+      }
+      resetForm()
+      fetchConfig()
+    } catch (error) {
+      console.error('Error saving collection account:', error)
+      toast.error(error.response?.data?.message || 'Failed to save collection account')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const startEdit = (account) => {
+    setEditingId(account.id)
+    setForm({
+      account_name: account.account_name,
+      bank_name: account.bank_name,
+      bank_branch: account.bank_branch || '',
+      account_number: account.account_number,
+      ifsc_code: account.ifsc_code,
+      zone: account.zone || '',
+      branch_id: account.branch_id || '',
+      payment_type: account.payment_type || '',
+      priority: account.priority,
+      notes: account.notes || ''
+    })
+  }
+
+  const toggleActive = async (account) => {
+    try {
+      await api.put(`/config/collection-accounts/${account.id}`, { is_active: !account.is_active })
+      toast.success(account.is_active ? 'Collection account retired' : 'Collection account reactivated')
+      setAccounts(prev => prev.map(a => (a.id === account.id ? { ...a, is_active: !a.is_active } : a)))
+    } catch (error) {
+      console.error('Error updating collection account:', error)
+      toast.error(error.response?.data?.message || 'Failed to update collection account')
+    }
+  }
+
+  const handleTemplateChange = (paymentType, field, value) => {
+    setTemplateEdits(prev => ({
+      ...prev,
+      [paymentType]: { ...prev[paymentType], [field]: value }
+    }))
+  }
+
+  const saveTemplate = async (template) => {
+    const edits = templateEdits[template.payment_type]
+    if (!edits) return
+
+    const payload = { ...edits }
+    if (payload.rtgs_min_amount !== undefined) payload.rtgs_min_amount = Number(payload.rtgs_min_amount)
+    if (payload.due_in_days !== undefined) payload.due_in_days = payload.due_in_days === '' ? null : Number(payload.due_in_days)
+
+    try {
+      const response = await api.put(`/config/cdu-templates/${template.payment_type}`, payload)
+      toast.success(`${template.payment_type} template updated`)
+      setTemplates(prev => prev.map(t => (t.id === template.id ? response.data.data.template : t)))
+      setTemplateEdits(prev => ({ ...prev, [template.payment_type]: undefined }))
+    } catch (error) {
+      console.error('Error updating CDU template:', error)
+      toast.error(error.response?.data?.message || 'Failed to update CDU template')
+    }
+  }
+
+  const templateValue = (template, field) => {
+    const edits = templateEdits[template.payment_type]
+    if (edits && edits[field] !== undefined) return edits[field]
+    return template[field] ?? ''
+  }
+
+  const describeScope = (account) => {
+    if (account.branch_id) return `Branch: ${account.branch_information?.branch_name || account.branch_id}`
+    if (account.zone) return account.zone
+    return 'Default (all zones)'
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Collection Accounts &amp; CDU Templates</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          A CDU is drawn against the most specific active account: branch, then zone, then the default; an account
+          dedicated to the payment type beats a general one and lower priority breaks ties. Without any account, CDUs
+          name State Bank of India with no account number.
+        </p>
+      </div>
+
+      {/* CDU templates */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">CDU Templates</h3>
+          <p className="text-sm text-gray-500">
+            RTGS payments below the minimum use the fallback mode. Remarks accept {'{indent_number}'}, {'{firm_name}'} and {'{payment_type}'}.
+          </p>
+        </div>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount From</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">RTGS Minimum</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fallback</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due In (days)</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Remarks</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {templates.map((template) => (
+                  <tr key={template.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900">{template.payment_type}</div>
+                      <div className="text-xs text-gray-500">{template.label}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <select
+                        value={templateValue(template, 'amount_source')}
+                        onChange={(e) => handleTemplateChange(template.payment_type, 'amount_source', e.target.value)}
+                        className="input-field text-sm"
+                      >
+                        <option value="emd_amount">Procurement EMD</option>
+                        <option value="manual">Entered on CDU</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <select
+                        value={templateValue(template, 'payment_mode')}
+                        onChange={(e) => handleTemplateChange(template.payment_type, 'payment_mode', e.target.value)}
+                        className="input-field text-sm"
+                      >
+                        <option value="RTGS">RTGS</option>
+                        <option value="NEFT">NEFT</option>
+                        <option value="IMPS">IMPS</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <input
+                        type="number"
+                        min="0"
+                        value={templateValue(template, 'rtgs_min_amount')}
+                        onChange={(e) => handleTemplateChange(template.payment_type, 'rtgs_min_amount', e.target.value)}
+                        className="input-field text-sm w-32"
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <select
+                        value={templateValue(template, 'fallback_payment_mode')}
+                        onChange={(e) => handleTemplateChange(template.payment_type, 'fallback_payment_mode', e.target.value)}
+                        className="input-field text-sm"
+                      >
+                        <option value="NEFT">NEFT</option>
+                        <option value="IMPS">IMPS</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <input
+                        type="number"
+                        min="0"
+                        value={templateValue(template, 'due_in_days')}
+                        onChange={(e) => handleTemplateChange(template.payment_type, 'due_in_days', e.target.value)}
+                        className="input-field text-sm w-20"
+                        placeholder="Procurement"
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <input
+                        value={templateValue(template, 'remarks_template')}
+                        onChange={(e) => handleTemplateChange(template.payment_type, 'remarks_template', e.target.value)}
+                        className="input-field text-sm"
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <button
+                        onClick={() => saveTemplate(template)}
+                        disabled={!templateEdits[template.payment_type]}
+                        className="btn-primary text-sm disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add / edit account form */}
+      <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">
+          {editingId ? 'Edit Collection Account' : 'Add Collection Account'}
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Account name</label>
+            <input name="account_name" value={form.account_name} onChange={handleFormChange} className="input-field" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Bank</label>
+            <input name="bank_name" value={form.bank_name} onChange={handleFormChange} className="input-field" placeholder="e.g. State Bank of India" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Bank branch</label>
+            <input name="bank_branch" value={form.bank_branch} onChange={handleFormChange} className="input-field" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Account number</label>
+            <input name="account_number" value={form.account_number} onChange={handleFormChange} className="input-field font-mono" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">IFSC</label>
+            <input name="ifsc_code" value={form.ifsc_code} onChange={handleFormChange} className="input-field font-mono uppercase" maxLength={11} placeholder="e.g. SBIN0001234" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Zone</label>
+            <input name="zone" value={form.zone} onChange={handleFormChange} className="input-field" placeholder="Blank for default" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Branch</label>
+            <select name="branch_id" value={form.branch_id} onChange={handleFormChange} className="input-field">
+              <option value="">Any branch</option>
+              {branches.map((branch) => (
+                <option key={branch.id} value={branch.id}>{branch.branch_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Payment type</label>
+            <select name="payment_type" value={form.payment_type} onChange={handleFormChange} className="input-field">
+              <option value="">All payment types</option>
+              {paymentTypes.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Priority</label>
+            <input type="number" min="0" name="priority" value={form.priority} onChange={handleFormChange} className="input-field" />
+          </div>
+          <div className="md:col-span-3">
+            <label className="block text-sm font-medium text-gray-700">Notes</label>
+            <input name="notes" value={form.notes} onChange={handleFormChange} className="input-field" />
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <button type="submit" disabled={saving} className="btn-primary inline-flex items-center">
+            {saving ? <LoadingSpinner size="sm" /> : <Plus className="h-4 w-4 mr-1" />}
+            <span className="ml-1">{editingId ? 'Update' : 'Add'}</span>
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Accounts table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {!loading && (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">IFSC</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {accounts.map((account) => (
+                  <tr key={account.id} className={`hover:bg-gray-50 ${account.is_active ? '' : 'opacity-50'}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{describeScope(account)}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="text-gray-900">{account.account_name}</div>
+                      <div className="text-xs text-gray-500">
+                        {account.bank_name}{account.bank_branch && `, ${account.bank_branch}`} • <span className="font-mono">{account.account_number}</span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-700">{account.ifsc_code}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{account.payment_type || 'All'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{account.priority}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                      <button onClick={() => startEdit(account)} className="inline-flex items-center text-blue-600 hover:text-blue-900">
+                        <Pencil className="h-4 w-4 mr-1" />
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => toggleActive(account)}
+                        className={account.is_active ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}
+                      >
+                        {account.is_active ? 'Retire' : 'Reactivate'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Empty State */}
+        {!loading && accounts.length === 0 && (
+          <div className="text-center py-12">
+            <Wallet className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No collection accounts configured</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Add a default account (no zone or branch) so every CDU carries an account number and IFSC.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CollectionAccounts
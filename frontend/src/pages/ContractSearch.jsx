@@ -8,6 +8,7 @@ import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import ContractHistory from '../components/ContractHistory'
 import {
   Search,
   FileText,
@@ -17,7 +18,8 @@ import {
   Filter,
   CheckCircle,
   Clock,
-  Eye
+  History,
+  CalendarClock
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 import { useForm } from 'react-hook-form';
@@ -43,6 +45,8 @@ const ContractSearch = () => {
   const [showIndentStatus, setShowIndentStatus] = useState(false)
   const [filterStatus, setFilterStatus] = useState('all') // 'all', 'pending', 'uploaded'
   const [searchTerm, setSearchTerm] = useState('')
+  const [activeContract, setActiveContract] = useState(null)
+  const [historyIndent, setHistoryIndent] = useState(null)
 
   const { register, handleSubmit, formState: { errors }, setValue } = useForm({
     resolver: yupResolver(schema),
@@ -55,6 +59,7 @@ const ContractSearch = () => {
     try {
       setLoading(true)
       setProcurement(null)
+      setActiveContract(null)
       setSearched(false)
       const response = await api.get('/contract/search', {
         params: { indent_number: indentNumber }
@@ -101,7 +106,11 @@ const ContractSearch = () => {
     navigate('/contract/upload', {
       state: {
         procurement,
-        indentNumber: procurement.indent_number
+        indentNumber: procurement.indent_number,
+        activeContract: activeContract && {
+          version_number: activeContract.version_number,
+          status: activeContract.status
+        }
       }
     })
   }
@@ -124,7 +133,11 @@ const ContractSearch = () => {
               }
             }
           },
-          indentNumber: indent.indent_number
+          indentNumber: indent.indent_number,
+          activeContract: indent.contract_version && {
+            version_number: indent.contract_version,
+            status: indent.contract_status
+          }
         }
       })
     }
@@ -136,9 +149,11 @@ const ContractSearch = () => {
     if (filterStatus === 'all') {
       // No status filter
     } else if (filterStatus === 'pending') {
-      if (item.contract_status !== 'pending') return false
+      if (item.contract_version) return false
     } else if (filterStatus === 'uploaded') {
-      if (item.contract_status === 'pending') return false
+      if (!item.contract_version) return false
+    } else if (filterStatus === 'overdue') {
+      if (item.sla_status !== 'overdue') return false
     }
 
     // Filter by search term
@@ -273,7 +288,7 @@ const ContractSearch = () => {
                   <div>
                     <p className="text-sm font-medium text-yellow-700">Pending Contracts</p>
                     <p className="text-lg font-semibold text-yellow-900">
-                      {indentStatus.filter(item => item.contract_status === 'pending').length}
+                      {indentStatus.filter(item => !item.contract_version).length}
                     </p>
                   </div>
                 </div>
@@ -284,7 +299,7 @@ const ContractSearch = () => {
                   <div>
                     <p className="text-sm font-medium text-green-700">Uploaded Contracts</p>
                     <p className="text-lg font-semibold text-green-900">
-                      {indentStatus.filter(item => item.contract_status !== 'pending').length}
+                      {indentStatus.filter(item => item.contract_version).length}
                     </p>
                   </div>
                 </div>
@@ -314,6 +329,7 @@ const ContractSearch = () => {
                   <option value="all">All Indents</option>
                   <option value="pending">Pending Contracts</option>
                   <option value="uploaded">Uploaded Contracts</option>
+                  <option value="overdue">Overdue Contracts</option>
                 </select>
               </div>
               <div className="flex items-center space-x-2">
@@ -365,6 +381,9 @@ const ContractSearch = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Contract Status
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Contract Due
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Actions
                       </th>
@@ -372,67 +391,110 @@ const ContractSearch = () => {
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
                     {filteredIndentStatus.map((indent) => (
-                      <tr key={indent.indent_number} className="hover:bg-gray-50">
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-medium text-gray-900">
-                            {indent.indent_number}
-                          </div>
-                          <div className="text-sm text-gray-500">
-                            {indent.bale_quantity?.toLocaleString()} bales
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm text-gray-900">{indent.firm_name}</div>
-                          <div className="text-sm text-gray-500">
-                            ₹{indent.total_amount?.toLocaleString()}
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm text-gray-900">{indent.branch_name}</div>
-                          <div className="text-sm text-gray-500">{indent.branch_code}</div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          {indent.contract_status === 'pending' ? (
-                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                              <Clock className="h-3 w-3 mr-1" />
-                              Pending
-                            </span>
-                          ) : indent.contract_status === 'sent' ? (
-                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                              <CheckCircle className="h-3 w-3 mr-1" />
-                              Sent
-                            </span>
-                          ) : (
-                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                              <FileText className="h-3 w-3 mr-1" />
-                              Uploaded
-                            </span>
-                          )}
-                          {indent.contract_uploaded_at && (
-                            <div className="text-xs text-gray-500 mt-1">
-                              {new Date(indent.contract_uploaded_at).toLocaleDateString()}
+                      <React.Fragment key={indent.indent_number}>
+                        <tr className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">
+                              {indent.indent_number}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              {indent.bale_quantity?.toLocaleString()} bales
                             </div>
-                          )}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                          {indent.contract_status === 'pending' ? (
-                            <button
-                              onClick={() => uploadForIndent(indent.indent_number)}
-                              className="text-blue-600 hover:text-blue-900 btn-secondary"
-                            >
-                              <FileText className="h-4 w-4 mr-1" />
-                              Upload Contract
-                            </button>
-                          ) : (
-                            <div className="flex items-center space-x-2">
-                              <span className="text-green-600 text-sm">Contract uploaded</span>
-                              {indent.contract_file_name && (
-                                <Eye className="h-4 w-4 text-gray-400" />
-                              )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm text-gray-900">{indent.firm_name}</div>
+                            <div className="text-sm text-gray-500">
+                              ₹{indent.total_amount?.toLocaleString()}
                             </div>
-                          )}
-                        </td>
-                      </tr>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm text-gray-900">{indent.branch_name}</div>
+                            <div className="text-sm text-gray-500">{indent.branch_code}</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            {!indent.contract_version ? (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                <Clock className="h-3 w-3 mr-1" />
+                                Pending
+                              </span>
+                            ) : indent.contract_status === 'sent' ? (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                <CheckCircle className="h-3 w-3 mr-1" />
+                                Sent
+                              </span>
+                            ) : (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                <FileText className="h-3 w-3 mr-1" />
+                                {indent.contract_status === 'pending' ? 'Uploaded' : indent.contract_status}
+                              </span>
+                            )}
+                            {indent.contract_version && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                v{indent.contract_version}
+                                {indent.contract_version_count > 1 && ` (${indent.contract_version_count} versions)`}
+                              </div>
+                            )}
+                            {indent.contract_uploaded_at && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                {new Date(indent.contract_uploaded_at).toLocaleDateString()}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            {indent.contract_due_date && (
+                              <div className="text-sm text-gray-900">
+                                {new Date(`${indent.contract_due_date}T00:00:00`).toLocaleDateString()}
+                              </div>
+                            )}
+                            {indent.sla_status === 'overdue' && (
+                              <span className="inline-flex items-center px-2.5 py-0.5 mt-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                <CalendarClock className="h-3 w-3 mr-1" />
+                                {indent.business_days_overdue} business days overdue
+                              </span>
+                            )}
+                            {indent.sla_status === 'late' && (
+                              <div className="text-xs text-orange-600 mt-1">
+                                Uploaded {indent.business_days_overdue} business days late
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            {!indent.contract_version ? (
+                              <button
+                                onClick={() => uploadForIndent(indent.indent_number)}
+                                className="text-blue-600 hover:text-blue-900 btn-secondary"
+                              >
+                                <FileText className="h-4 w-4 mr-1" />
+                                Upload Contract
+                              </button>
+                            ) : (
+                              <div className="flex items-center space-x-3">
+                                <button
+                                  onClick={() => setHistoryIndent(historyIndent === indent.indent_number ? null : indent.indent_number)}
+                                  className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                                >
+                                  <History className="h-4 w-4 mr-1" />
+                                  History
+                                </button>
+                                <button
+                                  onClick={() => uploadForIndent(indent.indent_number)}
+                                  className="inline-flex items-center text-gray-600 hover:text-gray-900"
+                                >
+                                  <FileText className="h-4 w-4 mr-1" />
+                                  New Version
+                                </button>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                        {historyIndent === indent.indent_number && (
+                          <tr>
+                            <td colSpan={6} className="px-6 py-4 bg-gray-50">
+                              <ContractHistory indentNumber={indent.indent_number} />
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -563,6 +625,14 @@ const ContractSearch = () => {
                 </div>
               )}
 
+              {/* Contract Versions */}
+              <div className="mb-6">
+                <ContractHistory
+                  indentNumber={procurement.indent_number}
+                  onLoaded={(history) => setActiveContract(history.active_version)}
+                />
+              </div>
+
               {/* Action Button */}
               <div className="flex justify-end">
                 <button
@@ -570,7 +640,7 @@ const ContractSearch = () => {
                   className="btn-primary"
                 >
                   <FileText className="h-4 w-4 mr-2" />
-                  Proceed to Upload Contract
+                  {activeContract ? `Upload Version ${activeContract.version_number + 1}` : 'Proceed to Upload Contract'}
                   <ArrowRight className="h-4 w-4 ml-2" />
                 </button>
               </div>
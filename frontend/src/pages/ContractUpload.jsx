@@ -6,7 +6,7 @@
 import React, { useState, useEffect } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import api from '../services/api'
+import { uploadFile } from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
 import {
   FileText,
@@ -23,8 +23,6 @@ import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import { Tooltip } from 'react-tooltip';
 
-const N8N_CONTRACT_UPLOAD_WEBHOOK='https://webhook-processor-production-b54b.up.railway.app/webhook/contract-upload';
-
 const schema = yup.object().shape({
   contract: yup
     .mixed()
@@ -51,6 +49,10 @@ const ContractUpload = () => {
   // Get procurement data from location state or redirect if not found
   const procurement = location.state?.procurement
   const indentNumber = location.state?.indentNumber
+  // Set when the indent already has a contract; this upload becomes its next version
+  const activeContract = location.state?.activeContract
+  const amendsApproved = ['approved', 'sent'].includes(activeContract?.status)
+  const [amendmentReason, setAmendmentReason] = useState('')
 
   const { register, handleSubmit, setValue, formState: { errors } } = useForm({
     resolver: yupResolver(schema),
@@ -114,31 +116,26 @@ const ContractUpload = () => {
       toast.error('Please select a PDF file');
       return;
     }
-    // Extract branch email from procurement object
-    const branchEmail = procurement?.allocation?.branch_information?.branch_email_id || '';
+    if (amendsApproved && !amendmentReason.trim()) {
+      toast.error('Please give a reason for amending the approved contract');
+      return;
+    }
     try {
       setUploading(true);
       const formData = new FormData();
       formData.append('contract', file);
       formData.append('indent_number', indentNumber);
-      formData.append('firm_name', procurement.firm_name);
-      // Add branch email if available
-      formData.append('branch_email_id', branchEmail);
-      const response = await fetch(N8N_CONTRACT_UPLOAD_WEBHOOK, {
-        method: 'POST',
-        body: formData
-      });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to upload contract');
+      if (amendmentReason.trim()) {
+        formData.append('amendment_reason', amendmentReason.trim());
       }
-      const responseData = await response.json();
-      setUploadedContract(responseData.data?.contract || responseData.data);
+      const response = await uploadFile('/contract/upload', formData);
+      setUploadedContract(response.data.data.contract);
       setUploaded(true);
       toast.success('Contract uploaded successfully!');
     } catch (error) {
       console.error('Error uploading contract:', error);
-      toast.error(error.message || 'Failed to upload contract');
+      const fieldErrors = error.response?.data?.errors;
+      toast.error(fieldErrors?.[0]?.message || error.response?.data?.message || 'Failed to upload contract');
     } finally {
       setUploading(false);
     }
@@ -184,6 +181,10 @@ const ContractUpload = () => {
                 <span className="font-medium text-green-900">Firm Name:</span>
                 <span className="text-green-800">{procurement.firm_name}</span>
               </div>
+              <div className="flex justify-between">
+                <span className="font-medium text-green-900">Version:</span>
+                <span className="text-green-800">v{uploadedContract?.version_number}</span>
+              </div>
               <div className="flex justify-between">
                 <span className="font-medium text-green-900">File Name:</span>
                 <span className="text-green-800">{uploadedContract?.file_name}</span>
@@ -290,6 +291,28 @@ const ContractUpload = () => {
           </p>
         </div>
 
+        {/* New Version */}
+        {activeContract && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <p className="text-sm text-yellow-900">
+              This upload becomes <strong>version {activeContract.version_number + 1}</strong> and replaces
+              version {activeContract.version_number} ({activeContract.status}).
+            </p>
+            <label htmlFor="amendment-reason" className="block text-sm font-medium text-yellow-900 mt-3 mb-1">
+              Amendment reason{amendsApproved ? ' *' : ''}
+            </label>
+            <textarea
+              id="amendment-reason"
+              value={amendmentReason}
+              onChange={(e) => setAmendmentReason(e.target.value)}
+              rows={2}
+              maxLength={500}
+              className="input-field"
+              placeholder="What changed from the previous version?"
+            />
+          </div>
+        )}
+
         {/* Drop Zone */}
         <form onSubmit={e => { e.preventDefault(); uploadContract(); }}>
           <div
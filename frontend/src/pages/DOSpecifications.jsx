@@ -23,6 +23,7 @@ export default function DOSpecifications() {
   const [gstRate, setGstRate] = useState(0.18);
   const [zone, setZone] = useState('South Zone');
   const [customerId, setCustomerId] = useState('');
+  const [indentNumber, setIndentNumber] = useState('');
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -141,6 +142,7 @@ export default function DOSpecifications() {
       }
       const payload = {
         customer_id: customerId,
+        indent_number: indentNumber.trim() || undefined,
         total_lots: lots.length,
         bid_price: Number(bidPrice),
         emd_amount: Number(emdAmount),
@@ -185,6 +187,10 @@ export default function DOSpecifications() {
             </select>
           )}
         </div>
+        <div>
+          <label className="block font-medium">Indent Number</label>
+          <input type="text" className="border rounded p-2" value={indentNumber} onChange={e => setIndentNumber(e.target.value)} placeholder="Optional" />
+        </div>
         <div>
           <label className="block font-medium">Bid Price</label>
           <input type="number" className="border rounded p-2" value={bidPrice} onChange={e => setBidPrice(e.target.value)} />
@@ -294,7 +300,7 @@ export default function DOSpecifications() {
                   <ul className="list-disc ml-6">
                     {lot.late_lifting_breakdown.map((b, bIdx) => (
                       <li key={bIdx}>
-                        {b.lots} lots on {b.delivery_date}: {b.rate_label}, Charge: {b.total_charge.toFixed(3)} (GST: {b.gst.toFixed(3)})
+                        {b.lots} lots on {b.delivery_date}: {b.rate_label}, Charge: {b.total_charge.toFixed(2)} (GST: {b.gst.toFixed(2)})
                       </li>
                     ))}
                   </ul>
@@ -307,6 +313,9 @@ export default function DOSpecifications() {
             <div>Total Weight Difference: <span className="font-mono">{result.summary.total_weight_difference}</span></div>
             <div>Total Interest: <span className="font-mono">{result.summary.total_interest}</span></div>
             <div>Total Late Lifting Charges: <span className="font-mono">{result.summary.total_late_lifting_charges}</span></div>
+            {result.summary.assumed_weight && (
+              <div>Assumed Bale Weight: <span className="font-mono">{result.summary.assumed_weight}</span></div>
+            )}
           </div>
         </div>
       )}
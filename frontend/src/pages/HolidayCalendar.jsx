@@ -0,0 +1,328 @@
+/**
+ * Holiday Calendar page
+ * Admin management of national and state holidays used for EMD and UTR due dates
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  CalendarDays,
+  Pencil,
+  Plus,
+  Trash2,
+  Upload
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const emptyForm = { holiday_date: '', name: '', state: '', description: '' }
+
+const HolidayCalendar = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [holidays, setHolidays] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [year, setYear] = useState(new Date().getFullYear())
+  const [stateFilter, setStateFilter] = useState('')
+  const [form, setForm] = useState(emptyForm)
+  const [editingId, setEditingId] = useState(null)
+  const [importFile, setImportFile] = useState(null)
+  const [importState, setImportState] = useState('')
+
+  // Fetch holidays for the selected year
+  const fetchHolidays = useCallback(async () => {
+    try {
+      setLoading(true)
+      const params = { year }
+      if (stateFilter) params.state = stateFilter
+      const response = await api.get('/holidays', { params })
+      setHolidays(response.data.data.holidays)
+    } catch (error) {
+      console.error('Error fetching holidays:', error)
+      toast.error('Failed to fetch holidays')
+    } finally {
+      setLoading(false)
+    }
+  }, [year, stateFilter])
+
+  useEffect(() => {
+    if (admin) {
+      fetchHolidays()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchHolidays])
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target
+    setForm(prev => ({ ...prev, [name]: value }))
+  }
+
+  const resetForm = () => {
+    setForm(emptyForm)
+    setEditingId(null)
+  }
+
+  // Create or update a holiday
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.holiday_date || !form.name) {
+      toast.error('Date and name are required')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const payload = {
+        holiday_date: form.holiday_date,
+        name: form.name,
+        state: form.state || null,
+        description: form.description || null
+      }
+      if (editingId) {
+        await api.put(`/holidays/${editingId}`, payload)
+        toast.success('Holiday updated')
+      } else {
+        await api.post('/holidays', payload)
+        toast.success('Holiday added')
+      }
+      resetForm()
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error saving holiday:', error)
+      toast.error(error.response?.data?.message || 'Failed to save holiday')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const startEdit = (holiday) => {
+    setEditingId(holiday.id)
+    setForm({
+      holiday_date: holiday.holiday_date,
+      name: holiday.name,
+      state: holiday.state || '',
+      description: holiday.description || ''
+    })
+  }
+
+  const deleteHoliday = async (holiday) => {
+    if (!window.confirm(`Delete ${holiday.name} on ${holiday.holiday_date}?`)) return
+
+    try {
+      await api.delete(`/holidays/${holiday.id}`)
+      toast.success('Holiday deleted')
+      setHolidays(prev => prev.filter(h => h.id !== holiday.id))
+    } catch (error) {
+      console.error('Error deleting holiday:', error)
+      toast.error(error.response?.data?.message || 'Failed to delete holiday')
+    }
+  }
+
+  // Bulk import from CSV or ICS
+  const handleImport = async () => {
+    if (!importFile) {
+      toast.error('Please select a CSV or ICS file')
+      return
+    }
+
+    try {
+      setImporting(true)
+      const formData = new FormData()
+      formData.append('file', importFile)
+      if (importState) formData.append('state', importState)
+      const response = await uploadFile('/holidays/import', formData)
+      const summary = response.data.data
+      toast.success(`Imported ${summary.imported} holidays (${summary.skipped} already present)`)
+      if (summary.errors?.length > 0) {
+        toast.error(`${summary.errors.length} lines could not be parsed`)
+      }
+      setImportFile(null)
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error importing holidays:', error)
+      toast.error(error.response?.data?.message || 'Failed to import holidays')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Holiday Calendar</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Bank holidays are skipped when calculating EMD and UTR due dates
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Add / edit form */}
+        <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            {editingId ? 'Edit Holiday' : 'Add Holiday'}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Date</label>
+              <input type="date" name="holiday_date" value={form.holiday_date} onChange={handleFormChange} className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input name="name" value={form.name} onChange={handleFormChange} className="input-field" placeholder="e.g. Republic Day" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">State</label>
+              <input name="state" value={form.state} onChange={handleFormChange} className="input-field" placeholder="Leave blank for national" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Description</label>
+              <input name="description" value={form.description} onChange={handleFormChange} className="input-field" />
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            <button type="submit" disabled={saving} className="btn-primary inline-flex items-center">
+              {saving ? <LoadingSpinner size="sm" /> : <Plus className="h-4 w-4 mr-1" />}
+              <span className="ml-1">{editingId ? 'Update' : 'Add'}</span>
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="btn-secondary">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {/* Bulk import */}
+        <div className="card p-6 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">Bulk Import</h3>
+          <p className="text-sm text-gray-500">
+            CSV files need a header row with <code>date</code> (YYYY-MM-DD) and <code>name</code> columns;
+            <code> state</code> and <code>description</code> are optional. ICS events are imported as
+            national holidays unless a state is given below.
+          </p>
+          <input
+            type="file"
+            accept=".csv,.ics"
+            onChange={(e) => setImportFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-gray-700"
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700">State for ICS events</label>
+            <input value={importState} onChange={(e) => setImportState(e.target.value)} className="input-field" placeholder="Optional" />
+          </div>
+          <button onClick={handleImport} disabled={importing} className="btn-primary inline-flex items-center">
+            {importing ? <LoadingSpinner size="sm" /> : <Upload className="h-4 w-4 mr-1" />}
+            <span className="ml-1">Import</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-lg shadow flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Year</label>
+          <input
+            type="number"
+            value={year}
+            onChange={(e) => setYear(Number(e.target.value))}
+            className="input-field w-32"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">State</label>
+          <input
+            value={stateFilter}
+            onChange={(e) => setStateFilter(e.target.value)}
+            className="input-field"
+            placeholder="All states"
+          />
+        </div>
+        <button onClick={fetchHolidays} className="btn-secondary">
+          Refresh
+        </button>
+      </div>
+
+      {/* Holidays table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {holidays.map((holiday) => (
+                  <tr key={holiday.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {new Date(`${holiday.holiday_date}T00:00:00`).toLocaleDateString(undefined, {
+                        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric'
+                      })}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{holiday.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`status-badge ${holiday.state ? 'status-pending' : 'status-active'}`}>
+                        {holiday.state || 'National'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{holiday.description || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                      <button onClick={() => startEdit(holiday)} className="inline-flex items-center text-blue-600 hover:text-blue-900">
+                        <Pencil className="h-4 w-4 mr-1" />
+                        Edit
+                      </button>
+                      <button onClick={() => deleteHoliday(holiday)} className="inline-flex items-center text-red-600 hover:text-red-900">
+                        <Trash2 className="h-4 w-4 mr-1" />
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Empty State */}
+        {!loading && holidays.length === 0 && (
+          <div className="text-center py-12">
+            <CalendarDays className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No holidays for {year}</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Add holidays above or import a CSV/ICS calendar.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default HolidayCalendar
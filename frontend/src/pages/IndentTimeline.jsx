@@ -0,0 +1,278 @@
+/**
+ * Indent Timeline page
+ * Where an indent stands, from allocation to DO specification, on one vertical timeline
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  CheckCircle,
+  Circle,
+  GitCommitVertical,
+  RefreshCw,
+  Search,
+  User
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const entryDotColors = {
+  success: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  error: 'bg-red-500',
+  info: 'bg-blue-500'
+}
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const IndentTimeline = () => {
+  const { indentNumber } = useParams()
+  const navigate = useNavigate()
+  const { isAdmin, isTrader, isVerifier } = useAuth()
+  const [search, setSearch] = useState(indentNumber || '')
+  const [timeline, setTimeline] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [notFound, setNotFound] = useState(false)
+  const [showActivity, setShowActivity] = useState(true)
+
+  const canView = isAdmin() || isTrader() || isVerifier()
+
+  const fetchTimeline = useCallback(async () => {
+    if (!indentNumber) {
+      setTimeline(null)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setNotFound(false)
+      const response = await api.get(`/indents/${encodeURIComponent(indentNumber)}/timeline`)
+      setTimeline(response.data.data)
+    } catch (error) {
+      console.error('Error fetching indent timeline:', error)
+      setTimeline(null)
+      if (error.response?.status === 404) {
+        setNotFound(true)
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to fetch indent timeline')
+      }
+    } finally {
+      setLoading(false)
+    }
+  }, [indentNumber])
+
+  useEffect(() => {
+    setSearch(indentNumber || '')
+    if (canView) {
+      fetchTimeline()
+    }
+  }, [indentNumber, canView, fetchTimeline])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    const value = search.trim()
+    if (value) {
+      navigate(`/indents/${encodeURIComponent(value)}/timeline`)
+    }
+  }
+
+  if (!canView) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  const currentStage = timeline?.stages.find(stage => stage.key === timeline.current_stage)
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Indent Timeline</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Every step of an indent, from allocation to delivery order
+            </p>
+          </div>
+          {timeline && (
+            <button onClick={fetchTimeline} className="btn-secondary flex items-center">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Search */}
+      <form onSubmit={handleSearch} className="card p-4 flex items-center gap-3">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Enter indent number"
+          className="input-field flex-1"
+        />
+        <button type="submit" className="btn-primary flex items-center" disabled={!search.trim()}>
+          <Search className="h-4 w-4 mr-2" />
+          Show Timeline
+        </button>
+      </form>
+
+      {loading && (
+        <div className="flex justify-center items-center h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      )}
+
+      {!loading && notFound && (
+        <div className="text-center py-12">
+          <GitCommitVertical className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Indent not found</h3>
+          <p className="mt-1 text-sm text-gray-500">No allocation exists for indent {indentNumber}.</p>
+        </div>
+      )}
+
+      {!loading && !notFound && !timeline && (
+        <div className="text-center py-12">
+          <GitCommitVertical className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No indent selected</h3>
+          <p className="mt-1 text-sm text-gray-500">Search for an indent number to see its timeline.</p>
+        </div>
+      )}
+
+      {!loading && timeline && (
+        <>
+          {/* Summary */}
+          <div className="card p-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Indent</p>
+                <Link to={`/allocation/${timeline.allocation.id}`} className="text-lg font-medium text-blue-600 hover:text-blue-800">
+                  {timeline.indent_number}
+                </Link>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Firm</p>
+                <p className="text-lg font-medium text-gray-900">{timeline.allocation.firm_name || '-'}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Branch</p>
+                <p className="text-lg font-medium text-gray-900">{timeline.allocation.branch_name || '-'}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Current Stage</p>
+                <p className="text-lg font-medium text-blue-700">{currentStage ? currentStage.label : 'Completed'}</p>
+              </div>
+            </div>
+          </div>
+
+          {/* Timeline */}
+          <div className="card p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-lg font-semibold text-gray-900">Lifecycle</h2>
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showActivity}
+                  onChange={(e) => setShowActivity(e.target.checked)}
+                  className="mr-2"
+                />
+                Show other activity
+              </label>
+            </div>
+
+            <ol className="relative border-l-2 border-gray-200 ml-3">
+              {timeline.stages.map(stage => {
+                const entries = timeline.entries.filter(entry =>
+                  entry.stage === stage.key && (showActivity || entry.kind === 'milestone')
+                )
+                const isCurrent = stage.status === 'current'
+
+                return (
+                  <li key={stage.key} className="mb-8 ml-6">
+                    <span
+                      className={`absolute -left-[13px] flex items-center justify-center w-6 h-6 rounded-full bg-white ${
+                        isCurrent ? 'ring-4 ring-blue-200' : ''
+                      }`}
+                    >
+                      {stage.status === 'completed' ? (
+                        <CheckCircle className="h-6 w-6 text-green-500" />
+                      ) : (
+                        <Circle className={`h-6 w-6 ${isCurrent ? 'text-blue-600 fill-blue-100' : 'text-gray-300'}`} />
+                      )}
+                    </span>
+
+                    <div className={`rounded-lg p-4 ${isCurrent ? 'bg-blue-50 border border-blue-200' : ''}`}>
+                      <div className="flex items-center justify-between">
+                        <h3 className={`text-base font-semibold ${stage.status === 'pending' ? 'text-gray-400' : 'text-gray-900'}`}>
+                          {stage.label}
+                          {isCurrent && (
+                            <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-600 text-white">
+                              Current stage
+                            </span>
+                          )}
+                        </h3>
+                        <span className="text-xs text-gray-500">
+                          {stage.completed_at
+                            ? `Completed ${formatDateTime(stage.completed_at)}`
+                            : stage.started_at ? `Started ${formatDateTime(stage.started_at)}` : ''}
+                        </span>
+                      </div>
+
+                      {entries.length === 0 ? (
+                        <p className="mt-2 text-sm text-gray-400">
+                          {isCurrent ? 'Waiting for this step' : stage.status === 'pending' ? 'Not started' : 'No recorded events'}
+                        </p>
+                      ) : (
+                        <ul className="mt-3 space-y-3">
+                          {entries.map((entry, index) => (
+                            <li key={`${entry.reference.table}-${entry.reference.id}-${entry.title}-${index}`} className="flex items-start">
+                              <span
+                                className={`mt-1.5 mr-3 h-2 w-2 flex-shrink-0 rounded-full ${
+                                  entry.kind === 'activity' ? 'bg-gray-300' : entryDotColors[entry.status] || 'bg-gray-400'
+                                }`}
+                              />
+                              <div className="flex-1 min-w-0">
+                                <div className="flex items-center justify-between">
+                                  <p className={`text-sm ${entry.kind === 'activity' ? 'text-gray-600' : 'font-medium text-gray-900'}`}>
+                                    {entry.title}
+                                  </p>
+                                  <span className="ml-4 text-xs text-gray-500 whitespace-nowrap">{formatDateTime(entry.occurred_at)}</span>
+                                </div>
+                                {entry.description && (
+                                  <p className="text-sm text-gray-500">{entry.description}</p>
+                                )}
+                                {entry.actor && (
+                                  <p className="mt-0.5 flex items-center text-xs text-gray-400">
+                                    <User className="h-3 w-3 mr-1" />
+                                    {entry.actor.name}
+                                  </p>
+                                )}
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </li>
+                )
+              })}
+            </ol>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default IndentTimeline
@@ -110,6 +110,7 @@ const Login = () => {
                   >
                     <option value="trader">Trader</option>
                     <option value="customer">Customer</option>
+                    <option value="verifier">Verifier</option>
                     <option value="admin">Admin</option>
                   </select>
                 </div>
@@ -0,0 +1,166 @@
+/**
+ * Notification Preferences page
+ * Lets any signed-in user (or customer) choose the channels they are notified on
+ */
+
+import React, { useState, useEffect } from 'react'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { Bell, Save } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const CHANNELS = [
+  { id: 'email', label: 'Email', addressLabel: 'Email address', placeholder: 'Defaults to your account email' },
+  { id: 'sms', label: 'SMS', addressLabel: 'Mobile number', placeholder: '10-digit mobile number' },
+  { id: 'whatsapp', label: 'WhatsApp', addressLabel: 'WhatsApp number', placeholder: '10-digit mobile number' }
+]
+
+const EVENTS = [
+  { id: 'payment_reminder', label: 'Overdue payment reminders' },
+  { id: 'lot_reminder', label: 'Lot acceptance reminders' },
+  { id: 'lot_acceptance_confirmation', label: 'Lot acceptance confirmations' }
+]
+
+// Channels on by default when no preference has been saved yet
+const DEFAULT_ENABLED = { email: true, sms: true, whatsapp: false }
+
+const buildSettings = (preferences) => Object.fromEntries(CHANNELS.map(({ id }) => {
+  const rows = preferences.filter(pref => pref.channel === id)
+  const channelRow = rows.find(pref => pref.event_key === '*')
+  return [id, {
+    enabled: channelRow ? channelRow.is_enabled : DEFAULT_ENABLED[id],
+    address: channelRow?.address || '',
+    overrides: Object.fromEntries(rows
+      .filter(pref => pref.event_key !== '*')
+      .map(pref => [pref.event_key, pref.is_enabled ? 'on' : 'off']))
+  }]
+}))
+
+const NotificationPreferences = () => {
+  const [settings, setSettings] = useState(buildSettings([]))
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await api.get('/notifications/preferences/me')
+      setSettings(buildSettings(response.data.data.preferences))
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error)
+      toast.error('Failed to fetch notification preferences')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchPreferences()
+  }, [])
+
+  const updateChannel = (channel, updates) => {
+    setSettings(prev => ({ ...prev, [channel]: { ...prev[channel], ...updates } }))
+  }
+
+  const updateOverride = (channel, eventKey, value) => {
+    setSettings(prev => ({
+      ...prev,
+      [channel]: { ...prev[channel], overrides: { ...prev[channel].overrides, [eventKey]: value } }
+    }))
+  }
+
+  const handleSave = async () => {
+    const preferences = CHANNELS.flatMap(({ id }) => {
+      const channel = settings[id]
+      return [
+        { channel: id, event_key: '*', is_enabled: channel.enabled, address: channel.address.trim() || null },
+        ...Object.entries(channel.overrides)
+          .filter(([, value]) => value === 'on' || value === 'off')
+          .map(([eventKey, value]) => ({ channel: id, event_key: eventKey, is_enabled: value === 'on' }))
+      ]
+    })
+
+    try {
+      setSaving(true)
+      const response = await api.put('/notifications/preferences/me', { preferences })
+      setSettings(buildSettings(response.data.data.preferences))
+      toast.success('Notification preferences saved')
+    } catch (error) {
+      console.error('Error saving notification preferences:', error)
+      const errors = error.response?.data?.errors
+      toast.error(errors ? errors.join(', ') : (error.response?.data?.message || 'Failed to save preferences'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Notification Preferences</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Choose how you receive reminders and confirmations. Channels the administrator has not switched on are not sent.
+          </p>
+        </div>
+        <button onClick={handleSave} disabled={saving} className="btn-primary flex items-center">
+          {saving ? <LoadingSpinner size="sm" /> : <Save className="h-4 w-4 mr-2" />}
+          Save Preferences
+        </button>
+      </div>
+
+      {CHANNELS.map(({ id, label, addressLabel, placeholder }) => (
+        <div key={id} className="card">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <label className="inline-flex items-center text-sm font-medium text-gray-900">
+              <input
+                type="checkbox"
+                checked={settings[id].enabled}
+                onChange={(e) => updateChannel(id, { enabled: e.target.checked })}
+                className="mr-2"
+              />
+              <Bell className="h-4 w-4 mr-1 text-gray-500" />
+              {label}
+            </label>
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-gray-500">{addressLabel}</span>
+              <input
+                value={settings[id].address}
+                onChange={(e) => updateChannel(id, { address: e.target.value })}
+                placeholder={placeholder}
+                className="input-field text-sm w-64"
+              />
+            </div>
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+            {EVENTS.map(event => (
+              <div key={event.id}>
+                <label className="block text-xs text-gray-500 mb-1">{event.label}</label>
+                <select
+                  value={settings[id].overrides[event.id] || ''}
+                  onChange={(e) => updateOverride(id, event.id, e.target.value)}
+                  className="input-field text-sm"
+                >
+                  <option value="">Same as {label}</option>
+                  <option value="on">Always on</option>
+                  <option value="off">Off</option>
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default NotificationPreferences
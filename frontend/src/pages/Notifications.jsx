@@ -0,0 +1,556 @@
+/**
+ * Notifications page
+ * Channel adapters, per-event templates and the delivery log with retry
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Bell,
+  CheckCircle,
+  Edit,
+  RefreshCw,
+  RotateCcw,
+  Send,
+  X
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const deliveryStatusColors = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const channelLabels = {
+  email: 'Email',
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  n8n: 'n8n'
+}
+
+const eventLabel = (eventKey) => eventKey.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase())
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const Notifications = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [channels, setChannels] = useState([])
+  const [fakeMode, setFakeMode] = useState(false)
+  const [fakeOutbox, setFakeOutbox] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [filters, setFilters] = useState({ status: '', channel: '', event_key: '' })
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false)
+  const [editingTemplate, setEditingTemplate] = useState(null)
+  const [testForm, setTestForm] = useState({ channel: 'email', address: '' })
+  const [working, setWorking] = useState({})
+
+  const fetchSetup = useCallback(async () => {
+    try {
+      const [channelsResponse, templatesResponse] = await Promise.all([
+        api.get('/notifications/channels'),
+        api.get('/notifications/templates')
+      ])
+      setChannels(channelsResponse.data.data.channels)
+      setFakeMode(channelsResponse.data.data.fake_mode)
+      setFakeOutbox(channelsResponse.data.data.fake_outbox)
+      setTemplates(templatesResponse.data.data.templates)
+    } catch (error) {
+      console.error('Error fetching notification setup:', error)
+      toast.error('Failed to fetch notification settings')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      setDeliveriesLoading(true)
+      const response = await api.get('/notifications/deliveries', {
+        params: {
+          page,
+          status: filters.status || undefined,
+          channel: filters.channel || undefined,
+          event_key: filters.event_key || undefined
+        }
+      })
+      setDeliveries(response.data.data.deliveries)
+      setPagination(response.data.data.pagination)
+    } catch (error) {
+      console.error('Error fetching deliveries:', error)
+      toast.error('Failed to fetch delivery log')
+    } finally {
+      setDeliveriesLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    if (admin) {
+      fetchSetup()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchSetup])
+
+  useEffect(() => {
+    if (admin) {
+      fetchDeliveries()
+    }
+  }, [admin, fetchDeliveries])
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPage(1)
+  }
+
+  const retryDelivery = async (delivery) => {
+    try {
+      setWorking(prev => ({ ...prev, [delivery.id]: true }))
+      const response = await api.post(`/notifications/deliveries/${delivery.id}/retry`)
+      if (response.data.data.delivery.status === 'sent') {
+        toast.success(response.data.message)
+      } else {
+        toast.error(`${response.data.message}: ${response.data.data.delivery.last_error}`)
+      }
+      fetchDeliveries()
+    } catch (error) {
+      console.error('Error retrying delivery:', error)
+      toast.error(error.response?.data?.message || 'Failed to retry notification')
+    } finally {
+      setWorking(prev => ({ ...prev, [delivery.id]: false }))
+    }
+  }
+
+  const updateTemplate = async (template, updates, message) => {
+    try {
+      setWorking(prev => ({ ...prev, [template.id]: true }))
+      await api.put(`/notifications/templates/${template.id}`, updates)
+      toast.success(message)
+      setEditingTemplate(null)
+      fetchSetup()
+    } catch (error) {
+      console.error('Error updating template:', error)
+      toast.error(error.response?.data?.message || 'Failed to update template')
+    } finally {
+      setWorking(prev => ({ ...prev, [template.id]: false }))
+    }
+  }
+
+  const handleSaveTemplate = (e) => {
+    e.preventDefault()
+    const { id, channel, subject_template, body_template, whatsapp_template_name } = editingTemplate
+    const updates = { body_template }
+    if (channel === 'email') {
+      updates.subject_template = subject_template || null
+    }
+    if (channel === 'whatsapp') {
+      updates.whatsapp_template_name = whatsapp_template_name || null
+    }
+    updateTemplate({ id }, updates, 'Template saved')
+  }
+
+  const sendTest = async (e) => {
+    e.preventDefault()
+    try {
+      setWorking(prev => ({ ...prev, test: true }))
+      const response = await api.post('/notifications/test', testForm)
+      const delivery = response.data.data.delivery
+      if (delivery.status === 'sent') {
+        toast.success(`Test ${channelLabels[delivery.channel]} sent via ${delivery.adapter}`)
+      } else {
+        toast.error(`Test failed: ${delivery.last_error}`)
+      }
+      fetchDeliveries()
+      if (fakeMode) {
+        fetchSetup()
+      }
+    } catch (error) {
+      console.error('Error sending test notification:', error)
+      toast.error(error.response?.data?.message || 'Failed to send test notification')
+    } finally {
+      setWorking(prev => ({ ...prev, test: false }))
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  const eventKeys = [...new Set(templates.map(template => template.event_key))]
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Notifications</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Reminders and confirmations go out on every active template's channel. Recipients can opt out per channel;
+          deliveries go through the outbox, which retries failures with increasing delays.
+        </p>
+      </div>
+
+      {fakeMode && (
+        <div className="rounded-md bg-yellow-50 p-4 text-sm text-yellow-800">
+          Fake mode is on (NOTIFICATIONS_FAKE=true): nothing leaves the server, messages are kept in memory below.
+        </div>
+      )}
+
+      {/* Channels */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {channels.map(channel => (
+          <div key={channel.channel} className="card">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-900">{channelLabels[channel.channel]}</span>
+              {channel.configured ? (
+                <CheckCircle className="h-5 w-5 text-green-500" />
+              ) : (
+                <AlertTriangle className="h-5 w-5 text-yellow-500" />
+              )}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              {channel.adapter} adapter{channel.configured ? '' : ' (not configured)'}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Test send */}
+      <form onSubmit={sendTest} className="card flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Channel</label>
+          <select
+            value={testForm.channel}
+            onChange={(e) => setTestForm(prev => ({ ...prev, channel: e.target.value }))}
+            className="input-field text-sm"
+          >
+            <option value="email">Email</option>
+            <option value="sms">SMS</option>
+            <option value="whatsapp">WhatsApp</option>
+          </select>
+        </div>
+        <div className="flex-1 min-w-[16rem]">
+          <label className="block text-xs text-gray-500 mb-1">
+            {testForm.channel === 'email' ? 'Email address' : 'Mobile number'}
+          </label>
+          <input
+            value={testForm.address}
+            onChange={(e) => setTestForm(prev => ({ ...prev, address: e.target.value }))}
+            className="input-field text-sm"
+            required
+          />
+        </div>
+        <button type="submit" disabled={working.test} className="btn-secondary flex items-center">
+          {working.test ? <LoadingSpinner size="sm" /> : <Send className="h-4 w-4 mr-2" />}
+          Send Test
+        </button>
+      </form>
+
+      {/* Edit template */}
+      {editingTemplate && (
+        <form onSubmit={handleSaveTemplate} className="card p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">
+              Edit Template: {eventLabel(editingTemplate.event_key)} · {channelLabels[editingTemplate.channel]}
+            </h3>
+            <button type="button" onClick={() => setEditingTemplate(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {editingTemplate.channel === 'email' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Subject</label>
+              <input
+                value={editingTemplate.subject_template || ''}
+                onChange={(e) => setEditingTemplate(prev => ({ ...prev, subject_template: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+          )}
+          {editingTemplate.channel === 'whatsapp' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Approved WhatsApp template name</label>
+              <input
+                value={editingTemplate.whatsapp_template_name || ''}
+                onChange={(e) => setEditingTemplate(prev => ({ ...prev, whatsapp_template_name: e.target.value }))}
+                placeholder="Leave empty to send the text below"
+                className="input-field"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                The placeholders below are sent as the template's parameters, in order.
+              </p>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Message</label>
+            <textarea
+              value={editingTemplate.body_template}
+              onChange={(e) => setEditingTemplate(prev => ({ ...prev, body_template: e.target.value }))}
+              rows={6}
+              className="input-field font-mono text-sm"
+              required
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button type="submit" disabled={working[editingTemplate.id]} className="btn-primary">
+              Save Template
+            </button>
+            <button type="button" onClick={() => setEditingTemplate(null)} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Templates */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Templates</h3>
+          <p className="text-xs text-gray-500">
+            Use {'{{placeholders}}'} such as {'{{recipient_name}}'} or {'{{indent_number}}'}. n8n receives the event payload instead of text.
+          </p>
+        </div>
+        <div className="table-container">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Channel</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Message</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Opt-in</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Active</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {templates.map(template => (
+                <tr key={template.id} className="align-top">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{eventLabel(template.event_key)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{channelLabels[template.channel]}</td>
+                  <td className="px-6 py-4 text-xs text-gray-700 max-w-md">
+                    {template.subject_template && <div className="font-medium">{template.subject_template}</div>}
+                    <div className="whitespace-pre-line">{template.body_template}</div>
+                    {template.whatsapp_template_name && (
+                      <div className="text-gray-500">WhatsApp template: {template.whatsapp_template_name}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {template.channel === 'n8n' ? (
+                      <span className="text-gray-400">-</span>
+                    ) : (
+                      <select
+                        value={template.default_opt_in ? 'in' : 'out'}
+                        onChange={(e) => updateTemplate(template, { default_opt_in: e.target.value === 'in' }, 'Default opt-in updated')}
+                        disabled={working[template.id]}
+                        className="input-field text-xs"
+                      >
+                        <option value="in">On by default</option>
+                        <option value="out">Off by default</option>
+                      </select>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <input
+                      type="checkbox"
+                      checked={template.is_active}
+                      onChange={(e) => updateTemplate(template, { is_active: e.target.checked }, e.target.checked ? 'Channel switched on' : 'Channel switched off')}
+                      disabled={working[template.id]}
+                    />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    {template.channel !== 'n8n' && (
+                      <button
+                        onClick={() => setEditingTemplate({ ...template })}
+                        className="text-blue-600 hover:text-blue-900"
+                        title="Edit template"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Delivery log */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+          <h3 className="text-lg font-medium text-gray-900">Delivery Log</h3>
+          <div className="flex flex-wrap items-center gap-3">
+            <select value={filters.event_key} onChange={(e) => handleFilterChange('event_key', e.target.value)} className="input-field text-sm">
+              <option value="">All events</option>
+              {eventKeys.map(eventKey => (
+                <option key={eventKey} value={eventKey}>{eventLabel(eventKey)}</option>
+              ))}
+            </select>
+            <select value={filters.channel} onChange={(e) => handleFilterChange('channel', e.target.value)} className="input-field text-sm">
+              <option value="">All channels</option>
+              {Object.entries(channelLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)} className="input-field text-sm">
+              <option value="">All statuses</option>
+              <option value="sent">Sent</option>
+              <option value="failed">Failed</option>
+              <option value="pending">Pending</option>
+            </select>
+            <button onClick={fetchDeliveries} className="text-gray-600 hover:text-gray-900" title="Refresh">
+              <RefreshCw className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+        {deliveriesLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : deliveries.length === 0 ? (
+          <div className="text-center py-12">
+            <Bell className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No deliveries</h3>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Channel</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Recipient</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Attempts</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {deliveries.map(delivery => (
+                  <tr key={delivery.id} className="align-top">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDateTime(delivery.created_at)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {eventLabel(delivery.event_key)}
+                      {delivery.subject && <div className="text-xs text-gray-500 max-w-xs truncate">{delivery.subject}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {channelLabels[delivery.channel] || delivery.channel}
+                      <div className="text-xs text-gray-500">{delivery.adapter}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {delivery.recipient_address || <span className="text-gray-400">Workflow</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${deliveryStatusColors[delivery.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {delivery.status}
+                      </span>
+                      {delivery.status === 'sent' && (
+                        <div className="text-xs text-gray-500">{formatDateTime(delivery.sent_at)}</div>
+                      )}
+                      {delivery.last_error && (
+                        <div className="text-xs text-red-600 max-w-xs truncate" title={delivery.last_error}>{delivery.last_error}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {delivery.outbox_event
+                        ? `${delivery.attempts}/${delivery.outbox_event.max_attempts}`
+                        : delivery.attempts}
+                      {delivery.status !== 'sent' && delivery.outbox_event?.status === 'pending' && (
+                        <div className="text-xs text-gray-500">Next: {formatDateTime(delivery.outbox_event.next_attempt_at)}</div>
+                      )}
+                      {delivery.outbox_event?.status === 'dead_letter' && (
+                        <div className="text-xs text-red-600">Dead-lettered</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {delivery.status !== 'sent' && delivery.outbox_event_id && (
+                        <button
+                          onClick={() => retryDelivery(delivery)}
+                          disabled={working[delivery.id]}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                        >
+                          {working[delivery.id] ? <LoadingSpinner size="sm" /> : <RotateCcw className="h-4 w-4 mr-1" />}
+                          Retry
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {pagination && pagination.total_pages > 1 && (
+          <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-700">
+            <span>
+              Page {pagination.current_page} of {pagination.total_pages} ({pagination.total_records} deliveries)
+            </span>
+            <div className="flex gap-2">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-secondary">
+                Previous
+              </button>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.total_pages} className="btn-secondary">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Fake outbox */}
+      {fakeMode && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Fake Outbox</h3>
+            <p className="text-xs text-gray-500">Most recent messages captured since the server started.</p>
+          </div>
+          {fakeOutbox.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-500">Nothing captured yet.</div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {fakeOutbox.map(message => (
+                <li key={message.id} className="px-6 py-3 text-sm">
+                  <div className="text-gray-900">
+                    {channelLabels[message.channel] || message.channel} · {eventLabel(message.event_key)} · {message.to || 'n8n'}
+                    <span className="ml-2 text-xs text-gray-500">{formatDateTime(message.sent_at)}</span>
+                  </div>
+                  {message.subject && <div className="text-xs font-medium text-gray-700">{message.subject}</div>}
+                  <div className="text-xs text-gray-600 whitespace-pre-line">
+                    {message.channel === 'n8n' ? JSON.stringify(message.payload) : message.body}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+    </div>
+  )
+}
+
+export default Notifications
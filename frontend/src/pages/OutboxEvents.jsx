@@ -0,0 +1,395 @@
+/**
+ * Outbox page
+ * Queued outbound events, the dead-letter view and replay
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  ChevronDown,
+  ChevronRight,
+  Inbox,
+  RefreshCw,
+  RotateCcw
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const statusColors = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  delivered: 'bg-green-100 text-green-800',
+  dead_letter: 'bg-red-100 text-red-800'
+}
+
+const statusLabels = {
+  pending: 'Pending',
+  processing: 'Processing',
+  delivered: 'Delivered',
+  dead_letter: 'Dead letter'
+}
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const OutboxEvents = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [summary, setSummary] = useState(null)
+  const [events, setEvents] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [filters, setFilters] = useState({ status: 'dead_letter', event_type: '' })
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [eventsLoading, setEventsLoading] = useState(false)
+  const [expanded, setExpanded] = useState({})
+  const [selected, setSelected] = useState([])
+  const [working, setWorking] = useState({})
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await api.get('/outbox/summary')
+      setSummary(response.data.data)
+    } catch (error) {
+      console.error('Error fetching outbox summary:', error)
+      toast.error('Failed to fetch outbox summary')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setEventsLoading(true)
+      const response = await api.get('/outbox/events', {
+        params: {
+          page,
+          status: filters.status || undefined,
+          event_type: filters.event_type || undefined
+        }
+      })
+      setEvents(response.data.data.events)
+      setPagination(response.data.data.pagination)
+      setSelected([])
+    } catch (error) {
+      console.error('Error fetching outbox events:', error)
+      toast.error('Failed to fetch outbox events')
+    } finally {
+      setEventsLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    if (admin) {
+      fetchSummary()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchSummary])
+
+  useEffect(() => {
+    if (admin) {
+      fetchEvents()
+    }
+  }, [admin, fetchEvents])
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPage(1)
+  }
+
+  const refresh = () => {
+    fetchSummary()
+    fetchEvents()
+  }
+
+  const replayEvent = async (event) => {
+    try {
+      setWorking(prev => ({ ...prev, [event.id]: true }))
+      const response = await api.post(`/outbox/events/${event.id}/replay`)
+      if (response.data.data.event.status === 'delivered') {
+        toast.success(response.data.message)
+      } else {
+        toast.error(`${response.data.message}: ${response.data.data.event.last_error || ''}`)
+      }
+      refresh()
+    } catch (error) {
+      console.error('Error replaying outbox event:', error)
+      toast.error(error.response?.data?.message || 'Failed to replay event')
+    } finally {
+      setWorking(prev => ({ ...prev, [event.id]: false }))
+    }
+  }
+
+  const replayDeadLetters = async (eventIds) => {
+    const message = eventIds
+      ? `Re-queue ${eventIds.length} selected events?`
+      : `Re-queue all ${summary?.counts.dead_letter || 0} dead-lettered events?`
+    if (!window.confirm(message)) return
+
+    try {
+      setWorking(prev => ({ ...prev, bulk: true }))
+      const response = await api.post('/outbox/dead-letters/replay', eventIds ? { event_ids: eventIds } : {})
+      toast.success(response.data.message)
+      refresh()
+    } catch (error) {
+      console.error('Error replaying dead letters:', error)
+      toast.error(error.response?.data?.message || 'Failed to replay dead letters')
+    } finally {
+      setWorking(prev => ({ ...prev, bulk: false }))
+    }
+  }
+
+  const toggleSelected = (eventId) => {
+    setSelected(prev => (prev.includes(eventId) ? prev.filter(id => id !== eventId) : [...prev, eventId]))
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  const deadLetterView = filters.status === 'dead_letter'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Outbox</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Outbound events are queued here and delivered by a background worker with exponential backoff.
+            Events that keep failing are dead-lettered until they are replayed.
+          </p>
+        </div>
+        <button onClick={refresh} className="btn-secondary flex items-center">
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Summary */}
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {Object.keys(statusLabels).map(status => (
+            <button
+              key={status}
+              onClick={() => handleFilterChange('status', status)}
+              className={`card text-left ${filters.status === status ? 'ring-2 ring-blue-500' : ''}`}
+            >
+              <div className="text-sm text-gray-500">{statusLabels[status]}</div>
+              <div className={`text-2xl font-semibold ${status === 'dead_letter' && summary.counts[status] > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {summary.counts[status]}
+              </div>
+              {status === 'pending' && summary.oldest_pending_at && (
+                <div className="text-xs text-gray-500">Oldest: {formatDateTime(summary.oldest_pending_at)}</div>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Events */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            {deadLetterView ? 'Dead Letters' : 'Events'}
+          </h3>
+          <div className="flex flex-wrap items-center gap-3">
+            <select value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)} className="input-field text-sm">
+              <option value="">All statuses</option>
+              {Object.entries(statusLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select value={filters.event_type} onChange={(e) => handleFilterChange('event_type', e.target.value)} className="input-field text-sm">
+              <option value="">All event types</option>
+              {(summary?.event_types || []).map(eventType => (
+                <option key={eventType} value={eventType}>{eventType}</option>
+              ))}
+            </select>
+            {deadLetterView && (
+              <>
+                <button
+                  onClick={() => replayDeadLetters(selected)}
+                  disabled={working.bulk || selected.length === 0}
+                  className="btn-secondary text-sm"
+                >
+                  Replay Selected ({selected.length})
+                </button>
+                <button
+                  onClick={() => replayDeadLetters(null)}
+                  disabled={working.bulk || !summary?.counts.dead_letter}
+                  className="btn-primary text-sm"
+                >
+                  Replay All
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+        {eventsLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : events.length === 0 ? (
+          <div className="text-center py-12">
+            <Inbox className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              {deadLetterView ? 'No dead letters' : 'No events'}
+            </h3>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {deadLetterView && <th className="px-4 py-3" />}
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Attempts</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Error</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {events.map(event => (
+                  <React.Fragment key={event.id}>
+                    <tr className="align-top">
+                      {deadLetterView && (
+                        <td className="px-4 py-4">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(event.id)}
+                            onChange={() => toggleSelected(event.id)}
+                          />
+                        </td>
+                      )}
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <button
+                          onClick={() => setExpanded(prev => ({ ...prev, [event.id]: !prev[event.id] }))}
+                          className="inline-flex items-center font-medium text-gray-900 hover:text-blue-600"
+                        >
+                          {expanded[event.id] ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+                          {event.event_type}
+                        </button>
+                        {event.event_type === 'domain_event' ? (
+                          <div className="text-xs text-gray-500 ml-5">
+                            {event.payload?.event_name} → {event.payload?.subscriber}
+                          </div>
+                        ) : event.aggregate_type && (
+                          <div className="text-xs text-gray-500 ml-5">{event.aggregate_type}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDateTime(event.created_at)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColors[event.status] || 'bg-gray-100 text-gray-800'}`}>
+                          {statusLabels[event.status] || event.status}
+                        </span>
+                        <div className="text-xs text-gray-500">
+                          {event.status === 'delivered' && formatDateTime(event.delivered_at)}
+                          {event.status === 'dead_letter' && formatDateTime(event.dead_lettered_at)}
+                          {event.status === 'pending' && `Next: ${formatDateTime(event.next_attempt_at)}`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {event.attempts}/{event.max_attempts}
+                        {event.replay_count > 0 && (
+                          <div className="text-xs text-gray-500">
+                            Replayed {event.replay_count}x
+                            {event.replayed_user && ` (${event.replayed_user.first_name} ${event.replayed_user.last_name})`}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-xs text-red-600 max-w-xs">
+                        <div className="truncate" title={event.last_error || ''}>{event.last_error || '-'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        {event.status !== 'delivered' && (
+                          <button
+                            onClick={() => replayEvent(event)}
+                            disabled={working[event.id]}
+                            className="inline-flex items-center text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                          >
+                            {working[event.id] ? <LoadingSpinner size="sm" /> : <RotateCcw className="h-4 w-4 mr-1" />}
+                            Replay
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded[event.id] && (
+                      <tr>
+                        <td colSpan={deadLetterView ? 7 : 6} className="px-6 py-4 bg-gray-50">
+                          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-xs">
+                            <div>
+                              <div className="font-medium text-gray-700 mb-1">Payload</div>
+                              <pre className="bg-white border border-gray-200 rounded p-2 overflow-x-auto">
+                                {JSON.stringify(event.payload, null, 2)}
+                              </pre>
+                            </div>
+                            <div>
+                              <div className="font-medium text-gray-700 mb-1">Attempts</div>
+                              {(event.attempt_log || []).length === 0 ? (
+                                <div className="text-gray-500">No attempts yet</div>
+                              ) : (
+                                <ul className="space-y-1">
+                                  {[...event.attempt_log].reverse().map(attempt => (
+                                    <li key={`${attempt.attempt}-${attempt.at}`}>
+                                      <span className="text-gray-900">#{attempt.attempt} {formatDateTime(attempt.at)}</span>
+                                      <span className="text-gray-500"> ({attempt.duration_ms} ms)</span>
+                                      {attempt.error
+                                        ? <div className="text-red-600 break-all">{attempt.error}</div>
+                                        : <div className="text-green-700">Delivered</div>}
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {pagination && pagination.total_pages > 1 && (
+          <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-700">
+            <span>
+              Page {pagination.current_page} of {pagination.total_pages} ({pagination.total_records} events)
+            </span>
+            <div className="flex gap-2">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-secondary">
+                Previous
+              </button>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.total_pages} className="btn-secondary">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default OutboxEvents
@@ -0,0 +1,186 @@
+/**
+ * Overdue Contracts page
+ * Indents past the contract upload deadline without a contract, grouped by branch
+ */
+
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { Building2, CalendarClock, CheckCircle, FileText, RefreshCw } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString()}`
+
+const formatDate = (value) => (value ? new Date(`${value.slice(0, 10)}T00:00:00`).toLocaleDateString() : '-')
+
+const OverdueContracts = () => {
+  const navigate = useNavigate()
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/contract/overdue')
+      setReport(response.data.data)
+    } catch (error) {
+      console.error('Error fetching overdue contracts:', error)
+      toast.error('Failed to fetch overdue contracts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchReport()
+  }, [])
+
+  const uploadForIndent = (indent) => {
+    navigate('/contract/upload', {
+      state: {
+        procurement: {
+          indent_number: indent.indent_number,
+          firm_name: indent.firm_name,
+          bale_quantity: indent.bale_quantity,
+          total_amount: indent.total_amount,
+          allocation: {
+            branch_information: {
+              branch_name: indent.branch_name,
+              branch_code: indent.branch_code
+            }
+          }
+        },
+        indentNumber: indent.indent_number,
+        activeContract: indent.contract_version && {
+          version_number: indent.contract_version,
+          status: indent.contract_status
+        }
+      }
+    })
+  }
+
+  const branches = report?.branches || []
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Overdue Contracts</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Indents still without a contract after the upload deadline set in the trading configuration.
+            A rejected contract leaves its indent waiting.
+          </p>
+        </div>
+        <button onClick={fetchReport} disabled={loading} className="btn-secondary inline-flex items-center">
+          <RefreshCw className="h-4 w-4 mr-1" />
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : branches.length === 0 ? (
+        <div className="card p-6 text-center py-12">
+          <CheckCircle className="mx-auto h-12 w-12 text-green-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No overdue contracts</h3>
+          <p className="mt-1 text-sm text-gray-500">Every indent past its deadline has a contract.</p>
+        </div>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div className="bg-white shadow rounded-lg p-5">
+              <div className="text-sm font-medium text-gray-500">Overdue Indents</div>
+              <div className="mt-2 text-2xl font-semibold text-red-600">{report.total_overdue}</div>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <div className="text-sm font-medium text-gray-500">Procurement Value</div>
+              <div className="mt-2 text-2xl font-semibold text-gray-900">{formatAmount(report.total_amount)}</div>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <div className="text-sm font-medium text-gray-500">Branches Affected</div>
+              <div className="mt-2 text-2xl font-semibold text-gray-900">{branches.length}</div>
+            </div>
+          </div>
+
+          {/* Branches */}
+          {branches.map((branch) => (
+            <div key={branch.branch_id || branch.branch_name} className="bg-white shadow rounded-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center">
+                  <Building2 className="h-5 w-5 text-gray-400 mr-2" />
+                  <h3 className="text-lg font-medium text-gray-900">{branch.branch_name}</h3>
+                  <span className="ml-2 text-sm text-gray-500">{branch.branch_code}</span>
+                </div>
+                <div className="text-sm text-gray-600">
+                  {branch.count} overdue • {formatAmount(branch.total_amount)} • oldest {branch.max_days_overdue} days past due
+                </div>
+              </div>
+              <div className="table-container">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Indent</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Procured</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contract Due</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Overdue</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contract</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {branch.indents.map((indent) => (
+                      <tr key={indent.indent_number} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 text-sm">
+                          <Link
+                            to={`/indents/${encodeURIComponent(indent.indent_number)}/timeline`}
+                            className="font-medium text-blue-600 hover:text-blue-900"
+                          >
+                            {indent.indent_number}
+                          </Link>
+                          <div className="text-xs text-gray-500">
+                            {indent.firm_name} • {formatAmount(indent.total_amount)}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(indent.created_at)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatDate(indent.contract_due_date)}
+                          <div className="text-xs text-gray-500">{indent.contract_due_days} business days</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            <CalendarClock className="h-3 w-3 mr-1" />
+                            {indent.business_days_overdue} business days
+                          </span>
+                          <div className="text-xs text-gray-500 mt-1">{indent.days_overdue} calendar days</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {indent.contract_version ? `v${indent.contract_version} ${indent.contract_status}` : 'Not uploaded'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <button
+                            onClick={() => uploadForIndent(indent)}
+                            className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                          >
+                            <FileText className="h-4 w-4 mr-1" />
+                            {indent.contract_version ? 'Upload New Version' : 'Upload Contract'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default OverdueContracts
@@ -0,0 +1,459 @@
+/**
+ * Payment Ageing page
+ * Overdue payments by days-past-due bucket, who each bucket escalates to, and reminders
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Bell,
+  Clock,
+  Plus,
+  RefreshCw,
+  Save,
+  Trash2
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const escalationLabels = {
+  trader: 'Trader',
+  branch_head: 'Branch head',
+  admin: 'Admin'
+}
+
+const escalationColors = {
+  trader: 'bg-yellow-100 text-yellow-800',
+  branch_head: 'bg-orange-100 text-orange-800',
+  admin: 'bg-red-100 text-red-800'
+}
+
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString()}`
+
+const PaymentAgeing = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [report, setReport] = useState(null)
+  const [bucketKey, setBucketKey] = useState('')
+  const [branchId, setBranchId] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [running, setRunning] = useState(false)
+  const [reminding, setReminding] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [showSettings, setShowSettings] = useState(false)
+  const [bucketDrafts, setBucketDrafts] = useState([])
+  const [savingBuckets, setSavingBuckets] = useState(false)
+  const [branches, setBranches] = useState([])
+  const [candidates, setCandidates] = useState([])
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/payment/ageing', {
+        params: { bucket_key: bucketKey || undefined, branch_id: branchId || undefined }
+      })
+      setReport(response.data.data)
+      setSelectedIds([])
+    } catch (error) {
+      console.error('Error fetching ageing report:', error)
+      toast.error('Failed to fetch ageing report')
+    } finally {
+      setLoading(false)
+    }
+  }, [bucketKey, branchId])
+
+  const fetchBranchHeads = useCallback(async () => {
+    try {
+      const response = await api.get('/config/branch-heads')
+      setBranches(response.data.data.branches)
+      setCandidates(response.data.data.candidates)
+    } catch (error) {
+      console.error('Error fetching branch heads:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (admin) {
+      fetchBranchHeads()
+    }
+  }, [admin, fetchBranchHeads])
+
+  useEffect(() => {
+    if (admin) {
+      fetchReport()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchReport])
+
+  const runEscalation = async () => {
+    try {
+      setRunning(true)
+      const response = await api.post('/payment/ageing/refresh', { notify: true })
+      const { reminders } = response.data.data
+      toast.success(response.data.message)
+      if (reminders?.error) {
+        toast.error(reminders.error)
+      } else if (reminders) {
+        toast.success(`Escalation reminders sent for ${reminders.triggered_count} payments`)
+      }
+      fetchReport()
+    } catch (error) {
+      console.error('Error running escalation:', error)
+      toast.error(error.response?.data?.message || 'Failed to run escalation')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const sendReminders = async (body) => {
+    try {
+      setReminding(true)
+      const response = await api.post('/payment/send-reminder', body)
+      toast.success(`Reminders sent for ${response.data.data.triggered_count} payments`)
+      fetchReport()
+    } catch (error) {
+      console.error('Error sending reminders:', error)
+      toast.error(error.response?.data?.message || 'Failed to send reminders')
+    } finally {
+      setReminding(false)
+    }
+  }
+
+  const toggleSelected = (paymentId) => {
+    setSelectedIds(prev => prev.includes(paymentId)
+      ? prev.filter(id => id !== paymentId)
+      : [...prev, paymentId])
+  }
+
+  const openSettings = () => {
+    setBucketDrafts((report?.buckets || []).map(({ label, min_days, max_days, escalate_to }) => ({
+      label, min_days, max_days, escalate_to
+    })))
+    setShowSettings(prev => !prev)
+  }
+
+  const updateDraft = (index, field, value) => {
+    setBucketDrafts(prev => prev.map((bucket, i) => (i === index ? { ...bucket, [field]: value } : bucket)))
+  }
+
+  const addDraft = () => {
+    setBucketDrafts(prev => [...prev, { label: '', min_days: '', max_days: '', escalate_to: 'admin' }])
+  }
+
+  const removeDraft = (index) => {
+    setBucketDrafts(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const saveBuckets = async () => {
+    try {
+      setSavingBuckets(true)
+      await api.put('/config/ageing-buckets', {
+        buckets: bucketDrafts.map(bucket => ({
+          label: bucket.label,
+          min_days: Number(bucket.min_days),
+          max_days: bucket.max_days === '' || bucket.max_days === null ? null : Number(bucket.max_days),
+          escalate_to: bucket.escalate_to
+        }))
+      })
+      toast.success('Ageing buckets updated')
+      setBucketKey('')
+      fetchReport()
+    } catch (error) {
+      console.error('Error saving buckets:', error)
+      const problems = error.response?.data?.errors
+      if (problems?.length > 0) {
+        problems.forEach(problem => toast.error(problem.message || problem))
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save buckets')
+      }
+    } finally {
+      setSavingBuckets(false)
+    }
+  }
+
+  const saveBranchHead = async (branch, userId) => {
+    try {
+      await api.put(`/config/branch-heads/${branch.id}`, { user_id: userId || null })
+      toast.success(`Branch head updated for ${branch.branch_name}`)
+      fetchBranchHeads()
+    } catch (error) {
+      console.error('Error updating branch head:', error)
+      toast.error(error.response?.data?.message || 'Failed to update branch head')
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  const payments = report?.payments || []
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Payment Ageing</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Payments awaiting a UTR by days past due. Each bucket escalates reminders from the trader
+            to the branch head to an admin.
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <button onClick={openSettings} className="btn-secondary">
+            Escalation Settings
+          </button>
+          <button onClick={runEscalation} disabled={running} className="btn-primary inline-flex items-center">
+            {running ? <LoadingSpinner size="sm" /> : <RefreshCw className="h-4 w-4 mr-1" />}
+            <span className="ml-1">Run Escalation</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Settings */}
+      {showSettings && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="card p-6 space-y-4">
+            <h3 className="text-lg font-medium text-gray-900">Ageing Buckets</h3>
+            <p className="text-sm text-gray-500">
+              Buckets must start at day 0 and follow on without gaps. Leave the last bucket's end empty.
+            </p>
+            {bucketDrafts.map((bucket, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                <input
+                  value={bucket.label}
+                  onChange={(e) => updateDraft(index, 'label', e.target.value)}
+                  placeholder="Label"
+                  className="input-field col-span-4"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={bucket.min_days}
+                  onChange={(e) => updateDraft(index, 'min_days', e.target.value)}
+                  placeholder="From"
+                  className="input-field col-span-2"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={bucket.max_days ?? ''}
+                  onChange={(e) => updateDraft(index, 'max_days', e.target.value)}
+                  placeholder="To"
+                  className="input-field col-span-2"
+                />
+                <select
+                  value={bucket.escalate_to}
+                  onChange={(e) => updateDraft(index, 'escalate_to', e.target.value)}
+                  className="input-field col-span-3"
+                >
+                  {Object.entries(escalationLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button onClick={() => removeDraft(index)} className="text-red-600 hover:text-red-900 col-span-1">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            <div className="flex justify-between">
+              <button onClick={addDraft} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-900">
+                <Plus className="h-4 w-4 mr-1" />
+                Add bucket
+              </button>
+              <button onClick={saveBuckets} disabled={savingBuckets} className="btn-primary inline-flex items-center">
+                {savingBuckets ? <LoadingSpinner size="sm" /> : <Save className="h-4 w-4 mr-1" />}
+                <span className="ml-1">Save Buckets</span>
+              </button>
+            </div>
+          </div>
+
+          <div className="card p-6 space-y-4">
+            <h3 className="text-lg font-medium text-gray-900">Branch Heads</h3>
+            <p className="text-sm text-gray-500">
+              Branch-level escalations go to the branch head; branches without one escalate straight to admins.
+            </p>
+            <div className="max-h-80 overflow-y-auto space-y-2">
+              {branches.map((branch) => (
+                <div key={branch.id} className="grid grid-cols-2 gap-2 items-center">
+                  <span className="text-sm text-gray-900">{branch.branch_name}</span>
+                  <select
+                    value={branch.branch_head_user_id || ''}
+                    onChange={(e) => saveBranchHead(branch, e.target.value)}
+                    className="input-field text-sm"
+                  >
+                    <option value="">No branch head</option>
+                    {candidates.map((candidate) => (
+                      <option key={candidate.id} value={candidate.id}>
+                        {candidate.first_name} {candidate.last_name} ({candidate.role})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Buckets */}
+      {report && (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          {report.buckets.map((bucket) => (
+            <button
+              key={bucket.bucket_key}
+              onClick={() => setBucketKey(prev => (prev === bucket.bucket_key ? '' : bucket.bucket_key))}
+              className={`bg-white shadow rounded-lg p-5 text-left border-2 ${
+                bucketKey === bucket.bucket_key ? 'border-blue-500' : 'border-transparent'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-500">{bucket.label}</span>
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${escalationColors[bucket.escalate_to]}`}>
+                  {escalationLabels[bucket.escalate_to]}
+                </span>
+              </div>
+              <div className="mt-2 text-2xl font-semibold text-gray-900">{bucket.count}</div>
+              <div className="text-sm text-gray-600">{formatAmount(bucket.outstanding_amount)} outstanding</div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Filters and actions */}
+      <div className="bg-white p-4 rounded-lg shadow flex flex-wrap gap-4 items-end justify-between">
+        <div className="min-w-64">
+          <label className="block text-sm font-medium text-gray-700">Branch</label>
+          <select value={branchId} onChange={(e) => setBranchId(e.target.value)} className="input-field">
+            <option value="">All branches</option>
+            {branches.map((branch) => (
+              <option key={branch.id} value={branch.id}>{branch.branch_name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex gap-3">
+          {bucketKey && (
+            <button
+              onClick={() => sendReminders({ bucket_key: bucketKey })}
+              disabled={reminding || payments.length === 0}
+              className="btn-secondary inline-flex items-center"
+            >
+              <Bell className="h-4 w-4 mr-1" />
+              Remind Whole Bucket
+            </button>
+          )}
+          <button
+            onClick={() => sendReminders({ payment_ids: selectedIds })}
+            disabled={reminding || selectedIds.length === 0}
+            className="btn-primary inline-flex items-center"
+          >
+            {reminding ? <LoadingSpinner size="sm" /> : <Bell className="h-4 w-4 mr-1" />}
+            <span className="ml-1">Send Reminder ({selectedIds.length})</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Payments */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : payments.length === 0 ? (
+          <div className="text-center py-12">
+            <Clock className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No overdue payments</h3>
+            <p className="mt-1 text-sm text-gray-500">Nothing awaiting a UTR is past its due date.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.length === payments.length}
+                      onChange={() => setSelectedIds(prev => (prev.length === payments.length ? [] : payments.map(p => p.id)))}
+                    />
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Indent</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days Past Due</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Bucket</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Escalates To</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reminders</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {payments.map((payment) => (
+                  <tr key={payment.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(payment.id)}
+                        onChange={() => toggleSelected(payment.id)}
+                      />
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <Link to={`/payment/${payment.id}`} className="font-medium text-blue-600 hover:text-blue-900">
+                        {payment.procurement_dump?.indent_number || payment.id.slice(0, 8)}
+                      </Link>
+                      <div className="text-xs text-gray-500">
+                        {payment.procurement_dump?.firm_name} • {payment.procurement_dump?.allocation?.branch_information?.branch_name || '-'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatAmount(payment.outstanding_amount ?? payment.amount)}
+                      <div className="text-xs text-gray-500">{payment.payment_type}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {payment.days_past_due}
+                      <div className="text-xs text-gray-500">Due {new Date(payment.due_date).toLocaleDateString()}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {payment.bucket_label}
+                      <div className="text-xs text-gray-500">
+                        {payment.entered_bucket_at ? `Since ${new Date(payment.entered_bucket_at).toLocaleDateString()}` : 'Not yet tracked'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${escalationColors[payment.escalate_to]}`}>
+                        {escalationLabels[payment.escalate_to]}
+                      </span>
+                      <div className="mt-1 text-xs text-gray-500">
+                        {payment.recipients.length > 0
+                          ? payment.recipients.map(recipient => recipient.name).join(', ')
+                          : 'No recipients'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {payment.reminder_count}
+                      {payment.last_reminded_at && (
+                        <div className="text-xs text-gray-500">Last {new Date(payment.last_reminded_at).toLocaleString()}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PaymentAgeing
@@ -0,0 +1,483 @@
+/**
+ * Payment Batches page
+ * Export payments awaiting UTRs as net banking bulk-payment files and import the bank's response
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Download,
+  FileSpreadsheet,
+  Upload
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const batchStatusColors = {
+  exported: 'bg-yellow-100 text-yellow-800',
+  partially_processed: 'bg-blue-100 text-blue-800',
+  processed: 'bg-green-100 text-green-800'
+}
+
+const itemStatusColors = {
+  exported: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString()}`
+
+const PaymentBatches = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [formats, setFormats] = useState([])
+  const [payable, setPayable] = useState([])
+  const [batches, setBatches] = useState([])
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bankFormat, setBankFormat] = useState('sbi_cmp')
+  const [debitAccount, setDebitAccount] = useState('')
+  const [valueDate, setValueDate] = useState(new Date().toISOString().split('T')[0])
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [selectedBatch, setSelectedBatch] = useState(null)
+  const [batchLoading, setBatchLoading] = useState(false)
+  const [responseFile, setResponseFile] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [importSummary, setImportSummary] = useState(null)
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [formatsResponse, payableResponse, batchesResponse] = await Promise.all([
+        api.get('/payment-batches/formats'),
+        api.get('/payment-batches/payable'),
+        api.get('/payment-batches')
+      ])
+      setFormats(formatsResponse.data.data.formats)
+      setPayable(payableResponse.data.data.payments)
+      setBatches(batchesResponse.data.data.batches)
+    } catch (error) {
+      console.error('Error fetching payment batches:', error)
+      toast.error('Failed to fetch payment batches')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (admin) {
+      fetchData()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchData])
+
+  const openBatch = async (batchId) => {
+    try {
+      setBatchLoading(true)
+      setImportSummary(null)
+      setResponseFile(null)
+      const response = await api.get(`/payment-batches/${batchId}`)
+      setSelectedBatch(response.data.data.batch)
+    } catch (error) {
+      console.error('Error fetching batch:', error)
+      toast.error('Failed to fetch batch')
+    } finally {
+      setBatchLoading(false)
+    }
+  }
+
+  const downloadBatchFile = async (batch) => {
+    try {
+      const response = await api.get(`/payment-batches/${batch.id}/file`, { responseType: 'blob' })
+      const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || batch.file_name
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/plain' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading batch file:', error)
+      toast.error('Failed to download batch file')
+    }
+  }
+
+  const toggleSelected = (paymentId) => {
+    setSelectedIds(prev => prev.includes(paymentId)
+      ? prev.filter(id => id !== paymentId)
+      : [...prev, paymentId])
+  }
+
+  const toggleAll = () => {
+    setSelectedIds(prev => prev.length === payable.length ? [] : payable.map(payment => payment.id))
+  }
+
+  const handleExport = async () => {
+    if (selectedIds.length === 0) {
+      toast.error('Select at least one payment')
+      return
+    }
+    if (!/^\d{9,18}$/.test(debitAccount.trim())) {
+      toast.error('Debit account number must be 9 to 18 digits')
+      return
+    }
+
+    try {
+      setExporting(true)
+      const response = await api.post('/payment-batches', {
+        payment_ids: selectedIds,
+        bank_format: bankFormat,
+        debit_account_number: debitAccount.trim(),
+        value_date: valueDate
+      })
+      const batch = response.data.data.batch
+      toast.success(response.data.message)
+      await downloadBatchFile(batch)
+      setSelectedIds([])
+      await fetchData()
+      openBatch(batch.id)
+    } catch (error) {
+      console.error('Error exporting batch:', error)
+      const problems = error.response?.data?.errors
+      if (problems?.length > 0) {
+        problems.forEach(problem => {
+          const payment = payable.find(p => p.id === problem.payment_id)
+          toast.error(`${payment?.procurement_dump?.indent_number || problem.payment_id}: ${problem.error}`)
+        })
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to export batch')
+      }
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleImportResponse = async () => {
+    if (!responseFile) {
+      toast.error('Please select the bank response file')
+      return
+    }
+
+    try {
+      setImporting(true)
+      const formData = new FormData()
+      formData.append('file', responseFile)
+      const response = await uploadFile(`/payment-batches/${selectedBatch.id}/response`, formData)
+      toast.success(response.data.message)
+      setImportSummary(response.data.data)
+      setResponseFile(null)
+      await fetchData()
+      const refreshed = await api.get(`/payment-batches/${selectedBatch.id}`)
+      setSelectedBatch(refreshed.data.data.batch)
+    } catch (error) {
+      console.error('Error importing response file:', error)
+      toast.error(error.response?.data?.message || 'Failed to import response file')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  const selectedTotal = payable
+    .filter(payment => selectedIds.includes(payment.id))
+    .reduce((sum, payment) => sum + Number(payment.unclaimed_amount), 0)
+  const currentFormat = formats.find(format => format.id === bankFormat)
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Payment Batches</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Export payments awaiting UTRs as a bulk-payment file for net banking, then import the
+          bank's response file to submit the UTRs for verification.
+        </p>
+      </div>
+
+      {/* Export */}
+      <div className="card p-6 space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">New Batch</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Bank format</label>
+            <select value={bankFormat} onChange={(e) => setBankFormat(e.target.value)} className="input-field">
+              {formats.map((format) => (
+                <option key={format.id} value={format.id}>{format.label}</option>
+              ))}
+            </select>
+            {currentFormat && (
+              <p className="mt-1 text-xs text-gray-500">Supports {currentFormat.modes.join(', ')}</p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Debit account number</label>
+            <input
+              value={debitAccount}
+              onChange={(e) => setDebitAccount(e.target.value)}
+              placeholder="Account to debit"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Value date</label>
+            <input type="date" value={valueDate} onChange={(e) => setValueDate(e.target.value)} className="input-field" />
+          </div>
+        </div>
+
+        {payable.length === 0 ? (
+          <div className="text-center py-8">
+            <FileSpreadsheet className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing to export</h3>
+            <p className="mt-1 text-sm text-gray-500">Every payment awaiting a UTR is already in an open batch.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left">
+                    <input type="checkbox" checked={selectedIds.length === payable.length} onChange={toggleAll} />
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Indent</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">To Pay</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Beneficiary</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {payable.map((payment) => (
+                  <tr key={payment.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(payment.id)}
+                        onChange={() => toggleSelected(payment.id)}
+                      />
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-medium text-gray-900">{payment.procurement_dump?.indent_number || '-'}</div>
+                      <div className="text-xs text-gray-500">{payment.procurement_dump?.firm_name}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{payment.payment_type}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatAmount(payment.unclaimed_amount)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{payment.payment_mode}</td>
+                    <td className="px-6 py-4 text-sm">
+                      {payment.account_number ? (
+                        <>
+                          <div className="text-gray-900">{payment.collection_account?.account_name || payment.bank}</div>
+                          <div className="text-xs font-mono text-gray-500">{payment.account_number} • {payment.ifsc_code}</div>
+                        </>
+                      ) : (
+                        <span className="text-xs text-red-600">No beneficiary account on this CDU</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {new Date(payment.utr_due_date || payment.due_date).toLocaleDateString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-600">
+            {selectedIds.length} selected • {formatAmount(selectedTotal)}
+          </span>
+          <button
+            onClick={handleExport}
+            disabled={exporting || selectedIds.length === 0}
+            className="btn-primary inline-flex items-center"
+          >
+            {exporting ? <LoadingSpinner size="sm" /> : <Download className="h-4 w-4 mr-1" />}
+            <span className="ml-1">Export Batch</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Batches */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Exported Batches</h3>
+        </div>
+        {batches.length === 0 ? (
+          <div className="text-center py-12">
+            <FileSpreadsheet className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No batches exported yet</h3>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Format</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payments</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Value Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {batches.map((batch) => (
+                  <tr key={batch.id} className={`hover:bg-gray-50 ${selectedBatch?.id === batch.id ? 'bg-blue-50' : ''}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="font-mono text-gray-900">{batch.batch_number}</div>
+                      <div className="text-xs text-gray-500">
+                        {new Date(batch.created_at).toLocaleString()}
+                        {batch.created_user && ` • ${batch.created_user.first_name} ${batch.created_user.last_name}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formats.find(format => format.id === batch.bank_format)?.label || batch.bank_format}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.payment_count}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatAmount(batch.total_amount)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{new Date(batch.value_date).toLocaleDateString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${batchStatusColors[batch.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {batch.status.replace(/_/g, ' ')}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                      <button onClick={() => openBatch(batch.id)} className="text-blue-600 hover:text-blue-900">
+                        View
+                      </button>
+                      <button onClick={() => downloadBatchFile(batch)} className="inline-flex items-center text-gray-600 hover:text-gray-900">
+                        <Download className="h-4 w-4 mr-1" />
+                        File
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Selected batch */}
+      {batchLoading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : selectedBatch && (
+        <div className="card p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Batch {selectedBatch.batch_number}</h3>
+            {selectedBatch.response_imported_at && (
+              <span className="text-xs text-gray-500">
+                Last response {selectedBatch.response_file_name} • {new Date(selectedBatch.response_imported_at).toLocaleString()}
+              </span>
+            )}
+          </div>
+
+          {selectedBatch.status !== 'processed' && (
+            <div className="flex flex-wrap items-end gap-4">
+              <div className="flex-1 min-w-64">
+                <label className="block text-sm font-medium text-gray-700">Bank response file</label>
+                <input
+                  type="file"
+                  accept=".csv,.txt"
+                  onChange={(e) => setResponseFile(e.target.files[0] || null)}
+                  className="block w-full text-sm text-gray-700"
+                />
+              </div>
+              <button onClick={handleImportResponse} disabled={importing} className="btn-primary inline-flex items-center">
+                {importing ? <LoadingSpinner size="sm" /> : <Upload className="h-4 w-4 mr-1" />}
+                <span className="ml-1">Import Response</span>
+              </button>
+            </div>
+          )}
+
+          {importSummary && (importSummary.unmatched.length > 0 || importSummary.errors.length > 0) && (
+            <div className="rounded-md bg-yellow-50 p-4 text-sm text-yellow-800 space-y-1">
+              {importSummary.unmatched.length > 0 && (
+                <div>References not in this batch: {importSummary.unmatched.join(', ')}</div>
+              )}
+              {importSummary.errors.map((problem) => (
+                <div key={`${problem.line}-${problem.error}`}>Line {problem.line}: {problem.error}</div>
+              ))}
+            </div>
+          )}
+
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Indent</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Beneficiary</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR / Reason</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {selectedBatch.items.map((item) => (
+                  <tr key={item.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{item.customer_reference}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="text-gray-900">{item.payment?.procurement_dump?.indent_number || '-'}</div>
+                      <div className="text-xs text-gray-500">{item.payment?.payment_type}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatAmount(item.amount)} <span className="text-xs text-gray-500">{item.payment_mode}</span>
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="text-gray-900">{item.beneficiary_name}</div>
+                      <div className="text-xs font-mono text-gray-500">{item.beneficiary_account_number} • {item.beneficiary_ifsc}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${itemStatusColors[item.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {item.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      {item.utr_number ? (
+                        <span className="font-mono text-gray-900">{item.utr_number}</span>
+                      ) : item.failure_reason ? (
+                        <span className="text-red-600">{item.failure_reason}</span>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PaymentBatches
@@ -8,13 +8,15 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import UTRTranches, { PaymentStatusBadge } from '../components/UTRTranches'
 import {
   Currency,
   FileText,
   Banknote,
   CalendarDays,
   Library,
-  CheckCircle
+  CheckCircle,
+  Download
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
@@ -26,6 +28,7 @@ const PaymentDetail = () => {
   const [payment, setPayment] = useState(null)
   const [loading, setLoading] = useState(true)
   const [confirming, setConfirming] = useState(false)
+  const [downloading, setDownloading] = useState(false)
 
   // Fetch payment details
   useEffect(() => {
@@ -44,6 +47,28 @@ const PaymentDetail = () => {
     fetchPayment()
   }, [id])
 
+  // Download the CDU payment advice PDF
+  const downloadCDU = async () => {
+    try {
+      setDownloading(true)
+      const response = await api.get(`/payment/${id}/cdu.pdf`, { responseType: 'blob' })
+      const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || `CDU-${id}.pdf`
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading CDU PDF:', error)
+      toast.error('Failed to download CDU PDF')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
   // Confirm payment (this just updates UI, actual CDU generation already happened)
   const confirmPayment = async () => {
     try {
@@ -86,10 +111,14 @@ const PaymentDetail = () => {
     payment_type: payment.payment_type,
     amount: payment.amount,
     bank: payment.bank,
+    account_number: payment.account_number,
+    ifsc_code: payment.ifsc_code,
     due_date: payment.due_date,
     remarks: payment.remarks
   }
 
+  const isSettled = ['paid', 'overpaid'].includes(payment.payment_status)
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -156,6 +185,15 @@ const PaymentDetail = () => {
                 <span className="text-sm font-medium text-gray-500">Preferred Bank</span>
                 <span className="text-sm text-gray-900 font-medium">{cduData.bank}</span>
               </div>
+
+              {cduData.account_number && (
+                <div className="flex items-center justify-between py-3 border-b border-gray-200">
+                  <span className="text-sm font-medium text-gray-500">Account / IFSC</span>
+                  <span className="text-sm text-gray-900 font-medium font-mono">
+                    {cduData.account_number} / {cduData.ifsc_code}
+                  </span>
+                </div>
+              )}
               
               <div className="flex items-center justify-between py-3 border-b border-gray-200">
                 <span className="text-sm font-medium text-gray-500">Due Date</span>
@@ -172,6 +210,15 @@ const PaymentDetail = () => {
                 <p className="text-sm text-gray-900">{cduData.remarks}</p>
               </div>
             </div>
+
+            {payment.override_reason && (
+              <div>
+                <label className="block text-sm font-medium text-gray-500 mb-2">Account / Mode Override</label>
+                <div className="bg-yellow-50 p-3 rounded-md">
+                  <p className="text-sm text-yellow-900">{payment.override_reason}</p>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -243,6 +290,9 @@ const PaymentDetail = () => {
             <li>Use the payment mode: <strong>{cduData.payment_mode}</strong></li>
             <li>Transfer amount: <strong>₹{cduData.amount.toLocaleString()}</strong></li>
             <li>Preferred bank: <strong>{cduData.bank}</strong></li>
+            {cduData.account_number && (
+              <li>Beneficiary account: <strong>{cduData.account_number}</strong>, IFSC <strong>{cduData.ifsc_code}</strong></li>
+            )}
             <li>Complete payment before due date: <strong>{new Date(cduData.due_date).toLocaleDateString()}</strong></li>
             <li>After successful payment, submit UTR number in the next step</li>
             <li>Keep payment receipt for your records</li>
@@ -250,6 +300,18 @@ const PaymentDetail = () => {
         </div>
       </div>
 
+      {/* UTR Tranches */}
+      <div className="card p-6">
+        <div className="flex items-center mb-4">
+          <Library className="h-6 w-6 text-green-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">UTR Tranches</h2>
+          <span className="ml-3">
+            <PaymentStatusBadge status={payment.payment_status} />
+          </span>
+        </div>
+        <UTRTranches payment={payment} />
+      </div>
+
       {/* Current Status */}
       <div className="card p-6">
         <div className="flex items-center mb-4">
@@ -267,18 +329,30 @@ const PaymentDetail = () => {
           </div>
 
           <div className="flex items-center">
-            <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
-            <span className="text-sm text-gray-500">Payment Pending</span>
-          </div>
-
-          <div className="flex items-center">
-            <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
-            <span className="text-sm text-gray-500">UTR Submission</span>
+            {payment.utr_entries?.length > 0 ? (
+              <CheckCircle className="h-5 w-5 text-green-500 mr-3" />
+            ) : (
+              <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
+            )}
+            <span className={`text-sm ${payment.utr_entries?.length > 0 ? 'text-gray-900' : 'text-gray-500'}`}>
+              UTR Submission{payment.utr_entries?.length > 1 && ` (${payment.utr_entries.length} tranches)`}
+            </span>
           </div>
 
           <div className="flex items-center">
-            <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
-            <span className="text-sm text-gray-500">Payment Verification</span>
+            {isSettled ? (
+              <CheckCircle className="h-5 w-5 text-green-500 mr-3" />
+            ) : (
+              <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
+            )}
+            <span className={`text-sm ${isSettled ? 'text-gray-900' : 'text-gray-500'}`}>
+              {payment.payment_status === 'overpaid' ? 'Overpaid' : 'Fully Paid'}
+            </span>
+            {payment.verified_at && (
+              <span className="ml-auto text-xs text-gray-500">
+                {new Date(payment.verified_at).toLocaleString()}
+              </span>
+            )}
           </div>
         </div>
       </div>
@@ -292,10 +366,23 @@ const PaymentDetail = () => {
           <FileText className="h-4 w-4 mr-2" />
           Print CDU
         </button>
+
+        <button
+          onClick={downloadCDU}
+          disabled={downloading}
+          className="btn-secondary"
+        >
+          {downloading ? (
+            <LoadingSpinner size="sm" />
+          ) : (
+            <Download className="h-4 w-4 mr-2" />
+          )}
+          Download CDU PDF
+        </button>
         
         <button
           onClick={confirmPayment}
-          disabled={confirming}
+          disabled={confirming || isSettled}
           className="btn-primary"
         >
           {confirming ? (
@@ -303,6 +390,8 @@ const PaymentDetail = () => {
               <LoadingSpinner size="sm" />
               <span className="ml-2">Processing...</span>
             </>
+          ) : ['partially_paid', 'utr_submitted'].includes(payment.payment_status) ? (
+            'Add UTR Tranche'
           ) : (
             'Proceed to UTR Submission'
           )}
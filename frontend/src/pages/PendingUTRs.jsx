@@ -1,12 +1,14 @@
 /**
  * Pending UTRs page - Flow 2
- * Admin view of overdue payments for sending reminders
+ * Admin view of overdue payments for sending reminders, plus the queue of
+ * submitted UTRs awaiting a second user's verification
  */
 
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import UTRVerificationQueue from '../components/UTRVerificationQueue'
 import {
   AlertTriangle,
   Currency,
@@ -17,7 +19,8 @@ import {
 import toast from 'react-hot-toast'
 
 const PendingUTRs = () => {
-  const { user, isAdmin } = useAuth()
+  const { user, isAdmin, isVerifier } = useAuth()
+  const [activeTab, setActiveTab] = useState(isAdmin() ? 'overdue' : 'verification')
   const [payments, setPayments] = useState([])
   const [loading, setLoading] = useState(true)
   const [sendingReminders, setSendingReminders] = useState({})
@@ -119,7 +122,12 @@ const PendingUTRs = () => {
     }
   }
 
-  if (!isAdmin()) {
+  const tabs = [
+    ...(isAdmin() ? [{ id: 'overdue', label: 'Overdue UTRs' }] : []),
+    { id: 'verification', label: 'Awaiting Verification' }
+  ]
+
+  if (!isAdmin() && !isVerifier()) {
     return (
       <div className="text-center py-12">
         <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
@@ -147,11 +155,11 @@ const PendingUTRs = () => {
           <div>
             <h1 className="text-2xl font-bold text-gray-900">Pending UTR Submissions</h1>
             <p className="mt-1 text-sm text-gray-600">
-              Monitor overdue payments and send reminder notifications
+              Monitor overdue payments, send reminder notifications and verify submitted UTRs
             </p>
           </div>
           
-          {selectedPayments.length > 0 && (
+          {activeTab === 'overdue' && selectedPayments.length > 0 && (
             <button
               onClick={sendBulkReminders}
               disabled={sendingReminders.bulk}
@@ -173,6 +181,29 @@ const PendingUTRs = () => {
         </div>
       </div>
 
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'verification' ? (
+        <UTRVerificationQueue status="submitted" />
+      ) : (
+      <>
       {/* Statistics */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white p-4 rounded-lg shadow">
@@ -201,9 +232,9 @@ const PendingUTRs = () => {
           <div className="flex items-center">
             <CalendarDays className="h-8 w-8 text-orange-500" />
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-500">Overdue Amount</p>
+              <p className="text-sm font-medium text-gray-500">Outstanding Amount</p>
               <p className="text-lg font-semibold text-gray-900">
-                ₹{payments.reduce((sum, p) => sum + p.amount, 0).toLocaleString()}
+                ₹{payments.reduce((sum, p) => sum + Number(p.outstanding_amount ?? p.amount), 0).toLocaleString()}
               </p>
             </div>
           </div>
@@ -281,8 +312,13 @@ const PendingUTRs = () => {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="text-sm font-medium text-gray-900">
-                          ₹{payment.amount.toLocaleString()}
+                          ₹{Number(payment.outstanding_amount ?? payment.amount).toLocaleString()} outstanding
                         </div>
+                        {payment.payment_status === 'partially_paid' && (
+                          <div className="text-xs text-yellow-700">
+                            Partially paid: ₹{Number(payment.paid_amount).toLocaleString()} of ₹{payment.amount.toLocaleString()}
+                          </div>
+                        )}
                         <div className="text-sm text-gray-500">
                           {payment.payment_mode} • {payment.payment_type}
                         </div>
@@ -350,7 +386,7 @@ const PendingUTRs = () => {
             <Currency className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No pending UTRs</h3>
             <p className="mt-1 text-sm text-gray-500">
-              All payments have received UTR submissions.
+              All payments have received UTR submissions for the full amount.
             </p>
           </div>
         )}
@@ -371,6 +407,8 @@ const PendingUTRs = () => {
           </div>
         </div>
       </div>
+      </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,326 @@
+/**
+ * Scheduled Jobs page
+ * Built-in scheduler: job schedules, run history, and manual runs
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlarmClock,
+  AlertTriangle,
+  Play,
+  RefreshCw,
+  Save
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const runStatusColors = {
+  running: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const jobLabel = (jobKey) => jobKey.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase())
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const ScheduledJobs = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [jobs, setJobs] = useState([])
+  const [timezone, setTimezone] = useState('')
+  const [runs, setRuns] = useState([])
+  const [jobFilter, setJobFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [runsLoading, setRunsLoading] = useState(false)
+  const [cronDrafts, setCronDrafts] = useState({})
+  const [working, setWorking] = useState({})
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await api.get('/scheduler/jobs')
+      setJobs(response.data.data.jobs)
+      setTimezone(response.data.data.timezone)
+      setCronDrafts(Object.fromEntries(response.data.data.jobs.map(job => [job.job_key, job.cron_expression])))
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error)
+      toast.error('Failed to fetch scheduled jobs')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      setRunsLoading(true)
+      const response = await api.get('/scheduler/runs', {
+        params: { job_key: jobFilter || undefined }
+      })
+      setRuns(response.data.data.runs)
+    } catch (error) {
+      console.error('Error fetching job runs:', error)
+      toast.error('Failed to fetch run history')
+    } finally {
+      setRunsLoading(false)
+    }
+  }, [jobFilter])
+
+  useEffect(() => {
+    if (admin) {
+      fetchJobs()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchJobs])
+
+  useEffect(() => {
+    if (admin) {
+      fetchRuns()
+    }
+  }, [admin, fetchRuns])
+
+  const updateJob = async (job, updates, message) => {
+    try {
+      setWorking(prev => ({ ...prev, [job.job_key]: true }))
+      await api.put(`/scheduler/jobs/${job.job_key}`, updates)
+      toast.success(message)
+      fetchJobs()
+    } catch (error) {
+      console.error('Error updating scheduled job:', error)
+      toast.error(error.response?.data?.message || 'Failed to update job')
+    } finally {
+      setWorking(prev => ({ ...prev, [job.job_key]: false }))
+    }
+  }
+
+  const runJob = async (job) => {
+    try {
+      setWorking(prev => ({ ...prev, [job.job_key]: true }))
+      const response = await api.post(`/scheduler/jobs/${job.job_key}/run`)
+      if (response.data.data.run.status === 'succeeded') {
+        toast.success(`${jobLabel(job.job_key)}: ${response.data.message}`)
+      } else {
+        toast.error(`${jobLabel(job.job_key)}: ${response.data.message}`)
+      }
+      fetchJobs()
+      fetchRuns()
+    } catch (error) {
+      console.error('Error running job:', error)
+      toast.error(error.response?.data?.message || 'Failed to run job')
+    } finally {
+      setWorking(prev => ({ ...prev, [job.job_key]: false }))
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Scheduled Jobs</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Reminders, escalations and assignment expiry run from the API server on these schedules
+          (cron: minute hour day-of-month month day-of-week, {timezone} time). Only one server runs a job at a time.
+        </p>
+      </div>
+
+      {/* Jobs */}
+      {jobs.length === 0 ? (
+        <div className="text-center py-12 bg-white shadow rounded-lg">
+          <AlarmClock className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No scheduled jobs</h3>
+          <p className="mt-1 text-sm text-gray-500">Jobs appear once the scheduler has started.</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Job</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Next Run</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Run</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {jobs.map((job) => (
+                  <tr key={job.job_key} className="align-top">
+                    <td className="px-6 py-4 text-sm max-w-sm">
+                      <div className="font-medium text-gray-900">{jobLabel(job.job_key)}</div>
+                      <div className="text-xs text-gray-500">{job.description}</div>
+                      {!job.is_defined && (
+                        <div className="text-xs text-red-600">No handler in this server version</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex items-center gap-2">
+                        <input
+                          value={cronDrafts[job.job_key] || ''}
+                          onChange={(e) => setCronDrafts(prev => ({ ...prev, [job.job_key]: e.target.value }))}
+                          className="input-field font-mono text-sm w-36"
+                        />
+                        {cronDrafts[job.job_key] !== job.cron_expression && (
+                          <button
+                            onClick={() => updateJob(job, { cron_expression: cronDrafts[job.job_key] }, 'Schedule updated')}
+                            disabled={working[job.job_key]}
+                            className="text-blue-600 hover:text-blue-900"
+                            title="Save schedule"
+                          >
+                            <Save className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                      <label className="mt-2 inline-flex items-center text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={job.is_enabled}
+                          onChange={(e) => updateJob(job, { is_enabled: e.target.checked }, e.target.checked ? 'Job enabled' : 'Job disabled')}
+                          disabled={working[job.job_key]}
+                          className="mr-1"
+                        />
+                        Enabled
+                      </label>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {job.is_enabled ? formatDateTime(job.next_run_at) : <span className="text-gray-400">Disabled</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {job.is_running ? (
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${runStatusColors.running}`}>
+                          running on {job.locked_by}
+                        </span>
+                      ) : job.last_status ? (
+                        <>
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${runStatusColors[job.last_status] || 'bg-gray-100 text-gray-800'}`}>
+                            {job.last_status}
+                          </span>
+                          <div className="text-xs text-gray-500">{formatDateTime(job.last_run_at)}</div>
+                          {job.last_error && (
+                            <div className="text-xs text-red-600 max-w-xs truncate" title={job.last_error}>{job.last_error}</div>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-400">Never run</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => runJob(job)}
+                        disabled={working[job.job_key] || job.is_running || !job.is_defined}
+                        className="inline-flex items-center text-green-600 hover:text-green-900 disabled:text-gray-300"
+                      >
+                        {working[job.job_key] ? <LoadingSpinner size="sm" /> : <Play className="h-4 w-4 mr-1" />}
+                        Run now
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Run history */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+          <h3 className="text-lg font-medium text-gray-900">Run History</h3>
+          <div className="flex items-center gap-3">
+            <select value={jobFilter} onChange={(e) => setJobFilter(e.target.value)} className="input-field text-sm">
+              <option value="">All jobs</option>
+              {jobs.map((job) => (
+                <option key={job.job_key} value={job.job_key}>{jobLabel(job.job_key)}</option>
+              ))}
+            </select>
+            <button onClick={fetchRuns} className="text-gray-600 hover:text-gray-900" title="Refresh">
+              <RefreshCw className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+        {runsLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : runs.length === 0 ? (
+          <div className="text-center py-12">
+            <AlarmClock className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No runs yet</h3>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Job</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Trigger</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Duration</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run.id} className="align-top">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{jobLabel(run.job_key)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatDateTime(run.started_at)}
+                      <div className="text-xs text-gray-500">{run.instance_id}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {run.trigger === 'manual' && run.triggered_user
+                        ? `Manual (${run.triggered_user.first_name} ${run.triggered_user.last_name})`
+                        : run.trigger}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${runStatusColors[run.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {run.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {run.duration_ms !== null && run.duration_ms !== undefined ? `${(run.duration_ms / 1000).toFixed(1)}s` : '-'}
+                    </td>
+                    <td className="px-6 py-4 text-xs">
+                      {run.error ? (
+                        <span className="text-red-600">{run.error}</span>
+                      ) : run.result ? (
+                        <code className="text-gray-700 break-all">{JSON.stringify(run.result)}</code>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ScheduledJobs
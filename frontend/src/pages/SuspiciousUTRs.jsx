@@ -0,0 +1,200 @@
+/**
+ * Suspicious UTRs page
+ * Admin review queue for UTRs submitted on more than one payment
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  Check,
+  ShieldAlert,
+  X
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const statusTabs = ['open', 'approved', 'rejected']
+
+const describePayment = (payment) => payment
+  ? `${payment.procurement_dump?.indent_number || '-'} • ${payment.procurement_dump?.firm_name || ''} • ₹${Number(payment.amount).toLocaleString()} (${payment.payment_status})`
+  : '-'
+
+const SuspiciousUTRs = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [attempts, setAttempts] = useState([])
+  const [status, setStatus] = useState('open')
+  const [loading, setLoading] = useState(true)
+  const [reasons, setReasons] = useState({})
+  const [resolving, setResolving] = useState({})
+
+  const fetchAttempts = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/payment/suspicious-utrs', { params: { status } })
+      setAttempts(response.data.data.attempts)
+    } catch (error) {
+      console.error('Error fetching suspicious UTRs:', error)
+      toast.error('Failed to fetch suspicious UTRs')
+    } finally {
+      setLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    if (admin) {
+      fetchAttempts()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchAttempts])
+
+  const resolve = async (attempt, decision) => {
+    const reason = (reasons[attempt.id] || '').trim()
+    if (reason.length < 3) {
+      toast.error('Please enter a reason')
+      return
+    }
+
+    try {
+      setResolving(prev => ({ ...prev, [attempt.id]: true }))
+      await api.post(`/payment/suspicious-utrs/${attempt.id}/resolve`, { decision, reason })
+      toast.success(decision === 'approved' ? 'Reuse approved and UTR recorded' : 'Reuse rejected')
+      setAttempts(prev => prev.filter(a => a.id !== attempt.id))
+    } catch (error) {
+      console.error('Error resolving suspicious UTR:', error)
+      toast.error(error.response?.data?.message || 'Failed to resolve suspicious UTR')
+    } finally {
+      setResolving(prev => ({ ...prev, [attempt.id]: false }))
+    }
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Suspicious UTRs</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          UTRs submitted for a payment while already recorded on another one. Approve only when a single
+          transfer genuinely covers both payments; approval records the tranche.
+        </p>
+      </div>
+
+      {/* Status tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {statusTabs.map((tab) => (
+            <button
+              key={tab}
+              onClick={() => setStatus(tab)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm capitalize ${
+                status === tab
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : attempts.length === 0 ? (
+          <div className="text-center py-12">
+            <ShieldAlert className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No {status} UTR reuse attempts</h3>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted For</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Already Used On</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    {status === 'open' ? 'Decision' : 'Resolution'}
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {attempts.map((attempt) => (
+                  <tr key={attempt.id} className="align-top hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-mono text-gray-900">{attempt.utr_number}</div>
+                      <div className="text-xs text-gray-500">
+                        ₹{Number(attempt.amount).toLocaleString()} paid {new Date(attempt.paid_date).toLocaleDateString()}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        By {attempt.submitted_user?.first_name} {attempt.submitted_user?.last_name} on{' '}
+                        {new Date(attempt.created_at).toLocaleString()}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{describePayment(attempt.payment)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{describePayment(attempt.conflicting_payment)}</td>
+                    <td className="px-6 py-4 text-sm">
+                      {status === 'open' ? (
+                        <div className="space-y-2">
+                          <input
+                            value={reasons[attempt.id] || ''}
+                            onChange={(e) => setReasons(prev => ({ ...prev, [attempt.id]: e.target.value }))}
+                            placeholder="Reason"
+                            className="input-field text-sm"
+                          />
+                          <div className="space-x-3">
+                            <button
+                              onClick={() => resolve(attempt, 'approved')}
+                              disabled={resolving[attempt.id]}
+                              className="inline-flex items-center text-green-600 hover:text-green-900"
+                            >
+                              <Check className="h-4 w-4 mr-1" />
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => resolve(attempt, 'rejected')}
+                              disabled={resolving[attempt.id]}
+                              className="inline-flex items-center text-red-600 hover:text-red-900"
+                            >
+                              <X className="h-4 w-4 mr-1" />
+                              Reject
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div>
+                          <div className="text-gray-900">{attempt.resolution_reason}</div>
+                          <div className="text-xs text-gray-500">{new Date(attempt.resolved_at).toLocaleString()}</div>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SuspiciousUTRs
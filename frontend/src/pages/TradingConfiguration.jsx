@@ -0,0 +1,261 @@
+/**
+ * Trading Configuration page
+ * Admin view of versioned procurement rates and scheduling of future rate changes
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  CalendarClock,
+  Settings2,
+  XCircle
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const RATE_FIELDS = [
+  { key: 'emd_percentage_low', label: 'EMD % (≤ threshold)', step: '0.01' },
+  { key: 'emd_percentage_high', label: 'EMD % (> threshold)', step: '0.01' },
+  { key: 'emd_threshold', label: 'EMD threshold (bales)', step: '1' },
+  { key: 'cgst_rate', label: 'CGST %', step: '0.01' },
+  { key: 'sgst_rate', label: 'SGST %', step: '0.01' },
+  { key: 'igst_rate', label: 'IGST %', step: '0.01' },
+  { key: 'candy_rate', label: 'Candy rate', step: '0.01' },
+  { key: 'bale_weight', label: 'Bale weight (kg)', step: '0.01' },
+  { key: 'emd_due_days', label: 'EMD due (business days)', step: '1' },
+  { key: 'contract_due_days', label: 'Contract due (business days)', step: '1' }
+]
+
+const statusClasses = {
+  active: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  superseded: 'bg-gray-100 text-gray-600'
+}
+
+const TradingConfiguration = () => {
+  const { isAdmin } = useAuth()
+  const [versions, setVersions] = useState([])
+  const [current, setCurrent] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState({ effective_from: '', notes: '' })
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/config/trading/versions')
+      setVersions(response.data.data.versions)
+      setCurrent(response.data.data.current)
+    } catch (error) {
+      console.error('Error fetching configuration:', error)
+      toast.error('Failed to fetch trading configuration')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin()) {
+      fetchVersions()
+    } else {
+      setLoading(false)
+    }
+  }, [isAdmin])
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target
+    setForm(prev => ({ ...prev, [name]: value }))
+  }
+
+  // Only changed fields are sent; the rest carry over from the version in force
+  const scheduleVersion = async (e) => {
+    e.preventDefault()
+    if (!form.effective_from) {
+      toast.error('Effective date is required')
+      return
+    }
+
+    const payload = { effective_from: form.effective_from }
+    if (form.notes) payload.notes = form.notes
+    RATE_FIELDS.forEach(({ key }) => {
+      if (form[key] !== undefined && form[key] !== '') payload[key] = Number(form[key])
+    })
+
+    try {
+      setSaving(true)
+      await api.post('/config/trading/versions', payload)
+      toast.success('Rate change scheduled')
+      setForm({ effective_from: '', notes: '' })
+      fetchVersions()
+    } catch (error) {
+      console.error('Error scheduling configuration:', error)
+      toast.error(error.response?.data?.message || 'Failed to schedule rate change')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const cancelVersion = async (version) => {
+    if (!window.confirm(`Cancel version ${version.version} effective ${version.effective_from}?`)) return
+
+    try {
+      await api.delete(`/config/trading/versions/${version.id}`)
+      toast.success('Scheduled version cancelled')
+      fetchVersions()
+    } catch (error) {
+      console.error('Error cancelling configuration:', error)
+      toast.error(error.response?.data?.message || 'Failed to cancel version')
+    }
+  }
+
+  if (!isAdmin()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Trading Configuration</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Procurement rates are versioned; each indent is calculated with the rates in force on its allocation date
+        </p>
+      </div>
+
+      {/* Current configuration */}
+      {current && (
+        <div className="card p-6">
+          <div className="flex items-center mb-4">
+            <Settings2 className="h-5 w-5 text-blue-500 mr-2" />
+            <h3 className="text-lg font-medium text-gray-900">
+              In force today {current.version ? `(version ${current.version}, since ${current.effectiveFrom})` : '(legacy configuration)'}
+            </h3>
+          </div>
+          <dl className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+            <div><dt className="text-gray-500">EMD low / high</dt><dd className="font-semibold">{current.emdLow}% / {current.emdHigh}%</dd></div>
+            <div><dt className="text-gray-500">EMD threshold</dt><dd className="font-semibold">{current.emdThreshold} bales</dd></div>
+            <div><dt className="text-gray-500">CGST / SGST / IGST</dt><dd className="font-semibold">{current.gstRates.cgst}% / {current.gstRates.sgst}% / {current.gstRates.igst}%</dd></div>
+            <div><dt className="text-gray-500">Candy rate</dt><dd className="font-semibold">{current.candyRate}</dd></div>
+            <div><dt className="text-gray-500">EMD due</dt><dd className="font-semibold">{current.emdDueDays} business days</dd></div>
+            <div><dt className="text-gray-500">Contract due</dt><dd className="font-semibold">{current.contractDueDays} business days</dd></div>
+          </dl>
+        </div>
+      )}
+
+      {/* Schedule form */}
+      <form onSubmit={scheduleVersion} className="card p-6 space-y-4">
+        <div className="flex items-center">
+          <CalendarClock className="h-5 w-5 text-blue-500 mr-2" />
+          <h3 className="text-lg font-medium text-gray-900">Schedule Rate Change</h3>
+        </div>
+        <p className="text-sm text-gray-500">Leave a rate blank to keep the value in force on the effective date.</p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Effective from</label>
+            <input type="date" name="effective_from" value={form.effective_from} onChange={handleFormChange} className="input-field" />
+          </div>
+          {RATE_FIELDS.map(({ key, label, step }) => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-700">{label}</label>
+              <input type="number" step={step} name={key} value={form[key] || ''} onChange={handleFormChange} className="input-field" />
+            </div>
+          ))}
+          <div className="md:col-span-3">
+            <label className="block text-sm font-medium text-gray-700">Notes</label>
+            <input name="notes" value={form.notes} onChange={handleFormChange} className="input-field" placeholder="e.g. GST notification reference" />
+          </div>
+        </div>
+        <button type="submit" disabled={saving} className="btn-primary inline-flex items-center">
+          {saving && <LoadingSpinner size="sm" />}
+          <span className={saving ? 'ml-2' : ''}>Schedule</span>
+        </button>
+      </form>
+
+      {/* Versions table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="table-container">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Effective From</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">EMD</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">GST</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Candy / Bale</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Created By</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {versions.map((version) => (
+                <tr key={version.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">v{version.version}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{new Date(`${version.effective_from}T00:00:00`).toLocaleDateString()}</td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusClasses[version.status]}`}>
+                      {version.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {version.emd_percentage_low}% / {version.emd_percentage_high}% @ {version.emd_threshold}
+                    <div className="text-xs text-gray-500">{version.emd_due_days} business days</div>
+                    {version.contract_due_days !== null && version.contract_due_days !== undefined && (
+                      <div className="text-xs text-gray-500">Contract due in {version.contract_due_days} business days</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {version.cgst_rate}% + {version.sgst_rate}% / {version.igst_rate}%
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{version.candy_rate} / {version.bale_weight} kg</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {version.created_user ? `${version.created_user.first_name} ${version.created_user.last_name}` : '-'}
+                    {version.notes && <div className="text-xs">{version.notes}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {version.status === 'scheduled' && (
+                      <button onClick={() => cancelVersion(version)} className="inline-flex items-center text-red-600 hover:text-red-900">
+                        <XCircle className="h-4 w-4 mr-1" />
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {versions.length === 0 && (
+          <div className="text-center py-12">
+            <Settings2 className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No configuration versions</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Rates are read from the legacy configuration until the first version is scheduled.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TradingConfiguration
@@ -8,6 +8,7 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import UTRTranches from '../components/UTRTranches'
 import {
   Currency,
   FileText,
@@ -17,6 +18,22 @@ import {
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+// Mirrors the backend UTR_FORMATS; other modes accept any 12-22 character reference
+const UTR_FORMATS = {
+  NEFT: { pattern: /^[A-Z0-9]{16}$/, length: 16, description: '16 letters or digits', example: 'SBIN324012345678' },
+  RTGS: { pattern: /^[A-Z0-9]{22}$/, length: 22, description: '22 letters or digits', example: 'SBINR52024010112345678' },
+  IMPS: { pattern: /^\d{12}$/, length: 12, description: '12 digits', example: '401012345678' }
+}
+const DEFAULT_UTR_FORMAT = { pattern: /^[A-Z0-9]{12,22}$/, length: 22, description: '12 to 22 letters or digits' }
+
+// Amount not yet covered by a submitted or verified UTR
+const unclaimedAmount = (payment) => {
+  const claimed = (payment.utr_entries || [])
+    .filter(entry => entry.verification_status !== 'rejected')
+    .reduce((sum, entry) => sum + Number(entry.amount), 0)
+  return Math.max(Math.round((Number(payment.amount) - claimed) * 100) / 100, 0)
+}
+
 const UTRSubmission = () => {
   const { id } = useParams()
   const navigate = useNavigate()
@@ -26,6 +43,8 @@ const UTRSubmission = () => {
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [utrNumber, setUtrNumber] = useState('')
+  const [amount, setAmount] = useState('')
+  const [paidDate, setPaidDate] = useState(new Date().toISOString().split('T')[0])
   const [screenshot, setScreenshot] = useState(null)
 
   // Fetch payment details
@@ -33,12 +52,14 @@ const UTRSubmission = () => {
     const fetchPayment = async () => {
       try {
         const response = await api.get(`/payment/${id}`)
-        setPayment(response.data.data.payment)
+        const fetchedPayment = response.data.data.payment
+        setPayment(fetchedPayment)
+        setAmount(String(unclaimedAmount(fetchedPayment)))
         
-        // If UTR already submitted, redirect to verified payments
-        if (response.data.data.payment.utr_number) {
+        // If UTRs already cover the full amount, redirect to verified payments
+        if (['paid', 'overpaid'].includes(fetchedPayment.payment_status)) {
         
-          navigate('/payment/verified')
+          navigate('/payments/verified')
           return
         }
       } catch (error) {
@@ -52,24 +73,48 @@ const UTRSubmission = () => {
     fetchPayment()
   }, [id, navigate])
 
+  const utrFormat = UTR_FORMATS[payment?.payment_mode?.toUpperCase()] || DEFAULT_UTR_FORMAT
+  const utrValid = utrFormat.pattern.test(utrNumber)
+
   // Handle UTR submission
   const submitUTR = async () => {
-    if (!utrNumber || utrNumber.length < 12) {
-      toast.error('Please enter a valid UTR number (minimum 12 characters)')
+    if (!utrValid) {
+      toast.error(`Please enter a valid ${payment.payment_mode} UTR (${utrFormat.description})`)
+      return
+    }
+    if (!amount || Number(amount) <= 0) {
+      toast.error('Please enter the amount paid under this UTR')
       return
     }
 
     try {
       setSubmitting(true)
-      await api.post('/utr/submit', {
+      const response = await api.post('/utr/submit', {
         payment_id: id,
-        utr_number: utrNumber
+        utr_number: utrNumber,
+        amount: Number(amount),
+        paid_date: paidDate
       })
-      
-      toast.success('UTR submitted successfully!')
-      navigate('/payment/verified')
+      const updatedPayment = response.data.data.payment
+
+      const remaining = unclaimedAmount(updatedPayment)
+
+      if (remaining > 0) {
+        toast.success(`UTR submitted for verification. ₹${remaining.toLocaleString()} still to be paid`)
+        setPayment(updatedPayment)
+        setUtrNumber('')
+        setAmount(String(remaining))
+        return
+      }
+
+      toast.success('UTR submitted for verification')
+      navigate('/payments/verified')
     } catch (error) {
       console.error('Error submitting UTR:', error)
+      if (error.response?.data?.data?.suspicious_utr_id) {
+        toast.error('This UTR is already used on another payment. It has been sent to an admin for review.')
+        return
+      }
       toast.error(error.response?.data?.message || 'Failed to submit UTR')
     } finally {
       setSubmitting(false)
@@ -166,14 +211,47 @@ const UTRSubmission = () => {
                 type="text"
                 id="utr"
                 value={utrNumber}
-                onChange={(e) => setUtrNumber(e.target.value.toUpperCase())}
-                placeholder="Enter 12-22 digit UTR number"
+                onChange={(e) => setUtrNumber(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''))}
+                placeholder={`${payment.payment_mode} UTR: ${utrFormat.description}`}
                 className="input-field"
-                maxLength={22}
-                minLength={12}
+                maxLength={utrFormat.length}
               />
-              <p className="mt-1 text-xs text-gray-500">
-                UTR (Unique Transaction Reference) number from your bank statement
+              <p className={`mt-1 text-xs ${utrNumber && !utrValid ? 'text-red-600' : 'text-gray-500'}`}>
+                {payment.payment_mode} UTR (Unique Transaction Reference) from your bank statement: {utrFormat.description}
+              </p>
+            </div>
+
+            {/* Tranche Amount and Date */}
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
+                  Amount Paid *
+                </label>
+                <input
+                  type="number"
+                  id="amount"
+                  step="0.01"
+                  min="0.01"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label htmlFor="paid_date" className="block text-sm font-medium text-gray-700 mb-2">
+                  Paid On *
+                </label>
+                <input
+                  type="date"
+                  id="paid_date"
+                  value={paidDate}
+                  max={new Date().toISOString().split('T')[0]}
+                  onChange={(e) => setPaidDate(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+              <p className="col-span-2 text-xs text-gray-500">
+                Paid in several RTGS transfers? Submit each UTR with its own amount.
               </p>
             </div>
 
@@ -215,7 +293,7 @@ const UTRSubmission = () => {
             {/* Submit Button */}
             <button
               onClick={submitUTR}
-              disabled={submitting || !utrNumber || utrNumber.length < 12}
+              disabled={submitting || !utrValid}
               className="w-full btn-primary"
             >
               {submitting ? (
@@ -272,6 +350,14 @@ const UTRSubmission = () => {
               </div>
             </div>
 
+            {/* Tranches submitted so far */}
+            {payment.utr_entries?.length > 0 && (
+              <div className="pt-4 border-t border-gray-200">
+                <h3 className="text-sm font-medium text-gray-900 mb-3">Submitted UTRs</h3>
+                <UTRTranches payment={payment} />
+              </div>
+            )}
+
             {/* Procurement Info */}
             {payment.procurement_dump && (
               <div className="pt-4 border-t border-gray-200">
@@ -303,12 +389,13 @@ const UTRSubmission = () => {
 
         <div className="bg-blue-50 p-4 rounded-lg">
           <ul className="list-disc list-inside space-y-2 text-sm text-blue-900">
-            <li>UTR number is a 12-22 digit unique reference number provided by your bank</li>
+            <li>UTR length depends on the payment mode: NEFT 16 characters, RTGS 22 characters, IMPS 12 digits</li>
+            <li>Each UTR can be used on one payment only; reused UTRs are held for admin review</li>
             <li>Check your bank statement, payment receipt, or mobile banking app for UTR</li>
-            <li>Ensure the UTR corresponds to the exact payment amount mentioned above</li>
+            <li>Enter the amount transferred under each UTR; a payment made in tranches needs one UTR per transfer</li>
             <li>Screenshot upload is optional but recommended for faster verification</li>
             <li>Once submitted, UTR cannot be modified. Please verify before submission</li>
-            <li>After successful submission, payment status will be updated to "Verified"</li>
+            <li>Once the UTRs cover the full amount, payment status will be updated to "Paid"</li>
           </ul>
         </div>
       </div>
@@ -317,18 +404,15 @@ const UTRSubmission = () => {
       <div className="card p-6">
         <h3 className="text-sm font-medium text-gray-900 mb-3">Sample UTR Formats</h3>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-xs">
-          <div className="bg-gray-50 p-3 rounded-md">
-            <p className="font-medium text-gray-900 mb-1">SBI</p>
-            <p className="text-gray-600">123456789012</p>
-          </div>
-          <div className="bg-gray-50 p-3 rounded-md">
-            <p className="font-medium text-gray-900 mb-1">HDFC</p>
-            <p className="text-gray-600">H123456789012345</p>
-          </div>
-          <div className="bg-gray-50 p-3 rounded-md">
-            <p className="font-medium text-gray-900 mb-1">ICICI</p>
-            <p className="text-gray-600">12345678901234</p>
-          </div>
+          {Object.entries(UTR_FORMATS).map(([mode, format]) => (
+            <div
+              key={mode}
+              className={`p-3 rounded-md ${mode === payment.payment_mode?.toUpperCase() ? 'bg-blue-50 ring-1 ring-blue-200' : 'bg-gray-50'}`}
+            >
+              <p className="font-medium text-gray-900 mb-1">{mode} ({format.description})</p>
+              <p className="text-gray-600 font-mono">{format.example}</p>
+            </div>
+          ))}
         </div>
       </div>
     </div>
@@ -1,6 +1,7 @@
 /**
  * Verified Payments page - Flow 2
- * Shows list of all verified payment transactions
+ * Shows list of all verified payment transactions, with tabs for UTRs still
+ * awaiting verification and UTRs a verifier rejected
  */
 
 import React, { useState, useEffect } from 'react'
@@ -8,6 +9,7 @@ import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import UTRVerificationQueue from '../components/UTRVerificationQueue'
 import {
   CheckCircle,
   Currency,
@@ -18,8 +20,15 @@ import {
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+const tabs = [
+  { id: 'verified', label: 'Verified' },
+  { id: 'submitted', label: 'Awaiting Verification' },
+  { id: 'rejected', label: 'Rejected' }
+]
+
 const VerifiedPayments = () => {
   const { user, isAdmin } = useAuth()
+  const [activeTab, setActiveTab] = useState('verified')
   const [payments, setPayments] = useState([])
   const [loading, setLoading] = useState(true)
   const [pagination, setPagination] = useState({
@@ -125,6 +134,29 @@ const VerifiedPayments = () => {
         </p>
       </div>
 
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab !== 'verified' ? (
+        <UTRVerificationQueue status={activeTab} />
+      ) : (
+      <>
       {/* Statistics Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white p-4 rounded-lg shadow">
@@ -294,12 +326,22 @@ const VerifiedPayments = () => {
 
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div>
-                      <div className="text-sm font-medium text-gray-900">
-                        {payment.utr_number}
-                      </div>
+                      {(payment.utr_entries?.length > 0 ? payment.utr_entries : [{ utr_number: payment.utr_number }]).map((entry) => (
+                        <div key={entry.utr_number} className="text-sm font-medium text-gray-900">
+                          {entry.utr_number}
+                          {payment.utr_entries?.length > 1 && (
+                            <span className="ml-2 text-xs text-gray-500">₹{Number(entry.amount).toLocaleString()}</span>
+                          )}
+                        </div>
+                      ))}
                       <div className="text-sm text-gray-500">
                         Submitted: {new Date(payment.verified_at).toLocaleDateString()}
                       </div>
+                      {payment.payment_status === 'overpaid' && (
+                        <div className="text-xs text-purple-700">
+                          Overpaid by ₹{(Number(payment.paid_amount) - Number(payment.amount)).toLocaleString()}
+                        </div>
+                      )}
                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                         <CheckCircle className="h-3 w-3 mr-1" />
                         Verified
@@ -409,6 +451,8 @@ const VerifiedPayments = () => {
           </div>
         </div>
       </div>
+      </>
+      )}
     </div>
   )
 }
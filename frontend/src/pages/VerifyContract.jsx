@@ -0,0 +1,160 @@
+/**
+ * Verify Contract page
+ * Public page behind the QR on an approved contract: shows who approved it and lets the
+ * firm check that the PDF they hold is the approved copy, unmodified
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import api, { uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { AlertTriangle, CheckCircle, ShieldCheck, Upload, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const VerifyContract = () => {
+  const { token } = useParams()
+  const [contract, setContract] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [notFound, setNotFound] = useState(false)
+  const [file, setFile] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const [result, setResult] = useState(null)
+
+  useEffect(() => {
+    const fetchContract = async () => {
+      try {
+        setLoading(true)
+        const response = await api.get(`/public/contracts/verify/${token}`)
+        setContract(response.data.data.contract)
+      } catch (error) {
+        console.error('Error fetching contract:', error)
+        setNotFound(true)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchContract()
+  }, [token])
+
+  const checkFile = async (e) => {
+    e.preventDefault()
+    if (!file) return
+
+    try {
+      setChecking(true)
+      setResult(null)
+      const formData = new FormData()
+      formData.append('contract', file)
+      formData.append('token', token)
+      const response = await uploadFile('/public/contracts/verify', formData)
+      setResult(response.data.data)
+    } catch (error) {
+      console.error('Error verifying contract:', error)
+      toast.error(error.response?.data?.message || 'Failed to verify contract')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <div className="text-center">
+          <ShieldCheck className="mx-auto h-12 w-12 text-blue-600" />
+          <h1 className="mt-4 text-2xl font-bold text-gray-900">Contract Verification</h1>
+          <p className="mt-1 text-sm text-gray-600">Cotton Trading Management System</p>
+        </div>
+
+        {loading && (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        )}
+
+        {!loading && notFound && (
+          <div className="card p-6 text-center">
+            <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">Verification code not recognised</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              This link does not belong to an approved contract. Check the code printed on the approval page.
+            </p>
+          </div>
+        )}
+
+        {!loading && contract && (
+          <>
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Approved Contract</h2>
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-gray-500">Indent Number</p>
+                  <p className="font-medium text-gray-900">{contract.indent_number}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Firm Name</p>
+                  <p className="font-medium text-gray-900">{contract.firm_name}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Contract Version</p>
+                  <p className="font-medium text-gray-900">v{contract.version_number}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Approved</p>
+                  <p className="font-medium text-gray-900">
+                    {formatDateTime(contract.approved_at)} by {contract.approved_by || '-'}
+                  </p>
+                </div>
+              </div>
+              {contract.version_state !== 'active' && (
+                <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                  A later version of this contract has since been issued. Ask the branch for the current version.
+                </div>
+              )}
+            </div>
+
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Check Your Copy</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Upload the PDF you received. It is compared by its fingerprint only and is not stored.
+              </p>
+              <form onSubmit={checkFile} className="flex items-center gap-3">
+                <input
+                  type="file"
+                  accept=".pdf,application/pdf"
+                  onChange={(e) => { setFile(e.target.files[0] || null); setResult(null) }}
+                  className="input-field flex-1"
+                />
+                <button type="submit" disabled={!file || checking} className="btn-primary flex items-center">
+                  {checking ? <LoadingSpinner size="sm" /> : <Upload className="h-4 w-4 mr-2" />}
+                  Verify
+                </button>
+              </form>
+
+              {result && (
+                <div className={`mt-4 p-4 rounded-lg border ${result.authentic ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                  <div className="flex items-center">
+                    {result.authentic ? (
+                      <CheckCircle className="h-6 w-6 text-green-600 mr-2" />
+                    ) : (
+                      <XCircle className="h-6 w-6 text-red-600 mr-2" />
+                    )}
+                    <p className={`font-medium ${result.authentic ? 'text-green-900' : 'text-red-900'}`}>
+                      {result.authentic ? 'Authentic and unmodified' : 'Not verified'}
+                    </p>
+                  </div>
+                  <p className={`mt-1 text-sm ${result.authentic ? 'text-green-800' : 'text-red-800'}`}>{result.message}</p>
+                  <p className="mt-2 text-xs font-mono text-gray-500 break-all">SHA-256: {result.sha256}</p>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyContract
@@ -0,0 +1,347 @@
+/**
+ * Webhook Admin page
+ * Manage signed webhook integrations and browse the inbound delivery log
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  AlertTriangle,
+  KeyRound,
+  Plus,
+  RefreshCw,
+  Webhook
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const statusClasses = {
+  accepted: 'bg-blue-100 text-blue-800',
+  processed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  rejected: 'bg-yellow-100 text-yellow-800'
+}
+
+const WebhookAdmin = () => {
+  const { isAdmin } = useAuth()
+  const admin = isAdmin()
+  const [integrations, setIntegrations] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState({ name: '', description: '' })
+  const [revealedSecret, setRevealedSecret] = useState(null)
+  const [filters, setFilters] = useState({ integration_id: '', status: '' })
+  const [page, setPage] = useState(1)
+  const [expandedId, setExpandedId] = useState(null)
+
+  const fetchIntegrations = useCallback(async () => {
+    try {
+      const response = await api.get('/webhooks/integrations')
+      setIntegrations(response.data.data.integrations)
+    } catch (error) {
+      console.error('Error fetching integrations:', error)
+      toast.error('Failed to fetch webhook integrations')
+    }
+  }, [])
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      setLoading(true)
+      const params = { page }
+      if (filters.integration_id) params.integration_id = filters.integration_id
+      if (filters.status) params.status = filters.status
+      const response = await api.get('/webhooks/deliveries', { params })
+      setDeliveries(response.data.data.deliveries)
+      setPagination(response.data.data.pagination)
+    } catch (error) {
+      console.error('Error fetching deliveries:', error)
+      toast.error('Failed to fetch webhook deliveries')
+    } finally {
+      setLoading(false)
+    }
+  }, [page, filters])
+
+  useEffect(() => {
+    if (admin) fetchIntegrations()
+  }, [admin, fetchIntegrations])
+
+  useEffect(() => {
+    if (admin) {
+      fetchDeliveries()
+    } else {
+      setLoading(false)
+    }
+  }, [admin, fetchDeliveries])
+
+  const createIntegration = async (e) => {
+    e.preventDefault()
+    if (!form.name) {
+      toast.error('Integration name is required')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const payload = { name: form.name }
+      if (form.description) payload.description = form.description
+      const response = await api.post('/webhooks/integrations', payload)
+      setRevealedSecret({ name: form.name, secret: response.data.data.secret })
+      toast.success('Integration created')
+      setForm({ name: '', description: '' })
+      fetchIntegrations()
+    } catch (error) {
+      console.error('Error creating integration:', error)
+      toast.error(error.response?.data?.message || 'Failed to create integration')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rotateSecret = async (integration) => {
+    if (!window.confirm(`Rotate the secret for ${integration.name}? The current secret stops working immediately.`)) return
+
+    try {
+      const response = await api.post(`/webhooks/integrations/${integration.id}/rotate-secret`)
+      setRevealedSecret({ name: integration.name, secret: response.data.data.secret })
+      toast.success('Secret rotated')
+      fetchIntegrations()
+    } catch (error) {
+      console.error('Error rotating secret:', error)
+      toast.error(error.response?.data?.message || 'Failed to rotate secret')
+    }
+  }
+
+  const toggleIntegration = async (integration) => {
+    try {
+      await api.put(`/webhooks/integrations/${integration.id}`, { is_active: !integration.is_active })
+      toast.success(integration.is_active ? 'Integration disabled' : 'Integration enabled')
+      fetchIntegrations()
+    } catch (error) {
+      console.error('Error updating integration:', error)
+      toast.error(error.response?.data?.message || 'Failed to update integration')
+    }
+  }
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  if (!admin) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Webhooks</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Inbound webhooks must be signed with the integration's secret; every delivery is logged below
+        </p>
+      </div>
+
+      {/* One-time secret */}
+      {revealedSecret && (
+        <div className="card p-4 border border-yellow-300 bg-yellow-50">
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="text-sm font-medium text-yellow-900">Secret for {revealedSecret.name}</h3>
+              <p className="text-xs text-yellow-800 mt-1">Copy it into the integration now; it will not be shown again.</p>
+              <code className="block mt-2 text-sm break-all text-gray-900">{revealedSecret.secret}</code>
+            </div>
+            <button onClick={() => setRevealedSecret(null)} className="btn-secondary text-sm">Done</button>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* New integration */}
+        <form onSubmit={createIntegration} className="card p-6 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">New Integration</h3>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className="input-field"
+              placeholder="e.g. n8n"
+            />
+            <p className="mt-1 text-xs text-gray-500">Sent as the X-Webhook-Integration header</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Description</label>
+            <input
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              className="input-field"
+            />
+          </div>
+          <button type="submit" disabled={saving} className="btn-primary inline-flex items-center">
+            {saving ? <LoadingSpinner size="sm" /> : <Plus className="h-4 w-4 mr-1" />}
+            <span className="ml-1">Create</span>
+          </button>
+        </form>
+
+        {/* Integrations */}
+        <div className="card p-6 lg:col-span-2">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Integrations</h3>
+          {integrations.length === 0 ? (
+            <p className="text-sm text-gray-500">No integrations registered. Unsigned webhook calls are rejected.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {integrations.map((integration) => (
+                <li key={integration.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <div className="flex items-center">
+                      <span className="text-sm font-medium text-gray-900">{integration.name}</span>
+                      <span className={`ml-2 status-badge ${integration.is_active ? 'status-active' : 'status-pending'}`}>
+                        {integration.is_active ? 'Active' : 'Disabled'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      Acts as {integration.service_user?.email || 'service account'}
+                      {integration.last_used_at && ` · last used ${new Date(integration.last_used_at).toLocaleString()}`}
+                    </p>
+                    {integration.description && <p className="text-xs text-gray-500">{integration.description}</p>}
+                  </div>
+                  <div className="flex space-x-3 text-sm">
+                    <button onClick={() => rotateSecret(integration)} className="inline-flex items-center text-blue-600 hover:text-blue-900">
+                      <KeyRound className="h-4 w-4 mr-1" />
+                      Rotate secret
+                    </button>
+                    <button
+                      onClick={() => toggleIntegration(integration)}
+                      className={integration.is_active ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}
+                    >
+                      {integration.is_active ? 'Disable' : 'Enable'}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-lg shadow flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Integration</label>
+          <select name="integration_id" value={filters.integration_id} onChange={handleFilterChange} className="input-field">
+            <option value="">All</option>
+            {integrations.map((integration) => (
+              <option key={integration.id} value={integration.id}>{integration.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Status</label>
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="input-field">
+            <option value="">All</option>
+            {Object.keys(statusClasses).map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+        <button onClick={fetchDeliveries} className="btn-secondary inline-flex items-center">
+          <RefreshCw className="h-4 w-4 mr-1" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Delivery log */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Received</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Integration</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Endpoint</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">HTTP</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Error</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {deliveries.map((delivery) => (
+                  <React.Fragment key={delivery.id}>
+                    <tr
+                      onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                      className="cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{new Date(delivery.received_at).toLocaleString()}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{delivery.integration?.name || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 font-mono">{delivery.endpoint}</td>
+                      <td className="px-4 py-3">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusClasses[delivery.status]}`}>
+                          {delivery.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{delivery.http_status || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-red-600">{delivery.error || ''}</td>
+                    </tr>
+                    {expandedId === delivery.id && (
+                      <tr>
+                        <td colSpan="6" className="px-4 py-3 bg-gray-50">
+                          <div className="text-xs text-gray-500 mb-1">Nonce: {delivery.nonce || '-'}</div>
+                          <pre className="text-xs text-gray-800 whitespace-pre-wrap">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {!loading && deliveries.length === 0 && (
+          <div className="text-center py-12">
+            <Webhook className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No deliveries</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Webhook calls will appear here as they arrive.
+            </p>
+          </div>
+        )}
+
+        {pagination && pagination.total_pages > 1 && (
+          <div className="px-4 py-3 flex items-center justify-between border-t border-gray-200">
+            <span className="text-sm text-gray-700">
+              Page {pagination.current_page} of {pagination.total_pages} ({pagination.total_records} deliveries)
+            </span>
+            <div className="space-x-2">
+              <button disabled={!pagination.has_previous} onClick={() => setPage(page - 1)} className="btn-secondary">
+                Previous
+              </button>
+              <button disabled={!pagination.has_next} onClick={() => setPage(page + 1)} className="btn-secondary">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default WebhookAdmin